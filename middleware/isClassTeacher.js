@@ -0,0 +1,6 @@
+// middleware/isClassTeacher.js
+// Réserve la route au professeur de la classe (politique d'accès commune, action 'class.manage').
+// Généralement placé après isClassMember, dont il réutilise req.classroom.
+const requireClassAccess = require('./requireClassAccess');
+
+module.exports = requireClassAccess('class.manage');
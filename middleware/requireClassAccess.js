@@ -0,0 +1,47 @@
+// middleware/requireClassAccess.js
+// Middleware Express de la politique d'accès (utils/accessPolicy.js) :
+// requireClassAccess('chat.post') charge la classe de la route dans req.classroom et vérifie l'action.
+// Par défaut, l'identifiant de la classe est req.params.id.
+const { AccessDeniedError, authorize } = require('../utils/accessPolicy');
+
+// Les appels fetch/JSON reçoivent une erreur JSON, les pages une page d'erreur
+function wantsJson(req) {
+    return req.is('application/json') || req.originalUrl.startsWith('/api/') || req.accepts(['html', 'json']) === 'json';
+}
+
+function sendAccessDenied(req, res, error) {
+    if (wantsJson(req)) {
+        return res.status(error.status).json({ success: false, message: error.message });
+    }
+    if (error.status === 401) {
+        return res.redirect('/login');
+    }
+    res.status(error.status).render('error', { message: error.message });
+}
+
+const requireClassAccess = (action, getClassroomId = (req) => req.params.id) => async (req, res, next) => {
+    const classroomId = getClassroomId(req);
+    try {
+        // Réutilise la classe déjà chargée par un middleware précédent (ex. isClassMember puis isClassTeacher)
+        const loaded = req.classroom && String(req.classroom._id) === String(classroomId) ? req.classroom : classroomId;
+        req.classroom = await authorize(req.session && req.session.user, action, loaded);
+        next();
+    } catch (error) {
+        if (!(error instanceof AccessDeniedError)) {
+            console.error(`Error checking access '${action}' to class ${classroomId}:`, error);
+            return res.status(500).render('error', { message: 'Erreur serveur lors de la vérification de l\'accès à la classe.' });
+        }
+
+        const user = req.session && req.session.user;
+        console.log(`Access '${action}' to class ${classroomId} denied for ${user ? user.username : 'anonymous'}: ${error.message}`);
+        if (error.reason === 'not-member' && user && user.classrooms) {
+            // La classe a pu être quittée ou l'élève retiré depuis la connexion : on la retire de la session
+            user.classrooms = user.classrooms.filter(c => String(c._id) !== String(classroomId));
+        }
+        sendAccessDenied(req, res, error);
+    }
+};
+
+requireClassAccess.sendAccessDenied = sendAccessDenied;
+
+module.exports = requireClassAccess;
@@ -1,49 +1,59 @@
 // middleware/upload.js
+// Configuration Multer commune à toutes les routes d'upload.
+// Le fichier reste en mémoire : c'est le driver de stockage (utils/storage) qui décide où il est écrit.
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs'); // Pour créer le dossier d'uploads si nécessaire
-
-// Définir le dossier où les fichiers seront stockés
-const uploadDir = path.join(__dirname, '../uploads'); // Crée le dossier 'uploads' à la racine du projet
-
-// Assurez-vous que le dossier d'upload existe
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-// Configurer le stockage pour Multer
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, uploadDir); // Le dossier de destination
-    },
-    filename: function (req, file, cb) {
-        // Nom du fichier : horodatage + nom original
-        cb(null, Date.now() + '-' + file.originalname);
-    }
-});
 
-// Filtre pour n'accepter que certains types de fichiers (optionnel)
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10 Mo pour les images, PDF et documents Word
+
+// Type MIME enregistré pour chaque extension acceptée : celui annoncé par le navigateur n'est pas conservé
+const MIME_TYPES = {
+    '.jpeg': 'image/jpeg',
+    '.jpg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.pdf': 'application/pdf',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+// Filtre pour n'accepter que les images, PDF, DOC et DOCX
 const fileFilter = (req, file, cb) => {
-    // Accepter les images et les documents PDF/Word/Excel
-    if (file.mimetype.startsWith('image/') ||
-        file.mimetype === 'application/pdf' ||
-        file.mimetype === 'application/msword' ||
-        file.mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
-        file.mimetype === 'application/vnd.ms-excel' ||
-        file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
-        file.mimetype === 'application/vnd.ms-powerpoint' ||
-        file.mimetype === 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
-    ) {
-        cb(null, true);
-    } else {
-        cb(new Error('Type de fichier non autorisé.'), false);
+    if (!file || !file.originalname) {
+        console.error('Multer fileFilter: Missing/null file or originalname.', file);
+        return cb(new Error('Fichier invalide ou nom de fichier manquant.'));
     }
+
+    const extname = path.extname(file.originalname).toLowerCase();
+
+    if (Object.prototype.hasOwnProperty.call(MIME_TYPES, extname)) {
+        file.mimetype = MIME_TYPES[extname];
+        return cb(null, true);
+    }
+    cb(new Error('Seuls les fichiers images (jpeg, jpg, png, gif), PDF, DOC et DOCX sont autorisés !'));
 };
 
 const upload = multer({
-    storage: storage,
+    storage: multer.memoryStorage(),
     fileFilter: fileFilter,
-    limits: { fileSize: 1024 * 1024 * 50 } // Limite de 50 Mo par fichier
+    limits: { fileSize: MAX_FILE_SIZE }
+});
+
+upload.MAX_FILE_SIZE = MAX_FILE_SIZE;
+
+// Imports CSV (carnet de notes, listes d'élèves) : petit fichier texte, lu en mémoire puis analysé
+const MAX_CSV_SIZE = 1024 * 1024; // 1 Mo
+
+upload.csv = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_CSV_SIZE },
+    fileFilter: (req, file, cb) => {
+        const isCsv = /\.(csv|txt)$/i.test(file.originalname || '') || /text\/(csv|plain)|ms-excel/.test(file.mimetype);
+        if (isCsv) {
+            return cb(null, true);
+        }
+        cb(new Error('Seuls les fichiers CSV (.csv) sont acceptés.'));
+    }
 });
 
-module.exports = upload;
\ No newline at end of file
+module.exports = upload;
@@ -0,0 +1,35 @@
+// models/ActivityEvent.js
+// Activité d'un membre dans une classe qui ne laisse pas d'autre trace en base (ouverture de la page
+// de la classe...), comptée par jour : un document par (classe, utilisateur, type, jour).
+// Complète les messages, fichiers, téléchargements et remises de devoirs pour les statistiques
+// d'engagement du professeur (utils/classAnalytics.js).
+const mongoose = require('mongoose');
+
+const TYPE_LABELS = {
+    'class.view': 'Visites de la classe'
+};
+
+const activityEventSchema = new mongoose.Schema({
+    classroom: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: { type: String, enum: Object.keys(TYPE_LABELS), required: true },
+    day: { type: Date, required: true }, // Minuit (heure du serveur) du jour compté
+    count: { type: Number, default: 0 },
+    lastAt: { type: Date, required: true }
+});
+
+activityEventSchema.index({ classroom: 1, user: 1, type: 1, day: 1 }, { unique: true });
+activityEventSchema.index({ classroom: 1, day: 1 });
+
+activityEventSchema.statics.record = function(classroomId, userId, type, date = new Date()) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    return this.updateOne(
+        { classroom: classroomId, user: userId, type, day },
+        { $inc: { count: 1 }, $max: { lastAt: date } },
+        { upsert: true }
+    );
+};
+
+activityEventSchema.statics.TYPE_LABELS = TYPE_LABELS;
+
+module.exports = mongoose.model('ActivityEvent', activityEventSchema);
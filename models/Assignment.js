@@ -0,0 +1,48 @@
+// models/Assignment.js
+const mongoose = require('mongoose');
+const { attachmentSchema } = require('./attachmentSchema');
+
+const assignmentSchema = new mongoose.Schema({
+    classroom: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true, index: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    title: { type: String, required: true, trim: true },
+    instructions: { type: String, default: '' },
+    attachments: [attachmentSchema],
+    openDate: { type: Date, default: Date.now, required: true }, // Visible par les élèves à partir de cette date
+    dueDate: { type: Date, required: true },
+    maxGrade: { type: Number, default: 20, min: 1 } // Barème sur 20 par défaut
+}, {
+    timestamps: true
+});
+
+assignmentSchema.path('dueDate').validate(function(value) {
+    return !this.openDate || value >= this.openDate;
+}, 'La date limite doit être postérieure à la date d\'ouverture.');
+
+assignmentSchema.methods.isOpen = function(now = new Date()) {
+    return this.openDate <= now;
+};
+
+/**
+ * Statut d'un élève pour ce devoir :
+ * 'graded' (noté), 'submitted' (rendu à temps), 'late' (rendu en retard),
+ * 'missing' (non rendu, date limite dépassée) ou 'pending' (à rendre).
+ */
+assignmentSchema.methods.statusFor = function(submission, now = new Date()) {
+    if (submission) {
+        if (submission.grade !== null && submission.grade !== undefined) return 'graded';
+        return submission.submittedAt > this.dueDate ? 'late' : 'submitted';
+    }
+    return now > this.dueDate ? 'missing' : 'pending';
+};
+
+// Libellés affichés dans les vues pour chaque statut
+assignmentSchema.statics.STATUS_LABELS = {
+    pending: 'À rendre',
+    submitted: 'Rendu',
+    late: 'Rendu en retard',
+    missing: 'Non rendu',
+    graded: 'Noté'
+};
+
+module.exports = mongoose.model('Assignment', assignmentSchema);
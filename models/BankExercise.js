@@ -0,0 +1,62 @@
+// models/BankExercise.js
+// Exercice de la banque d'un professeur, partagée entre toutes ses classes.
+// Énoncé et solution en texte avec formules LaTeX entre $...$ ; les paramètres aléatoires
+// (utils/exerciseBank.js) donnent à chaque élève sa propre variante, avec sa solution.
+const mongoose = require('mongoose');
+const { generateVariant } = require('../utils/exerciseBank');
+
+const DIFFICULTY_LABELS = { 1: 'Facile', 2: 'Moyen', 3: 'Difficile' };
+
+const bankExerciseSchema = new mongoose.Schema({
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    title: { type: String, required: true, trim: true },
+    // Étiquettes : niveau (« 4e », « 2nde »...), chapitre (« Probabilités »...) et difficulté
+    level: { type: String, default: '', trim: true },
+    chapter: { type: String, default: '', trim: true },
+    difficulty: { type: Number, enum: [1, 2, 3], default: 2 },
+    statement: { type: String, required: true },
+    solution: { type: String, default: '' }, // Corrigé détaillé, avec les mêmes paramètres
+    parameters: { type: String, default: '' } // Définitions, une par ligne (a ∈ [2 ; 9])
+}, {
+    timestamps: true
+});
+
+bankExerciseSchema.index({ owner: 1, level: 1, chapter: 1, title: 1 });
+
+bankExerciseSchema.virtual('difficultyLabel').get(function() {
+    return DIFFICULTY_LABELS[this.difficulty] || '';
+});
+
+/**
+ * Exercices d'un professeur, filtrés par étiquettes ({ level, chapter, difficulty, q } venant de l'URL).
+ */
+bankExerciseSchema.statics.search = function(ownerId, { level, chapter, difficulty, q } = {}) {
+    const query = { owner: ownerId };
+    if (level) query.level = level;
+    if (chapter) query.chapter = chapter;
+    if (DIFFICULTY_LABELS[difficulty]) query.difficulty = Number(difficulty);
+    if (q && q.trim()) {
+        query.title = { $regex: q.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+    return this.find(query).sort({ level: 1, chapter: 1, title: 1 });
+};
+
+// Niveaux et chapitres déjà utilisés par le professeur (filtres et suggestions du formulaire)
+bankExerciseSchema.statics.tagsFor = async function(ownerId) {
+    const [levels, chapters] = await Promise.all([
+        this.distinct('level', { owner: ownerId }),
+        this.distinct('chapter', { owner: ownerId })
+    ]);
+    return {
+        levels: levels.filter(Boolean).sort(),
+        chapters: chapters.filter(Boolean).sort()
+    };
+};
+
+bankExerciseSchema.methods.variant = function(seed) {
+    return generateVariant(this, seed);
+};
+
+bankExerciseSchema.statics.DIFFICULTY_LABELS = DIFFICULTY_LABELS;
+
+module.exports = mongoose.model('BankExercise', bankExerciseSchema);
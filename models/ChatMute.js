@@ -0,0 +1,37 @@
+// models/ChatMute.js
+// Élève rendu muet dans le chat d'une classe par le professeur, jusqu'à une date donnée.
+// Il peut toujours lire le chat ; la sanction peut être levée avant son terme.
+const mongoose = require('mongoose');
+
+const MAX_MUTE_MINUTES = 24 * 60;
+
+const chatMuteSchema = new mongoose.Schema({
+    classroom: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    until: { type: Date, required: true },
+    reason: { type: String, default: '', trim: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+    liftedAt: { type: Date, default: null }
+});
+
+chatMuteSchema.index({ classroom: 1, student: 1, until: -1 });
+
+function activeQuery(now = new Date()) {
+    return { liftedAt: null, until: { $gt: now } };
+}
+
+// Sanction en cours pour cet élève, ou null
+chatMuteSchema.statics.activeFor = function(classroomId, studentId) {
+    return this.findOne({ classroom: classroomId, student: studentId, ...activeQuery() }).sort({ until: -1 });
+};
+
+chatMuteSchema.statics.activeInClass = function(classroomId) {
+    return this.find({ classroom: classroomId, ...activeQuery() })
+        .sort({ until: 1 })
+        .populate('student', 'username');
+};
+
+chatMuteSchema.statics.MAX_MUTE_MINUTES = MAX_MUTE_MINUTES;
+
+module.exports = mongoose.model('ChatMute', chatMuteSchema);
@@ -0,0 +1,44 @@
+// models/ChatReport.js
+// Signalement d'un message du chat par un élève. Le professeur le traite depuis la page de modération :
+// il supprime le message (« actioned ») ou classe le signalement (« dismissed »).
+const mongoose = require('mongoose');
+
+const STATUSES = ['open', 'actioned', 'dismissed'];
+
+const chatReportSchema = new mongoose.Schema({
+    classroom: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    message: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', required: true },
+    reporter: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    reason: { type: String, default: '', trim: true },
+    status: { type: String, enum: STATUSES, default: 'open' },
+    createdAt: { type: Date, default: Date.now },
+    resolvedAt: { type: Date, default: null },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+});
+
+// Un élève ne signale qu'une fois le même message
+chatReportSchema.index({ message: 1, reporter: 1 }, { unique: true });
+chatReportSchema.index({ classroom: 1, status: 1, createdAt: -1 });
+
+chatReportSchema.statics.openFor = function(classroomId) {
+    return this.find({ classroom: classroomId, status: 'open' })
+        .sort({ createdAt: 1 })
+        .populate('reporter', 'username')
+        .populate({ path: 'message', populate: { path: 'sender', select: 'username' } });
+};
+
+chatReportSchema.statics.countOpen = function(classroomId) {
+    return this.countDocuments({ classroom: classroomId, status: 'open' });
+};
+
+// Tous les signalements ouverts d'un message sont traités en même temps
+chatReportSchema.statics.resolveForMessage = function(messageId, status, userId) {
+    return this.updateMany(
+        { message: messageId, status: 'open' },
+        { status, resolvedAt: new Date(), resolvedBy: userId }
+    );
+};
+
+chatReportSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('ChatReport', chatReportSchema);
@@ -0,0 +1,26 @@
+// models/ChatUpload.js
+// Fichier déposé pour le chat (POST /api/chat/upload-file), en attente d'être joint à un message.
+// Le navigateur ne reçoit que l'identifiant de ce dépôt : le message 'chatMessage' reprend ici l'emplacement
+// du fichier et son type MIME, jamais une URL envoyée par le client (qui pourrait désigner le fichier d'une autre classe).
+const mongoose = require('mongoose');
+
+const chatUploadSchema = new mongoose.Schema({
+    classroom: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    uploader: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    fileName: { type: String, required: true },
+    fileUrl: { type: String, required: true },
+    fileType: { type: String, required: true }, // Type MIME déduit de l'extension au dépôt (middleware/upload.js)
+    storageDriver: { type: String, enum: ['local', 'cloudinary', 'gcs'] },
+    publicId: { type: String },
+    uploadedAt: { type: Date, default: Date.now }
+});
+
+// Dépôt de cet utilisateur dans cette classe, ou null
+chatUploadSchema.statics.findFor = function(uploadId, classroomId, userId) {
+    if (!mongoose.isValidObjectId(uploadId)) {
+        return Promise.resolve(null);
+    }
+    return this.findOne({ _id: uploadId, classroom: classroomId, uploader: userId });
+};
+
+module.exports = mongoose.model('ChatUpload', chatUploadSchema);
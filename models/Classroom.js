@@ -2,6 +2,18 @@
 const mongoose = require('mongoose');
 const User = require('./user'); // Assurez-vous que le modèle User est correctement importé si pas déjà
 
+// Previous versions of a file, kept when the teacher replaces it (most recent last)
+const fileVersionSchema = new mongoose.Schema({
+    filePath: { type: String, required: true },
+    fileSize: { type: Number, required: true },
+    fileMimeType: { type: String, required: true },
+    uploadDate: { type: Date, required: true },
+    uploader: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    storageDriver: { type: String, enum: ['local', 'cloudinary', 'gcs'], required: false },
+    publicId: { type: String, required: false },
+    replacedAt: { type: Date, default: Date.now }
+});
+
 // Schema for individual file entries within a Classroom
 const fileSchema = new mongoose.Schema({
     fileName: { type: String, required: true }, // Original file name
@@ -16,38 +28,22 @@ const fileSchema = new mongoose.Schema({
         default: 'general',
         required: true
     },
-    folder: {
-        type: String,
-        default: 'General',
-        trim: true
-    }
-});
-
-// --- MODIFICATION ICI : Schéma pour les messages de chat individuels ---
-const messageSchema = new mongoose.Schema({
-    sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    content: { // Contenu textuel ou code LaTeX
-        type: String,
-        required: false // Peut être false si le message est uniquement une image
-    },
-    type: { // Type de message: 'text', 'math', 'image', 'file'
-        type: String,
-        enum: ['text', 'math', 'image','file'],
-        default: 'text',
-        required: true
-    },
-    imageUrl: { // URL de l'image pour les messages de type 'image' (peut être conservé si vous avez des images spécifiques)
-        type: String,
-        required: false
-    },
-    // AJOUTEZ CE NOUVEAU CHAMP POUR LES FICHIERS DE CHAT !
-    fileUrl: { // URL du fichier pour les messages de type 'file'
-        type: String,
-        required: false
-    },
-    timestamp: { type: Date, default: Date.now, required: true }
+    folder: { // Chemin du dossier dans la bibliothèque ("Chapitre 1/Exercices"), '' = racine
+        type: String,
+        default: '',
+        trim: true
+    },
+    // Copie privée (copie annotée du document d'un élève) : seuls cet élève et le professeur la voient ; null = toute la classe
+    visibleTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // Where the file is stored (see utils/storage): driver name and key/public_id inside that backend
+    storageDriver: {
+        type: String,
+        enum: ['local', 'cloudinary', 'gcs'],
+        required: false
+    },
+    publicId: { type: String, required: false },
+    versions: [fileVersionSchema]
 });
-// ----------------------------------------------------------------------
 
 // Main Classroom Schema
 const classroomSchema = new mongoose.Schema({
@@ -71,10 +67,33 @@ const classroomSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
-    messages: [messageSchema], // This references the messageSchema defined above
-    files: [fileSchema] // This references the fileSchema defined above
+    // Chat messages live in their own collection (models/Message.js)
+    chatLocked: { type: Boolean, default: false }, // Verrouillé par le professeur (contrôle) : seuls les professeurs écrivent
+    files: [fileSchema], // This references the fileSchema defined above
+    // Dossiers de la bibliothèque (chemins complets), y compris ceux qui ne contiennent encore aucun fichier
+    folders: [{
+        type: String,
+        trim: true
+    }]
 }, {
     timestamps: true
 });
 
+// --- Inscriptions ---
+// L'appartenance est stockée des deux côtés (Classroom.students et User.classrooms) :
+// ces méthodes mettent toujours à jour les deux.
+classroomSchema.statics.enrollStudent = async function(classroomId, studentId) {
+    await this.updateOne({ _id: classroomId }, { $addToSet: { students: studentId } });
+    await User.updateOne({ _id: studentId }, { $addToSet: { classrooms: classroomId } });
+};
+
+classroomSchema.statics.removeStudent = async function(classroomId, studentId) {
+    await this.updateOne({ _id: classroomId }, { $pull: { students: studentId } });
+    await User.updateOne({ _id: studentId }, { $pull: { classrooms: classroomId } });
+};
+
+classroomSchema.methods.hasStudent = function(userId) {
+    return this.students.some(student => (student._id || student).equals(userId));
+};
+
 module.exports = mongoose.model('Classroom', classroomSchema);
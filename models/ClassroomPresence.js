@@ -0,0 +1,32 @@
+// models/ClassroomPresence.js
+// Dernière présence de chaque membre dans une classe (liste des membres du chat : « vu il y a 2 h »).
+// La présence en direct est gardée en mémoire (utils/presence.js) ; seule la date est enregistrée ici.
+const mongoose = require('mongoose');
+
+const classroomPresenceSchema = new mongoose.Schema({
+    classroom: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    lastSeenAt: { type: Date, required: true }
+});
+
+classroomPresenceSchema.index({ classroom: 1, user: 1 }, { unique: true });
+
+classroomPresenceSchema.statics.touch = function(classroomId, userId, date = new Date()) {
+    return this.updateOne(
+        { classroom: classroomId, user: userId },
+        { $max: { lastSeenAt: date } },
+        { upsert: true }
+    );
+};
+
+// { userId: Date } pour toute la classe
+classroomPresenceSchema.statics.lastSeenFor = async function(classroomId) {
+    const rows = await this.find({ classroom: classroomId }).select('user lastSeenAt').lean();
+    const lastSeen = {};
+    rows.forEach(row => {
+        lastSeen[row.user] = row.lastSeenAt;
+    });
+    return lastSeen;
+};
+
+module.exports = mongoose.model('ClassroomPresence', classroomPresenceSchema);
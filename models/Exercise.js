@@ -0,0 +1,87 @@
+// models/Exercise.js
+// Exercice court auto-corrigé : l'élève saisit sa réponse en LaTeX (éditeur MathQuill),
+// le serveur vérifie l'équivalence avec la réponse attendue (utils/mathExpression).
+const mongoose = require('mongoose');
+const { parse, areEquivalent, checkSimplified } = require('../utils/mathExpression');
+
+const exerciseSchema = new mongoose.Schema({
+    classroom: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true, index: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    title: { type: String, required: true, trim: true },
+    statement: { type: String, default: '' }, // Énoncé (texte)
+    statementLatex: { type: String, default: '' }, // Formule de l'énoncé, affichée avec KaTeX
+    expectedAnswer: { type: String, required: true }, // Réponse attendue en LaTeX
+    // Tolérances pour les réponses numériques approchées (0 = égalité exacte aux erreurs d'arrondi près)
+    absoluteTolerance: { type: Number, default: 0, min: 0 },
+    relativeTolerance: { type: Number, default: 0, min: 0 },
+    requireSimplified: { type: Boolean, default: false }, // Refuser les formes non simplifiées
+    maxAttempts: { type: Number, default: 0, min: 0 }, // 0 = illimité
+    // Tentatives comptées de chaque élève, pour appliquer maxAttempts même avec des envois simultanés
+    attemptCounts: {
+        type: [{
+            student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+            count: { type: Number, default: 0 },
+            _id: false
+        }],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Corrige une réponse d'élève. Retourne { correct, feedback }.
+ * Lève une MathParseError si la réponse ne peut pas être lue.
+ */
+exerciseSchema.methods.grade = function(answerLatex) {
+    const answer = parse(answerLatex);
+    const result = areEquivalent(parse(this.expectedAnswer), answer, {
+        absoluteTolerance: this.absoluteTolerance,
+        relativeTolerance: this.relativeTolerance
+    });
+
+    if (!result.equivalent) {
+        return {
+            correct: false,
+            feedback: result.reason === 'undetermined'
+                ? 'Votre réponse n\'a pas pu être comparée à la réponse attendue (domaine de définition différent ?).'
+                : 'Réponse incorrecte.'
+        };
+    }
+
+    if (this.requireSimplified) {
+        const simplification = checkSimplified(answer);
+        if (!simplification.simplified) {
+            return { correct: false, feedback: `Votre réponse est juste, mais elle n'est pas simplifiée : ${simplification.reason}` };
+        }
+    }
+
+    return { correct: true, feedback: 'Bonne réponse !' };
+};
+
+/**
+ * Réserve une tentative de l'élève. Retourne le nombre de tentatives utilisées (celle-ci comprise),
+ * ou null si la limite est atteinte. Le compteur est initialisé à partir des tentatives déjà enregistrées.
+ */
+exerciseSchema.statics.reserveAttempt = async function(exercise, studentId, countExisting) {
+    if (!exercise.attemptCounts.some(entry => entry.student.equals(studentId))) {
+        const existing = await countExisting();
+        await this.updateOne(
+            { _id: exercise._id, 'attemptCounts.student': { $ne: studentId } },
+            { $push: { attemptCounts: { student: studentId, count: existing } } }
+        );
+    }
+
+    const filter = { student: studentId };
+    if (exercise.maxAttempts > 0) {
+        filter.count = { $lt: exercise.maxAttempts };
+    }
+    const updated = await this.findOneAndUpdate(
+        { _id: exercise._id, attemptCounts: { $elemMatch: filter } },
+        { $inc: { 'attemptCounts.$.count': 1 } },
+        { new: true, projection: { attemptCounts: { $elemMatch: { student: studentId } } } }
+    );
+    return updated ? updated.attemptCounts[0].count : null;
+};
+
+module.exports = mongoose.model('Exercise', exerciseSchema);
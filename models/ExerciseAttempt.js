@@ -0,0 +1,16 @@
+// models/ExerciseAttempt.js
+// Chaque réponse envoyée par un élève à un exercice auto-corrigé est conservée.
+const mongoose = require('mongoose');
+
+const exerciseAttemptSchema = new mongoose.Schema({
+    exercise: { type: mongoose.Schema.Types.ObjectId, ref: 'Exercise', required: true },
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    answer: { type: String, required: true }, // LaTeX saisi par l'élève
+    correct: { type: Boolean, required: true },
+    feedback: { type: String, default: '' },
+    createdAt: { type: Date, default: Date.now }
+});
+
+exerciseAttemptSchema.index({ exercise: 1, student: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ExerciseAttempt', exerciseAttemptSchema);
@@ -0,0 +1,38 @@
+// models/ExerciseSheet.js
+// Feuille d'exercices composée par un professeur à partir de sa banque (models/BankExercise.js),
+// puis publiée dans une ou plusieurs de ses classes. Les élèves y voient leur propre variante de chaque exercice.
+const mongoose = require('mongoose');
+
+const publicationSchema = new mongoose.Schema({
+    classroom: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    publishedAt: { type: Date, default: Date.now },
+    showSolutions: { type: Boolean, default: false } // Les élèves voient le corrigé de leur variante
+}, { _id: false });
+
+const exerciseSheetSchema = new mongoose.Schema({
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    title: { type: String, required: true, trim: true },
+    instructions: { type: String, default: '' },
+    exercises: [{ type: mongoose.Schema.Types.ObjectId, ref: 'BankExercise' }], // Dans l'ordre de la feuille
+    publications: { type: [publicationSchema], default: [] }
+}, {
+    timestamps: true
+});
+
+exerciseSheetSchema.index({ 'publications.classroom': 1 });
+
+// Publication dans une classe (publications.classroom chargé ou non)
+exerciseSheetSchema.methods.publicationIn = function(classroomId) {
+    return this.publications.find(publication => {
+        const publishedIn = publication.classroom && publication.classroom._id ? publication.classroom._id : publication.classroom;
+        return String(publishedIn) === String(classroomId);
+    }) || null;
+};
+
+// Feuilles publiées dans une classe, la plus récente d'abord
+exerciseSheetSchema.statics.publishedIn = async function(classroomId) {
+    const sheets = await this.find({ 'publications.classroom': classroomId }).select('title exercises publications');
+    return sheets.sort((a, b) => b.publicationIn(classroomId).publishedAt - a.publicationIn(classroomId).publishedAt);
+};
+
+module.exports = mongoose.model('ExerciseSheet', exerciseSheetSchema);
@@ -0,0 +1,48 @@
+// models/FileDownload.js
+// Journal des téléchargements de la bibliothèque d'une classe : qui a ouvert quel fichier, et quand.
+// Une entrée par téléchargement (route /classes/:id/files/:fileId/download, routes/fileRoutes.js) ;
+// le professeur voit ainsi quels élèves ont réellement ouvert chaque fiche.
+const mongoose = require('mongoose');
+
+const fileDownloadSchema = new mongoose.Schema({
+    classroom: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    file: { type: mongoose.Schema.Types.ObjectId, required: true }, // Élément de classroom.files
+    version: { type: mongoose.Schema.Types.ObjectId, default: null }, // Ancienne version téléchargée, sinon null
+    fileName: { type: String, required: true }, // Nom au moment du téléchargement
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    downloadedAt: { type: Date, default: Date.now }
+});
+
+fileDownloadSchema.index({ classroom: 1, file: 1, user: 1, downloadedAt: -1 });
+
+/**
+ * Nombre d'élèves différents ayant ouvert chaque fichier de la classe : { [fileId]: nombre }.
+ * Seuls les élèves de `studentIds` comptent (le professeur, un élève retiré de la classe sont ignorés).
+ */
+fileDownloadSchema.statics.studentCountsByFile = async function(classroomId, studentIds) {
+    const rows = await this.aggregate([
+        { $match: { classroom: new mongoose.Types.ObjectId(String(classroomId)), user: { $in: studentIds } } },
+        { $group: { _id: { file: '$file', user: '$user' } } },
+        { $group: { _id: '$_id.file', students: { $sum: 1 } } }
+    ]);
+    const counts = {};
+    rows.forEach(row => {
+        counts[row._id] = row.students;
+    });
+    return counts;
+};
+
+// Téléchargements d'un fichier par utilisateur : { [userId]: { count, first, last } }
+fileDownloadSchema.statics.summaryForFile = async function(classroomId, fileId) {
+    const rows = await this.aggregate([
+        { $match: { classroom: new mongoose.Types.ObjectId(String(classroomId)), file: new mongoose.Types.ObjectId(String(fileId)) } },
+        { $group: { _id: '$user', count: { $sum: 1 }, first: { $min: '$downloadedAt' }, last: { $max: '$downloadedAt' } } }
+    ]);
+    const summary = {};
+    rows.forEach(row => {
+        summary[row._id] = { count: row.count, first: row.first, last: row.last };
+    });
+    return summary;
+};
+
+module.exports = mongoose.model('FileDownload', fileDownloadSchema);
@@ -0,0 +1,159 @@
+// models/Gradebook.js
+// Carnet de notes d'une classe : une évaluation par colonne, une note (et une appréciation) par élève,
+// des coefficients, et des moyennes par période ramenées sur 20.
+const mongoose = require('mongoose');
+
+const GRADE_SCALE = 20; // Les moyennes sont toujours exprimées sur 20
+
+// Découpages de l'année proposés au professeur
+const TERM_SYSTEMS = {
+    trimestres: ['Trimestre 1', 'Trimestre 2', 'Trimestre 3'],
+    semestres: ['Semestre 1', 'Semestre 2']
+};
+
+const markSchema = new mongoose.Schema({
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    score: { type: Number, default: null, min: 0 }, // null = pas de note (absent, non rendu...)
+    comment: { type: String, default: '', trim: true }
+}, { _id: false });
+
+const evaluationSchema = new mongoose.Schema({
+    title: { type: String, required: true, trim: true },
+    term: { type: Number, required: true, min: 1 }, // Numéro de la période (1 = premier trimestre)
+    date: { type: Date, default: Date.now },
+    maxScore: { type: Number, default: GRADE_SCALE, min: 1 }, // Barème de l'évaluation (noté sur 10, sur 20...)
+    weight: { type: Number, default: 1, min: 0 }, // Coefficient (0 = évaluation non comptée dans la moyenne)
+    marks: [markSchema]
+});
+
+// Appréciation générale de la période, par élève
+const termCommentSchema = new mongoose.Schema({
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    term: { type: Number, required: true, min: 1 },
+    comment: { type: String, default: '', trim: true }
+}, { _id: false });
+
+const gradebookSchema = new mongoose.Schema({
+    classroom: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true, unique: true },
+    termSystem: { type: String, enum: Object.keys(TERM_SYSTEMS), default: 'trimestres' },
+    evaluations: [evaluationSchema],
+    termComments: [termCommentSchema]
+}, {
+    timestamps: true
+});
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+gradebookSchema.virtual('terms').get(function() {
+    return TERM_SYSTEMS[this.termSystem] || TERM_SYSTEMS.trimestres;
+});
+
+// Carnet de la classe, créé vide à la première ouverture
+gradebookSchema.statics.forClassroom = async function(classroomId) {
+    const existing = await this.findOne({ classroom: classroomId });
+    if (existing) return existing;
+    try {
+        return await this.create({ classroom: classroomId });
+    } catch (error) {
+        if (error.code === 11000) return this.findOne({ classroom: classroomId }); // Créé entre-temps
+        throw error;
+    }
+};
+
+gradebookSchema.methods.evaluationsForTerm = function(term) {
+    return this.evaluations
+        .filter(evaluation => evaluation.term === term)
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+gradebookSchema.methods.markFor = function(evaluation, studentId) {
+    return evaluation.marks.find(mark => mark.student.equals(studentId)) || null;
+};
+
+// Enregistre (ou efface avec score = null) la note d'un élève
+gradebookSchema.methods.setMark = function(evaluation, studentId, { score, comment }) {
+    let mark = this.markFor(evaluation, studentId);
+    if (!mark) {
+        evaluation.marks.push({ student: studentId });
+        mark = evaluation.marks[evaluation.marks.length - 1];
+    }
+    if (score !== undefined) mark.score = score;
+    if (comment !== undefined) mark.comment = comment;
+};
+
+gradebookSchema.methods.termCommentFor = function(studentId, term) {
+    const entry = this.termComments.find(c => c.term === term && c.student.equals(studentId));
+    return entry ? entry.comment : '';
+};
+
+gradebookSchema.methods.setTermComment = function(studentId, term, comment) {
+    const entry = this.termComments.find(c => c.term === term && c.student.equals(studentId));
+    if (entry) {
+        entry.comment = comment;
+    } else if (comment) {
+        this.termComments.push({ student: studentId, term, comment });
+    }
+};
+
+/**
+ * Moyenne pondérée d'un élève sur une période, ramenée sur 20 (null si aucune note comptée).
+ * Chaque note est d'abord convertie sur 20 selon le barème de l'évaluation, puis pondérée par son coefficient.
+ */
+gradebookSchema.methods.termAverage = function(studentId, term) {
+    let total = 0;
+    let weights = 0;
+    this.evaluations.forEach(evaluation => {
+        if (evaluation.term !== term || !evaluation.weight) return;
+        const mark = this.markFor(evaluation, studentId);
+        if (!mark || mark.score === null || mark.score === undefined) return;
+        total += (mark.score / evaluation.maxScore) * GRADE_SCALE * evaluation.weight;
+        weights += evaluation.weight;
+    });
+    return weights > 0 ? round2(total / weights) : null;
+};
+
+// Moyenne annuelle : moyenne des moyennes de périodes disponibles
+gradebookSchema.methods.yearAverage = function(studentId) {
+    const averages = this.terms
+        .map((name, index) => this.termAverage(studentId, index + 1))
+        .filter(average => average !== null);
+    if (averages.length === 0) return null;
+    return round2(averages.reduce((sum, average) => sum + average, 0) / averages.length);
+};
+
+// Moyenne de la classe pour une évaluation, dans son barème
+gradebookSchema.methods.evaluationAverage = function(evaluation) {
+    const scores = evaluation.marks
+        .map(mark => mark.score)
+        .filter(score => score !== null && score !== undefined);
+    if (scores.length === 0) return null;
+    return round2(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+};
+
+/**
+ * Ligne d'un élève : notes par évaluation, moyennes et appréciations par période.
+ * C'est tout ce qu'un élève voit du carnet (jamais les notes des autres).
+ */
+gradebookSchema.methods.studentRow = function(studentId) {
+    return {
+        terms: this.terms.map((name, index) => {
+            const term = index + 1;
+            return {
+                term,
+                name,
+                evaluations: this.evaluationsForTerm(term).map(evaluation => ({
+                    evaluation,
+                    mark: this.markFor(evaluation, studentId)
+                })),
+                average: this.termAverage(studentId, term),
+                comment: this.termCommentFor(studentId, term)
+            };
+        }),
+        yearAverage: this.yearAverage(studentId)
+    };
+};
+
+gradebookSchema.statics.GRADE_SCALE = GRADE_SCALE;
+gradebookSchema.statics.TERM_SYSTEMS = TERM_SYSTEMS;
+
+module.exports = mongoose.model('Gradebook', gradebookSchema);
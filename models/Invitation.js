@@ -0,0 +1,103 @@
+// models/Invitation.js
+// Invitation à rejoindre une classe : un code aléatoire (et son QR code) que le professeur peut
+// limiter dans le temps et en nombre d'utilisations, révoquer, régénérer, ou soumettre à sa validation.
+// Remplace l'ancien Classroom.classCode, qui permettait à quiconque le connaissait de s'inscrire indéfiniment.
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Sans 0/O, 1/I/L : le code est recopié depuis le tableau ou un écran projeté
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const DEFAULT_EXPIRY_DAYS = 30; // Invitation créée avec la classe
+
+const invitationSchema = new mongoose.Schema({
+    classroom: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    code: { type: String, required: true, unique: true },
+    label: { type: String, default: '', trim: true }, // Ex. « Réunion parents », « Groupe B »
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, default: null }, // null = sans date limite
+    maxUses: { type: Number, default: null, min: 1 }, // null = illimité
+    uses: { type: Number, default: 0 },
+    requiresApproval: { type: Boolean, default: false }, // Le professeur valide chaque demande
+    revokedAt: { type: Date, default: null }
+});
+
+invitationSchema.index({ classroom: 1, createdAt: -1 });
+
+function generateCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+// Code saisi par l'utilisateur -> forme enregistrée (majuscules, sans espaces ni tirets)
+function normalizeCode(code) {
+    return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Crée une invitation avec un nouveau code aléatoire.
+ * `code` permet de reprendre un code existant (migration des anciens codes de classe).
+ */
+invitationSchema.statics.createFor = async function(classroomId, settings = {}, code = null) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        try {
+            return await this.create({ ...settings, classroom: classroomId, code: code || generateCode() });
+        } catch (error) {
+            if (error.code !== 11000 || code) throw error; // Collision de code aléatoire : on retente
+        }
+    }
+    throw new Error('Unable to generate a unique invitation code.');
+};
+
+invitationSchema.statics.findByCode = function(code) {
+    const normalized = normalizeCode(code);
+    return normalized ? this.findOne({ code: normalized }) : Promise.resolve(null);
+};
+
+// Raison pour laquelle l'invitation ne peut plus servir, ou null si elle est utilisable
+invitationSchema.methods.unusableReason = function(now = new Date()) {
+    if (this.revokedAt) return 'Cette invitation a été révoquée par le professeur.';
+    if (this.expiresAt && this.expiresAt <= now) return 'Cette invitation a expiré.';
+    if (this.maxUses !== null && this.uses >= this.maxUses) return 'Cette invitation a atteint son nombre maximal d\'utilisations.';
+    return null;
+};
+
+invitationSchema.methods.isUsable = function(now = new Date()) {
+    return this.unusableReason(now) === null;
+};
+
+/**
+ * Compte une utilisation, sans jamais dépasser maxUses même si plusieurs élèves l'utilisent en même temps.
+ * Retourne false si l'invitation n'était plus utilisable.
+ */
+invitationSchema.methods.consume = async function() {
+    const now = new Date();
+    const updated = await this.constructor.findOneAndUpdate({
+        _id: this._id,
+        revokedAt: null,
+        $and: [
+            { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+            { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+        ]
+    }, { $inc: { uses: 1 } }, { new: true });
+    if (updated) {
+        this.uses = updated.uses;
+    }
+    return Boolean(updated);
+};
+
+// Code affiché en deux groupes lisibles : ABCD-EFGH (les anciens codes de classe sont affichés tels quels)
+invitationSchema.virtual('displayCode').get(function() {
+    return this.code.length === CODE_LENGTH && /^[A-Z0-9]+$/.test(this.code)
+        ? `${this.code.slice(0, 4)}-${this.code.slice(4)}`
+        : this.code;
+});
+
+invitationSchema.statics.normalizeCode = normalizeCode;
+invitationSchema.statics.DEFAULT_EXPIRY_DAYS = DEFAULT_EXPIRY_DAYS;
+
+module.exports = mongoose.model('Invitation', invitationSchema);
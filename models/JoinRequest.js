@@ -0,0 +1,35 @@
+// models/JoinRequest.js
+// Demande d'inscription faite avec une invitation « validation du professeur » :
+// l'élève n'est inscrit dans la classe qu'une fois la demande acceptée depuis le tableau de bord.
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+const joinRequestSchema = new mongoose.Schema({
+    classroom: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    invitation: { type: mongoose.Schema.Types.ObjectId, ref: 'Invitation' },
+    status: { type: String, enum: STATUSES, default: 'pending' },
+    createdAt: { type: Date, default: Date.now },
+    decidedAt: { type: Date, default: null },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+});
+
+// Une seule demande en attente par élève et par classe
+joinRequestSchema.index(
+    { classroom: 1, student: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+joinRequestSchema.index({ classroom: 1, status: 1, createdAt: 1 });
+
+// Demandes en attente des classes données, les plus anciennes d'abord (tableau de bord du professeur)
+joinRequestSchema.statics.pendingFor = function(classroomIds) {
+    return this.find({ classroom: { $in: classroomIds }, status: 'pending' })
+        .sort({ createdAt: 1 })
+        .populate('student', 'username email')
+        .populate('classroom', 'name');
+};
+
+joinRequestSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('JoinRequest', joinRequestSchema);
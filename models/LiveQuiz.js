@@ -0,0 +1,89 @@
+// models/LiveQuiz.js
+// Quiz en direct d'une classe (utils/liveQuiz.js) : le professeur lance les questions une à une pendant
+// la séance, les élèves connectés répondent avant la fin du compte à rebours.
+// Le document garde les questions, les réponses et les points de chaque élève : le classement et les
+// résultats restent consultables après la séance (routes/quizRoutes.js).
+const mongoose = require('mongoose');
+
+const QUESTION_KINDS = {
+    choice: 'Choix multiple',
+    numeric: 'Valeur numérique',
+    latex: 'Expression (LaTeX)'
+};
+
+const answerSchema = new mongoose.Schema({
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    username: { type: String, required: true }, // Nom au moment de la réponse, pour le classement en direct
+    choice: { type: Number, default: null }, // Choix multiple : index de la proposition
+    answer: { type: String, default: '' },   // Valeur numérique ou LaTeX saisis
+    correct: { type: Boolean, required: true },
+    points: { type: Number, default: 0 },
+    answeredAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const questionSchema = new mongoose.Schema({
+    kind: { type: String, enum: Object.keys(QUESTION_KINDS), required: true },
+    prompt: { type: String, required: true },
+    promptLatex: { type: String, default: '' }, // Formule de l'énoncé, affichée avec KaTeX
+    choices: { type: [String], default: [] },   // Choix multiple uniquement
+    correctChoice: { type: Number, default: null },
+    expectedAnswer: { type: String, default: '' }, // Valeur numérique ou LaTeX attendus
+    tolerance: { type: Number, default: 0 },       // Écart accepté pour une valeur numérique
+    durationSeconds: { type: Number, required: true },
+    startedAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    closedAt: { type: Date, default: null }, // Fin du temps ou fermeture par le professeur
+    answers: { type: [answerSchema], default: [] }
+});
+
+const liveQuizSchema = new mongoose.Schema({
+    classroom: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    teacher: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    title: { type: String, required: true, trim: true },
+    status: { type: String, enum: ['running', 'finished'], default: 'running' },
+    questions: { type: [questionSchema], default: [] },
+    startedAt: { type: Date, default: Date.now },
+    endedAt: { type: Date, default: null }
+});
+
+liveQuizSchema.index({ classroom: 1, startedAt: -1 });
+// Un seul quiz en cours par classe
+liveQuizSchema.index({ classroom: 1 }, { unique: true, partialFilterExpression: { status: 'running' } });
+
+liveQuizSchema.statics.runningFor = function(classroomId) {
+    return this.findOne({ classroom: classroomId, status: 'running' });
+};
+
+// Dernière question, la seule qui peut être ouverte
+liveQuizSchema.methods.currentQuestion = function() {
+    return this.questions.length ? this.questions[this.questions.length - 1] : null;
+};
+
+/**
+ * Classement : total des points de chaque élève ayant répondu au moins une fois, du meilleur au moins bon
+ * (à égalité, le plus de bonnes réponses puis l'ordre alphabétique).
+ * Retourne [{ studentId, username, score, correct, answered, rank }].
+ */
+liveQuizSchema.methods.leaderboard = function() {
+    const byStudent = new Map();
+    this.questions.forEach(question => {
+        question.answers.forEach(answer => {
+            const key = String(answer.student);
+            const row = byStudent.get(key) || { studentId: key, username: answer.username, score: 0, correct: 0, answered: 0 };
+            row.score += answer.points;
+            row.correct += answer.correct ? 1 : 0;
+            row.answered++;
+            byStudent.set(key, row);
+        });
+    });
+    const rows = [...byStudent.values()].sort((a, b) =>
+        b.score - a.score || b.correct - a.correct || a.username.localeCompare(b.username, 'fr'));
+    rows.forEach((row, index) => {
+        row.rank = index > 0 && rows[index - 1].score === row.score ? rows[index - 1].rank : index + 1;
+    });
+    return rows;
+};
+
+liveQuizSchema.statics.QUESTION_KINDS = QUESTION_KINDS;
+
+module.exports = mongoose.model('LiveQuiz', liveQuizSchema);
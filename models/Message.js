@@ -0,0 +1,215 @@
+// models/Message.js
+// Messages du chat de classe, stockés dans leur propre collection (et non plus dans Classroom.messages)
+// pour que l'ouverture d'une classe ne charge que les derniers messages.
+const path = require('path');
+const mongoose = require('mongoose');
+const { graphPayload } = require('../utils/functionGraph');
+
+// Messages 'graph' : fonctions tracées (déjà validées, voir utils/functionGraph.js) et fenêtre initiale
+const graphSchema = new mongoose.Schema({
+    functions: [{ _id: false, name: String, expression: String }],
+    window: { xMin: Number, xMax: Number, yMin: Number, yMax: Number }
+}, { _id: false });
+
+const messageSchema = new mongoose.Schema({
+    classroom: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    content: { // Contenu textuel ou code LaTeX
+        type: String,
+        required: false // Peut être false si le message est uniquement une image
+    },
+    type: { // Type de message: 'text', 'math', 'image', 'file', 'question' (ouvre un fil de réponses), 'graph' (courbes)
+        type: String,
+        enum: ['text', 'math', 'image', 'file', 'question', 'graph'],
+        default: 'text',
+        required: true
+    },
+    imageUrl: { // URL de l'image pour les messages de type 'image'
+        type: String,
+        required: false
+    },
+    fileUrl: { // URL du fichier pour les messages de type 'file' ou 'image'
+        type: String,
+        required: false
+    },
+    fileType: { // Type MIME du fichier joint (image/png, application/pdf...)
+        type: String,
+        required: false
+    },
+    // Emplacement du fichier joint (voir utils/storage) : nom du driver et clé/public_id, repris de l'envoi (models/ChatUpload.js)
+    storageDriver: { type: String, enum: ['local', 'cloudinary', 'gcs'], required: false },
+    publicId: { type: String, required: false },
+    graph: { type: graphSchema, default: undefined }, // Messages 'graph' uniquement ; content garde les définitions
+    clientMessageId: { // Identifiant généré par le navigateur : un message renvoyé depuis la file hors ligne n'est enregistré qu'une fois
+        type: String,
+        required: false
+    },
+    timestamp: { type: Date, default: Date.now, required: true },
+    editedAt: { type: Date, default: null },
+    // Suppression « douce » : le message reste à sa place dans l'historique (« Message supprimé »),
+    // son contenu est effacé et conservé dans le journal de modération
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // Réponse dans le fil d'une question : elle n'apparaît pas dans le flux principal du chat
+    parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', default: null },
+    // Questions uniquement
+    replyCount: { type: Number, default: 0 },
+    lastReplyAt: { type: Date, default: null },
+    acceptedAnswer: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', default: null }, // Choisie par le professeur ou l'auteur
+    resolvedAt: { type: Date, default: null }, // Marquée résolue par le professeur
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // Annonce épinglée par le professeur en haut du chat
+    pinnedAt: { type: Date, default: null },
+    pinnedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+});
+
+// Historique d'une classe (flux principal ou fil d'une question), du plus récent au plus ancien (pagination par curseur)
+messageSchema.index({ classroom: 1, parent: 1, timestamp: -1, _id: -1 });
+// Questions ouvertes d'une classe (filtre du chat, tableau de bord du professeur)
+messageSchema.index({ classroom: 1, type: 1, resolvedAt: 1, timestamp: -1 });
+// Annonces épinglées d'une classe
+messageSchema.index({ classroom: 1, pinnedAt: -1 }, { partialFilterExpression: { pinnedAt: { $type: 'date' } } });
+messageSchema.index(
+    { sender: 1, clientMessageId: 1 },
+    { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
+);
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// L'auteur peut modifier ou supprimer son message pendant ce délai (le professeur peut toujours le supprimer)
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+const EDITABLE_TYPES = ['text', 'math', 'question'];
+const REPLY_TYPES = ['text', 'math'];
+
+/**
+ * Une page d'historique, dans l'ordre chronologique.
+ * `before` est l'identifiant du plus ancien message déjà affiché (curseur), ou null pour la dernière page.
+ * Retourne { messages, hasMore }.
+ */
+messageSchema.statics.findPage = async function(classroomId, { before = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const query = { classroom: classroomId, parent: null }; // Les réponses restent dans le fil de leur question
+
+    if (before) {
+        const cursor = await this.findOne({ _id: before, classroom: classroomId }).select('timestamp');
+        if (!cursor) {
+            return { messages: [], hasMore: false };
+        }
+        // Même horodatage : l'identifiant départage les messages
+        query.$or = [
+            { timestamp: { $lt: cursor.timestamp } },
+            { timestamp: cursor.timestamp, _id: { $lt: cursor._id } }
+        ];
+    }
+
+    // One extra message tells whether an older page exists
+    const messages = await this.find(query)
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(pageSize + 1)
+        .populate('sender', 'username');
+
+    const hasMore = messages.length > pageSize;
+    return { messages: messages.slice(0, pageSize).reverse(), hasMore };
+};
+
+messageSchema.methods.isSentBy = function(userId) {
+    const senderId = this.sender && this.sender._id ? this.sender._id : this.sender;
+    return String(senderId) === String(userId);
+};
+
+messageSchema.methods.isWithinEditWindow = function(now = new Date()) {
+    return now - this.timestamp <= EDIT_WINDOW_MS;
+};
+
+// Pièce jointe, servie après contrôle d'accès par GET /classes/:id/messages/:messageId/attachment
+messageSchema.methods.attachmentUrl = function() {
+    if (!this.fileUrl) return null;
+    const classroomId = this.classroom && this.classroom._id ? this.classroom._id : this.classroom;
+    return `/classes/${classroomId}/messages/${this._id}/attachment`;
+};
+
+// Description attendue par utils/storage pour relire le fichier joint
+messageSchema.methods.attachmentDescriptor = function() {
+    return { driver: this.storageDriver, key: this.publicId, url: this.fileUrl, mimeType: this.fileType };
+};
+
+// Extension du fichier joint ('pdf', 'png'...) : les clients n'ont pas besoin de l'URL de stockage
+messageSchema.methods.fileExtension = function() {
+    if (!this.fileUrl) return null;
+    return path.extname(this.fileUrl.split('?')[0]).slice(1).toLowerCase() || null;
+};
+
+// Format envoyé aux clients, identique pour l'événement Socket.IO 'message' et l'API d'historique
+messageSchema.methods.toPayload = function() {
+    const sender = this.sender || {};
+    return {
+        _id: this._id,
+        senderId: sender._id || sender,
+        senderUsername: sender.username,
+        content: this.content,
+        type: this.type,
+        attachmentUrl: this.attachmentUrl(),
+        fileExtension: this.fileExtension(),
+        fileType: this.fileType,
+        clientMessageId: this.clientMessageId,
+        timestamp: this.timestamp,
+        editedAt: this.editedAt,
+        deleted: Boolean(this.deletedAt),
+        parentId: this.parent || null,
+        pinned: Boolean(this.pinnedAt),
+        ...(this.type === 'question' ? {
+            replyCount: this.replyCount,
+            acceptedAnswerId: this.acceptedAnswer || null,
+            resolved: Boolean(this.resolvedAt)
+        } : {}),
+        ...(this.type === 'graph' && this.graph && !this.deletedAt ? { graph: graphPayload(this.graph) } : {})
+    };
+};
+
+// --- Questions ---
+// 'open' : non résolues ; 'resolved' : résolues ; 'all' : toutes. Les plus récentes d'abord.
+messageSchema.statics.findQuestions = function(classroomId, status = 'open', limit = 100) {
+    const query = { classroom: classroomId, type: 'question', deletedAt: null };
+    if (status === 'open') query.resolvedAt = null;
+    if (status === 'resolved') query.resolvedAt = { $ne: null };
+    return this.find(query).sort({ timestamp: -1 }).limit(limit).populate('sender', 'username');
+};
+
+// Réponses d'une question, dans l'ordre chronologique
+messageSchema.statics.findReplies = function(questionId) {
+    return this.find({ parent: questionId }).sort({ timestamp: 1, _id: 1 }).populate('sender', 'username');
+};
+
+/**
+ * Questions non résolues par classe : { classroomId: { open, unanswered } },
+ * « unanswered » = sans aucune réponse (tableau de bord du professeur).
+ */
+messageSchema.statics.questionCounts = async function(classroomIds) {
+    const rows = await this.aggregate([
+        { $match: { classroom: { $in: classroomIds }, type: 'question', deletedAt: null, resolvedAt: null } },
+        { $group: {
+            _id: '$classroom',
+            open: { $sum: 1 },
+            unanswered: { $sum: { $cond: [{ $gt: ['$replyCount', 0] }, 0, 1] } }
+        } }
+    ]);
+    const counts = {};
+    rows.forEach(row => {
+        counts[row._id] = { open: row.open, unanswered: row.unanswered };
+    });
+    return counts;
+};
+
+// Annonces épinglées d'une classe, la plus récente d'abord
+messageSchema.statics.findPinned = function(classroomId) {
+    return this.find({ classroom: classroomId, pinnedAt: { $ne: null }, deletedAt: null })
+        .sort({ pinnedAt: -1 })
+        .populate('sender', 'username');
+};
+
+messageSchema.statics.EDIT_WINDOW_MS = EDIT_WINDOW_MS;
+messageSchema.statics.EDITABLE_TYPES = EDITABLE_TYPES;
+messageSchema.statics.REPLY_TYPES = REPLY_TYPES;
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,45 @@
+// models/ModerationLog.js
+// Journal de modération du chat d'une classe, consulté par le professeur : modifications et suppressions
+// de messages (avec le contenu d'origine), annonces épinglées, signalements, élèves rendus muets, verrouillage du chat.
+const mongoose = require('mongoose');
+
+const ACTION_LABELS = {
+    'message.edit': 'Message modifié',
+    'message.delete': 'Message supprimé',
+    'message.report': 'Message signalé',
+    'message.pin': 'Annonce épinglée',
+    'message.unpin': 'Annonce désépinglée',
+    'report.dismiss': 'Signalement classé',
+    'user.mute': 'Élève rendu muet',
+    'user.unmute': 'Parole rendue',
+    'chat.lock': 'Chat verrouillé',
+    'chat.unlock': 'Chat déverrouillé'
+};
+
+const moderationLogSchema = new mongoose.Schema({
+    classroom: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    action: { type: String, enum: Object.keys(ACTION_LABELS), required: true },
+    message: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', default: null },
+    targetUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    details: { type: String, default: '' }, // Contenu d'origine, durée, motif...
+    createdAt: { type: Date, default: Date.now }
+});
+
+moderationLogSchema.index({ classroom: 1, createdAt: -1 });
+
+moderationLogSchema.statics.recentFor = function(classroomId, limit = 200) {
+    return this.find({ classroom: classroomId })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .populate('actor', 'username')
+        .populate('targetUser', 'username');
+};
+
+moderationLogSchema.virtual('actionLabel').get(function() {
+    return ACTION_LABELS[this.action] || this.action;
+});
+
+moderationLogSchema.statics.ACTION_LABELS = ACTION_LABELS;
+
+module.exports = mongoose.model('ModerationLog', moderationLogSchema);
@@ -0,0 +1,84 @@
+// models/Notification.js
+// Notification d'un utilisateur : nouveau fichier dans une classe, message du professeur dans le chat,
+// annonce épinglée. Créées par utils/notifications.js, poussées en direct dans le salon Socket.IO
+// de l'utilisateur et rassemblées dans sa boîte de réception (/notifications).
+const mongoose = require('mongoose');
+
+const TYPE_LABELS = {
+    file: 'Nouveaux fichiers',
+    teacherMessage: 'Messages du professeur',
+    announcement: 'Annonces épinglées',
+    sheet: 'Feuilles d\'exercices publiées'
+};
+
+// Les notifications plus anciennes sont supprimées automatiquement
+const RETENTION_DAYS = 90;
+
+const notificationSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    classroom: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    type: { type: String, enum: Object.keys(TYPE_LABELS), required: true },
+    title: { type: String, required: true },
+    link: { type: String, default: '' }, // Page ouverte depuis la boîte de réception
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    createdAt: { type: Date, default: Date.now },
+    readAt: { type: Date, default: null }
+});
+
+notificationSchema.index({ user: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+notificationSchema.statics.countUnread = function(userId) {
+    return this.countDocuments({ user: userId, readAt: null });
+};
+
+// Non lues par classe, pour les tableaux de bord : { [classroomId]: nombre }
+notificationSchema.statics.unreadCountsByClass = async function(userId) {
+    const rows = await this.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(String(userId)), readAt: null } },
+        { $group: { _id: '$classroom', count: { $sum: 1 } } }
+    ]);
+    const counts = {};
+    rows.forEach((row) => {
+        counts[row._id] = row.count;
+    });
+    return counts;
+};
+
+// Boîte de réception, des plus récentes aux plus anciennes
+notificationSchema.statics.inboxFor = function(userId, { unreadOnly = false, limit = 100 } = {}) {
+    const query = { user: userId };
+    if (unreadOnly) query.readAt = null;
+    return this.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .populate('classroom', 'name');
+};
+
+// `ids` absent : toutes les notifications de l'utilisateur
+notificationSchema.statics.markRead = function(userId, ids = null) {
+    const query = { user: userId, readAt: null };
+    if (ids) query._id = { $in: ids };
+    return this.updateMany(query, { readAt: new Date() });
+};
+
+notificationSchema.virtual('typeLabel').get(function() {
+    return TYPE_LABELS[this.type] || this.type;
+});
+
+// Format poussé au navigateur (événement Socket.IO 'notification')
+notificationSchema.methods.toPayload = function() {
+    return {
+        _id: this._id,
+        type: this.type,
+        typeLabel: this.typeLabel,
+        title: this.title,
+        link: `/notifications/${this._id}/open`,
+        classroomId: this.classroom && this.classroom._id ? this.classroom._id : this.classroom,
+        createdAt: this.createdAt
+    };
+};
+
+notificationSchema.statics.TYPE_LABELS = TYPE_LABELS;
+
+module.exports = mongoose.model('Notification', notificationSchema);
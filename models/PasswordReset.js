@@ -0,0 +1,120 @@
+// models/PasswordReset.js
+// Autorisations à usage unique de choisir un nouveau mot de passe sans connaître l'ancien :
+// - 'teacher-code' : code court généré par le professeur d'une classe de l'élève et donné de vive voix ;
+// - 'email-token' : lien envoyé à l'adresse e-mail enregistrée sur le compte.
+// Seule l'empreinte SHA-256 du code est stockée ; le document est supprimé dès qu'il a servi.
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const KINDS = {
+    TEACHER_CODE: 'teacher-code',
+    EMAIL_TOKEN: 'email-token'
+};
+
+const LIFETIMES = {
+    [KINDS.TEACHER_CODE]: 48 * 60 * 60 * 1000, // 48 h : le temps de revoir l'élève en classe
+    [KINDS.EMAIL_TOKEN]: 60 * 60 * 1000 // 1 h
+};
+
+const MAX_FAILED_ATTEMPTS = 5; // Au-delà, le code du professeur est invalidé
+
+// Sans 0/O, 1/I/L : le code est recopié à la main par l'élève
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const passwordResetSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    kind: { type: String, enum: Object.values(KINDS), required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Professeur qui a généré le code
+    classroom: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom' },
+    failedAttempts: { type: Number, default: 0 },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }
+});
+
+// MongoDB supprime lui-même les demandes expirées
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+passwordResetSchema.index({ user: 1, kind: 1 });
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Met un code saisi par l'élève sous sa forme canonique (majuscules, sans espaces ni tirets)
+function normalizeCode(code) {
+    return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+function generateCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+// Affichage du code en deux groupes lisibles : ABCD-EFGH
+function formatCode(code) {
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+/**
+ * Crée une demande et retourne { reset, token } : `token` (code ou jeton du lien) n'est
+ * disponible qu'à ce moment-là. Une nouvelle demande remplace la précédente du même type.
+ */
+passwordResetSchema.statics.issue = async function(userId, kind, { issuedBy = null, classroom = null } = {}) {
+    await this.deleteMany({ user: userId, kind });
+
+    const token = kind === KINDS.TEACHER_CODE ? generateCode() : crypto.randomBytes(32).toString('hex');
+    const reset = await this.create({
+        user: userId,
+        kind,
+        tokenHash: hashToken(token),
+        issuedBy,
+        classroom,
+        expiresAt: new Date(Date.now() + LIFETIMES[kind])
+    });
+    return { reset, token };
+};
+
+// Demande valide correspondant à un jeton reçu par e-mail, ou null
+passwordResetSchema.statics.findValidToken = function(token) {
+    if (typeof token !== 'string' || !/^[a-f0-9]{64}$/.test(token)) {
+        return Promise.resolve(null);
+    }
+    return this.findOne({ kind: KINDS.EMAIL_TOKEN, tokenHash: hashToken(token), expiresAt: { $gt: new Date() } });
+};
+
+/**
+ * Vérifie le code donné par le professeur pour cet élève.
+ * Retourne la demande si le code est bon ; sinon compte l'échec et retourne null.
+ */
+passwordResetSchema.statics.checkTeacherCode = async function(userId, code) {
+    const reset = await this.findOne({ user: userId, kind: KINDS.TEACHER_CODE, expiresAt: { $gt: new Date() } });
+    if (!reset) {
+        return null;
+    }
+    if (reset.tokenHash === hashToken(normalizeCode(code))) {
+        return reset;
+    }
+
+    reset.failedAttempts += 1;
+    if (reset.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+        await reset.deleteOne();
+    } else {
+        await reset.save();
+    }
+    return null;
+};
+
+// Un mot de passe vient d'être changé : plus aucune demande en cours ne doit rester utilisable
+passwordResetSchema.statics.revokeAllFor = function(userId) {
+    return this.deleteMany({ user: userId });
+};
+
+passwordResetSchema.statics.KINDS = KINDS;
+passwordResetSchema.statics.LIFETIMES = LIFETIMES;
+passwordResetSchema.statics.formatCode = formatCode;
+
+module.exports = mongoose.model('PasswordReset', passwordResetSchema);
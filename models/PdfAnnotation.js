@@ -0,0 +1,81 @@
+// models/PdfAnnotation.js
+// Annotations du professeur sur un PDF de la classe (fichier de la bibliothèque ou pièce jointe du chat).
+// Le PDF lui-même n'est jamais modifié : les annotations forment une couche à part, affichée par-dessus
+// (public/js/pdf-annotator.js) et fusionnée dans une copie PDF seulement à l'export en correction.
+// Les coordonnées sont relatives à la page (0 à 1), quelle que soit la taille d'affichage.
+const mongoose = require('mongoose');
+
+const ELEMENT_KINDS = ['stroke', 'highlight', 'comment', 'latex'];
+const SOURCE_KINDS = ['file', 'message'];
+const MAX_ELEMENTS = 2000;
+const MAX_POINTS = 4000; // Coordonnées (x, y, x, y...) d'un trait à main levée
+
+const elementSchema = new mongoose.Schema({
+    id: { type: String, required: true }, // Généré par le navigateur, comme pour le tableau blanc
+    page: { type: Number, required: true, min: 1 },
+    kind: { type: String, enum: ELEMENT_KINDS, required: true },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    color: { type: String, default: '#d32f2f' },
+    width: { type: Number, default: 3 },
+    // Trait : tous ses points ; surlignage : deux coins opposés ; commentaire et note LaTeX : leur position
+    points: { type: [Number], default: [] },
+    text: { type: String, default: '' }, // Commentaire (texte brut) ou note (code LaTeX)
+    createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const pdfAnnotationSchema = new mongoose.Schema({
+    classroom: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    // Document annoté : sous-document de classroom.files ('file') ou message du chat ('message')
+    source: {
+        kind: { type: String, enum: SOURCE_KINDS, required: true },
+        id: { type: mongoose.Schema.Types.ObjectId, required: true }
+    },
+    // Auteur du document (l'élève qui a déposé sa copie) : il voit les annotations
+    documentOwner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    elements: { type: [elementSchema], default: [] },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedAt: { type: Date, default: Date.now },
+    // Dernière copie annotée exportée dans la bibliothèque (catégorie Correction)
+    lastExport: {
+        fileId: { type: mongoose.Schema.Types.ObjectId },
+        fileName: { type: String },
+        exportedAt: { type: Date }
+    }
+});
+
+pdfAnnotationSchema.index({ classroom: 1, 'source.kind': 1, 'source.id': 1 }, { unique: true });
+
+// Couche d'un document, ou null tant que personne ne l'a annoté
+pdfAnnotationSchema.statics.findForSource = function(classroomId, source) {
+    return this.findOne({ classroom: classroomId, 'source.kind': source.kind, 'source.id': source.id });
+};
+
+// Couche d'un document, créée vide à la première annotation
+pdfAnnotationSchema.statics.forSource = function(classroomId, source) {
+    return this.findOneAndUpdate(
+        { classroom: classroomId, 'source.kind': source.kind, 'source.id': source.id },
+        { $setOnInsert: { classroom: classroomId, source: { kind: source.kind, id: source.id }, documentOwner: source.ownerId } },
+        { upsert: true, new: true }
+    );
+};
+
+function elementPayload(element) {
+    return {
+        id: element.id,
+        page: element.page,
+        kind: element.kind,
+        authorId: String(element.author),
+        color: element.color,
+        width: element.width,
+        points: Array.from(element.points),
+        text: element.text
+    };
+}
+
+pdfAnnotationSchema.statics.elementPayload = elementPayload;
+pdfAnnotationSchema.statics.ELEMENT_KINDS = ELEMENT_KINDS;
+pdfAnnotationSchema.statics.SOURCE_KINDS = SOURCE_KINDS;
+pdfAnnotationSchema.statics.MAX_ELEMENTS = MAX_ELEMENTS;
+pdfAnnotationSchema.statics.MAX_POINTS = MAX_POINTS;
+
+module.exports = mongoose.model('PdfAnnotation', pdfAnnotationSchema);
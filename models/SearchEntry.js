@@ -0,0 +1,36 @@
+// models/SearchEntry.js
+// Index de recherche d'une classe : une entrée par message du chat et par fichier de la bibliothèque,
+// avec le texte cherché (contenu du message, texte extrait des PDF et DOCX au dépôt).
+// Tenu à jour par utils/searchIndex.js à chaque enregistrement ; la recherche passe par l'index texte MongoDB
+// (racinisation française, sans tenir compte des accents).
+const mongoose = require('mongoose');
+
+const KINDS = ['message', 'file'];
+const CHAT_CATEGORY = 'chat'; // Catégorie des messages ; les fichiers gardent celle de la bibliothèque
+
+const searchEntrySchema = new mongoose.Schema({
+    classroom: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    kind: { type: String, enum: KINDS, required: true },
+    ref: { type: mongoose.Schema.Types.ObjectId, required: true }, // Message, ou fichier de classroom.files
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // Expéditeur ou auteur du dépôt
+    date: { type: Date, required: true },
+    category: { type: String, required: true },
+    title: { type: String, default: '' }, // Nom du fichier (fichiers et pièces jointes du chat)
+    folder: { type: String, default: '' },
+    visibleTo: { type: mongoose.Schema.Types.ObjectId, default: null }, // Copie privée d'un élève (classroom.files visibleTo)
+    text: { type: String, default: '' },
+    messageType: { type: String, default: null },
+    parent: { type: mongoose.Schema.Types.ObjectId, default: null } // Réponse dans le fil d'une question
+});
+
+searchEntrySchema.index({ kind: 1, ref: 1 }, { unique: true });
+searchEntrySchema.index(
+    { title: 'text', text: 'text' },
+    { weights: { title: 10, text: 1 }, default_language: 'french' }
+);
+searchEntrySchema.index({ classroom: 1, date: -1 });
+
+searchEntrySchema.statics.KINDS = KINDS;
+searchEntrySchema.statics.CHAT_CATEGORY = CHAT_CATEGORY;
+
+module.exports = mongoose.model('SearchEntry', searchEntrySchema);
@@ -0,0 +1,23 @@
+// models/Submission.js
+const mongoose = require('mongoose');
+const { attachmentSchema } = require('./attachmentSchema');
+
+const submissionSchema = new mongoose.Schema({
+    assignment: { type: mongoose.Schema.Types.ObjectId, ref: 'Assignment', required: true },
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    files: [attachmentSchema],
+    textAnswer: { type: String, default: '' },
+    submittedAt: { type: Date, default: Date.now, required: true },
+    // Correction par le professeur
+    grade: { type: Number, default: null, min: 0 },
+    feedback: { type: String, default: '' },
+    gradedAt: { type: Date },
+    gradedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+    timestamps: true
+});
+
+// Une seule copie par élève et par devoir (une nouvelle remise remplace la précédente)
+submissionSchema.index({ assignment: 1, student: 1 }, { unique: true });
+
+module.exports = mongoose.model('Submission', submissionSchema);
@@ -0,0 +1,71 @@
+// models/Whiteboard.js
+// Tableau blanc partagé d'une classe : la liste des éléments dessinés (traits, formes, repères, étiquettes LaTeX)
+// est conservée pour que les membres qui arrivent en cours de séance voient le tableau actuel.
+// Les coordonnées sont relatives à la taille du tableau (0 à 1), quel que soit l'écran.
+const mongoose = require('mongoose');
+
+const ELEMENT_KINDS = ['stroke', 'line', 'rect', 'ellipse', 'axes', 'label'];
+const MAX_ELEMENTS = 1000; // Au-delà, les éléments les plus anciens sont retirés
+const MAX_POINTS = 4000;   // Coordonnées (x, y, x, y...) d'un trait à main levée
+// Coordonnées de tout le tableau : chacune occupe environ 14 octets en BSON, le document reste ainsi
+// à quelques Mo, loin de la limite de 16 Mo de MongoDB (les éléments les plus anciens sont retirés)
+const MAX_TOTAL_POINTS = 200000;
+
+const elementSchema = new mongoose.Schema({
+    id: { type: String, required: true }, // Généré par le navigateur : le dessinateur voit son élément sans attendre le serveur
+    kind: { type: String, enum: ELEMENT_KINDS, required: true },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    color: { type: String, default: '#000000' },
+    width: { type: Number, default: 3 },
+    // Trait : tous ses points ; formes et repère : deux coins opposés ; étiquette : sa position
+    points: { type: [Number], default: [] },
+    latex: { type: String, default: '' }, // Étiquettes uniquement
+    createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const whiteboardSchema = new mongoose.Schema({
+    classroom: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true, unique: true },
+    elements: { type: [elementSchema], default: [] },
+    studentsCanDraw: { type: Boolean, default: false }, // Choisi par le professeur
+    locked: { type: Boolean, default: false },          // Plus personne ne modifie le tableau
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// Tableau de la classe, créé vide à la première ouverture
+whiteboardSchema.statics.forClass = function(classroomId) {
+    return this.findOneAndUpdate(
+        { classroom: classroomId },
+        { $setOnInsert: { classroom: classroomId } },
+        { upsert: true, new: true }
+    );
+};
+
+// État envoyé au client qui rejoint le tableau (réponse à 'whiteboard:join')
+whiteboardSchema.methods.toPayload = function() {
+    return {
+        classroomId: String(this.classroom),
+        elements: this.elements.map(element => elementPayload(element)),
+        studentsCanDraw: this.studentsCanDraw,
+        locked: this.locked
+    };
+};
+
+function elementPayload(element) {
+    return {
+        id: element.id,
+        kind: element.kind,
+        authorId: String(element.author),
+        color: element.color,
+        width: element.width,
+        points: Array.from(element.points),
+        latex: element.latex
+    };
+}
+
+whiteboardSchema.statics.elementPayload = elementPayload;
+whiteboardSchema.statics.ELEMENT_KINDS = ELEMENT_KINDS;
+whiteboardSchema.statics.MAX_ELEMENTS = MAX_ELEMENTS;
+whiteboardSchema.statics.MAX_POINTS = MAX_POINTS;
+whiteboardSchema.statics.MAX_TOTAL_POINTS = MAX_TOTAL_POINTS;
+
+module.exports = mongoose.model('Whiteboard', whiteboardSchema);
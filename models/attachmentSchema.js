@@ -0,0 +1,26 @@
+// models/attachmentSchema.js
+// Fichier joint (consigne d'un devoir, copie d'élève...) stocké via utils/storage
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+    fileName: { type: String, required: true }, // Original file name
+    filePath: { type: String, required: true }, // URL returned by the storage driver
+    fileSize: { type: Number, required: true }, // Size in bytes
+    fileMimeType: { type: String, required: true },
+    storageDriver: { type: String, enum: ['local', 'cloudinary', 'gcs'] },
+    publicId: { type: String }
+}, { _id: true });
+
+// Builds an attachment from the result of storage.saveUploadedFile()
+function attachmentFromStored(stored) {
+    return {
+        fileName: stored.originalName,
+        filePath: stored.url,
+        fileSize: stored.size,
+        fileMimeType: stored.mimeType,
+        storageDriver: stored.driver,
+        publicId: stored.key
+    };
+}
+
+module.exports = { attachmentSchema, attachmentFromStored };
@@ -26,10 +26,19 @@ const UserSchema = new mongoose.Schema({
         enum: ['teacher', 'student'],
         required: true
     },
-    classroom: {
+    classrooms: [{ // Classes suivies par l'élève (un élève peut être inscrit dans plusieurs classes)
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'Classroom',
-        required: function() { return this.role === 'student'; }
+        ref: 'Classroom'
+    }],
+    notificationPreferences: { // Types de notifications reçus (voir models/Notification.js) ; tous activés par défaut
+        file: { type: Boolean, default: true },
+        teacherMessage: { type: Boolean, default: true },
+        announcement: { type: Boolean, default: true },
+        sheet: { type: Boolean, default: true }
+    },
+    mustChangePassword: { // Compte créé par le professeur avec un mot de passe provisoire (import de liste)
+        type: Boolean,
+        default: false
     },
     createdAt: {
         type: Date,
@@ -50,5 +59,37 @@ UserSchema.methods.comparePassword = async function(candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// --- RÈGLES DE SAISIE (inscription, profil, réinitialisation) ---
+// Chaque fonction retourne le message d'erreur à afficher, ou null si la valeur est acceptable.
+const PASSWORD_MIN_LENGTH = 6;
+const USERNAME_MIN_LENGTH = 3;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+UserSchema.statics.passwordError = function(password, confirmation) {
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+        return `Le mot de passe doit contenir au moins ${PASSWORD_MIN_LENGTH} caractères.`;
+    }
+    if (confirmation !== undefined && password !== confirmation) {
+        return 'Les deux mots de passe ne correspondent pas.';
+    }
+    return null;
+};
+
+UserSchema.statics.usernameError = function(username) {
+    if (typeof username !== 'string' || username.trim().length < USERNAME_MIN_LENGTH) {
+        return `Le nom d'utilisateur doit contenir au moins ${USERNAME_MIN_LENGTH} caractères.`;
+    }
+    return null;
+};
+
+UserSchema.statics.emailError = function(email) {
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+        return 'Adresse e-mail invalide.';
+    }
+    return null;
+};
+
+UserSchema.statics.PASSWORD_MIN_LENGTH = PASSWORD_MIN_LENGTH;
+
 // Exporte le modèle User
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
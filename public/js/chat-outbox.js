@@ -0,0 +1,71 @@
+// public/js/chat-outbox.js
+// File d'attente IndexedDB des messages de chat écrits hors ligne.
+// Chaque message garde son clientMessageId : le serveur ignore un message déjà reçu,
+// ce qui permet de renvoyer sans risque un message dont l'accusé de réception s'est perdu.
+// Chaque message garde aussi l'utilisateur qui l'a écrit : sur un appareil partagé, un autre compte
+// ne doit ni voir ni envoyer ces messages (la file est vidée à la déconnexion, voir service-worker.js).
+(function() {
+    const DB_NAME = 'math-learning';
+    const DB_VERSION = 1;
+    const STORE = 'chatOutbox';
+
+    let dbPromise = null;
+
+    function openDb() {
+        if (!dbPromise) {
+            dbPromise = new Promise(function(resolve, reject) {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = function() {
+                    const store = request.result.createObjectStore(STORE, { keyPath: 'clientMessageId' });
+                    store.createIndex('classroomId', 'classroomId');
+                };
+                request.onsuccess = function() { resolve(request.result); };
+                request.onerror = function() { reject(request.error); };
+            });
+        }
+        return dbPromise;
+    }
+
+    function run(mode, action) {
+        return openDb().then(function(db) {
+            return new Promise(function(resolve, reject) {
+                const transaction = db.transaction(STORE, mode);
+                const request = action(transaction.objectStore(STORE));
+                transaction.oncomplete = function() { resolve(request.result); };
+                transaction.onerror = function() { reject(transaction.error); };
+            });
+        });
+    }
+
+    // Identifiant unique généré par le navigateur (repli pour les navigateurs sans crypto.randomUUID)
+    function newId() {
+        if (window.crypto && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+    }
+
+    window.chatOutbox = {
+        newId: newId,
+
+        // Enregistre un message { clientMessageId, classroomId, userId, type, content, createdAt }
+        add: function(message) {
+            return run('readwrite', function(store) { return store.put(message); });
+        },
+
+        // Messages en attente d'une classe écrits par cet utilisateur, du plus ancien au plus récent
+        all: function(classroomId, userId) {
+            return run('readonly', function(store) {
+                return store.index('classroomId').getAll(classroomId);
+            }).then(function(messages) {
+                return messages
+                    .filter(function(message) { return message.userId === userId; })
+                    .sort(function(a, b) { return a.createdAt - b.createdAt; });
+            });
+        },
+
+        remove: function(clientMessageId) {
+            return run('readwrite', function(store) { return store.delete(clientMessageId); });
+        }
+    };
+})();
@@ -0,0 +1,59 @@
+// public/js/class-analytics.js
+// Graphiques de la page de statistiques d'une classe (views/class_analytics.ejs).
+// Chaque <canvas data-analytics-chart="..."> porte ses données en JSON : { type, labels, datasets, percent }.
+// Sans Chart.js (hors ligne, CDN bloqué), les tableaux de la page restent lisibles seuls.
+(function() {
+    const COLORS = ['#1976d2', '#d32f2f', '#388e3c', '#f57c00', '#7b1fa2', '#0097a7', '#5d4037', '#c2185b'];
+
+    function color(index) {
+        return COLORS[index % COLORS.length];
+    }
+
+    function drawChart(canvas) {
+        let config;
+        try {
+            config = JSON.parse(canvas.dataset.analyticsChart);
+        } catch (error) {
+            console.error('Invalid analytics chart data:', error);
+            return;
+        }
+
+        const datasets = config.datasets.map(function(dataset, index) {
+            return Object.assign({
+                borderColor: color(index),
+                backgroundColor: config.type === 'line' ? color(index) : color(index) + 'cc',
+                tension: 0.2,
+                pointRadius: 2
+            }, dataset);
+        });
+
+        new window.Chart(canvas, {
+            type: config.type,
+            data: { labels: config.labels, datasets: datasets },
+            options: {
+                responsive: true,
+                interaction: { mode: 'index', intersect: false },
+                plugins: {
+                    legend: { display: datasets.length > 1, position: 'bottom' }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        max: config.percent ? 100 : undefined,
+                        ticks: { precision: 0 }
+                    }
+                }
+            }
+        });
+    }
+
+    document.addEventListener('DOMContentLoaded', function() {
+        if (!window.Chart) {
+            document.querySelectorAll('.analytics-chart').forEach(function(chart) {
+                chart.hidden = true;
+            });
+            return;
+        }
+        document.querySelectorAll('canvas[data-analytics-chart]').forEach(drawChart);
+    });
+})();
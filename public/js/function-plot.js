@@ -0,0 +1,289 @@
+// public/js/function-plot.js
+// Graphique interactif d'un message « graphique » du chat (voir utils/functionGraph.js côté serveur).
+// Le serveur envoie l'arbre de chaque expression : il est évalué ici nœud par nœud, aucun texte n'est exécuté.
+// Molette ou boutons +/− : zoom ; glisser : déplacer la vue ; survol : coordonnées des points des courbes.
+(function() {
+    const COLORS = ['#1976d2', '#d32f2f', '#388e3c', '#f57c00', '#7b1fa2'];
+    const WIDTH = 600;
+    const HEIGHT = 360;
+    const ZOOM_STEP = 1.25;
+
+    function factorial(n) {
+        if (!Number.isInteger(n) || n < 0 || n > 170) return NaN;
+        let result = 1;
+        for (let k = 2; k <= n; k++) result *= k;
+        return result;
+    }
+
+    // Mêmes fonctions que utils/mathExpression.js
+    const FUNCTIONS = {
+        sin: Math.sin, cos: Math.cos, tan: Math.tan,
+        cot: function(x) { return 1 / Math.tan(x); },
+        sec: function(x) { return 1 / Math.cos(x); },
+        csc: function(x) { return 1 / Math.sin(x); },
+        arcsin: Math.asin, arccos: Math.acos, arctan: Math.atan,
+        sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh,
+        ln: Math.log, log: Math.log10, exp: Math.exp,
+        sqrt: Math.sqrt, abs: Math.abs,
+        factorial: factorial
+    };
+    const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+    function evaluate(node, x) {
+        switch (node.type) {
+            case 'num':
+                return node.value;
+            case 'const':
+                return CONSTANTS[node.name];
+            case 'var':
+                return node.name === 'x' ? x : NaN;
+            case 'neg':
+                return -evaluate(node.arg, x);
+            case 'func':
+                return FUNCTIONS.hasOwnProperty(node.name) ? FUNCTIONS[node.name](evaluate(node.arg, x)) : NaN;
+            case 'op': {
+                const a = evaluate(node.args[0], x);
+                const b = evaluate(node.args[1], x);
+                if (node.op === '+') return a + b;
+                if (node.op === '-') return a - b;
+                if (node.op === '*') return a * b;
+                if (node.op === '/') return b === 0 ? NaN : a / b;
+                if (node.op === '^') return Math.pow(a, b);
+            }
+        }
+        return NaN;
+    }
+
+    // Pas de graduation « rond » (1, 2 ou 5 × 10^n) pour une dizaine de graduations
+    function niceStep(range) {
+        const rough = range / 10;
+        const power = Math.pow(10, Math.floor(Math.log10(rough)));
+        const ratio = rough / power;
+        return power * (ratio < 1.5 ? 1 : ratio < 3.5 ? 2 : ratio < 7.5 ? 5 : 10);
+    }
+
+    function formatNumber(value) {
+        return value.toLocaleString('fr-FR', { maximumFractionDigits: 3 });
+    }
+
+    function definitionLatex(fn) {
+        return (fn.name === 'y' ? 'y' : fn.name + '(x)') + '=' + fn.expression;
+    }
+
+    /**
+     * Affiche le graphique `graph` ({ functions: [{ name, expression, tree }], window }) dans `container`.
+     */
+    function render(container, graph) {
+        const initialView = {
+            xMin: graph.window.xMin, xMax: graph.window.xMax,
+            yMin: graph.window.yMin, yMax: graph.window.yMax
+        };
+        let view = Object.assign({}, initialView);
+        let traceX = null;
+        let drag = null;
+
+        container.innerHTML = '';
+        container.classList.add('function-plot');
+
+        const legend = document.createElement('div');
+        legend.className = 'function-plot-legend';
+        graph.functions.forEach(function(fn, index) {
+            const item = document.createElement('span');
+            item.style.color = COLORS[index % COLORS.length];
+            if (window.katex) {
+                katex.render(definitionLatex(fn), item, { throwOnError: false });
+            } else {
+                item.textContent = definitionLatex(fn);
+            }
+            legend.appendChild(item);
+        });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = WIDTH;
+        canvas.height = HEIGHT;
+        canvas.setAttribute('aria-label', 'Graphique : ' + graph.functions.map(definitionLatex).join(' ; '));
+        const ctx = canvas.getContext('2d');
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'function-plot-toolbar';
+        const readout = document.createElement('span');
+        readout.className = 'function-plot-readout';
+        [['+', 'Zoomer', 1 / ZOOM_STEP], ['−', 'Dézoomer', ZOOM_STEP], ['Réinitialiser', 'Revenir à la fenêtre initiale', null]].forEach(function(entry) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'message-action';
+            button.textContent = entry[0];
+            button.title = entry[1];
+            button.addEventListener('click', function() {
+                if (entry[2] === null) {
+                    view = Object.assign({}, initialView);
+                    draw();
+                } else {
+                    zoom(entry[2], (view.xMin + view.xMax) / 2, (view.yMin + view.yMax) / 2);
+                }
+            });
+            toolbar.appendChild(button);
+        });
+        toolbar.appendChild(readout);
+
+        container.appendChild(legend);
+        container.appendChild(canvas);
+        container.appendChild(toolbar);
+
+        function toPixelX(x) { return (x - view.xMin) / (view.xMax - view.xMin) * WIDTH; }
+        function toPixelY(y) { return HEIGHT - (y - view.yMin) / (view.yMax - view.yMin) * HEIGHT; }
+        function toWorldX(px) { return view.xMin + px / WIDTH * (view.xMax - view.xMin); }
+        function toWorldY(py) { return view.yMin + (HEIGHT - py) / HEIGHT * (view.yMax - view.yMin); }
+
+        function drawGrid() {
+            const stepX = niceStep(view.xMax - view.xMin);
+            const stepY = niceStep(view.yMax - view.yMin);
+            const axisX = Math.min(Math.max(toPixelX(0), 0), WIDTH);  // Axe des ordonnées (bord si hors vue)
+            const axisY = Math.min(Math.max(toPixelY(0), 0), HEIGHT); // Axe des abscisses
+
+            ctx.strokeStyle = '#e5e5e5';
+            ctx.lineWidth = 1;
+            ctx.fillStyle = '#666';
+            ctx.font = '11px sans-serif';
+            ctx.beginPath();
+            for (let x = Math.ceil(view.xMin / stepX) * stepX; x <= view.xMax; x += stepX) {
+                ctx.moveTo(toPixelX(x), 0);
+                ctx.lineTo(toPixelX(x), HEIGHT);
+            }
+            for (let y = Math.ceil(view.yMin / stepY) * stepY; y <= view.yMax; y += stepY) {
+                ctx.moveTo(0, toPixelY(y));
+                ctx.lineTo(WIDTH, toPixelY(y));
+            }
+            ctx.stroke();
+
+            ctx.strokeStyle = '#333';
+            ctx.beginPath();
+            ctx.moveTo(0, axisY);
+            ctx.lineTo(WIDTH, axisY);
+            ctx.moveTo(axisX, 0);
+            ctx.lineTo(axisX, HEIGHT);
+            ctx.stroke();
+
+            ctx.textAlign = 'center';
+            ctx.textBaseline = axisY > HEIGHT - 15 ? 'bottom' : 'top';
+            for (let x = Math.ceil(view.xMin / stepX) * stepX; x <= view.xMax; x += stepX) {
+                if (Math.abs(x) < stepX / 2) continue;
+                ctx.fillText(formatNumber(x), toPixelX(x), axisY + (ctx.textBaseline === 'top' ? 3 : -3));
+            }
+            ctx.textAlign = axisX > WIDTH - 30 ? 'right' : 'left';
+            ctx.textBaseline = 'middle';
+            for (let y = Math.ceil(view.yMin / stepY) * stepY; y <= view.yMax; y += stepY) {
+                if (Math.abs(y) < stepY / 2) continue;
+                ctx.fillText(formatNumber(y), axisX + (ctx.textAlign === 'left' ? 4 : -4), toPixelY(y));
+            }
+        }
+
+        // Une valeur par colonne de pixels ; la courbe est interrompue hors du domaine et aux asymptotes
+        function drawFunction(fn, color) {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            let previous = null;
+            for (let px = 0; px <= WIDTH; px++) {
+                const y = evaluate(fn.tree, toWorldX(px));
+                const py = toPixelY(y);
+                if (!Number.isFinite(py) || Math.abs(py) > HEIGHT * 10) {
+                    previous = null;
+                    continue;
+                }
+                if (previous === null || Math.abs(py - previous) > HEIGHT * 2) {
+                    ctx.moveTo(px, py);
+                } else {
+                    ctx.lineTo(px, py);
+                }
+                previous = py;
+            }
+            ctx.stroke();
+        }
+
+        // Point de chaque courbe à l'abscisse survolée
+        function drawTrace() {
+            const parts = [];
+            graph.functions.forEach(function(fn, index) {
+                const y = evaluate(fn.tree, traceX);
+                if (!Number.isFinite(y)) return;
+                ctx.fillStyle = COLORS[index % COLORS.length];
+                ctx.beginPath();
+                ctx.arc(toPixelX(traceX), toPixelY(y), 4, 0, 2 * Math.PI);
+                ctx.fill();
+                parts.push((fn.name === 'y' ? 'y' : fn.name + '(' + formatNumber(traceX) + ')') + ' = ' + formatNumber(y));
+            });
+            readout.textContent = 'x = ' + formatNumber(traceX) + (parts.length ? ' ; ' + parts.join(' ; ') : '');
+        }
+
+        function draw() {
+            ctx.clearRect(0, 0, WIDTH, HEIGHT);
+            drawGrid();
+            graph.functions.forEach(function(fn, index) {
+                drawFunction(fn, COLORS[index % COLORS.length]);
+            });
+            if (traceX !== null) {
+                drawTrace();
+            } else {
+                readout.textContent = '';
+            }
+        }
+
+        // Zoom autour du point (x, y), qui reste à la même place
+        function zoom(factor, x, y) {
+            view = {
+                xMin: x - (x - view.xMin) * factor, xMax: x + (view.xMax - x) * factor,
+                yMin: y - (y - view.yMin) * factor, yMax: y + (view.yMax - y) * factor
+            };
+            draw();
+        }
+
+        function canvasPoint(event) {
+            const rect = canvas.getBoundingClientRect();
+            return {
+                px: (event.clientX - rect.left) / rect.width * WIDTH,
+                py: (event.clientY - rect.top) / rect.height * HEIGHT
+            };
+        }
+
+        canvas.addEventListener('wheel', function(event) {
+            event.preventDefault();
+            const point = canvasPoint(event);
+            zoom(event.deltaY < 0 ? 1 / ZOOM_STEP : ZOOM_STEP, toWorldX(point.px), toWorldY(point.py));
+        }, { passive: false });
+
+        canvas.addEventListener('pointerdown', function(event) {
+            drag = { point: canvasPoint(event), view: Object.assign({}, view) };
+            canvas.setPointerCapture(event.pointerId);
+        });
+
+        canvas.addEventListener('pointermove', function(event) {
+            const point = canvasPoint(event);
+            if (drag) {
+                const dx = (point.px - drag.point.px) / WIDTH * (drag.view.xMax - drag.view.xMin);
+                const dy = (point.py - drag.point.py) / HEIGHT * (drag.view.yMax - drag.view.yMin);
+                view = {
+                    xMin: drag.view.xMin - dx, xMax: drag.view.xMax - dx,
+                    yMin: drag.view.yMin + dy, yMax: drag.view.yMax + dy
+                };
+            }
+            traceX = toWorldX(point.px);
+            draw();
+        });
+
+        function endDrag() {
+            drag = null;
+        }
+        canvas.addEventListener('pointerup', endDrag);
+        canvas.addEventListener('pointercancel', endDrag);
+        canvas.addEventListener('pointerleave', function() {
+            if (drag) return;
+            traceX = null;
+            draw();
+        });
+
+        draw();
+    }
+
+    window.functionPlot = { render: render, evaluate: evaluate };
+})();
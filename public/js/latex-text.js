@@ -0,0 +1,29 @@
+// public/js/latex-text.js
+// Texte avec formules LaTeX entre $...$ (énoncés et corrigés de la banque d'exercices) :
+// les éléments [data-latex-text] sont rendus avec KaTeX au chargement de la page.
+(function() {
+    function render(element, text) {
+        element.textContent = '';
+        text.split('$').forEach(function(segment, index) {
+            if (index % 2 === 0) {
+                element.appendChild(document.createTextNode(segment));
+                return;
+            }
+            const formula = document.createElement('span');
+            if (window.katex) {
+                katex.render(segment, formula, { throwOnError: false });
+            } else {
+                formula.textContent = '$' + segment + '$';
+            }
+            element.appendChild(formula);
+        });
+    }
+
+    window.latexText = { render: render };
+
+    document.addEventListener('DOMContentLoaded', function() {
+        document.querySelectorAll('[data-latex-text]').forEach(function(element) {
+            render(element, element.dataset.latexText);
+        });
+    });
+})();
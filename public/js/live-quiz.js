@@ -0,0 +1,463 @@
+// public/js/live-quiz.js
+// Quiz en direct de la page d'une classe (règles, correction et points : utils/liveQuiz.js côté serveur).
+// Le professeur démarre le quiz et lance les questions ; chaque élève répond pendant le compte à rebours
+// (bouton pour un choix multiple, champ pour un nombre, éditeur MathQuill pour une expression).
+// window.liveQuiz.attach(socket, options) relie la section « Quiz en direct » à la connexion Socket.IO du chat.
+(function() {
+    const TICK_MS = 250;
+
+    function renderMath(element, latex) {
+        if (window.katex) {
+            katex.render(latex, element, { throwOnError: false, displayMode: false });
+        } else {
+            element.textContent = latex;
+        }
+    }
+
+    function attach(socket, options) {
+        const classroomId = options.classroomId;
+        const section = document.getElementById('quiz');
+        if (!section) return;
+        const status = document.getElementById('quizStatus');
+        const live = document.getElementById('quizLive');
+        const titleElement = document.getElementById('quizTitle');
+        const questionBlock = document.getElementById('quizQuestion');
+        const countdown = document.getElementById('quizCountdown');
+        const promptElement = document.getElementById('quizPrompt');
+        const promptLatexElement = document.getElementById('quizPromptLatex');
+        const answerCount = document.getElementById('quizAnswerCount');
+        const distributionList = document.getElementById('quizDistribution');
+        const leaderboardBlock = document.getElementById('quizLeaderboardBlock');
+        const leaderboardList = document.getElementById('quizLeaderboard');
+        const resultsLink = document.getElementById('quizResultsLink');
+        // Professeur
+        const startForm = document.getElementById('quizStartForm');
+        const questionForm = document.getElementById('quizQuestionForm');
+        const closeButton = document.getElementById('quizCloseButton');
+        const endButton = document.getElementById('quizEndButton');
+        // Élève
+        const choicesBlock = document.getElementById('quizChoices');
+        const numericBlock = document.getElementById('quizNumeric');
+        const numericInput = document.getElementById('quizNumericInput');
+        const latexBlock = document.getElementById('quizLatex');
+        const submitButton = document.getElementById('quizSubmitButton');
+        const feedback = document.getElementById('quizFeedback');
+
+        let quizId = null;
+        let question = null;   // Question affichée (payload du serveur)
+        let deadline = 0;      // Fin du compte à rebours, horloge du navigateur
+        let answered = false;
+        let timer = null;
+        let mathInput = null;  // Éditeur MathQuill, chargé à la première question « expression »
+
+        function showStatus(text) {
+            status.textContent = text || '';
+            status.hidden = !text;
+        }
+
+        function setFeedback(text, correct) {
+            if (!feedback) return;
+            feedback.textContent = text || '';
+            feedback.className = 'quiz-feedback' + (correct === true ? ' correct' : correct === false ? ' incorrect' : '');
+        }
+
+        function isOpen() {
+            return question && !question.closed && Date.now() < deadline;
+        }
+
+        // Élève : réponse possible tant que la question est ouverte et qu'il n'a pas encore répondu
+        function updateAnswerControls() {
+            if (!choicesBlock) return;
+            const enabled = isOpen() && !answered && socket.connected;
+            choicesBlock.querySelectorAll('button').forEach(function(button) {
+                button.disabled = !enabled;
+            });
+            numericInput.disabled = !enabled;
+            submitButton.disabled = !enabled;
+        }
+
+        function tick() {
+            if (!question) return;
+            const remaining = Math.max(deadline - Date.now(), 0);
+            if (question.closed) {
+                countdown.textContent = 'Question terminée';
+            } else if (remaining > 0) {
+                countdown.textContent = Math.ceil(remaining / 1000) + ' s';
+            } else {
+                countdown.textContent = 'Temps écoulé';
+            }
+            countdown.classList.toggle('quiz-countdown-urgent', !question.closed && remaining > 0 && remaining <= 5000);
+            if (remaining === 0 || question.closed) {
+                clearInterval(timer);
+                timer = null;
+            }
+            updateAnswerControls();
+        }
+
+        function renderLeaderboard(rows) {
+            leaderboardList.innerHTML = '';
+            rows.forEach(function(row) {
+                const item = document.createElement('li');
+                item.value = row.rank;
+                const name = document.createElement('span');
+                name.textContent = row.username;
+                const score = document.createElement('strong');
+                score.textContent = row.score;
+                item.append(name, ' ', score);
+                leaderboardList.appendChild(item);
+            });
+            leaderboardBlock.hidden = rows.length === 0;
+        }
+
+        // Barres de la répartition ; la bonne réponse est marquée une fois révélée
+        function renderDistribution(distribution) {
+            distributionList.innerHTML = '';
+            if (!distribution || !question) {
+                answerCount.textContent = '';
+                return;
+            }
+            answerCount.textContent = distribution.answered + ' réponse' + (distribution.answered > 1 ? 's' : '')
+                + ' sur ' + distribution.students + ' élève' + (distribution.students > 1 ? 's' : '')
+                + (question.closed || options.isTeacher ? ' — ' + distribution.correct + ' juste' + (distribution.correct > 1 ? 's' : '') : '');
+
+            const rows = question.kind === 'choice'
+                ? question.choices.map(function(choice, index) {
+                    return { text: choice, count: distribution.choices[index], correct: question.closed ? index === question.correctChoice : false };
+                })
+                : distribution.answers.map(function(group) {
+                    return { text: group.answer, latex: question.kind === 'latex', count: group.count, correct: group.correct };
+                });
+            rows.forEach(function(row) {
+                const item = document.createElement('li');
+                item.classList.toggle('quiz-correct', Boolean(row.correct));
+                const bar = document.createElement('span');
+                bar.className = 'quiz-bar';
+                bar.style.width = (distribution.answered ? Math.round(row.count / distribution.answered * 100) : 0) + '%';
+                const label = document.createElement('span');
+                label.className = 'quiz-bar-label';
+                const text = document.createElement('span');
+                if (row.latex) {
+                    renderMath(text, row.text);
+                } else {
+                    text.textContent = row.text;
+                }
+                label.append(text, ' — ' + row.count);
+                item.append(bar, label);
+                distributionList.appendChild(item);
+            });
+            if (distribution.others) {
+                const item = document.createElement('li');
+                item.textContent = 'Autres réponses : ' + distribution.others;
+                distributionList.appendChild(item);
+            }
+        }
+
+        function loadMathInput() {
+            if (mathInput || typeof window.require !== 'function') return;
+            window.require(['visual-math-editor/visual-math-input'], function(VisualMath) {
+                mathInput = new VisualMath.Input(document.getElementById('quizMathLatexInput'), document.getElementById('quizMathField'));
+                const controlList = new VisualMath.ControlList(document.getElementById('quizMathControls'));
+                controlList.enableAll();
+            }, function(err) {
+                console.error('Unable to load the visual math editor:', err);
+                setFeedback('Impossible de charger l\'éditeur de formules.', false);
+            });
+        }
+
+        function renderAnswerControls() {
+            if (!choicesBlock) return;
+            choicesBlock.innerHTML = '';
+            choicesBlock.hidden = question.kind !== 'choice';
+            numericBlock.hidden = question.kind !== 'numeric';
+            latexBlock.hidden = question.kind !== 'latex';
+            submitButton.hidden = question.kind === 'choice';
+            numericInput.value = '';
+            if (mathInput) mathInput.field.latex('');
+
+            if (question.kind === 'choice') {
+                question.choices.forEach(function(choice, index) {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'button quiz-choice';
+                    button.textContent = choice;
+                    button.addEventListener('click', function() {
+                        choicesBlock.querySelectorAll('.quiz-choice').forEach(function(other) {
+                            other.classList.toggle('quiz-mine', other === button);
+                        });
+                        sendAnswer({ choice: index });
+                    });
+                    choicesBlock.appendChild(button);
+                });
+            } else if (question.kind === 'latex') {
+                loadMathInput();
+            }
+        }
+
+        function showQuestion(payload, myAnswer) {
+            question = payload;
+            deadline = Date.now() + payload.remainingMs;
+            answered = Boolean(myAnswer);
+            live.hidden = false;
+            questionBlock.hidden = false;
+            resultsLink.hidden = true;
+            promptElement.textContent = 'Question ' + (payload.index + 1) + ' — ' + payload.prompt;
+            promptLatexElement.innerHTML = '';
+            if (payload.promptLatex) renderMath(promptLatexElement, payload.promptLatex);
+            distributionList.innerHTML = '';
+            answerCount.textContent = '';
+            renderAnswerControls();
+            setFeedback(answered ? 'Réponse enregistrée. Résultat à la fin du temps.' : '');
+            if (myAnswer && choicesBlock && payload.kind === 'choice') {
+                const button = choicesBlock.querySelectorAll('.quiz-choice')[myAnswer.choice];
+                if (button) button.classList.add('quiz-mine');
+            }
+            if (closeButton) closeButton.hidden = payload.closed;
+
+            clearInterval(timer);
+            timer = payload.closed ? null : setInterval(tick, TICK_MS);
+            tick();
+        }
+
+        // Fin de la question : bonne réponse, répartition et classement
+        function showClosed(payload, distribution, leaderboard) {
+            question = payload;
+            deadline = 0;
+            if (closeButton) closeButton.hidden = true;
+            tick();
+            renderDistribution(distribution);
+            if (leaderboard) renderLeaderboard(leaderboard);
+            if (payload.kind === 'numeric' || payload.kind === 'latex') {
+                const expected = document.createElement('li');
+                expected.className = 'quiz-expected';
+                expected.append('Réponse attendue : ');
+                const value = document.createElement('span');
+                if (payload.kind === 'latex') {
+                    renderMath(value, payload.expectedAnswer);
+                } else {
+                    value.textContent = payload.expectedAnswer;
+                }
+                expected.appendChild(value);
+                distributionList.prepend(expected);
+            }
+            if (!options.isTeacher && !answered) {
+                setFeedback('Pas de réponse à cette question.', false);
+            }
+        }
+
+        function showQuiz(id, title) {
+            quizId = id;
+            live.hidden = false;
+            titleElement.textContent = title;
+            if (startForm) startForm.hidden = true;
+            if (questionForm) questionForm.hidden = false;
+        }
+
+        function reset() {
+            quizId = null;
+            question = null;
+            clearInterval(timer);
+            timer = null;
+            live.hidden = true;
+            questionBlock.hidden = true;
+            if (startForm) startForm.hidden = false;
+            if (questionForm) questionForm.hidden = true;
+        }
+
+        function setState(state) {
+            if (!state) {
+                reset();
+                return;
+            }
+            showQuiz(state.quizId, state.title);
+            renderLeaderboard(state.leaderboard);
+            if (!state.question) {
+                questionBlock.hidden = true;
+                showStatus(options.isTeacher ? '' : 'Le quiz va commencer : attendez la première question.');
+                return;
+            }
+            showStatus('');
+            showQuestion(state.question, state.myAnswer);
+            if (state.question.closed) {
+                showClosed(state.question, state.distribution, null);
+                if (state.myAnswer) {
+                    setFeedback(state.myAnswer.correct ? 'Bonne réponse ! +' + state.myAnswer.points + ' points' : 'Mauvaise réponse.', state.myAnswer.correct);
+                }
+            } else if (state.distribution) {
+                renderDistribution(state.distribution);
+            }
+        }
+
+        async function emit(event, data) {
+            try {
+                return await socket.timeout(10000).emitWithAck(event, Object.assign({ classroomId: classroomId }, data));
+            } catch (error) {
+                return { ok: false, message: 'Le serveur ne répond pas, réessayez.' };
+            }
+        }
+
+        async function sendAnswer(answer) {
+            if (!isOpen() || answered) return;
+            answered = true; // Pas de double envoi pendant l'attente de la réponse du serveur
+            updateAnswerControls();
+            const response = await emit('quiz:answer', { index: question.index, answer: answer });
+            if (response.ok) {
+                setFeedback('Réponse enregistrée. Résultat à la fin du temps.');
+            } else {
+                // Réponse illisible : l'élève peut corriger tant que le temps n'est pas écoulé
+                answered = false;
+                setFeedback(response.message, false);
+                if (choicesBlock) {
+                    choicesBlock.querySelectorAll('.quiz-choice').forEach(function(button) {
+                        button.classList.remove('quiz-mine');
+                    });
+                }
+            }
+            updateAnswerControls();
+        }
+
+        // État complet à l'ouverture et après chaque reconnexion (une question a pu commencer entre-temps)
+        async function join() {
+            const response = await emit('quiz:join', {});
+            if (response.ok) {
+                setState(response.state);
+            }
+        }
+
+        if (submitButton) {
+            submitButton.addEventListener('click', function() {
+                if (question.kind === 'numeric') {
+                    sendAnswer({ answer: numericInput.value.trim() });
+                } else if (mathInput) {
+                    sendAnswer({ answer: mathInput.field.latex().trim() });
+                }
+            });
+            numericInput.addEventListener('keydown', function(e) {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    submitButton.click();
+                }
+            });
+        }
+
+        if (startForm) {
+            startForm.addEventListener('submit', async function(e) {
+                e.preventDefault();
+                const response = await emit('quiz:start', { title: startForm.elements.title.value });
+                if (!response.ok) {
+                    alert(response.message || 'Le quiz n\'a pas pu démarrer.');
+                    return;
+                }
+                startForm.reset();
+            });
+
+            const kindSelect = questionForm.elements.kind;
+            function showKindFields() {
+                questionForm.querySelectorAll('[data-quiz-kind]').forEach(function(block) {
+                    block.hidden = block.dataset.quizKind !== kindSelect.value;
+                });
+            }
+            kindSelect.addEventListener('change', showKindFields);
+            showKindFields();
+
+            questionForm.addEventListener('submit', async function(e) {
+                e.preventDefault();
+                const fields = questionForm.elements;
+                const kind = fields.kind.value;
+                const response = await emit('quiz:launch', {
+                    question: {
+                        kind: kind,
+                        prompt: fields.prompt.value,
+                        promptLatex: fields.promptLatex.value,
+                        choices: fields.choices.value,
+                        correctChoice: parseInt(fields.correctChoice.value, 10) - 1, // Numérotées à partir de 1 dans le formulaire
+                        expectedAnswer: kind === 'numeric' ? fields.expectedNumber.value : fields.expectedLatex.value,
+                        tolerance: fields.tolerance.value,
+                        durationSeconds: fields.durationSeconds.value
+                    }
+                });
+                if (!response.ok) {
+                    alert(response.message || 'La question n\'a pas pu être lancée.');
+                    return;
+                }
+                // Le type et la durée restent pour la question suivante
+                ['prompt', 'promptLatex', 'choices', 'expectedNumber', 'tolerance', 'expectedLatex'].forEach(function(name) {
+                    fields[name].value = '';
+                });
+                fields.correctChoice.value = 1;
+            });
+
+            closeButton.addEventListener('click', async function() {
+                const response = await emit('quiz:close', {});
+                if (!response.ok) alert(response.message);
+            });
+
+            endButton.addEventListener('click', async function() {
+                if (!confirm('Terminer le quiz ? Le classement final sera affiché à toute la classe.')) return;
+                const response = await emit('quiz:end', {});
+                if (!response.ok) alert(response.message);
+            });
+        }
+
+        socket.on('connect', join);
+        socket.on('disconnect', function() {
+            showStatus(quizId ? 'Hors connexion : le quiz reprendra au retour de la connexion.' : '');
+            updateAnswerControls();
+        });
+
+        socket.on('quiz:started', function(data) {
+            if (data.classroomId !== classroomId) return;
+            showQuiz(data.quizId, data.title);
+            questionBlock.hidden = true;
+            resultsLink.hidden = true;
+            renderLeaderboard([]);
+            showStatus(options.isTeacher ? '' : 'Le quiz va commencer : attendez la première question.');
+        });
+
+        socket.on('quiz:question', function(data) {
+            if (data.classroomId !== classroomId) return;
+            if (quizId !== data.quizId) showQuiz(data.quizId, titleElement.textContent);
+            showStatus('');
+            showQuestion(data.question, null);
+            if (numericInput && data.question.kind === 'numeric') numericInput.focus();
+        });
+
+        socket.on('quiz:distribution', function(data) {
+            if (data.classroomId !== classroomId || !question || data.index !== question.index) return;
+            renderDistribution(data.distribution);
+        });
+
+        socket.on('quiz:closed', function(data) {
+            if (data.classroomId !== classroomId) return;
+            showClosed(data.question, data.distribution, data.leaderboard);
+        });
+
+        socket.on('quiz:result', function(data) {
+            if (data.classroomId !== classroomId) return;
+            const place = data.rank + (data.rank === 1 ? 'er' : 'e') + ' sur ' + data.participants;
+            setFeedback((data.correct ? 'Bonne réponse ! +' + data.points + ' points' : 'Mauvaise réponse.')
+                + ' — Total : ' + data.score + ' points, ' + place + '.', data.correct);
+        });
+
+        socket.on('quiz:ended', function(data) {
+            if (data.classroomId !== classroomId) return;
+            clearInterval(timer);
+            timer = null;
+            question = null;
+            quizId = null;
+            questionBlock.hidden = true;
+            titleElement.textContent = data.title + ' — terminé';
+            renderLeaderboard(data.leaderboard);
+            resultsLink.querySelector('a').href = data.resultsUrl;
+            resultsLink.hidden = false;
+            showStatus('');
+            if (startForm) startForm.hidden = false;
+            if (questionForm) questionForm.hidden = true;
+        });
+
+        if (socket.connected) {
+            join();
+        }
+    }
+
+    window.liveQuiz = { attach: attach };
+})();
@@ -0,0 +1,74 @@
+// public/js/notifications.js
+// Notifications en direct : met à jour les compteurs « non lues » de la page ([data-unread-badge] dans le menu,
+// [data-unread-class] par classe sur les tableaux de bord) et affiche brièvement chaque nouvelle notification.
+// La page du chat passe sa propre connexion avec window.notifications.attach(socket) ; les autres pages
+// en ouvrent une si le client Socket.IO est chargé.
+(function() {
+    let attached = false;
+    let toastContainer = null;
+
+    function badges() {
+        return document.querySelectorAll('[data-unread-badge]');
+    }
+
+    function unreadCount() {
+        const badge = badges()[0];
+        return badge ? Number(badge.dataset.unreadCount || 0) : 0;
+    }
+
+    function renderCount(count) {
+        badges().forEach(function(badge) {
+            badge.dataset.unreadCount = count;
+            badge.textContent = count > 0 ? ' (' + count + ')' : '';
+        });
+    }
+
+    function incrementClassCount(classroomId) {
+        document.querySelectorAll('[data-unread-class="' + classroomId + '"]').forEach(function(element) {
+            const count = Number(element.dataset.count || 0) + 1;
+            element.dataset.count = count;
+            element.textContent = count + (count > 1 ? ' notifications non lues' : ' notification non lue');
+            element.hidden = false;
+        });
+    }
+
+    function showToast(notification) {
+        if (!toastContainer) {
+            toastContainer = document.createElement('div');
+            toastContainer.className = 'notification-toasts';
+            toastContainer.setAttribute('role', 'status');
+            toastContainer.setAttribute('aria-live', 'polite');
+            document.body.appendChild(toastContainer);
+        }
+        const toast = document.createElement('a');
+        toast.className = 'notification-toast';
+        toast.href = notification.link;
+        toast.textContent = notification.title;
+        toastContainer.appendChild(toast);
+        setTimeout(function() {
+            toast.remove();
+        }, 8000);
+    }
+
+    function attach(socket) {
+        if (attached) return;
+        attached = true;
+        socket.on('notification', function(notification) {
+            renderCount(unreadCount() + 1);
+            incrementClassCount(notification.classroomId);
+            showToast(notification);
+        });
+        // Notifications lues dans un autre onglet
+        socket.on('notificationsRead', function(data) {
+            renderCount(data.unreadCount);
+        });
+    }
+
+    window.notifications = { attach: attach };
+
+    document.addEventListener('DOMContentLoaded', function() {
+        if (!attached && window.io) {
+            attach(window.io());
+        }
+    });
+})();
@@ -0,0 +1,57 @@
+// public/js/offline-status.js
+// Enregistre le service worker et affiche un bandeau tant que l'appareil est hors ligne.
+// Les pages qui ont leur propre connexion Socket.IO (chat) peuvent aussi appeler
+// window.offlineStatus.setConnected(false) quand le serveur est injoignable malgré un réseau actif.
+(function() {
+    if ('serviceWorker' in navigator) {
+        window.addEventListener('load', function() {
+            navigator.serviceWorker.register('/service-worker.js').catch(function(err) {
+                console.log('ServiceWorker registration failed: ', err);
+            });
+        });
+    }
+
+    let serverReachable = true;
+    let banner = null;
+
+    function getBanner() {
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.className = 'offline-banner';
+            banner.setAttribute('role', 'status');
+            banner.setAttribute('aria-live', 'polite');
+            document.body.prepend(banner);
+        }
+        return banner;
+    }
+
+    function update() {
+        const offline = !navigator.onLine || !serverReachable;
+        document.body.classList.toggle('is-offline', offline);
+        if (!offline) {
+            if (banner) {
+                banner.hidden = true;
+            }
+            return;
+        }
+        const element = getBanner();
+        element.textContent = navigator.onLine
+            ? 'Connexion au serveur perdue — reconnexion en cours… Vos messages seront envoyés dès son retour.'
+            : 'Vous êtes hors ligne — vous consultez la dernière version enregistrée de cette page. Vos messages seront envoyés au retour de la connexion.';
+        element.hidden = false;
+    }
+
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    document.addEventListener('DOMContentLoaded', update);
+
+    window.offlineStatus = {
+        isOnline: function() {
+            return navigator.onLine && serverReachable;
+        },
+        setConnected: function(connected) {
+            serverReachable = connected;
+            update();
+        }
+    };
+})();
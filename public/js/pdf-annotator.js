@@ -0,0 +1,584 @@
+// public/js/pdf-annotator.js
+// Annotation d'un PDF de la classe (règles et enregistrement : utils/pdfAnnotations.js côté serveur).
+// Les pages sont affichées par pdf.js ; traits, surlignages et commentaires sont dessinés dans un <canvas>
+// posé sur chaque page, les notes LaTeX sont affichées par-dessus avec KaTeX.
+// Export : pdf-lib ajoute à chaque page annotée une image de ses annotations (notes LaTeX converties
+// en SVG par MathJax, KaTeX ne sachant pas dessiner dans un canvas), puis la copie est envoyée au serveur.
+// window.pdfAnnotator.attach(root, options) ouvre le document dans l'élément `root`.
+(function() {
+    const PDFJS_WORKER_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+    const MATHJAX_URL = 'https://cdnjs.cloudflare.com/ajax/libs/mathjax/3.2.2/es5/tex-svg.min.js';
+    const MIN_POINT_DISTANCE = 0.001; // Points trop proches ignorés (traits plus légers)
+    const MAX_POINTS = 4000;          // Même limite que models/PdfAnnotation.js
+    const MAX_PAGE_WIDTH = 900;
+    const EXPORT_SCALE = 2;           // Pixels de la couche exportée par point PDF
+    const HIGHLIGHT_ALPHA = 0.35;
+    const ERASER_TOLERANCE = 8;       // Pixels autour d'un trait
+
+    function newId() {
+        return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+    }
+
+    // Tailles relatives à la largeur de la page : identiques à l'écran et dans la copie exportée
+    function strokeWidth(element, pageWidth) {
+        return element.width * pageWidth / 800;
+    }
+
+    function noteFontSize(pageWidth) {
+        return pageWidth / 50;
+    }
+
+    function loadScript(src) {
+        return new Promise(function(resolve, reject) {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = function() { reject(new Error('Impossible de charger ' + src)); };
+            document.head.appendChild(script);
+        });
+    }
+
+    // Découpe un commentaire en lignes d'au plus maxWidth pixels (les retours à la ligne saisis sont gardés)
+    function wrapText(ctx, text, maxWidth) {
+        const lines = [];
+        text.split('\n').forEach(function(paragraph) {
+            let line = '';
+            paragraph.split(' ').forEach(function(word) {
+                const candidate = line ? line + ' ' + word : word;
+                if (line && ctx.measureText(candidate).width > maxWidth) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            });
+            lines.push(line);
+        });
+        return lines;
+    }
+
+    // Cadre d'un commentaire dans une page de width x height pixels, gardé à l'intérieur de la page
+    function commentLayout(ctx, element, width, height) {
+        const size = noteFontSize(width);
+        const padding = size * 0.4;
+        ctx.font = size + 'px sans-serif';
+        const lines = wrapText(ctx, element.text, width * 0.35);
+        const boxWidth = Math.max.apply(null, lines.map(function(line) { return ctx.measureText(line).width; })) + 2 * padding;
+        const boxHeight = lines.length * size * 1.3 + 2 * padding;
+        return {
+            x: Math.max(Math.min(element.points[0] * width, width - boxWidth), 0),
+            y: Math.max(Math.min(element.points[1] * height, height - boxHeight), 0),
+            width: boxWidth,
+            height: boxHeight,
+            lines: lines,
+            size: size,
+            padding: padding
+        };
+    }
+
+    /**
+     * Dessine un élément (coordonnées relatives) dans une page de width x height pixels.
+     * Les notes LaTeX sont affichées par KaTeX (page) ou ajoutées par drawLatexNotes (export).
+     */
+    function drawElement(ctx, element, width, height) {
+        const points = element.points;
+        ctx.save();
+        if (element.kind === 'stroke') {
+            ctx.strokeStyle = element.color;
+            ctx.lineWidth = strokeWidth(element, width);
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+            ctx.beginPath();
+            ctx.moveTo(points[0] * width, points[1] * height);
+            for (let i = 2; i < points.length; i += 2) {
+                ctx.lineTo(points[i] * width, points[i + 1] * height);
+            }
+            if (points.length === 2) {
+                ctx.lineTo(points[0] * width + 0.1, points[1] * height); // Un simple point
+            }
+            ctx.stroke();
+        } else if (element.kind === 'highlight') {
+            ctx.globalAlpha = HIGHLIGHT_ALPHA;
+            ctx.fillStyle = element.color;
+            ctx.fillRect(
+                Math.min(points[0], points[2]) * width, Math.min(points[1], points[3]) * height,
+                Math.abs(points[2] - points[0]) * width, Math.abs(points[3] - points[1]) * height
+            );
+        } else if (element.kind === 'comment') {
+            const box = commentLayout(ctx, element, width, height);
+            ctx.fillStyle = '#fff8c4';
+            ctx.fillRect(box.x, box.y, box.width, box.height);
+            ctx.strokeStyle = element.color;
+            ctx.lineWidth = Math.max(width / 800, 1);
+            ctx.strokeRect(box.x, box.y, box.width, box.height);
+            ctx.fillStyle = '#222222';
+            ctx.textBaseline = 'top';
+            box.lines.forEach(function(line, index) {
+                ctx.fillText(line, box.x + box.padding, box.y + box.padding + index * box.size * 1.3);
+            });
+        }
+        ctx.restore();
+    }
+
+    // Distance d'un point au segment [a, b], en pixels
+    function distanceToSegment(px, py, ax, ay, bx, by) {
+        const dx = bx - ax;
+        const dy = by - ay;
+        const length = dx * dx + dy * dy;
+        const t = length === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / length));
+        return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+    }
+
+    // L'élément (hors notes LaTeX) touché au point (x, y) en pixels de la page
+    function hitTest(ctx, element, x, y, width, height) {
+        const points = element.points;
+        if (element.kind === 'highlight') {
+            return x >= Math.min(points[0], points[2]) * width && x <= Math.max(points[0], points[2]) * width
+                && y >= Math.min(points[1], points[3]) * height && y <= Math.max(points[1], points[3]) * height;
+        }
+        if (element.kind === 'comment') {
+            const box = commentLayout(ctx, element, width, height);
+            return x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height;
+        }
+        if (element.kind === 'stroke') {
+            const tolerance = Math.max(strokeWidth(element, width) / 2, ERASER_TOLERANCE);
+            for (let i = 0; i < points.length; i += 2) {
+                const next = i + 2 < points.length ? i + 2 : i;
+                const distance = distanceToSegment(x, y, points[i] * width, points[i + 1] * height,
+                    points[next] * width, points[next + 1] * height);
+                if (distance <= tolerance) return true;
+            }
+        }
+        return false;
+    }
+
+    // --- Export ---
+
+    let mathJaxReady = null;
+
+    function loadMathJax() {
+        if (!mathJaxReady) {
+            window.MathJax = { startup: { typeset: false }, svg: { fontCache: 'none' } };
+            mathJaxReady = loadScript(MATHJAX_URL).then(function() {
+                return window.MathJax.startup.promise;
+            });
+        }
+        return mathJaxReady;
+    }
+
+    // Image d'une note LaTeX (SVG de MathJax, unités « ex » converties en pixels : 1ex ≈ 0,5em)
+    function latexImage(latex, color, fontSize) {
+        const svg = window.MathJax.tex2svg(latex, { display: false }).querySelector('svg');
+        ['width', 'height'].forEach(function(attribute) {
+            svg.setAttribute(attribute, (parseFloat(svg.getAttribute(attribute)) * fontSize / 2) + 'px');
+        });
+        svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        svg.style.color = color;
+        const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(svg)], { type: 'image/svg+xml' }));
+        return new Promise(function(resolve, reject) {
+            const image = new Image();
+            image.onload = function() {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = function() {
+                URL.revokeObjectURL(url);
+                reject(new Error('Note LaTeX illisible : ' + latex));
+            };
+            image.src = url;
+        });
+    }
+
+    // Notes LaTeX de la copie exportée ; sans MathJax (hors ligne), leur code LaTeX est écrit tel quel
+    async function drawLatexNotes(ctx, notes, width, height) {
+        let mathJax = true;
+        try {
+            await loadMathJax();
+        } catch (error) {
+            console.error('MathJax unavailable, LaTeX notes exported as code:', error);
+            mathJax = false;
+        }
+        const size = noteFontSize(width);
+        for (const note of notes) {
+            const x = note.points[0] * width;
+            const y = note.points[1] * height;
+            if (mathJax) {
+                ctx.drawImage(await latexImage(note.text, note.color, size), x, y);
+            } else {
+                ctx.fillStyle = note.color;
+                ctx.font = size + 'px serif';
+                ctx.textBaseline = 'top';
+                ctx.fillText(note.text, x, y);
+            }
+        }
+    }
+
+    // Annotations d'une page dans une image PNG transparente de la taille de la page affichée
+    async function renderLayer(pageElements, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width);
+        canvas.height = Math.round(height);
+        const ctx = canvas.getContext('2d');
+        pageElements.forEach(function(element) {
+            drawElement(ctx, element, canvas.width, canvas.height);
+        });
+        await drawLatexNotes(ctx, pageElements.filter(function(element) { return element.kind === 'latex'; }), canvas.width, canvas.height);
+        const blob = await new Promise(function(resolve) { canvas.toBlob(resolve, 'image/png'); });
+        return new Uint8Array(await blob.arrayBuffer());
+    }
+
+    // Position de l'image (orientée comme la page affichée) dans le repère de la page PDF,
+    // qui peut être tournée de 90, 180 ou 270° (attribut /Rotate)
+    function layerPlacement(box, rotation) {
+        const degrees = window.PDFLib.degrees;
+        if (rotation === 90) {
+            return { x: box.x + box.width, y: box.y, width: box.height, height: box.width, rotate: degrees(90) };
+        }
+        if (rotation === 180) {
+            return { x: box.x + box.width, y: box.y + box.height, width: box.width, height: box.height, rotate: degrees(180) };
+        }
+        if (rotation === 270) {
+            return { x: box.x, y: box.y + box.height, width: box.height, height: box.width, rotate: degrees(270) };
+        }
+        return { x: box.x, y: box.y, width: box.width, height: box.height };
+    }
+
+    // Copie du PDF avec les annotations fusionnées dans les pages
+    async function buildAnnotatedPdf(originalBytes, elements) {
+        const pdf = await window.PDFLib.PDFDocument.load(originalBytes, { ignoreEncryption: true });
+        const pages = pdf.getPages();
+        for (let index = 0; index < pages.length; index++) {
+            const pageElements = elements.filter(function(element) { return element.page === index + 1; });
+            if (pageElements.length === 0) continue;
+
+            const page = pages[index];
+            const box = page.getCropBox();
+            const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+            const sideways = rotation === 90 || rotation === 270;
+            const image = await pdf.embedPng(await renderLayer(
+                pageElements,
+                (sideways ? box.height : box.width) * EXPORT_SCALE,
+                (sideways ? box.width : box.height) * EXPORT_SCALE
+            ));
+            page.drawImage(image, layerPlacement(box, rotation));
+        }
+        return pdf.save();
+    }
+
+    // --- Page ---
+
+    async function postJson(url, body) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify(body || {})
+        });
+        const result = await response.json().catch(function() { return {}; });
+        if (!response.ok || !result.ok) {
+            throw new Error(result.message || 'Erreur serveur.');
+        }
+        return result;
+    }
+
+    /**
+     * Affiche le document dans `root`.
+     * options : { documentUrl, baseUrl, elements, canEdit, pages (conteneur des pages), status (élément de texte) }
+     */
+    async function attach(root, options) {
+        const elements = options.elements || [];
+        const canEdit = Boolean(options.canEdit);
+        const pagesContainer = options.pages;
+        const statusElement = options.status;
+        const pages = [];
+        const history = []; // Éléments ajoutés depuis l'ouverture de la page (Annuler)
+
+        const toolInputs = root.querySelectorAll('input[name="pdfTool"]');
+        const colorInput = root.querySelector('#pdfAnnotationColor');
+        const widthInput = root.querySelector('#pdfAnnotationWidth');
+        const undoButton = root.querySelector('#pdfAnnotationUndo');
+        const exportButton = root.querySelector('#pdfAnnotationExport');
+
+        let current = null; // Trait ou surlignage en cours
+
+        function setStatus(text) {
+            if (statusElement) statusElement.textContent = text;
+        }
+
+        function currentTool() {
+            const checked = root.querySelector('input[name="pdfTool"]:checked');
+            return checked ? checked.value : 'stroke';
+        }
+
+        function renderNotes(page) {
+            page.notes.innerHTML = '';
+            elements.forEach(function(element) {
+                if (element.page !== page.number || element.kind !== 'latex') return;
+                const note = document.createElement('span');
+                note.className = 'pdf-latex-note';
+                note.style.left = (element.points[0] * 100) + '%';
+                note.style.top = (element.points[1] * 100) + '%';
+                note.style.fontSize = noteFontSize(page.width) + 'px';
+                note.style.color = element.color;
+                if (window.katex) {
+                    katex.render(element.text, note, { throwOnError: false });
+                } else {
+                    note.textContent = element.text;
+                }
+                note.addEventListener('click', function() {
+                    if (canEdit && currentTool() === 'eraser') remove(element);
+                });
+                page.notes.appendChild(note);
+            });
+        }
+
+        function drawLayer(page) {
+            page.ctx.clearRect(0, 0, page.width, page.height);
+            elements.forEach(function(element) {
+                if (element.page === page.number) drawElement(page.ctx, element, page.width, page.height);
+            });
+            if (current && current.page === page.number) {
+                drawElement(page.ctx, current, page.width, page.height);
+            }
+        }
+
+        function redraw(page) {
+            drawLayer(page);
+            renderNotes(page);
+        }
+
+        function pageOf(element) {
+            return pages[element.page - 1];
+        }
+
+        // Affiché tout de suite, retiré si le serveur refuse l'annotation
+        async function add(element) {
+            elements.push(element);
+            history.push(element.id);
+            redraw(pageOf(element));
+            try {
+                await postJson(options.baseUrl + '/elements', { element: element });
+                setStatus('Annotation enregistrée.');
+            } catch (error) {
+                elements.splice(elements.indexOf(element), 1);
+                redraw(pageOf(element));
+                alert(error.message);
+            }
+        }
+
+        async function remove(element) {
+            const index = elements.indexOf(element);
+            if (index === -1) return;
+            elements.splice(index, 1);
+            redraw(pageOf(element));
+            try {
+                await postJson(options.baseUrl + '/elements/' + encodeURIComponent(element.id) + '/delete');
+                setStatus('Annotation supprimée.');
+            } catch (error) {
+                elements.push(element);
+                redraw(pageOf(element));
+                alert(error.message);
+            }
+        }
+
+        function newElement(page, kind, points, text) {
+            return {
+                id: newId(),
+                page: page.number,
+                kind: kind,
+                color: colorInput ? colorInput.value : '#d32f2f',
+                width: widthInput ? parseInt(widthInput.value, 10) : 3,
+                points: points,
+                text: text || ''
+            };
+        }
+
+        function pagePoint(page, event) {
+            const rect = page.overlay.getBoundingClientRect();
+            return {
+                x: Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1),
+                y: Math.min(Math.max((event.clientY - rect.top) / rect.height, 0), 1)
+            };
+        }
+
+        function bindDrawing(page) {
+            page.overlay.addEventListener('pointerdown', function(event) {
+                const point = pagePoint(page, event);
+                const tool = currentTool();
+                if (tool === 'stroke' || tool === 'highlight') {
+                    current = newElement(page, tool, tool === 'stroke' ? [point.x, point.y] : [point.x, point.y, point.x, point.y]);
+                    page.overlay.setPointerCapture(event.pointerId);
+                } else if (tool === 'comment') {
+                    const text = prompt('Commentaire :', '');
+                    if (text && text.trim()) add(newElement(page, 'comment', [point.x, point.y], text.trim()));
+                } else if (tool === 'latex') {
+                    const latex = prompt('Note LaTeX (ex : \\frac{3}{4} ou x=\\sqrt{2}) :', '');
+                    if (latex && latex.trim()) add(newElement(page, 'latex', [point.x, point.y], latex.trim()));
+                } else if (tool === 'eraser') {
+                    const x = point.x * page.width;
+                    const y = point.y * page.height;
+                    const hit = elements.slice().reverse().find(function(element) {
+                        return element.page === page.number && hitTest(page.ctx, element, x, y, page.width, page.height);
+                    });
+                    if (hit) remove(hit);
+                }
+            });
+
+            page.overlay.addEventListener('pointermove', function(event) {
+                if (!current || current.page !== page.number) return;
+                const point = pagePoint(page, event);
+                const points = current.points;
+                if (current.kind === 'stroke') {
+                    const lastX = points[points.length - 2];
+                    const lastY = points[points.length - 1];
+                    if (Math.hypot(point.x - lastX, point.y - lastY) < MIN_POINT_DISTANCE || points.length >= MAX_POINTS) return;
+                    points.push(point.x, point.y);
+                } else {
+                    points[2] = point.x;
+                    points[3] = point.y;
+                }
+                drawLayer(page); // Les notes LaTeX ne changent pas pendant le tracé
+            });
+
+            function finish() {
+                if (!current || current.page !== page.number) return;
+                const element = current;
+                current = null;
+                const points = element.points;
+                // Surlignage réduit à un clic : ignoré
+                if (element.kind === 'highlight' && Math.abs(points[2] - points[0]) < 0.005 && Math.abs(points[3] - points[1]) < 0.005) {
+                    drawLayer(page);
+                    return;
+                }
+                add(element);
+            }
+            page.overlay.addEventListener('pointerup', finish);
+            page.overlay.addEventListener('pointercancel', finish);
+        }
+
+        async function renderPage(pdfDocument, number, availableWidth) {
+            const pdfPage = await pdfDocument.getPage(number);
+            const scale = availableWidth / pdfPage.getViewport({ scale: 1 }).width;
+            const viewport = pdfPage.getViewport({ scale: scale });
+            const ratio = window.devicePixelRatio || 1;
+
+            const wrapper = document.createElement('div');
+            wrapper.className = 'pdf-page';
+            wrapper.style.width = viewport.width + 'px';
+            wrapper.style.height = viewport.height + 'px';
+
+            const pdfCanvas = document.createElement('canvas');
+            pdfCanvas.width = Math.floor(viewport.width * ratio);
+            pdfCanvas.height = Math.floor(viewport.height * ratio);
+            pdfCanvas.setAttribute('aria-label', 'Page ' + number);
+
+            const overlay = document.createElement('canvas');
+            overlay.className = 'pdf-page-overlay' + (canEdit ? ' editable' : '');
+            overlay.width = Math.floor(viewport.width);
+            overlay.height = Math.floor(viewport.height);
+
+            const notes = document.createElement('div');
+            notes.className = 'pdf-page-notes';
+
+            const label = document.createElement('span');
+            label.className = 'pdf-page-number';
+            label.textContent = number + ' / ' + pdfDocument.numPages;
+
+            wrapper.appendChild(pdfCanvas);
+            wrapper.appendChild(overlay);
+            wrapper.appendChild(notes);
+            wrapper.appendChild(label);
+            pagesContainer.appendChild(wrapper);
+
+            await pdfPage.render({
+                canvasContext: pdfCanvas.getContext('2d'),
+                viewport: viewport,
+                transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null
+            }).promise;
+
+            const page = { number: number, width: overlay.width, height: overlay.height, overlay: overlay, ctx: overlay.getContext('2d'), notes: notes };
+            pages.push(page);
+            if (canEdit) bindDrawing(page);
+            redraw(page);
+        }
+
+        if (!window.pdfjsLib) {
+            setStatus('Le lecteur PDF n\'a pas pu être chargé (connexion internet nécessaire).');
+            return;
+        }
+        window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+
+        let pdfDocument;
+        try {
+            pdfDocument = await window.pdfjsLib.getDocument({ url: options.documentUrl }).promise;
+            const availableWidth = Math.min(pagesContainer.clientWidth || MAX_PAGE_WIDTH, MAX_PAGE_WIDTH);
+            for (let number = 1; number <= pdfDocument.numPages; number++) {
+                setStatus('Chargement de la page ' + number + ' sur ' + pdfDocument.numPages + '…');
+                await renderPage(pdfDocument, number, availableWidth);
+            }
+            setStatus(elements.length > 0
+                ? elements.length + ' annotation' + (elements.length > 1 ? 's' : '') + '.'
+                : (canEdit ? 'Aucune annotation pour l\'instant.' : 'Aucune annotation sur ce document.'));
+        } catch (error) {
+            console.error('Error loading PDF document:', error);
+            setStatus('Le document n\'a pas pu être affiché.');
+            return;
+        }
+
+        // Le mode gomme rend les notes LaTeX cliquables
+        toolInputs.forEach(function(input) {
+            input.addEventListener('change', function() {
+                pagesContainer.classList.toggle('erasing', currentTool() === 'eraser');
+            });
+        });
+
+        if (undoButton) {
+            undoButton.addEventListener('click', function() {
+                while (history.length > 0) {
+                    const id = history.pop();
+                    const element = elements.find(function(candidate) { return candidate.id === id; });
+                    if (element) {
+                        remove(element);
+                        return;
+                    }
+                }
+            });
+        }
+
+        if (exportButton) {
+            exportButton.addEventListener('click', async function() {
+                if (!window.PDFLib) {
+                    alert('L\'export n\'est pas disponible (connexion internet nécessaire).');
+                    return;
+                }
+                if (elements.length === 0 && !confirm('Ce document n\'a aucune annotation. Exporter quand même ?')) {
+                    return;
+                }
+                exportButton.disabled = true;
+                setStatus('Préparation de la copie annotée…');
+                try {
+                    const bytes = await buildAnnotatedPdf(await pdfDocument.getData(), elements);
+                    const formData = new FormData();
+                    formData.append('annotatedPdf', new Blob([bytes], { type: 'application/pdf' }), 'copie-annotee.pdf');
+                    const response = await fetch(options.baseUrl + '/export', {
+                        method: 'POST',
+                        headers: { 'Accept': 'application/json' },
+                        body: formData
+                    });
+                    const result = await response.json().catch(function() { return {}; });
+                    if (!response.ok || !result.ok) {
+                        throw new Error(result.message || 'La copie annotée n\'a pas pu être enregistrée.');
+                    }
+                    setStatus('Copie annotée « ' + result.fileName + ' » enregistrée dans la bibliothèque (Correction).');
+                } catch (error) {
+                    console.error('Error exporting annotated PDF:', error);
+                    setStatus('');
+                    alert(error.message || 'La copie annotée n\'a pas pu être enregistrée.');
+                } finally {
+                    exportButton.disabled = false;
+                }
+            });
+        }
+    }
+
+    window.pdfAnnotator = { attach: attach };
+})();
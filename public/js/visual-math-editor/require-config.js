@@ -0,0 +1,12 @@
+// Configuration RequireJS de l'éditeur visuel de formules.
+// visual-math-input.js est un module AMD qui dépend de jQuery et de MathQuill (chargés depuis le CDN).
+requirejs.config({
+    baseUrl: '/js',
+    paths: {
+        'jquery': 'https://cdnjs.cloudflare.com/ajax/libs/jquery/3.7.1/jquery.min',
+        'visual-math-editor/mathquill': 'https://cdnjs.cloudflare.com/ajax/libs/mathquill/0.10.1/mathquill.min'
+    },
+    shim: {
+        'visual-math-editor/mathquill': { deps: ['jquery'], exports: 'MathQuill' }
+    }
+});
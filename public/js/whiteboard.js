@@ -0,0 +1,412 @@
+// public/js/whiteboard.js
+// Tableau blanc partagé de la page d'une classe (règles et enregistrement : utils/whiteboard.js côté serveur).
+// Les éléments sont dessinés dans un <canvas> ; les étiquettes LaTeX sont affichées par-dessus avec KaTeX.
+// window.whiteboard.attach(socket, options) relie le tableau de la page à la connexion Socket.IO du chat.
+(function() {
+    const MIN_POINT_DISTANCE = 0.002; // Points trop proches ignorés (traits plus légers)
+    const MAX_POINTS = 4000;          // Même limite que models/Whiteboard.js
+    const TICKS_PER_HALF_AXIS = 5;
+
+    function newId() {
+        return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+    }
+
+    // Taille d'une étiquette, en pixels du tableau
+    function labelSize(element) {
+        return 10 + element.width * 3;
+    }
+
+    function drawArrow(ctx, fromX, fromY, toX, toY) {
+        const angle = Math.atan2(toY - fromY, toX - fromX);
+        const size = 6 + ctx.lineWidth * 2;
+        ctx.beginPath();
+        ctx.moveTo(fromX, fromY);
+        ctx.lineTo(toX, toY);
+        ctx.moveTo(toX, toY);
+        ctx.lineTo(toX - size * Math.cos(angle - Math.PI / 6), toY - size * Math.sin(angle - Math.PI / 6));
+        ctx.moveTo(toX, toY);
+        ctx.lineTo(toX - size * Math.cos(angle + Math.PI / 6), toY - size * Math.sin(angle + Math.PI / 6));
+        ctx.stroke();
+    }
+
+    // Repère orthogonal centré dans le rectangle tracé, avec graduations
+    function drawAxes(ctx, left, top, right, bottom) {
+        const centerX = (left + right) / 2;
+        const centerY = (top + bottom) / 2;
+        drawArrow(ctx, left, centerY, right, centerY);
+        drawArrow(ctx, centerX, bottom, centerX, top);
+
+        const stepX = (right - left) / 2 / (TICKS_PER_HALF_AXIS + 1);
+        const stepY = (bottom - top) / 2 / (TICKS_PER_HALF_AXIS + 1);
+        ctx.beginPath();
+        for (let i = -TICKS_PER_HALF_AXIS; i <= TICKS_PER_HALF_AXIS; i++) {
+            if (i === 0) continue;
+            ctx.moveTo(centerX + i * stepX, centerY - 4);
+            ctx.lineTo(centerX + i * stepX, centerY + 4);
+            ctx.moveTo(centerX - 4, centerY + i * stepY);
+            ctx.lineTo(centerX + 4, centerY + i * stepY);
+        }
+        ctx.stroke();
+
+        ctx.font = '16px serif';
+        ctx.fillText('x', right - 12, centerY + 20);
+        ctx.fillText('y', centerX + 10, top + 14);
+        ctx.fillText('O', centerX - 16, centerY + 18);
+    }
+
+    /**
+     * Dessine un élément (coordonnées relatives) dans le canvas.
+     * Les étiquettes ne sont dessinées que pour l'image PNG : KaTeX ne sait pas dessiner dans un canvas,
+     * l'image contient donc leur code LaTeX.
+     */
+    function drawElement(ctx, element, withLabels) {
+        const width = ctx.canvas.width;
+        const height = ctx.canvas.height;
+        const p = element.points.map(function(value, index) {
+            return value * (index % 2 === 0 ? width : height);
+        });
+
+        ctx.save();
+        ctx.strokeStyle = element.color;
+        ctx.fillStyle = element.color;
+        ctx.lineWidth = element.width;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        if (element.kind === 'stroke') {
+            ctx.beginPath();
+            ctx.moveTo(p[0], p[1]);
+            for (let i = 2; i < p.length; i += 2) {
+                ctx.lineTo(p[i], p[i + 1]);
+            }
+            if (p.length === 2) {
+                ctx.lineTo(p[0] + 0.1, p[1]); // Un simple clic laisse un point
+            }
+            ctx.stroke();
+        } else if (element.kind === 'line') {
+            ctx.beginPath();
+            ctx.moveTo(p[0], p[1]);
+            ctx.lineTo(p[2], p[3]);
+            ctx.stroke();
+        } else if (element.kind === 'rect') {
+            ctx.strokeRect(Math.min(p[0], p[2]), Math.min(p[1], p[3]), Math.abs(p[2] - p[0]), Math.abs(p[3] - p[1]));
+        } else if (element.kind === 'ellipse') {
+            ctx.beginPath();
+            ctx.ellipse((p[0] + p[2]) / 2, (p[1] + p[3]) / 2, Math.abs(p[2] - p[0]) / 2, Math.abs(p[3] - p[1]) / 2, 0, 0, 2 * Math.PI);
+            ctx.stroke();
+        } else if (element.kind === 'axes') {
+            drawAxes(ctx, Math.min(p[0], p[2]), Math.min(p[1], p[3]), Math.max(p[0], p[2]), Math.max(p[1], p[3]));
+        } else if (element.kind === 'label' && withLabels) {
+            ctx.font = labelSize(element) + 'px serif';
+            ctx.textBaseline = 'top';
+            ctx.fillText(element.latex, p[0], p[1]);
+        }
+        ctx.restore();
+    }
+
+    function attach(socket, options) {
+        const classroomId = options.classroomId;
+        const canvas = document.getElementById('whiteboardCanvas');
+        if (!canvas) return;
+        const ctx = canvas.getContext('2d');
+        const labelsLayer = document.getElementById('whiteboardLabels');
+        const status = document.getElementById('whiteboardStatus');
+        const colorSelect = document.getElementById('whiteboardColor');
+        const widthSelect = document.getElementById('whiteboardWidth');
+        const undoButton = document.getElementById('whiteboardUndo');
+        const studentsCheckbox = document.getElementById('whiteboardStudents');
+        const lockButton = document.getElementById('whiteboardLock');
+        const clearButton = document.getElementById('whiteboardClear');
+        const snapshotButton = document.getElementById('whiteboardSnapshot');
+        const toolButtons = document.querySelectorAll('.whiteboard-tool');
+
+        let elements = []; // Dans l'ordre du dessin
+        let settings = { locked: false, studentsCanDraw: false };
+        let tool = 'stroke';
+        let current = null; // Élément en cours de tracé
+        let redrawRequested = false;
+
+        function canDraw() {
+            return socket.connected && !settings.locked && (options.isManager || settings.studentsCanDraw);
+        }
+
+        function render() {
+            redrawRequested = false;
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            elements.forEach(function(element) {
+                drawElement(ctx, element, false);
+            });
+            if (current) {
+                drawElement(ctx, current, false);
+            }
+        }
+
+        function requestRender() {
+            if (!redrawRequested) {
+                redrawRequested = true;
+                requestAnimationFrame(render);
+            }
+        }
+
+        // Étiquettes LaTeX, positionnées en pourcentage du tableau
+        function renderLabels() {
+            labelsLayer.innerHTML = '';
+            labelsLayer.style.fontSize = (canvas.clientWidth / canvas.width * 16) + 'px';
+            elements.filter(function(element) { return element.kind === 'label'; }).forEach(function(element) {
+                const label = document.createElement('span');
+                label.className = 'whiteboard-label';
+                label.style.left = (element.points[0] * 100) + '%';
+                label.style.top = (element.points[1] * 100) + '%';
+                label.style.color = element.color;
+                label.style.fontSize = (labelSize(element) / 16) + 'em';
+                if (window.katex) {
+                    katex.render(element.latex, label, { throwOnError: false });
+                } else {
+                    label.textContent = element.latex;
+                }
+                labelsLayer.appendChild(label);
+            });
+        }
+
+        function renderStatus() {
+            let text = '';
+            if (!socket.connected) {
+                text = 'Hors connexion : le tableau sera mis à jour au retour de la connexion.';
+            } else if (settings.locked) {
+                text = 'Le tableau est verrouillé par le professeur.';
+            } else if (!options.isManager && !settings.studentsCanDraw) {
+                text = 'Seul le professeur dessine sur le tableau pour le moment.';
+            }
+            status.textContent = text;
+            status.hidden = !text;
+            canvas.classList.toggle('whiteboard-readonly', !canDraw());
+            if (studentsCheckbox) studentsCheckbox.checked = settings.studentsCanDraw;
+            if (lockButton) lockButton.textContent = settings.locked ? 'Déverrouiller le tableau' : 'Verrouiller le tableau';
+        }
+
+        function setState(state) {
+            elements = state.elements;
+            settings = { locked: state.locked, studentsCanDraw: state.studentsCanDraw };
+            render();
+            renderLabels();
+            renderStatus();
+        }
+
+        function addElement(element) {
+            if (elements.some(function(existing) { return existing.id === element.id; })) return;
+            elements.push(element);
+            requestRender();
+            if (element.kind === 'label') renderLabels();
+        }
+
+        function removeElement(elementId) {
+            elements = elements.filter(function(element) { return element.id !== elementId; });
+            render();
+            renderLabels();
+        }
+
+        async function send(event, data) {
+            try {
+                const response = await socket.timeout(10000).emitWithAck(event, Object.assign({ classroomId: classroomId }, data));
+                if (!response.ok) {
+                    alert(response.message || 'Action refusée.');
+                }
+                return response.ok;
+            } catch (error) {
+                alert('Le serveur ne répond pas, réessayez.');
+                return false;
+            }
+        }
+
+        // Affiché tout de suite, retiré si le serveur le refuse
+        async function publish(element) {
+            element.authorId = options.currentUserId;
+            addElement(element);
+            if (!await send('whiteboard:add', { element: element })) {
+                removeElement(element.id);
+            }
+        }
+
+        function pointFromEvent(event) {
+            const rect = canvas.getBoundingClientRect();
+            return [
+                Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1),
+                Math.min(Math.max((event.clientY - rect.top) / rect.height, 0), 1)
+            ];
+        }
+
+        canvas.addEventListener('pointerdown', function(event) {
+            if (!canDraw()) return;
+            const point = pointFromEvent(event);
+            const base = { id: newId(), kind: tool, color: colorSelect.value, width: Number(widthSelect.value) };
+
+            if (tool === 'label') {
+                const latex = prompt('Étiquette (LaTeX, ex : f(x)=x^2 ou A) :', '');
+                if (latex && latex.trim()) {
+                    publish(Object.assign(base, { points: point, latex: latex.trim() }));
+                }
+                return;
+            }
+            current = Object.assign(base, { points: tool === 'stroke' ? point : point.concat(point) });
+            canvas.setPointerCapture(event.pointerId);
+            event.preventDefault();
+        });
+
+        canvas.addEventListener('pointermove', function(event) {
+            if (!current) return;
+            const point = pointFromEvent(event);
+            if (current.kind === 'stroke') {
+                const length = current.points.length;
+                const dx = point[0] - current.points[length - 2];
+                const dy = point[1] - current.points[length - 1];
+                if (Math.hypot(dx, dy) < MIN_POINT_DISTANCE || length >= MAX_POINTS) return;
+                current.points.push(point[0], point[1]);
+            } else {
+                current.points[2] = point[0];
+                current.points[3] = point[1];
+            }
+            requestRender();
+        });
+
+        function finishElement() {
+            if (!current) return;
+            const element = current;
+            current = null;
+            const p = element.points;
+            const empty = element.kind !== 'stroke' && Math.abs(p[2] - p[0]) < MIN_POINT_DISTANCE && Math.abs(p[3] - p[1]) < MIN_POINT_DISTANCE;
+            if (empty) {
+                requestRender();
+                return;
+            }
+            element.points = p.map(function(value) { return Math.round(value * 10000) / 10000; });
+            publish(element);
+        }
+
+        canvas.addEventListener('pointerup', finishElement);
+        canvas.addEventListener('pointercancel', finishElement);
+
+        toolButtons.forEach(function(button) {
+            button.addEventListener('click', function() {
+                tool = button.dataset.tool;
+                toolButtons.forEach(function(other) {
+                    other.classList.toggle('active', other === button);
+                });
+            });
+        });
+
+        // Retire le dernier élément dessiné par l'utilisateur
+        undoButton.addEventListener('click', function() {
+            const own = elements.filter(function(element) { return element.authorId === options.currentUserId; });
+            if (own.length === 0 || !canDraw()) return;
+            send('whiteboard:remove', { elementId: own[own.length - 1].id });
+        });
+
+        if (studentsCheckbox) {
+            studentsCheckbox.addEventListener('change', function() {
+                send('whiteboard:settings', { studentsCanDraw: studentsCheckbox.checked }).then(function(ok) {
+                    if (!ok) studentsCheckbox.checked = settings.studentsCanDraw;
+                });
+            });
+        }
+
+        if (lockButton) {
+            lockButton.addEventListener('click', function() {
+                send('whiteboard:settings', { locked: !settings.locked });
+            });
+        }
+
+        if (clearButton) {
+            clearButton.addEventListener('click', function() {
+                if (confirm('Effacer tout le tableau pour toute la classe ?')) {
+                    send('whiteboard:clear', {});
+                }
+            });
+        }
+
+        // Image PNG du tableau (fond blanc, étiquettes en texte) enregistrée dans la bibliothèque de la classe
+        if (snapshotButton) {
+            snapshotButton.addEventListener('click', function() {
+                const image = document.createElement('canvas');
+                image.width = canvas.width;
+                image.height = canvas.height;
+                const imageContext = image.getContext('2d');
+                imageContext.fillStyle = '#ffffff';
+                imageContext.fillRect(0, 0, image.width, image.height);
+                elements.forEach(function(element) {
+                    drawElement(imageContext, element, true);
+                });
+
+                snapshotButton.disabled = true;
+                image.toBlob(async function(blob) {
+                    const formData = new FormData();
+                    formData.append('snapshot', blob, 'tableau-blanc.png');
+                    try {
+                        const response = await fetch('/classes/' + classroomId + '/whiteboard/snapshot', {
+                            method: 'POST',
+                            headers: { 'Accept': 'application/json' },
+                            body: formData
+                        });
+                        const result = await response.json();
+                        alert(result.ok
+                            ? 'Image « ' + result.fileName + ' » enregistrée dans la bibliothèque de fichiers.'
+                            : (result.message || 'L\'image n\'a pas pu être enregistrée.'));
+                    } catch (error) {
+                        console.error('Error saving whiteboard snapshot:', error);
+                        alert('Erreur réseau : l\'image n\'a pas pu être enregistrée.');
+                    } finally {
+                        snapshotButton.disabled = false;
+                    }
+                }, 'image/png');
+            });
+        }
+
+        // État complet à l'ouverture et après chaque reconnexion (des éléments ont pu être ajoutés entre-temps)
+        async function join() {
+            try {
+                const response = await socket.timeout(10000).emitWithAck('whiteboard:join', { classroomId: classroomId });
+                if (response.ok) {
+                    setState(response.state);
+                }
+            } catch (error) {
+                console.warn('Whiteboard state not received:', error);
+            }
+        }
+
+        socket.on('connect', join);
+        socket.on('disconnect', function() {
+            current = null;
+            renderStatus();
+        });
+
+        socket.on('whiteboard:element', function(data) {
+            if (data.classroomId === classroomId) addElement(data.element);
+        });
+
+        socket.on('whiteboard:removed', function(data) {
+            if (data.classroomId === classroomId) removeElement(data.elementId);
+        });
+
+        socket.on('whiteboard:cleared', function(data) {
+            if (data.classroomId !== classroomId) return;
+            elements = [];
+            render();
+            renderLabels();
+        });
+
+        socket.on('whiteboard:settings', function(data) {
+            if (data.classroomId !== classroomId) return;
+            settings = { locked: data.locked, studentsCanDraw: data.studentsCanDraw };
+            if (!canDraw()) current = null;
+            render();
+            renderStatus();
+        });
+
+        window.addEventListener('resize', renderLabels);
+        renderStatus();
+        if (socket.connected) {
+            join();
+        }
+    }
+
+    window.whiteboard = { attach: attach };
+})();
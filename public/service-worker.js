@@ -1,57 +1,182 @@
-const CACHE_NAME = 'math-learning-cache-v1';
-const urlsToCache = [
+// public/service-worker.js
+// Stratégie de cache hors ligne. Incrémenter CACHE_VERSION à chaque modification des ressources
+// pré-chargées ou de ce fichier : les caches des versions précédentes sont supprimés à l'activation.
+const CACHE_VERSION = 'v11';
+const CACHE_PREFIX = 'math-learning-';
+const STATIC_CACHE = `${CACHE_PREFIX}static-${CACHE_VERSION}`; // CSS, JS, icônes, bibliothèques CDN
+const PAGES_CACHE = `${CACHE_PREFIX}pages-${CACHE_VERSION}`;   // Pages HTML déjà consultées (classes, tableaux de bord)
+const FILES_CACHE = `${CACHE_PREFIX}files-${CACHE_VERSION}`;   // Fichiers de cours ouverts par l'utilisateur
+
+const OFFLINE_URL = '/offline.html';
+const MAX_CACHED_PAGES = 30;
+const MAX_CACHED_FILES = 60;
+// Au-delà de ce délai, une page déjà en cache est affichée sans attendre un réseau trop lent
+const NETWORK_TIMEOUT_MS = 4000;
+
+const PRECACHE_URLS = [
   '/',
   '/login',
   '/register',
+  OFFLINE_URL,
   '/css/style.css',
+  '/js/offline-status.js',
+  '/js/chat-outbox.js',
+  '/js/notifications.js',
+  '/js/whiteboard.js',
+  '/js/function-plot.js',
+  '/js/latex-text.js',
+  '/js/pdf-annotator.js',
+  '/js/class-analytics.js',
+  '/js/live-quiz.js',
+  '/manifest.json',
   '/images/icons/icon-192x192.png',
   '/images/icons/icon-512x512.png'
-  // Ajoutez ici toutes les autres ressources statiques que vous voulez mettre en cache
 ];
 
+// Hôtes des bibliothèques (KaTeX, MathQuill, RequireJS, Font Awesome...)
+const CDN_HOSTS = ['cdnjs.cloudflare.com', 'cdn.jsdelivr.net'];
+// Pièces jointes du chat et des devoirs (routes avec contrôle d'accès) : une pièce jointe ne change jamais d'URL
+const ATTACHMENT_PATH = /^\/classes\/[^/]+\/(messages\/[^/]+\/attachment|assignments\/[^/]+(\/submissions\/[^/]+)?\/attachments\/[^/]+)$/;
+// Hôtes des pilotes de stockage distants (Cloudinary, Google Cloud Storage)
+const FILE_HOSTS = ['res.cloudinary.com', 'storage.googleapis.com'];
+
 self.addEventListener('install', event => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => {
-        console.log('Cache ouvert');
-        return cache.addAll(urlsToCache);
-      })
-  );
-});
-
-self.addEventListener('fetch', event => {
-  // *** NOUVELLE LIGNE AJOUTÉE ICI ***
-  // Ignorer les requêtes Socket.IO pour éviter les interférences
-  if (event.request.url.includes('/socket.io/')) {
-    return fetch(event.request); // Laisse le réseau gérer la requête Socket.IO directement
-  }
-  // *** FIN DE LA NOUVELLE LIGNE ***
-
-  event.respondWith(
-    caches.match(event.request)
-      .then(response => {
-        // Cache hit - return response
-        if (response) {
-          return response;
-        }
-        // If not in cache, fetch from network
-        return fetch(event.request);
-      })
+    caches.open(STATIC_CACHE)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
   );
 });
 
 self.addEventListener('activate', event => {
-  const cacheWhitelist = [CACHE_NAME];
+  const currentCaches = [STATIC_CACHE, PAGES_CACHE, FILES_CACHE];
   event.waitUntil(
-    caches.keys().then(cacheNames => {
-      return Promise.all(
-        cacheNames.map(cacheName => {
-          if (cacheWhitelist.indexOf(cacheName) === -1) {
-            // Supprimer les vieux caches
-            return caches.delete(cacheName);
-          }
-        })
-      );
-    })
+    caches.keys()
+      .then(cacheNames => Promise.all(
+        cacheNames
+          .filter(cacheName => !currentCaches.includes(cacheName))
+          .map(cacheName => caches.delete(cacheName)) // Supprimer les vieux caches (dont math-learning-cache-v1)
+      ))
+      .then(() => self.clients.claim())
   );
 });
+
+// Supprime les entrées les plus anciennes d'un cache au-delà de maxEntries
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  for (let i = 0; i < keys.length - maxEntries; i++) {
+    await cache.delete(keys[i]);
+  }
+}
+
+async function putInCache(cacheName, request, response, maxEntries) {
+  const cache = await caches.open(cacheName);
+  await cache.put(request, response);
+  if (maxEntries) {
+    await trimCache(cacheName, maxEntries);
+  }
+}
+
+// Pages : réseau d'abord (contenu à jour), puis la dernière version en cache, puis la page hors ligne
+async function networkFirstPage(event) {
+  const request = event.request;
+  const networkResponse = fetch(request).then(response => {
+    // Les redirections (ex. vers /login quand la session a expiré), les erreurs et les téléchargements
+    // (exports CSV/XLSX) ne sont pas conservés
+    const isHtml = (response.headers.get('Content-Type') || '').includes('text/html');
+    if (response.ok && !response.redirected && isHtml) {
+      event.waitUntil(putInCache(PAGES_CACHE, request, response.clone(), MAX_CACHED_PAGES));
+    }
+    return response;
+  });
+
+  const cached = await caches.match(request);
+  if (!cached) {
+    try {
+      return await networkResponse;
+    } catch (error) {
+      return (await caches.match(OFFLINE_URL)) || Response.error();
+    }
+  }
+
+  // Sur une connexion mobile instable, ne pas attendre indéfiniment une page que l'on a déjà
+  const timeout = new Promise(resolve => setTimeout(() => resolve(cached), NETWORK_TIMEOUT_MS));
+  return Promise.race([networkResponse.catch(() => cached), timeout]);
+}
+
+// Fichiers de cours : le cache d'abord (un fichier remplacé reçoit une nouvelle URL, l'ancienne reste valable)
+async function cacheFirstFile(event) {
+  const cached = await caches.match(event.request);
+  if (cached) {
+    return cached;
+  }
+  const response = await fetch(event.request);
+  // Réponses opaques acceptées pour les fichiers hébergés sur un autre domaine
+  if (response.ok || response.type === 'opaque') {
+    event.waitUntil(putInCache(FILES_CACHE, event.request, response.clone(), MAX_CACHED_FILES));
+  }
+  return response;
+}
+
+// Ressources statiques : réponse immédiate depuis le cache, mise à jour en arrière-plan
+async function staleWhileRevalidate(event) {
+  const cached = await caches.match(event.request);
+  const networkResponse = fetch(event.request).then(response => {
+    if (response.ok || response.type === 'opaque') {
+      event.waitUntil(putInCache(STATIC_CACHE, event.request, response.clone()));
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(networkResponse.catch(() => {}));
+    return cached;
+  }
+  return networkResponse;
+}
+
+// File d'attente du chat hors ligne (public/js/chat-outbox.js). La suppression attend la fermeture
+// de la page encore ouverte sur la base : on n'attend donc que sa prise en compte.
+function clearChatOutbox() {
+  return new Promise(resolve => {
+    const request = indexedDB.deleteDatabase('math-learning');
+    request.onsuccess = request.onerror = request.onblocked = () => resolve();
+  });
+}
+
+// À la déconnexion, les pages, fichiers et messages en attente de l'utilisateur ne doivent pas rester sur l'appareil
+async function logout(event) {
+  await Promise.all([caches.delete(PAGES_CACHE), caches.delete(FILES_CACHE), clearChatOutbox()]);
+  return fetch(event.request);
+}
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  const url = new URL(request.url);
+
+  // Socket.IO, formulaires et API : toujours le réseau (le chat hors ligne passe par la file d'attente du client)
+  if (request.method !== 'GET' || url.pathname.startsWith('/socket.io/') || url.pathname.startsWith('/api/')) {
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname === '/logout') {
+      event.respondWith(logout(event));
+    } else if (ATTACHMENT_PATH.test(url.pathname)) {
+      event.respondWith(cacheFirstFile(event));
+    } else if (request.mode === 'navigate') {
+      event.respondWith(networkFirstPage(event));
+    } else if (/^\/(css|js|images)\//.test(url.pathname) || url.pathname === '/manifest.json') {
+      event.respondWith(staleWhileRevalidate(event));
+    }
+    // Autres requêtes (historique du chat en JSON, exports...) : réseau uniquement
+    return;
+  }
+
+  if (FILE_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirstFile(event));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
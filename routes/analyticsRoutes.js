@@ -0,0 +1,76 @@
+// routes/analyticsRoutes.js
+// Statistiques d'engagement d'une classe (professeur) : messages, fichiers, téléchargements, visites,
+// rendus de devoirs et élèves inactifs sur une période (?from=&to=), avec export CSV.
+// Monté sur /classes (les routes commencent par /:id, comme le carnet de notes).
+const express = require('express');
+const router = express.Router();
+
+const isAuthenticated = require('../middleware/isAuthenticated');
+const requireClassAccess = require('../middleware/requireClassAccess');
+const redirectWith = require('../utils/redirectWith');
+const {
+    DEFAULT_RANGE_DAYS,
+    INACTIVE_AFTER_DAYS,
+    AnalyticsError,
+    readRange,
+    lastDaysRange,
+    classAnalytics,
+    analyticsCsv
+} = require('../utils/classAnalytics');
+
+const analyticsUrl = (classroomId) => `/classes/${classroomId}/analytics`;
+
+// Raccourcis de période proposés au-dessus du formulaire
+const RANGE_SHORTCUTS = [
+    { days: 7, label: '7 derniers jours' },
+    { days: DEFAULT_RANGE_DAYS, label: `${DEFAULT_RANGE_DAYS} derniers jours` },
+    { days: 90, label: '3 derniers mois' },
+    { days: 365, label: '12 derniers mois' }
+];
+
+router.get('/:id/analytics', isAuthenticated, requireClassAccess('analytics.view'), async (req, res) => {
+    const classroom = req.classroom;
+    try {
+        const range = readRange(req.query);
+        await classroom.populate('students', 'username');
+        const analytics = await classAnalytics(classroom, range);
+
+        res.render('class_analytics', {
+            classroom,
+            analytics,
+            shortcuts: RANGE_SHORTCUTS.map(shortcut => ({ ...shortcut, range: lastDaysRange(shortcut.days) })),
+            inactiveAfterDays: INACTIVE_AFTER_DAYS,
+            message: req.query.message,
+            error: req.query.error
+        });
+    } catch (error) {
+        if (error instanceof AnalyticsError) {
+            return redirectWith(res, analyticsUrl(classroom._id), 'error', error.message);
+        }
+        console.error('Error loading class analytics:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors du calcul des statistiques de la classe.' });
+    }
+});
+
+// Same period as the page, one row per student
+router.get('/:id/analytics/export', isAuthenticated, requireClassAccess('analytics.view'), async (req, res) => {
+    const classroom = req.classroom;
+    try {
+        const range = readRange(req.query);
+        await classroom.populate('students', 'username');
+        const analytics = await classAnalytics(classroom, range);
+        const baseName = `statistiques-${classroom.name}-${range.fromValue}_${range.toValue}`.replace(/[^\w\-]+/g, '_');
+
+        res.attachment(`${baseName}.csv`);
+        res.type('text/csv; charset=utf-8');
+        res.send(analyticsCsv(analytics));
+    } catch (error) {
+        if (error instanceof AnalyticsError) {
+            return redirectWith(res, analyticsUrl(classroom._id), 'error', error.message);
+        }
+        console.error('Error exporting class analytics:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors de l\'export des statistiques.' });
+    }
+});
+
+module.exports = router;
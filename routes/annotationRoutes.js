@@ -0,0 +1,196 @@
+// routes/annotationRoutes.js
+// Annotation des PDF de la classe (bibliothèque et pièces jointes du chat), voir utils/pdfAnnotations.js.
+// La page affiche le PDF avec pdf.js ; le PDF est relu ici depuis le stockage pour être servi par le site
+// lui-même (les fichiers Cloudinary ou GCS ne sont pas lisibles par pdf.js depuis un autre domaine).
+// La copie annotée est produite par le navigateur (pdf-lib) puis enregistrée dans la catégorie Correction.
+// Monté sur /classes.
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const PdfAnnotation = require('../models/PdfAnnotation');
+
+const isAuthenticated = require('../middleware/isAuthenticated');
+const requireClassAccess = require('../middleware/requireClassAccess');
+const upload = require('../middleware/upload');
+const storage = require('../utils/storage');
+const { notifyNewFile } = require('../utils/notifications');
+const searchIndex = require('../utils/searchIndex');
+const { listFolders } = require('../utils/fileLibrary');
+const { can } = require('../utils/accessPolicy');
+const {
+    AnnotationError,
+    findPdfSource,
+    canEditAnnotations,
+    canViewAnnotations,
+    addElement,
+    removeElement,
+    correctionFileName
+} = require('../utils/pdfAnnotations');
+
+const CORRECTION_CATEGORY = 'correction';
+
+// Pages : page d'erreur ; appels fetch() de l'annotateur : réponse JSON
+function fail(req, res, status, message) {
+    if (req.method === 'GET') {
+        return res.status(status).render('error', { message });
+    }
+    res.status(status).json({ ok: false, message });
+}
+
+// Charge le document de la route dans req.pdfSource et vérifie que l'utilisateur peut voir ses annotations
+async function loadPdfSource(req, res, next) {
+    try {
+        const source = await findPdfSource(req.classroom, req.params.sourceKind, req.params.sourceId);
+        if (!source) {
+            return fail(req, res, 404, 'Document PDF introuvable dans cette classe.');
+        }
+        if (!canViewAnnotations(req.session.user, req.classroom, source)) {
+            return fail(req, res, 403, 'Seuls le professeur et l\'auteur du document voient ses annotations.');
+        }
+        req.pdfSource = source;
+        next();
+    } catch (error) {
+        console.error('Error loading an annotated document:', error);
+        fail(req, res, 500, 'Erreur serveur lors du chargement du document.');
+    }
+}
+
+// Les erreurs Multer reviennent en JSON à l'annotateur
+function uploadAnnotatedPdf(req, res, next) {
+    upload.single('annotatedPdf')(req, res, (error) => {
+        if (!error) return next();
+        const message = error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE'
+            ? 'La copie annotée est trop volumineuse (max 10MB).'
+            : error.message;
+        res.status(400).json({ ok: false, message });
+    });
+}
+
+function backUrl(classroomId, source) {
+    return source.kind === 'file' ? `/classes/${classroomId}#files` : `/classes/${classroomId}#chat`;
+}
+
+const BASE_PATH = '/:id/annotations/:sourceKind/:sourceId';
+
+// Annotateur (professeur) ou copie annotée (élève)
+router.get(BASE_PATH, isAuthenticated, requireClassAccess('annotation.view'), loadPdfSource, async (req, res) => {
+    const classroom = req.classroom;
+    const source = req.pdfSource;
+    try {
+        const layer = await PdfAnnotation.findForSource(classroom._id, source);
+        const baseUrl = `/classes/${classroom._id}/annotations/${source.kind}/${source.id}`;
+        res.render('pdf_annotation', {
+            classroom,
+            source,
+            elements: layer ? layer.elements.map(PdfAnnotation.elementPayload) : [],
+            lastExport: layer && layer.lastExport && layer.lastExport.exportedAt ? layer.lastExport : null,
+            canEdit: canEditAnnotations(req.session.user, classroom),
+            baseUrl,
+            backUrl: backUrl(classroom._id, source)
+        });
+    } catch (error) {
+        console.error('Error loading PDF annotations:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors du chargement des annotations.' });
+    }
+});
+
+// Le PDF lui-même, lu par pdf.js
+router.get(`${BASE_PATH}/document`, isAuthenticated, requireClassAccess('annotation.view'), loadPdfSource, async (req, res) => {
+    try {
+        const contents = await storage.readFile(req.pdfSource.descriptor);
+        res.set('Cache-Control', 'private, no-cache');
+        res.type('application/pdf').send(contents);
+    } catch (error) {
+        console.error('Error reading an annotated PDF from storage:', error);
+        res.status(502).render('error', { message: 'Le document n\'a pas pu être lu depuis le stockage.' });
+    }
+});
+
+// Une annotation ajoutée par le professeur
+router.post(`${BASE_PATH}/elements`, isAuthenticated, requireClassAccess('annotation.edit'), loadPdfSource, async (req, res) => {
+    try {
+        const element = await addElement({
+            classroom: req.classroom,
+            user: req.session.user,
+            source: req.pdfSource,
+            element: req.body.element
+        });
+        res.status(201).json({ ok: true, element });
+    } catch (error) {
+        if (error instanceof AnnotationError) {
+            return res.status(400).json({ ok: false, message: error.message });
+        }
+        console.error('Error saving a PDF annotation:', error);
+        res.status(500).json({ ok: false, message: 'Erreur serveur lors de l\'enregistrement de l\'annotation.' });
+    }
+});
+
+router.post(`${BASE_PATH}/elements/:elementId/delete`, isAuthenticated, requireClassAccess('annotation.edit'), loadPdfSource, async (req, res) => {
+    try {
+        await removeElement({
+            classroom: req.classroom,
+            user: req.session.user,
+            source: req.pdfSource,
+            elementId: req.params.elementId
+        });
+        res.json({ ok: true });
+    } catch (error) {
+        console.error('Error deleting a PDF annotation:', error);
+        res.status(500).json({ ok: false, message: 'Erreur serveur lors de la suppression de l\'annotation.' });
+    }
+});
+
+// Copie annotée (annotations fusionnées dans les pages) enregistrée dans la bibliothèque, catégorie Correction,
+// dans le dossier du document d'origine. La copie du document d'un élève lui reste privée (file.visibleTo).
+router.post(`${BASE_PATH}/export`, isAuthenticated, requireClassAccess('annotation.edit'), loadPdfSource, uploadAnnotatedPdf, async (req, res) => {
+    const classroom = req.classroom;
+    const source = req.pdfSource;
+    try {
+        if (!req.file || req.file.mimetype !== 'application/pdf') {
+            return res.status(400).json({ ok: false, message: 'Copie annotée manquante.' });
+        }
+
+        const fileName = correctionFileName(source.fileName);
+        const folder = listFolders(classroom).includes(source.folder) ? source.folder : '';
+        const visibleTo = can({ _id: source.ownerId }, 'files.manage', classroom) ? null : source.ownerId;
+        const stored = await storage.saveUploadedFile({ ...req.file, originalname: fileName }, `class_files/${classroom._id}`);
+
+        classroom.files.push({
+            fileName,
+            filePath: stored.url,
+            fileSize: req.file.size,
+            fileMimeType: 'application/pdf',
+            uploadDate: new Date(),
+            uploader: req.session.user._id,
+            category: CORRECTION_CATEGORY,
+            folder,
+            visibleTo,
+            storageDriver: stored.driver,
+            publicId: stored.key
+        });
+        const exported = classroom.files[classroom.files.length - 1];
+        await classroom.save();
+        searchIndex.indexFile(classroom, exported, req.file.buffer).catch(error => console.error('Error indexing an annotated copy:', error));
+
+        const layer = await PdfAnnotation.forSource(classroom._id, source);
+        layer.lastExport = { fileId: exported._id, fileName, exportedAt: new Date() };
+        await layer.save();
+        console.log(`Annotated copy '${fileName}' exported in class ${classroom.name}.`);
+
+        notifyNewFile({
+            io: req.app.get('io'),
+            classroom,
+            user: req.session.user,
+            fileName,
+            link: folder ? `/classes/${classroom._id}?folder=${encodeURIComponent(folder)}#files` : `/classes/${classroom._id}#files`,
+            visibleTo
+        }).catch(error => console.error('Error creating file notifications:', error));
+
+        res.status(201).json({ ok: true, fileName });
+    } catch (error) {
+        console.error('Error exporting an annotated PDF:', error);
+        res.status(500).json({ ok: false, message: 'Erreur serveur lors de l\'enregistrement de la copie annotée.' });
+    }
+});
+
+module.exports = router;
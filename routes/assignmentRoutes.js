@@ -0,0 +1,245 @@
+// routes/assignmentRoutes.js
+// Devoirs d'une classe : création par le professeur, remise par les élèves, correction et notation.
+// Monté sur /classes (les routes commencent par /:id pour réutiliser isClassMember).
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const { attachmentFromStored } = require('../models/attachmentSchema');
+
+const isAuthenticated = require('../middleware/isAuthenticated');
+const isClassMember = require('../middleware/isClassMember');
+const requireClassAccess = require('../middleware/requireClassAccess');
+const { can } = require('../utils/accessPolicy');
+const redirectWith = require('../utils/redirectWith');
+const sendStoredFile = require('../utils/sendStoredFile');
+const upload = require('../middleware/upload');
+const storage = require('../utils/storage');
+
+const MAX_FILES_PER_UPLOAD = 5;
+
+// Charge le devoir demandé en vérifiant qu'il appartient bien à la classe (null si l'identifiant est invalide)
+async function findAssignment(req) {
+    if (!mongoose.isValidObjectId(req.params.assignmentId)) return null;
+    return Assignment.findOne({ _id: req.params.assignmentId, classroom: req.params.id });
+}
+
+// Charge la copie demandée en vérifiant qu'elle répond bien à ce devoir (null si l'identifiant est invalide)
+async function findSubmission(req, assignment) {
+    if (!mongoose.isValidObjectId(req.params.submissionId)) return null;
+    return Submission.findOne({ _id: req.params.submissionId, assignment: assignment._id });
+}
+
+function attachmentDescriptor(file) {
+    return { driver: file.storageDriver, key: file.publicId, url: file.filePath, mimeType: file.fileMimeType };
+}
+
+async function sendAttachment(res, file) {
+    try {
+        await sendStoredFile(res, attachmentDescriptor(file), { fileName: file.fileName });
+    } catch (error) {
+        console.error(`Erreur de lecture du fichier joint '${file.fileName}' :`, error);
+        res.status(502).render('error', { message: 'Le fichier n\'a pas pu être lu depuis le stockage.' });
+    }
+}
+
+// Create an assignment (teacher only)
+router.post('/:id/assignments', isAuthenticated, requireClassAccess('assignment.manage'), upload.array('attachments', MAX_FILES_PER_UPLOAD), async (req, res) => {
+    const classUrl = `/classes/${req.params.id}`;
+    try {
+        const { title, instructions, openDate, dueDate, maxGrade } = req.body;
+
+        if (!title || !dueDate) {
+            return redirectWith(res, classUrl, 'error', 'Le titre et la date limite du devoir sont obligatoires.');
+        }
+
+        const assignment = new Assignment({
+            classroom: req.classroom._id,
+            createdBy: req.session.user._id,
+            title,
+            instructions,
+            openDate: openDate ? new Date(openDate) : new Date(),
+            dueDate: new Date(dueDate),
+            maxGrade: maxGrade ? Number(maxGrade) : undefined
+        });
+
+        for (const file of req.files || []) {
+            const stored = await storage.saveUploadedFile(file, `assignments/${assignment._id}`);
+            assignment.attachments.push(attachmentFromStored(stored));
+        }
+
+        await assignment.save();
+        console.log(`Devoir '${assignment.title}' créé dans la classe ${req.params.id}.`);
+        redirectWith(res, classUrl, 'message', 'Devoir créé avec succès !');
+    } catch (error) {
+        console.error('Erreur lors de la création du devoir :', error);
+        let errorMessage = 'Erreur serveur lors de la création du devoir.';
+        if (error.name === 'ValidationError') {
+            errorMessage = `Erreur de validation: ${Object.values(error.errors).map(e => e.message).join(' ')}`;
+        }
+        redirectWith(res, classUrl, 'error', errorMessage);
+    }
+});
+
+// Assignment details: submission form for students, submission list for the teacher
+router.get('/:id/assignments/:assignmentId', isAuthenticated, isClassMember, async (req, res) => {
+    try {
+        const classroom = await req.classroom.populate('students', 'username');
+        const assignment = await findAssignment(req);
+        const isTeacher = can(req.session.user, 'assignment.manage', classroom);
+
+        if (!assignment || (!isTeacher && !assignment.isOpen())) {
+            return res.status(404).render('error', { message: 'Devoir introuvable.' });
+        }
+
+        let rows = [];
+        let mySubmission = null;
+
+        if (isTeacher) {
+            const submissions = await Submission.find({ assignment: assignment._id });
+            const byStudent = new Map(submissions.map(s => [s.student.toString(), s]));
+            // One row per enrolled student, so that missing work shows up too
+            rows = classroom.students.map(student => {
+                const submission = byStudent.get(student._id.toString()) || null;
+                return { student, submission, status: assignment.statusFor(submission) };
+            });
+        } else {
+            mySubmission = await Submission.findOne({ assignment: assignment._id, student: req.session.user._id });
+        }
+
+        res.render('assignment_details', {
+            classroom,
+            assignment,
+            isTeacher,
+            rows,
+            mySubmission,
+            myStatus: isTeacher ? null : assignment.statusFor(mySubmission),
+            statusLabels: Assignment.STATUS_LABELS,
+            user: req.session.user,
+            message: req.query.message,
+            error: req.query.error
+        });
+    } catch (error) {
+        console.error('Erreur lors de l\'affichage du devoir :', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors de l\'affichage du devoir.' });
+    }
+});
+
+// Hand in (or hand in again) a submission: files and/or a text answer (students only)
+router.post('/:id/assignments/:assignmentId/submissions', isAuthenticated, requireClassAccess('assignment.submit'), upload.array('files', MAX_FILES_PER_UPLOAD), async (req, res) => {
+    const assignmentUrl = `/classes/${req.params.id}/assignments/${req.params.assignmentId}`;
+    try {
+        const assignment = await findAssignment(req);
+        if (!assignment || !assignment.isOpen()) {
+            return res.status(404).render('error', { message: 'Devoir introuvable.' });
+        }
+
+        const textAnswer = (req.body.textAnswer || '').trim();
+        const files = req.files || [];
+        if (!textAnswer && files.length === 0) {
+            return redirectWith(res, assignmentUrl, 'error', 'Ajoutez au moins un fichier ou une réponse écrite.');
+        }
+
+        let submission = await Submission.findOne({ assignment: assignment._id, student: req.session.user._id });
+        if (submission && submission.grade !== null) {
+            return redirectWith(res, assignmentUrl, 'error', 'Ce devoir a déjà été noté : il ne peut plus être modifié.');
+        }
+        if (!submission) {
+            submission = new Submission({ assignment: assignment._id, student: req.session.user._id });
+        }
+
+        const attachments = [];
+        for (const file of files) {
+            const stored = await storage.saveUploadedFile(file, `submissions/${assignment._id}/${req.session.user._id}`);
+            attachments.push(attachmentFromStored(stored));
+        }
+
+        // A new hand-in replaces the previous answer; files are replaced only if new ones were sent
+        submission.textAnswer = textAnswer;
+        if (attachments.length > 0) {
+            submission.files = attachments;
+        }
+        submission.submittedAt = new Date();
+        await submission.save();
+
+        const late = submission.submittedAt > assignment.dueDate;
+        console.log(`Copie rendue par ${req.session.user.username} pour le devoir ${assignment._id}${late ? ' (en retard)' : ''}.`);
+        redirectWith(res, assignmentUrl, 'message', late ? 'Devoir rendu (en retard).' : 'Devoir rendu avec succès !');
+    } catch (error) {
+        console.error('Erreur lors de la remise du devoir :', error);
+        redirectWith(res, assignmentUrl, 'error', 'Erreur serveur lors de la remise du devoir.');
+    }
+});
+
+// File attached to an assignment (members; students only once the assignment is open)
+router.get('/:id/assignments/:assignmentId/attachments/:fileId', isAuthenticated, requireClassAccess('class.view'), async (req, res) => {
+    try {
+        const assignment = await findAssignment(req);
+        const isTeacher = can(req.session.user, 'assignment.manage', req.classroom);
+        const file = assignment && (isTeacher || assignment.isOpen()) ? assignment.attachments.id(req.params.fileId) : null;
+        if (!file) {
+            return res.status(404).render('error', { message: 'Fichier introuvable.' });
+        }
+        await sendAttachment(res, file);
+    } catch (error) {
+        console.error('Erreur lors du téléchargement d\'un fichier du devoir :', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors du téléchargement du fichier.' });
+    }
+});
+
+// File of a submission: the teacher, or the student who handed it in
+router.get('/:id/assignments/:assignmentId/submissions/:submissionId/attachments/:fileId', isAuthenticated, requireClassAccess('class.view'), async (req, res) => {
+    try {
+        const assignment = await findAssignment(req);
+        const submission = assignment ? await findSubmission(req, assignment) : null;
+        const allowed = submission && (can(req.session.user, 'assignment.manage', req.classroom)
+            || String(submission.student) === String(req.session.user._id));
+        const file = allowed ? submission.files.id(req.params.fileId) : null;
+        if (!file) {
+            return res.status(404).render('error', { message: 'Fichier introuvable.' });
+        }
+        await sendAttachment(res, file);
+    } catch (error) {
+        console.error('Erreur lors du téléchargement d\'un fichier de copie :', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors du téléchargement du fichier.' });
+    }
+});
+
+// Grade a submission and leave written feedback (teacher only)
+router.post('/:id/assignments/:assignmentId/submissions/:submissionId/grade', isAuthenticated, requireClassAccess('assignment.manage'), async (req, res) => {
+    const assignmentUrl = `/classes/${req.params.id}/assignments/${req.params.assignmentId}`;
+    try {
+        const assignment = await findAssignment(req);
+        if (!assignment) {
+            return res.status(404).render('error', { message: 'Devoir introuvable.' });
+        }
+
+        const submission = await findSubmission(req, assignment);
+        if (!submission) {
+            return res.status(404).render('error', { message: 'Copie introuvable.' });
+        }
+
+        const { grade, feedback } = req.body;
+        if (grade === undefined || grade === '') {
+            submission.grade = null;
+        } else {
+            const value = Number(String(grade).replace(',', '.'));
+            if (Number.isNaN(value) || value < 0 || value > assignment.maxGrade) {
+                return redirectWith(res, assignmentUrl, 'error', `La note doit être comprise entre 0 et ${assignment.maxGrade}.`);
+            }
+            submission.grade = value;
+        }
+        submission.feedback = feedback || '';
+        submission.gradedAt = new Date();
+        submission.gradedBy = req.session.user._id;
+        await submission.save();
+
+        redirectWith(res, assignmentUrl, 'message', 'Correction enregistrée.');
+    } catch (error) {
+        console.error('Erreur lors de la notation :', error);
+        redirectWith(res, assignmentUrl, 'error', 'Erreur serveur lors de l\'enregistrement de la note.');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,393 @@
+// routes/bankRoutes.js
+// Banque d'exercices d'un professeur, partagée entre toutes ses classes : exercices étiquetés (niveau,
+// chapitre, difficulté) avec paramètres aléatoires, aperçu de variantes, feuilles composées à partir
+// de la banque et publiées dans ses classes (la page élève est dans routes/sheetRoutes.js).
+// Monté sur /bank.
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const BankExercise = require('../models/BankExercise');
+const ExerciseSheet = require('../models/ExerciseSheet');
+const Classroom = require('../models/Classroom');
+
+const isAuthenticated = require('../middleware/isAuthenticated');
+const { can, authorize, AccessDeniedError } = require('../utils/accessPolicy');
+const redirectWith = require('../utils/redirectWith');
+const { ExerciseBankError, checkExercise, seedFor } = require('../utils/exerciseBank');
+const { notifySheetPublished } = require('../utils/notifications');
+
+const PREVIEW_VARIANTS = 3;
+
+// Réservé aux comptes professeur
+function requireBankAccess(req, res, next) {
+    if (!can(req.session.user, 'bank.manage')) {
+        return res.status(403).render('error', { message: 'La banque d\'exercices est réservée aux professeurs.' });
+    }
+    next();
+}
+
+router.use(isAuthenticated, requireBankAccess);
+
+function findOwn(Model, id, ownerId) {
+    return mongoose.isValidObjectId(id) ? Model.findOne({ _id: id, owner: ownerId }) : Promise.resolve(null);
+}
+
+function readExerciseForm(body) {
+    return {
+        title: (body.title || '').trim(),
+        level: (body.level || '').trim(),
+        chapter: (body.chapter || '').trim(),
+        difficulty: [1, 2, 3].includes(Number(body.difficulty)) ? Number(body.difficulty) : 2,
+        statement: (body.statement || '').trim(),
+        solution: (body.solution || '').trim(),
+        parameters: (body.parameters || '').trim()
+    };
+}
+
+// Erreur de saisie : le formulaire est réaffiché avec le texte saisi (énoncés LaTeX souvent longs)
+async function renderExerciseForm(req, res, exercise, error = null) {
+    const tags = await BankExercise.tagsFor(req.session.user._id);
+    res.status(error ? 400 : 200).render('bank_exercise_form', {
+        exercise,
+        tags,
+        difficultyLabels: BankExercise.DIFFICULTY_LABELS,
+        error
+    });
+}
+
+function validateExercise(fields) {
+    if (!fields.title || !fields.statement) {
+        throw new ExerciseBankError('Le titre et l\'énoncé sont obligatoires.');
+    }
+    checkExercise(fields);
+}
+
+// --- Banque ---
+
+router.get('/', async (req, res) => {
+    try {
+        const ownerId = req.session.user._id;
+        const filters = {
+            level: req.query.level || '',
+            chapter: req.query.chapter || '',
+            difficulty: req.query.difficulty || '',
+            q: req.query.q || ''
+        };
+        const [exercises, tags, sheets] = await Promise.all([
+            BankExercise.search(ownerId, filters),
+            BankExercise.tagsFor(ownerId),
+            ExerciseSheet.find({ owner: ownerId }).sort({ updatedAt: -1 }).populate('publications.classroom', 'name')
+        ]);
+
+        res.render('bank', {
+            exercises,
+            tags,
+            sheets,
+            filters,
+            difficultyLabels: BankExercise.DIFFICULTY_LABELS,
+            message: req.query.message || null,
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error('Error loading the exercise bank:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors du chargement de la banque d\'exercices.' });
+    }
+});
+
+router.get('/exercises/new', async (req, res) => {
+    try {
+        await renderExerciseForm(req, res, { difficulty: 2 });
+    } catch (error) {
+        console.error('Error loading the exercise form:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors du chargement du formulaire.' });
+    }
+});
+
+router.post('/exercises', async (req, res) => {
+    const fields = readExerciseForm(req.body);
+    try {
+        validateExercise(fields);
+        const exercise = await BankExercise.create({ ...fields, owner: req.session.user._id });
+        console.log(`Bank exercise '${exercise.title}' created by ${req.session.user.username}.`);
+        redirectWith(res, `/bank/exercises/${exercise._id}`, 'message', 'Exercice ajouté à la banque.');
+    } catch (error) {
+        if (error instanceof ExerciseBankError) {
+            return renderExerciseForm(req, res, fields, error.message);
+        }
+        console.error('Error creating a bank exercise:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors de l\'enregistrement de l\'exercice.' });
+    }
+});
+
+// Aperçu : quelques variantes tirées au hasard (« Autres variantes » change la graine)
+router.get('/exercises/:exerciseId', async (req, res) => {
+    try {
+        const exercise = await findOwn(BankExercise, req.params.exerciseId, req.session.user._id);
+        if (!exercise) {
+            return res.status(404).render('error', { message: 'Exercice introuvable dans votre banque.' });
+        }
+
+        const seed = /^\d{1,9}$/.test(req.query.seed || '') ? req.query.seed : String(Math.floor(Math.random() * 1e9));
+        const variants = [];
+        let variantError = null;
+        try {
+            for (let i = 0; i < PREVIEW_VARIANTS; i++) {
+                variants.push(exercise.variant(seedFor(seed, i)));
+            }
+        } catch (error) {
+            if (!(error instanceof ExerciseBankError)) throw error;
+            variantError = error.message;
+        }
+
+        const sheets = await ExerciseSheet.find({ owner: req.session.user._id }).select('title').sort({ updatedAt: -1 });
+        res.render('bank_exercise', {
+            exercise,
+            variants,
+            variantError,
+            nextSeed: Math.floor(Math.random() * 1e9),
+            sheets,
+            message: req.query.message || null,
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error('Error loading a bank exercise:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors du chargement de l\'exercice.' });
+    }
+});
+
+router.get('/exercises/:exerciseId/edit', async (req, res) => {
+    try {
+        const exercise = await findOwn(BankExercise, req.params.exerciseId, req.session.user._id);
+        if (!exercise) {
+            return res.status(404).render('error', { message: 'Exercice introuvable dans votre banque.' });
+        }
+        await renderExerciseForm(req, res, exercise);
+    } catch (error) {
+        console.error('Error loading the exercise form:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors du chargement du formulaire.' });
+    }
+});
+
+// Les feuilles déjà publiées affichent aussitôt la nouvelle version (mêmes tirages pour les mêmes paramètres)
+router.post('/exercises/:exerciseId', async (req, res) => {
+    const fields = readExerciseForm(req.body);
+    try {
+        const exercise = await findOwn(BankExercise, req.params.exerciseId, req.session.user._id);
+        if (!exercise) {
+            return res.status(404).render('error', { message: 'Exercice introuvable dans votre banque.' });
+        }
+        try {
+            validateExercise(fields);
+        } catch (error) {
+            if (!(error instanceof ExerciseBankError)) throw error;
+            return renderExerciseForm(req, res, { ...fields, _id: exercise._id }, error.message);
+        }
+        exercise.set(fields);
+        await exercise.save();
+        redirectWith(res, `/bank/exercises/${exercise._id}`, 'message', 'Exercice mis à jour.');
+    } catch (error) {
+        console.error('Error updating a bank exercise:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors de l\'enregistrement de l\'exercice.' });
+    }
+});
+
+// L'exercice est aussi retiré des feuilles qui le contiennent
+router.post('/exercises/:exerciseId/delete', async (req, res) => {
+    try {
+        const exercise = await findOwn(BankExercise, req.params.exerciseId, req.session.user._id);
+        if (!exercise) {
+            return redirectWith(res, '/bank', 'error', 'Exercice introuvable dans votre banque.');
+        }
+        await ExerciseSheet.updateMany({ owner: req.session.user._id }, { $pull: { exercises: exercise._id } });
+        await exercise.deleteOne();
+        console.log(`Bank exercise '${exercise.title}' deleted by ${req.session.user.username}.`);
+        redirectWith(res, '/bank', 'message', `Exercice « ${exercise.title} » supprimé.`);
+    } catch (error) {
+        console.error('Error deleting a bank exercise:', error);
+        redirectWith(res, '/bank', 'error', 'Erreur serveur lors de la suppression de l\'exercice.');
+    }
+});
+
+// --- Feuilles ---
+
+// Exercices cochés dans la banque : nouvelle feuille (title) ou ajout à une feuille existante (sheetId)
+router.post('/sheets', async (req, res) => {
+    try {
+        const ownerId = req.session.user._id;
+        const ids = [].concat(req.body.exerciseIds || []).filter(id => mongoose.isValidObjectId(id));
+        const exercises = await BankExercise.find({ _id: { $in: ids }, owner: ownerId }).select('_id');
+        if (exercises.length === 0) {
+            return redirectWith(res, '/bank', 'error', 'Cochez au moins un exercice de la banque.');
+        }
+        // Ordre des cases cochées
+        const selected = ids.filter(id => exercises.some(exercise => exercise._id.equals(id)));
+
+        let sheet;
+        if (req.body.sheetId) {
+            sheet = await findOwn(ExerciseSheet, req.body.sheetId, ownerId);
+            if (!sheet) {
+                return redirectWith(res, '/bank', 'error', 'Feuille introuvable.');
+            }
+            const added = selected.filter(id => !sheet.exercises.some(existing => existing.equals(id)));
+            sheet.exercises.push(...added);
+            await sheet.save();
+            return redirectWith(res, `/bank/sheets/${sheet._id}`, 'message', `${added.length} exercice(s) ajouté(s) à la feuille.`);
+        }
+
+        const title = (req.body.title || '').trim();
+        if (!title) {
+            return redirectWith(res, '/bank', 'error', 'Donnez un titre à la nouvelle feuille.');
+        }
+        sheet = await ExerciseSheet.create({ owner: ownerId, title, exercises: selected });
+        console.log(`Exercise sheet '${sheet.title}' created by ${req.session.user.username}.`);
+        redirectWith(res, `/bank/sheets/${sheet._id}`, 'message', 'Feuille créée. Publiez-la dans vos classes ci-dessous.');
+    } catch (error) {
+        console.error('Error creating an exercise sheet:', error);
+        redirectWith(res, '/bank', 'error', 'Erreur serveur lors de la création de la feuille.');
+    }
+});
+
+router.get('/sheets/:sheetId', async (req, res) => {
+    try {
+        const sheet = await findOwn(ExerciseSheet, req.params.sheetId, req.session.user._id);
+        if (!sheet) {
+            return res.status(404).render('error', { message: 'Feuille introuvable.' });
+        }
+        await sheet.populate([{ path: 'exercises' }, { path: 'publications.classroom', select: 'name' }]);
+        const classes = await Classroom.find({ teacher: req.session.user._id }).select('name').sort({ name: 1 });
+
+        res.render('bank_sheet', {
+            sheet,
+            classes,
+            message: req.query.message || null,
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error('Error loading an exercise sheet:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors du chargement de la feuille.' });
+    }
+});
+
+router.post('/sheets/:sheetId', async (req, res) => {
+    const sheetUrl = `/bank/sheets/${req.params.sheetId}`;
+    try {
+        const sheet = await findOwn(ExerciseSheet, req.params.sheetId, req.session.user._id);
+        if (!sheet) {
+            return redirectWith(res, '/bank', 'error', 'Feuille introuvable.');
+        }
+        const title = (req.body.title || '').trim();
+        if (!title) {
+            return redirectWith(res, sheetUrl, 'error', 'Le titre de la feuille est obligatoire.');
+        }
+        sheet.title = title;
+        sheet.instructions = (req.body.instructions || '').trim();
+        await sheet.save();
+        redirectWith(res, sheetUrl, 'message', 'Feuille enregistrée.');
+    } catch (error) {
+        console.error('Error updating an exercise sheet:', error);
+        redirectWith(res, sheetUrl, 'error', 'Erreur serveur lors de l\'enregistrement de la feuille.');
+    }
+});
+
+// direction : 'up', 'down' ou 'remove'
+router.post('/sheets/:sheetId/exercises/:exerciseId', async (req, res) => {
+    const sheetUrl = `/bank/sheets/${req.params.sheetId}`;
+    try {
+        const sheet = await findOwn(ExerciseSheet, req.params.sheetId, req.session.user._id);
+        if (!sheet) {
+            return redirectWith(res, '/bank', 'error', 'Feuille introuvable.');
+        }
+        const index = sheet.exercises.findIndex(id => String(id) === req.params.exerciseId);
+        if (index === -1) {
+            return redirectWith(res, sheetUrl, 'error', 'Cet exercice n\'est pas dans la feuille.');
+        }
+
+        const ids = sheet.exercises.slice();
+        if (req.body.direction === 'remove') {
+            ids.splice(index, 1);
+        } else {
+            const target = req.body.direction === 'up' ? index - 1 : index + 1;
+            if (target < 0 || target >= ids.length) {
+                return res.redirect(sheetUrl);
+            }
+            [ids[index], ids[target]] = [ids[target], ids[index]];
+        }
+        sheet.exercises = ids;
+        await sheet.save();
+        res.redirect(sheetUrl);
+    } catch (error) {
+        console.error('Error reordering an exercise sheet:', error);
+        redirectWith(res, sheetUrl, 'error', 'Erreur serveur lors de la modification de la feuille.');
+    }
+});
+
+// Publication dans une classe du professeur (ou changement de l'affichage du corrigé si elle y est déjà)
+router.post('/sheets/:sheetId/publish', async (req, res) => {
+    const sheetUrl = `/bank/sheets/${req.params.sheetId}`;
+    try {
+        const sheet = await findOwn(ExerciseSheet, req.params.sheetId, req.session.user._id);
+        if (!sheet) {
+            return redirectWith(res, '/bank', 'error', 'Feuille introuvable.');
+        }
+        if (sheet.exercises.length === 0) {
+            return redirectWith(res, sheetUrl, 'error', 'Ajoutez au moins un exercice avant de publier la feuille.');
+        }
+        const classroom = await authorize(req.session.user, 'sheet.publish', req.body.classroomId);
+        const showSolutions = req.body.showSolutions === '1';
+
+        const publication = sheet.publicationIn(classroom._id);
+        if (publication) {
+            publication.showSolutions = showSolutions;
+            await sheet.save();
+            return redirectWith(res, sheetUrl, 'message', `Corrigés ${showSolutions ? 'visibles' : 'masqués'} pour la classe ${classroom.name}.`);
+        }
+
+        sheet.publications.push({ classroom: classroom._id, showSolutions });
+        await sheet.save();
+        console.log(`Exercise sheet '${sheet.title}' published in class ${classroom.name}.`);
+
+        notifySheetPublished({ io: req.app.get('io'), classroom, user: req.session.user, sheet })
+            .catch(error => console.error('Error creating sheet notifications:', error));
+
+        redirectWith(res, sheetUrl, 'message', `Feuille publiée dans la classe ${classroom.name}.`);
+    } catch (error) {
+        if (error instanceof AccessDeniedError) {
+            return redirectWith(res, sheetUrl, 'error', error.message);
+        }
+        console.error('Error publishing an exercise sheet:', error);
+        redirectWith(res, sheetUrl, 'error', 'Erreur serveur lors de la publication de la feuille.');
+    }
+});
+
+router.post('/sheets/:sheetId/unpublish', async (req, res) => {
+    const sheetUrl = `/bank/sheets/${req.params.sheetId}`;
+    try {
+        const sheet = await findOwn(ExerciseSheet, req.params.sheetId, req.session.user._id);
+        if (!sheet) {
+            return redirectWith(res, '/bank', 'error', 'Feuille introuvable.');
+        }
+        sheet.publications = sheet.publications.filter(publication => String(publication.classroom) !== String(req.body.classroomId));
+        await sheet.save();
+        redirectWith(res, sheetUrl, 'message', 'La feuille n\'est plus publiée dans cette classe.');
+    } catch (error) {
+        console.error('Error unpublishing an exercise sheet:', error);
+        redirectWith(res, sheetUrl, 'error', 'Erreur serveur lors du retrait de la feuille.');
+    }
+});
+
+router.post('/sheets/:sheetId/delete', async (req, res) => {
+    try {
+        const sheet = await findOwn(ExerciseSheet, req.params.sheetId, req.session.user._id);
+        if (!sheet) {
+            return redirectWith(res, '/bank', 'error', 'Feuille introuvable.');
+        }
+        await sheet.deleteOne();
+        console.log(`Exercise sheet '${sheet.title}' deleted by ${req.session.user.username}.`);
+        redirectWith(res, '/bank', 'message', `Feuille « ${sheet.title} » supprimée.`);
+    } catch (error) {
+        console.error('Error deleting an exercise sheet:', error);
+        redirectWith(res, '/bank', 'error', 'Erreur serveur lors de la suppression de la feuille.');
+    }
+});
+
+module.exports = router;
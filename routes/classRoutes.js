@@ -1,37 +1,44 @@
 const express = require('express');
+const path = require('path');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Classroom = require('../models/Classroom'); // Assurez-vous que ce chemin est correct
 const User = require('../models/user'); // Assurez-vous que ce chemin est correct
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const Exercise = require('../models/Exercise');
+const ExerciseSheet = require('../models/ExerciseSheet');
+const Message = require('../models/Message');
+const PasswordReset = require('../models/PasswordReset');
+const Invitation = require('../models/Invitation');
+const ClassroomPresence = require('../models/ClassroomPresence');
+const ChatMute = require('../models/ChatMute');
+const ChatReport = require('../models/ChatReport');
+const FileDownload = require('../models/FileDownload');
+const ActivityEvent = require('../models/ActivityEvent');
+const LiveQuiz = require('../models/LiveQuiz');
 
 const isAuthenticated = require('../middleware/isAuthenticated');
 const isClassMember = require('../middleware/isClassMember');
-
-// NOUVEAUX IMPORTS POUR L'UPLOAD CLOUDINARY
-const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
-const path = require('path');
-
-// --- Multer Configuration pour l'upload de fichiers de classe vers Cloudinary ---
-const classFileUpload = multer({
-    storage: multer.memoryStorage(),
-    limits: { fileSize: 10 * 1024 * 1024 }, // Limite de taille de fichier à 10 MB
-    fileFilter: (req, file, cb) => {
-        const allowedMimeTypes = /jpeg|jpg|png|gif|pdf|doc|docx/;
-        const mimetype = allowedMimeTypes.test(file.mimetype);
-        const extname = allowedMimeTypes.test(path.extname(file.originalname).toLowerCase());
-
-        if (mimetype && extname) {
-            return cb(null, true);
-        }
-        cb(new Error('Seuls les fichiers images (jpeg, jpg, png, gif), PDF, DOC et DOCX sont autorisés !'));
-    }
-});
-// --------------------------------------------------------------------------
+const requireClassAccess = require('../middleware/requireClassAccess');
+const { can } = require('../utils/accessPolicy');
+const redirectWith = require('../utils/redirectWith');
+const sendStoredFile = require('../utils/sendStoredFile');
+const { validateLatex } = require('../utils/latex');
+const { postingRestriction, isModerator } = require('../utils/chatModeration');
+const chatQuestions = require('../utils/chatQuestions');
+const { parseGraph } = require('../utils/functionGraph');
+const { MathParseError } = require('../utils/mathExpression');
+const { notifyTeacherMessage } = require('../utils/notifications');
+const { indexMessage } = require('../utils/searchIndex');
+const { disconnectFromClass } = require('../utils/socketRooms');
+
+const { buildLibraryView, CATEGORY_LABELS, SORT_OPTIONS } = require('../utils/fileLibrary');
 
 // --- NOUVELLE ROUTE : POST / (pour créer une nouvelle classe) ---
 router.post('/', isAuthenticated, async (req, res) => {
     try {
-        if (!req.session.user || req.session.user.role !== 'teacher') {
+        if (!can(req.session.user, 'class.create')) {
             console.warn(`Tentative de création de classe non autorisée par: ${req.session.user ? req.session.user.username : 'Utilisateur non connecté'}`);
             return res.status(403).redirect('/teacher/dashboard?error=' + encodeURIComponent('Accès interdit. Seuls les professeurs peuvent créer des classes.'));
         }
@@ -53,7 +60,6 @@ router.post('/', isAuthenticated, async (req, res) => {
             classCode,
             teacher: teacherId,
             students: [],
-            messages: [],
             files: [],
         });
 
@@ -63,7 +69,13 @@ router.post('/', isAuthenticated, async (req, res) => {
         await User.findByIdAndUpdate(teacherId, { $push: { classes: newClassroom._id } });
         console.log(`Classe ajoutée au profil du professeur: ${req.session.user.username}`);
 
-        res.redirect('/teacher/dashboard?message=' + encodeURIComponent('Cours créé avec succès !'));
+        // Première invitation, à partager aux élèves (le code de la classe ne sert plus à rejoindre)
+        const invitation = await Invitation.createFor(newClassroom._id, {
+            expiresAt: new Date(Date.now() + Invitation.DEFAULT_EXPIRY_DAYS * 24 * 60 * 60 * 1000),
+            createdBy: teacherId
+        });
+
+        res.redirect('/teacher/dashboard?message=' + encodeURIComponent(`Cours créé avec succès ! Code d'invitation : ${invitation.displayCode}`));
 
     } catch (error) {
         console.error('Erreur lors de la création de la classe :', error);
@@ -83,13 +95,6 @@ router.get('/:id', isAuthenticated, isClassMember, async (req, res) => {
     try {
         const classroom = await Classroom.findById(req.params.id)
             .populate('teacher', 'username')
-            .populate({
-                path: 'messages',
-                populate: {
-                    path: 'sender',
-                    select: 'username'
-                }
-            })
             .populate('students', 'username')
             .populate({
                 path: 'files',
@@ -97,26 +102,90 @@ router.get('/:id', isAuthenticated, isClassMember, async (req, res) => {
                     path: 'uploader',
                     select: 'username'
                 }
-            });
+            })
+            .populate('files.versions.uploader', 'username');
 
         if (!classroom) {
             console.warn(`Classroom with ID ${req.params.id} not found.`);
             return res.status(404).render('error', { message: 'Classe introuvable.' });
         }
 
-        console.log('--- Classroom Object Sent to EJS ---');
-        console.log(JSON.stringify(classroom, null, 2));
-        console.log(`Number of messages: ${classroom.messages ? classroom.messages.length : 0}`);
-        console.log(`Number of files: ${classroom.files ? classroom.files.length : 0}`);
-        if (classroom.messages && classroom.messages.length > 0) {
-            console.log('First message details:');
-            console.log(`  Sender: ${classroom.messages[0].sender ? classroom.messages[0].sender.username : 'N/A'}`);
-            console.log(`  Content: ${classroom.messages[0].content}`);
-            console.log(`  Timestamp: ${classroom.messages[0].timestamp}`);
+        // Only the latest page of the chat; older messages are loaded on scroll (GET /:id/messages)
+        const { messages, hasMore: hasMoreMessages } = await Message.findPage(classroom._id);
+        const pinnedMessages = await Message.findPinned(classroom._id);
+
+        // Devoirs de la classe : les élèves ne voient que les devoirs ouverts, avec leur statut
+        const isTeacher = can(req.session.user, 'class.manage', classroom);
+        if (!isTeacher) {
+            // Visite comptée pour les statistiques d'engagement du professeur (utils/classAnalytics.js)
+            ActivityEvent.record(classroom._id, req.session.user._id, 'class.view')
+                .catch(error => console.error('Error recording class visit:', error));
+        }
+        const assignmentQuery = { classroom: classroom._id };
+        if (!isTeacher) {
+            assignmentQuery.openDate = { $lte: new Date() };
+        }
+        const assignments = await Assignment.find(assignmentQuery).sort({ dueDate: 1 });
+        const assignmentStatuses = {};
+        if (!isTeacher) {
+            const submissions = await Submission.find({
+                assignment: { $in: assignments.map(a => a._id) },
+                student: req.session.user._id
+            });
+            assignments.forEach(assignment => {
+                const submission = submissions.find(s => s.assignment.equals(assignment._id));
+                assignmentStatuses[assignment._id] = assignment.statusFor(submission);
+            });
         }
-        console.log('------------------------------------');
 
-        res.render('class_details', { classroom, user: req.session.user });
+        const exercises = await Exercise.find({ classroom: classroom._id }).sort({ createdAt: -1 });
+        const sheets = await ExerciseSheet.publishedIn(classroom._id); // Feuilles de la banque du professeur
+        // Quiz en direct terminés, pour revoir les résultats (le quiz en cours arrive par la socket)
+        const quizzes = await LiveQuiz.find({ classroom: classroom._id, status: 'finished' })
+            .sort({ startedAt: -1 })
+            .limit(10)
+            .select('title startedAt');
+
+        // Liste des membres du chat : la présence en direct arrive par la socket, « vu le » vient d'ici
+        const lastSeen = await ClassroomPresence.lastSeenFor(classroom._id);
+
+        // Modération : signalements en attente (professeur), sanction en cours (élève)
+        const openReports = isTeacher ? await ChatReport.countOpen(classroom._id) : 0;
+        const mute = isTeacher ? null : await ChatMute.activeFor(classroom._id, req.session.user._id);
+
+        // Bibliothèque de fichiers : dossier courant, filtres et tri viennent de l'URL (?folder=&category=&sort=&q=)
+        const library = buildLibraryView(classroom, req.query, req.session.user);
+        // Professeur : nombre d'élèves ayant ouvert chaque fichier
+        const downloadCounts = isTeacher
+            ? await FileDownload.studentCountsByFile(classroom._id, classroom.students.map(student => student._id))
+            : {};
+
+        res.render('class_details', {
+            classroom,
+            messages,
+            hasMoreMessages,
+            pinnedMessages,
+            lastSeen,
+            chatLocked: classroom.chatLocked,
+            mutedUntil: mute ? mute.until : null,
+            openReports,
+            editWindowMs: Message.EDIT_WINDOW_MS,
+            questionFilter: ['open', 'resolved', 'all'].includes(req.query.questions) ? req.query.questions : null,
+            exercises,
+            sheets,
+            quizzes,
+            library,
+            downloadCounts,
+            categoryLabels: CATEGORY_LABELS,
+            sortOptions: SORT_OPTIONS,
+            user: req.session.user,
+            isTeacher,
+            assignments,
+            assignmentStatuses,
+            statusLabels: Assignment.STATUS_LABELS,
+            message: req.query.message,
+            error: req.query.error
+        });
 
     } catch (error) {
         console.error("Error retrieving class details:", error);
@@ -124,163 +193,214 @@ router.get('/:id', isAuthenticated, isClassMember, async (req, res) => {
     }
 });
 
-// Create a new message in the classroom chat
-router.post('/:id/messages', isAuthenticated, isClassMember, async (req, res) => {
+// Teacher removes a student from the class (the student keeps their account and other classes)
+router.post('/:id/students/:studentId/remove', isAuthenticated, requireClassAccess('class.manage'), async (req, res) => {
     try {
-        const { content } = req.body;
-        const classroom = await Classroom.findById(req.params.id);
+        const classroom = req.classroom;
+        const { studentId } = req.params;
 
-        if (!classroom) {
-            return res.status(404).json({ message: 'Classe introuvable.' });
+        if (!mongoose.isValidObjectId(studentId) || !classroom.hasStudent(studentId)) {
+            return redirectWith(res, '/teacher/dashboard', 'error', 'Cet élève n\'est pas inscrit dans cette classe.');
         }
 
-        const newMessage = {
-            sender: req.session.user._id,
-            content: content,
-            type: 'text',
-            timestamp: new Date()
-        };
-
-        classroom.messages.push(newMessage);
-        await classroom.save();
-
-        const savedMessage = classroom.messages[classroom.messages.length - 1];
-        await User.populate(savedMessage, { path: 'sender', select: 'username' });
-
-        if (req.app.get('io')) {
-             req.app.get('io').to(req.params.id).emit('message', {
-                 senderId: savedMessage.sender._id,
-                 senderUsername: savedMessage.sender.username,
-                 content: savedMessage.content,
-                 type: savedMessage.type,
-                 timestamp: savedMessage.timestamp
-             });
-        } else {
-            console.warn("Socket.IO instance not available in classRoutes for message emission.");
-        }
+        const student = await User.findById(studentId).select('username');
+        await Classroom.removeStudent(classroom._id, studentId);
+        disconnectFromClass(req.app, classroom._id, studentId);
+        console.log(`Teacher ${req.session.user.username} removed student ${student ? student.username : studentId} from class ${classroom.name}.`);
 
-        res.status(201).json({ message: 'Message envoyé.' });
+        redirectWith(res, '/teacher/dashboard', 'message', `${student ? student.username : 'L\'élève'} a été retiré de la classe ${classroom.name}.`);
     } catch (error) {
-        console.error("Error sending message:", error);
-        res.status(500).json({ message: 'Erreur serveur lors de l\'envoi du message.' });
+        console.error('Error removing student from class:', error);
+        redirectWith(res, '/teacher/dashboard', 'error', 'Erreur serveur lors du retrait de l\'élève.');
     }
 });
 
-// Upload a file to the classroom
-router.post('/:id/files', isAuthenticated, isClassMember, classFileUpload.single('classFile'), async (req, res) => {
+// Teacher generates a one-time password reset code for a student of the class (see /password/forgot).
+// The code is only shown on this page: it is stored hashed, and a new code replaces the previous one.
+router.post('/:id/students/:studentId/reset-code', isAuthenticated, requireClassAccess('students.resetPassword'), async (req, res) => {
     try {
-        const classId = req.params.id;
-        const classroom = await Classroom.findById(classId);
+        const classroom = req.classroom;
+        const { studentId } = req.params;
 
-        if (!classroom) {
-            res.locals.error = 'Classe introuvable.';
-            return res.redirect(`/classes/${classId}`);
+        if (!mongoose.isValidObjectId(studentId) || !classroom.hasStudent(studentId)) {
+            return redirectWith(res, '/teacher/dashboard', 'error', 'Cet élève n\'est pas inscrit dans cette classe.');
         }
 
-        if (!req.file) {
-            let errorMessage = 'Aucun fichier n\'a été sélectionné.';
-            res.locals.error = errorMessage;
-            return res.redirect(`/classes/${classId}`);
+        const student = await User.findById(studentId).select('username');
+        if (!student) {
+            return redirectWith(res, '/teacher/dashboard', 'error', 'Élève introuvable.');
         }
 
-        const { category } = req.body;
-
-        const allowedCategories = ['exercise', 'homework', 'correction', 'general'];
-        if (!category || !allowedCategories.includes(category)) {
-            res.locals.error = 'Catégorie de fichier invalide. Choisissez parmi Exercice, Devoir, Correction, Général.';
-            return res.redirect(`/classes/${classId}`);
-        }
+        const { reset, token } = await PasswordReset.issue(student._id, PasswordReset.KINDS.TEACHER_CODE, {
+            issuedBy: req.session.user._id,
+            classroom: classroom._id
+        });
+        console.log(`Teacher ${req.session.user.username} issued a password reset code for ${student.username} (class ${classroom.name}).`);
+
+        // Never cached: the page contains the code
+        res.set('Cache-Control', 'no-store');
+        res.render('reset_code', {
+            classroom,
+            student,
+            code: PasswordReset.formatCode(token),
+            expiresAt: reset.expiresAt
+        });
+    } catch (error) {
+        console.error('Error issuing a password reset code:', error);
+        redirectWith(res, '/teacher/dashboard', 'error', 'Erreur serveur lors de la génération du code.');
+    }
+});
 
-        console.log('--- Démarrage du processus d\'upload de fichier de classe ---');
-        console.log('1. Objet req.file reçu par Multer:', req.file);
-        if (req.file && req.file.buffer) {
-            console.log('    -> Multer a stocké le fichier en mémoire (buffer existe). Taille:', req.file.buffer.length, 'octets.');
-        } else if (req.file && req.file.path) {
-            console.log('    -> ATTENTION: Multer a stocké le fichier sur disque (path existe). Chemin:', req.file.path);
-        } else {
-            console.log('    -> req.file est inattendu ou vide.');
+// Chat history, one page at a time: ?before=<id of the oldest message already shown>&limit=<n>
+router.get('/:id/messages', isAuthenticated, requireClassAccess('chat.read'), async (req, res) => {
+    try {
+        const { before, limit } = req.query;
+        if (before && !mongoose.isValidObjectId(before)) {
+            return res.status(400).json({ message: 'Curseur invalide.' });
         }
 
-        const b64 = Buffer.from(req.file.buffer).toString('base64');
-        let dataURI = 'data:' + req.file.mimetype + ';base64,' + b64;
+        const { messages, hasMore } = await Message.findPage(req.params.id, { before, limit });
+        res.json({
+            messages: messages.map(message => message.toPayload()),
+            hasMore,
+            nextCursor: hasMore && messages.length > 0 ? messages[0]._id : null
+        });
+    } catch (error) {
+        console.error('Error loading chat history:', error);
+        res.status(500).json({ message: 'Erreur serveur lors du chargement des messages.' });
+    }
+});
 
-        console.log('2. Tentative d\'upload vers Cloudinary...');
+// Image or file attached to a chat message (any member); images and PDFs are shown inline in the chat
+router.get('/:id/messages/:messageId/attachment', isAuthenticated, requireClassAccess('chat.read'), async (req, res) => {
+    const message = mongoose.isValidObjectId(req.params.messageId)
+        ? await Message.findOne({ _id: req.params.messageId, classroom: req.classroom._id, deletedAt: null, fileUrl: { $ne: null } })
+        : null;
+    if (!message) {
+        return res.status(404).render('error', { message: 'Fichier introuvable dans cette classe.' });
+    }
+    try {
+        await sendStoredFile(res, message.attachmentDescriptor(), {
+            fileName: message.content || path.basename(message.fileUrl.split('?')[0]),
+            inline: true
+        });
+    } catch (error) {
+        console.error(`Error sending the attachment of message ${message._id}:`, error);
+        res.status(502).render('error', { message: 'Le fichier n\'a pas pu être lu depuis le stockage.' });
+    }
+});
 
-        let classFileResourceType;
-        const folderName = `class_files/${classId}`;
-        const originalBaseName = path.parse(req.file.originalname).name;
-        const fileExtension = path.extname(req.file.originalname).toLowerCase();
-        const uniqueSuffix = Date.now();
-        let customPublicId;
+// Questions of the chat (filter of the class page): ?status=open|resolved|all
+router.get('/:id/questions', isAuthenticated, requireClassAccess('chat.read'), async (req, res) => {
+    try {
+        const status = ['open', 'resolved', 'all'].includes(req.query.status) ? req.query.status : 'open';
+        const questions = await Message.findQuestions(req.classroom._id, status);
+        res.json({ status, questions: questions.map(question => question.toPayload()) });
+    } catch (error) {
+        console.error('Error loading questions:', error);
+        res.status(500).json({ message: 'Erreur serveur lors du chargement des questions.' });
+    }
+});
 
-        if (req.file.mimetype.startsWith('image/')) {
-            classFileResourceType = 'image';
-            customPublicId = `${folderName}/${originalBaseName}_${uniqueSuffix}`;
-        } else if (fileExtension === '.pdf' || fileExtension === '.doc' || fileExtension === '.docx') {
-            classFileResourceType = 'raw';
-            customPublicId = `${folderName}/${originalBaseName}_${uniqueSuffix}${fileExtension}`;
-        } else {
-            classFileResourceType = 'auto';
-            customPublicId = `${folderName}/${originalBaseName}_${uniqueSuffix}${fileExtension}`;
+// Thread of a question: the question and all its replies
+router.get('/:id/questions/:questionId', isAuthenticated, requireClassAccess('chat.read'), async (req, res) => {
+    try {
+        const question = await chatQuestions.loadQuestion(req.classroom, req.params.questionId);
+        await question.populate('sender', 'username');
+        const replies = await Message.findReplies(question._id);
+        res.json({ question: question.toPayload(), replies: replies.map(reply => reply.toPayload()) });
+    } catch (error) {
+        if (error instanceof chatQuestions.QuestionError) {
+            return res.status(404).json({ message: error.message });
         }
+        console.error('Error loading a question thread:', error);
+        res.status(500).json({ message: 'Erreur serveur lors du chargement du fil.' });
+    }
+});
 
-        const cloudinaryUploadResult = await cloudinary.uploader.upload(dataURI, {
-            public_id: customPublicId,
-            resource_type: classFileResourceType,
-            unique_filename: false,
-            overwrite: true,
-            type: classFileResourceType === 'raw' ? 'authenticated' : 'upload'
-        });
+// Create a new message in the classroom chat (a question, or a reply in a question's thread with parentId)
+router.post('/:id/messages', isAuthenticated, requireClassAccess('chat.post'), async (req, res) => {
+    try {
+        let { content, type, parentId, graphWindow } = req.body;
+        type = type || 'text';
 
-        console.log('3. Résultat de l\'upload Cloudinary:', cloudinaryUploadResult);
-        if (cloudinaryUploadResult && cloudinaryUploadResult.secure_url) {
-            console.log('    -> URL sécurisée Cloudinary reçue:', cloudinaryUploadResult.secure_url);
-        } else {
-            console.error('    -> ERREUR: Cloudinary secure_url manquante ou upload échoué !');
-            res.locals.error = 'Erreur: Cloudinary n\'a pas retourné d\'URL pour le fichier.';
-            return res.redirect(`/classes/${classId}`);
+        if (!['text', 'math', 'question', 'graph'].includes(type)) {
+            return res.status(400).json({ message: 'Type de message invalide.' });
+        }
+        if (type === 'question' && (typeof content !== 'string' || !content.trim())) {
+            return res.status(400).json({ message: 'La question ne peut pas être vide.' });
         }
 
-        let fileUrl = cloudinaryUploadResult.secure_url;
-        const originalFullName = req.file.originalname;
-        const detectedExtension = path.extname(originalFullName).toLowerCase();
+        const restriction = await postingRestriction(req.classroom, req.session.user);
+        if (restriction) {
+            return res.status(403).json({ message: restriction });
+        }
 
-        if (cloudinaryUploadResult.resource_type === 'raw' && detectedExtension && !fileUrl.toLowerCase().endsWith(detectedExtension)) {
-            fileUrl += detectedExtension;
+        // Les messages 'math' contiennent du LaTeX issu de l'éditeur visuel : on le vérifie
+        if (type === 'math') {
+            const check = validateLatex(content);
+            if (!check.valid) {
+                return res.status(400).json({ message: check.error });
+            }
+            content = check.latex;
         }
 
-        const publicId = cloudinaryUploadResult.public_id;
+        // Graphiques : fonctions lues ici, les navigateurs ne reçoivent que l'arbre des expressions
+        let graph;
+        if (type === 'graph') {
+            try {
+                ({ content, graph } = parseGraph(content, graphWindow));
+            } catch (error) {
+                if (!(error instanceof MathParseError)) throw error;
+                return res.status(400).json({ message: error.message });
+            }
+        }
 
-        const newFile = {
-            fileName: req.file.originalname,
-            filePath: fileUrl,
-            fileSize: req.file.size,
-            fileMimeType: req.file.mimetype,
-            uploadDate: new Date(),
-            uploader: req.session.user._id,
-            category: category,
-            publicId: publicId
-        };
+        let question = null;
+        if (parentId) {
+            try {
+                question = await chatQuestions.questionForReply(req.classroom, parentId, type);
+            } catch (error) {
+                if (!(error instanceof chatQuestions.QuestionError)) throw error;
+                return res.status(400).json({ message: error.message });
+            }
+        }
 
-        console.log('4. Objet newFile prêt à être sauvegardé :', newFile);
+        const savedMessage = await Message.create({
+            classroom: req.params.id,
+            sender: req.session.user._id,
+            content: content,
+            type: type,
+            graph: graph,
+            parent: question ? question._id : null,
+            timestamp: new Date()
+        });
+        await savedMessage.populate('sender', 'username');
+        indexMessage(savedMessage).catch(error => console.error('Error indexing a chat message:', error));
 
-        classroom.files.push(newFile);
-        await classroom.save();
+        if (req.app.get('io')) {
+             req.app.get('io').to(req.params.id).emit('message', savedMessage.toPayload());
+             if (question) {
+                 await chatQuestions.recordReply(req.app.get('io'), question, savedMessage);
+             }
+             if (isModerator(req.session.user, req.classroom)) {
+                 const presence = req.app.get('presence');
+                 notifyTeacherMessage({
+                     io: req.app.get('io'),
+                     classroom: req.classroom,
+                     user: req.session.user,
+                     message: savedMessage,
+                     excludeUserIds: presence ? presence.members(req.params.id).map(member => member.userId) : []
+                 }).catch(error => console.error('Error creating message notifications:', error));
+             }
+        } else {
+            console.warn("Socket.IO instance not available in classRoutes for message emission.");
+        }
 
-        res.locals.success = 'Fichier uploadé et enregistré avec succès !';
-        res.redirect(`/classes/${classId}`);
+        res.status(201).json({ message: 'Message envoyé.' });
     } catch (error) {
-        console.error('Erreur CRITIQUE lors de l\'upload du fichier de classe (Dépôt) :', error);
-        let errorMessage = 'Erreur serveur lors de l\'upload du fichier : ' + error.message;
-        if (error instanceof multer.MulterError) {
-            if (error.code === 'LIMIT_FILE_SIZE') {
-                errorMessage = 'Le fichier est trop volumineux (max 10MB) !';
-            }
-        } else if (error.message.includes('Type de fichier non autorisé')) {
-            errorMessage = 'Type de fichier non autorisé !';
-        }
-        res.locals.error = errorMessage;
-        res.redirect(`/classes/${req.params.id}`);
+        console.error("Error sending message:", error);
+        res.status(500).json({ message: 'Erreur serveur lors de l\'envoi du message.' });
     }
 });
 
@@ -3,7 +3,18 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/user'); // Assuming you'll need the User model
 const Classroom = require('../models/Classroom'); // Assuming you'll need the Classroom model
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const Gradebook = require('../models/Gradebook');
+const JoinRequest = require('../models/JoinRequest');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
 const isAuthenticated = require('../middleware/isAuthenticated');
+const redirectWith = require('../utils/redirectWith');
+const { refreshSessionClassrooms } = require('../utils/classroomSession');
+const { disconnectFromClass } = require('../utils/socketRooms');
+const { can } = require('../utils/accessPolicy');
+const { joinWithCode } = require('../utils/classInvitations');
 // Middleware to ensure user is authenticated and has a role
 function ensureAuthenticated(req, res, next) {
     if (req.session.user) {
@@ -22,10 +33,20 @@ router.get('/teacher/dashboard', ensureAuthenticated, async (req, res) => {
         const teacherId = req.session.user._id;
         // Fetch classes created by this teacher
         const classes = await Classroom.find({ teacher: teacherId }).populate('students', 'username email'); // Populate students to show their names
+        req.session.user.classrooms = classes.map(classroom => ({ _id: classroom._id, name: classroom.name }));
+        // Inscriptions à valider (invitations « validation du professeur »)
+        const joinRequests = await JoinRequest.pendingFor(classes.map(classroom => classroom._id));
+        // Questions du chat non résolues, par classe
+        const questionCounts = await Message.questionCounts(classes.map(classroom => classroom._id));
+        // Notifications non lues, par classe
+        const unreadByClass = await Notification.unreadCountsByClass(teacherId);
         
         res.render('teacher_dashboard', { 
             user: req.session.user, 
             classes: classes,
+            joinRequests: joinRequests,
+            questionCounts: questionCounts,
+            unreadByClass: unreadByClass,
             message: req.query.message, // Pass messages from redirects
             error: req.query.error // Pass errors from redirects
         });
@@ -34,6 +55,9 @@ router.get('/teacher/dashboard', ensureAuthenticated, async (req, res) => {
         res.render('teacher_dashboard', { 
             user: req.session.user, 
             classes: [], // Provide empty array to prevent template errors
+            joinRequests: [],
+            questionCounts: {},
+            unreadByClass: {},
             error: 'Failed to load dashboard data.' 
         });
     }
@@ -41,22 +65,54 @@ router.get('/teacher/dashboard', ensureAuthenticated, async (req, res) => {
 
 // Route to render the student dashboard
 router.get('/student/dashboard', isAuthenticated, async (req, res) => {
-    // This route needs to populate the user's classroom if it's not already in session
     try {
-        if (req.session.user && req.session.user._id) {
-            const user = await User.findById(req.session.user._id).populate('classroom'); // Populate the 'classroom' field if it exists on the User model
-
-            if (user && user.classroom) {
-                // Update the session with classroom details
-                req.session.user.classroom = user.classroom._id;
-                req.session.user.classroomName = user.classroom.name;
-            } else {
-                // Ensure classroom data is cleared if not assigned
-                req.session.user.classroom = null;
-                req.session.user.classroomName = null;
-            }
+        // Reload the student's classes: a teacher may have added or removed them since login
+        const classrooms = await refreshSessionClassrooms(req);
+
+        // Devoirs ouverts de toutes les classes de l'élève, avec son statut (ce qui est à rendre en premier)
+        let assignments = [];
+        if (classrooms.length > 0) {
+            const openAssignments = await Assignment.find({
+                classroom: { $in: classrooms.map(c => c._id) },
+                openDate: { $lte: new Date() }
+            }).sort({ dueDate: 1 }).populate('classroom', 'name');
+            const submissions = await Submission.find({
+                assignment: { $in: openAssignments.map(a => a._id) },
+                student: req.session.user._id
+            });
+            assignments = openAssignments.map(assignment => {
+                const submission = submissions.find(s => s.assignment.equals(assignment._id));
+                return { assignment, submission, status: assignment.statusFor(submission) };
+            });
         }
-        res.render('student_dashboard', { user: req.session.user });
+
+        // Carnets de notes : uniquement la ligne de l'élève connecté, pour chacune de ses classes
+        const gradebooks = await Gradebook.find({ classroom: { $in: classrooms.map(c => c._id) } });
+        const grades = classrooms
+            .map(classroom => {
+                const gradebook = gradebooks.find(g => g.classroom.equals(classroom._id));
+                return gradebook && gradebook.evaluations.length > 0
+                    ? { classroom, row: gradebook.studentRow(req.session.user._id) }
+                    : null;
+            })
+            .filter(Boolean);
+
+        // Demandes d'inscription pas encore validées par le professeur
+        const pendingRequests = await JoinRequest.find({ student: req.session.user._id, status: 'pending' }).populate('classroom', 'name');
+        // Notifications non lues, par classe
+        const unreadByClass = await Notification.unreadCountsByClass(req.session.user._id);
+
+        res.render('student_dashboard', {
+            user: req.session.user,
+            classrooms,
+            pendingRequests: pendingRequests.filter(request => request.classroom),
+            assignments,
+            grades,
+            unreadByClass,
+            statusLabels: Assignment.STATUS_LABELS,
+            message: req.query.message,
+            error: req.query.error
+        });
     } catch (error) {
         console.error("Error rendering student dashboard:", error);
         res.status(500).render('error', { message: 'Erreur serveur lors de l\'affichage du tableau de bord.' });
@@ -64,47 +120,30 @@ router.get('/student/dashboard', isAuthenticated, async (req, res) => {
 });
 
 
-// Example Route for a Student Joining a Class (if you have one)
-// If you don't have a specific route for joining, this logic needs to be placed
-// where the student's 'classroom' field is set.
+// Route for a student joining an additional class with an invitation code
 router.post('/student/join-class', isAuthenticated, async (req, res) => {
-    const { classCode } = req.body; // Assuming the form sends a classCode
-
-    try {
-        const classroom = await Classroom.findOne({ classCode });
-        if (!classroom) {
-            return res.render('student_dashboard', { user: req.session.user, error: 'Code de classe invalide.' });
-        }
+    const classCode = (req.body.classCode || '').trim();
 
-        const studentId = req.session.user._id;
-        const user = await User.findById(studentId);
+    if (!can(req.session.user, 'class.join')) {
+        return redirectWith(res, '/teacher/dashboard', 'error', 'Seuls les élèves peuvent rejoindre une classe.');
+    }
 
-        if (!user) {
-            return res.status(404).render('error', { message: 'Utilisateur non trouvé.' });
+    try {
+        const result = await joinWithCode(req.session.user._id, classCode);
+        if (result.status === 'invalid') {
+            return redirectWith(res, '/student/dashboard', 'error', result.message);
         }
-
-        // Check if student is already in this class
-        if (classroom.students.includes(studentId) && user.classroom && user.classroom.equals(classroom._id)) {
-            return res.render('student_dashboard', { user: req.session.user, message: 'Vous êtes déjà dans cette classe.' });
+        if (result.status !== 'joined') {
+            return redirectWith(res, '/student/dashboard', 'message', result.message);
         }
 
-        // Add student to classroom's students array
-        classroom.students.push(studentId);
-        await classroom.save();
-
-        // Update the student's user document to link to the classroom
-        user.classroom = classroom._id; // Assuming you have a 'classroom' field on your User model
-        await user.save();
-
-        // --- KEY CHANGE: Update the session immediately after joining ---
-        req.session.user.classroom = classroom._id;
-        req.session.user.classroomName = classroom.name;
-        // -----------------------------------------------------------------
+        await refreshSessionClassrooms(req);
+        console.log(`Student ${req.session.user.username} joined class ${result.classroom.name}.`);
 
         // Re-save the session to ensure changes are persisted
         req.session.save((err) => {
             if (err) console.error('Error saving session after joining class:', err);
-            res.redirect('/student/dashboard'); // Redirect to refresh dashboard
+            redirectWith(res, '/student/dashboard', 'message', result.message);
         });
 
     } catch (error) {
@@ -113,4 +152,27 @@ router.post('/student/join-class', isAuthenticated, async (req, res) => {
     }
 });
 
+// Route for a student leaving one of their classes
+router.post('/student/classes/:id/leave', isAuthenticated, async (req, res) => {
+    try {
+        const classroom = await Classroom.findById(req.params.id);
+        if (!classroom || !classroom.hasStudent(req.session.user._id)) {
+            return redirectWith(res, '/student/dashboard', 'error', 'Vous n\'êtes pas inscrit dans cette classe.');
+        }
+
+        await Classroom.removeStudent(classroom._id, req.session.user._id);
+        disconnectFromClass(req.app, classroom._id, req.session.user._id);
+        await refreshSessionClassrooms(req);
+        console.log(`Student ${req.session.user.username} left class ${classroom.name}.`);
+
+        req.session.save((err) => {
+            if (err) console.error('Error saving session after leaving class:', err);
+            redirectWith(res, '/student/dashboard', 'message', `Vous avez quitté la classe ${classroom.name}.`);
+        });
+    } catch (error) {
+        console.error("Error leaving class:", error);
+        res.status(500).render('error', { message: 'Erreur serveur lors du départ de la classe.' });
+    }
+});
+
 module.exports = router;
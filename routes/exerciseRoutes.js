@@ -0,0 +1,196 @@
+// routes/exerciseRoutes.js
+// Exercices auto-corrigés : le professeur donne la réponse attendue en LaTeX,
+// les élèves répondent avec l'éditeur MathQuill et reçoivent immédiatement la correction.
+// Monté sur /classes (les routes commencent par /:id pour réutiliser isClassMember).
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Exercise = require('../models/Exercise');
+const ExerciseAttempt = require('../models/ExerciseAttempt');
+
+const isAuthenticated = require('../middleware/isAuthenticated');
+const isClassMember = require('../middleware/isClassMember');
+const requireClassAccess = require('../middleware/requireClassAccess');
+const { can } = require('../utils/accessPolicy');
+const redirectWith = require('../utils/redirectWith');
+const { validateLatex } = require('../utils/latex');
+const { parse, areEquivalent, checkSimplified, MathParseError } = require('../utils/mathExpression');
+
+// Tolérance saisie dans le formulaire ("0,01" ou "0.01"), vide = 0
+function parseTolerance(value) {
+    if (value === undefined || value === '') return 0;
+    const number = Number(String(value).replace(',', '.'));
+    return Number.isFinite(number) && number >= 0 ? number : NaN;
+}
+
+// Create an exercise (teacher only)
+router.post('/:id/exercises', isAuthenticated, requireClassAccess('exercise.manage'), async (req, res) => {
+    const classUrl = `/classes/${req.params.id}`;
+    try {
+        const { title, statement, statementLatex, expectedAnswer, absoluteTolerance, relativeTolerance, requireSimplified, maxAttempts } = req.body;
+
+        if (!title || !expectedAnswer) {
+            return redirectWith(res, classUrl, 'error', 'Le titre et la réponse attendue sont obligatoires.');
+        }
+
+        const check = validateLatex(expectedAnswer);
+        if (!check.valid) {
+            return redirectWith(res, classUrl, 'error', `Réponse attendue invalide : ${check.error}`);
+        }
+
+        // The expected answer must be something the grader can evaluate
+        const expectedTree = parse(check.latex);
+        if (!areEquivalent(expectedTree, expectedTree).equivalent) {
+            return redirectWith(res, classUrl, 'error', 'La réponse attendue ne peut pas être évaluée numériquement.');
+        }
+        if (requireSimplified && !checkSimplified(expectedTree).simplified) {
+            return redirectWith(res, classUrl, 'error', 'La réponse attendue n\'est elle-même pas sous forme simplifiée.');
+        }
+
+        if (statementLatex) {
+            const statementCheck = validateLatex(statementLatex);
+            if (!statementCheck.valid) {
+                return redirectWith(res, classUrl, 'error', `Formule de l'énoncé invalide : ${statementCheck.error}`);
+            }
+        }
+
+        const tolerances = { absoluteTolerance: parseTolerance(absoluteTolerance), relativeTolerance: parseTolerance(relativeTolerance) };
+        if (Number.isNaN(tolerances.absoluteTolerance) || Number.isNaN(tolerances.relativeTolerance)) {
+            return redirectWith(res, classUrl, 'error', 'Les tolérances doivent être des nombres positifs.');
+        }
+
+        const exercise = await Exercise.create({
+            classroom: req.classroom._id,
+            createdBy: req.session.user._id,
+            title,
+            statement,
+            statementLatex,
+            expectedAnswer: check.latex,
+            ...tolerances,
+            requireSimplified: Boolean(requireSimplified),
+            maxAttempts: maxAttempts ? parseInt(maxAttempts, 10) : 0
+        });
+
+        console.log(`Exercice '${exercise.title}' créé dans la classe ${req.params.id}.`);
+        redirectWith(res, classUrl, 'message', 'Exercice créé avec succès !');
+    } catch (error) {
+        console.error('Erreur lors de la création de l\'exercice :', error);
+        const errorMessage = error instanceof MathParseError
+            ? `Réponse attendue illisible : ${error.message}`
+            : 'Erreur serveur lors de la création de l\'exercice.';
+        redirectWith(res, classUrl, 'error', errorMessage);
+    }
+});
+
+// Exercise page: answer form for students, results per student for the teacher
+router.get('/:id/exercises/:exerciseId', isAuthenticated, isClassMember, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.exerciseId)) {
+            return res.status(404).render('error', { message: 'Exercice introuvable.' });
+        }
+        const classroom = await req.classroom.populate('students', 'username');
+        const exercise = await Exercise.findOne({ _id: req.params.exerciseId, classroom: classroom._id });
+        if (!exercise) {
+            return res.status(404).render('error', { message: 'Exercice introuvable.' });
+        }
+
+        const isTeacher = can(req.session.user, 'exercise.manage', classroom);
+        let results = [];
+        let myAttempts = [];
+
+        if (isTeacher) {
+            const attempts = await ExerciseAttempt.find({ exercise: exercise._id }).sort({ createdAt: 1 });
+            results = classroom.students.map(student => {
+                const studentAttempts = attempts.filter(a => a.student.equals(student._id));
+                const firstSuccess = studentAttempts.find(a => a.correct);
+                return {
+                    student,
+                    attempts: studentAttempts.length,
+                    solved: Boolean(firstSuccess),
+                    solvedAt: firstSuccess ? firstSuccess.createdAt : null,
+                    lastAnswer: studentAttempts.length > 0 ? studentAttempts[studentAttempts.length - 1].answer : null
+                };
+            });
+        } else {
+            myAttempts = await ExerciseAttempt.find({ exercise: exercise._id, student: req.session.user._id }).sort({ createdAt: 1 });
+        }
+
+        res.render('exercise_details', {
+            classroom,
+            exercise,
+            isTeacher,
+            results,
+            myAttempts,
+            user: req.session.user
+        });
+    } catch (error) {
+        console.error('Erreur lors de l\'affichage de l\'exercice :', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors de l\'affichage de l\'exercice.' });
+    }
+});
+
+// Submit an answer (students, JSON): graded immediately and stored
+router.post('/:id/exercises/:exerciseId/attempts', isAuthenticated, requireClassAccess('exercise.attempt'), async (req, res) => {
+    try {
+        const exercise = mongoose.isValidObjectId(req.params.exerciseId)
+            ? await Exercise.findOne({ _id: req.params.exerciseId, classroom: req.params.id })
+            : null;
+        if (!exercise) {
+            return res.status(404).json({ message: 'Exercice introuvable.' });
+        }
+
+        const check = validateLatex(req.body.answer);
+        if (!check.valid) {
+            return res.status(400).json({ message: check.error });
+        }
+
+        const studentId = new mongoose.Types.ObjectId(String(req.session.user._id));
+        const outOfAttempts = () => res.status(403).json({ message: 'Vous avez utilisé toutes vos tentatives pour cet exercice.' });
+        if (exercise.maxAttempts > 0) {
+            const entry = exercise.attemptCounts.find(item => item.student.equals(studentId));
+            if (entry && entry.count >= exercise.maxAttempts) {
+                return outOfAttempts();
+            }
+        }
+
+        let result;
+        try {
+            result = exercise.grade(check.latex);
+        } catch (error) {
+            if (error instanceof MathParseError) {
+                // Unreadable answers are not counted as attempts
+                return res.status(400).json({ message: `Réponse illisible : ${error.message}` });
+            }
+            throw error;
+        }
+
+        // Réservation atomique : deux envois simultanés ne dépassent pas la limite
+        const attemptsUsed = await Exercise.reserveAttempt(exercise, studentId,
+            () => ExerciseAttempt.countDocuments({ exercise: exercise._id, student: studentId }));
+        if (attemptsUsed === null) {
+            return outOfAttempts();
+        }
+
+        const attempt = await ExerciseAttempt.create({
+            exercise: exercise._id,
+            student: req.session.user._id,
+            answer: check.latex,
+            correct: result.correct,
+            feedback: result.feedback
+        });
+
+        res.status(201).json({
+            correct: attempt.correct,
+            feedback: attempt.feedback,
+            answer: attempt.answer,
+            createdAt: attempt.createdAt,
+            attemptsUsed,
+            maxAttempts: exercise.maxAttempts
+        });
+    } catch (error) {
+        console.error('Erreur lors de la correction de l\'exercice :', error);
+        res.status(500).json({ message: 'Erreur serveur lors de la correction.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,441 @@
+// routes/fileRoutes.js
+// Bibliothèque de fichiers d'une classe : dépôt, dossiers imbriqués (par chapitre), renommage, déplacement,
+// remplacement avec historique des versions et suppression (y compris dans le stockage).
+// Les fichiers ne sont jamais liés directement : ils passent par la route de téléchargement, qui vérifie
+// l'inscription dans la classe, note qui a ouvert quoi (models/FileDownload.js) et renvoie un lien temporaire.
+// Monté sur /classes (les routes commencent par /:id, comme les devoirs et les exercices).
+const express = require('express');
+const path = require('path');
+const multer = require('multer');
+const router = express.Router();
+const PdfAnnotation = require('../models/PdfAnnotation');
+const FileDownload = require('../models/FileDownload');
+
+const isAuthenticated = require('../middleware/isAuthenticated');
+const requireClassAccess = require('../middleware/requireClassAccess');
+const upload = require('../middleware/upload');
+const storage = require('../utils/storage');
+const redirectWith = require('../utils/redirectWith');
+const sendStoredFile = require('../utils/sendStoredFile');
+const { notifyNewFile } = require('../utils/notifications');
+const searchIndex = require('../utils/searchIndex');
+const {
+    CATEGORY_LABELS,
+    MAX_FOLDER_DEPTH,
+    normalizeFolderPath,
+    folderNameError,
+    joinFolder,
+    parentFolder,
+    folderDepth,
+    isInFolder,
+    isFileVisible,
+    listFolders
+} = require('../utils/fileLibrary');
+
+const MAX_FILE_NAME_LENGTH = 200;
+
+// Retour à la bibliothèque, dans le dossier où l'on était
+function libraryUrl(classroomId, folder) {
+    return folder
+        ? `/classes/${classroomId}?folder=${encodeURIComponent(folder)}#files`
+        : `/classes/${classroomId}#files`;
+}
+
+// Les erreurs Multer (taille, type de fichier) reviennent sur la bibliothèque au lieu d'une page d'erreur
+function uploadClassFile(req, res, next) {
+    upload.single('classFile')(req, res, (error) => {
+        if (!error) return next();
+        let errorMessage = error.message;
+        if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+            errorMessage = 'Le fichier est trop volumineux (max 10MB) !';
+        }
+        redirectWith(res, libraryUrl(req.params.id), 'error', errorMessage);
+    });
+}
+
+// Dossier choisi dans un formulaire : doit exister dans la bibliothèque ('' = racine)
+function existingFolder(classroom, value) {
+    const folder = normalizeFolderPath(value);
+    if (folder && !listFolders(classroom).includes(folder)) {
+        return null;
+    }
+    return folder;
+}
+
+// Supprime du stockage la version actuelle et les anciennes versions d'un fichier.
+// Le document est déjà à jour : un échec ici laisse seulement un objet orphelin, signalé dans les logs.
+async function removeStoredVersions(file) {
+    const descriptors = [file, ...(file.versions || [])].map(version => ({
+        driver: version.storageDriver,
+        key: version.publicId,
+        url: version.filePath,
+        mimeType: version.fileMimeType
+    }));
+    for (const descriptor of descriptors) {
+        try {
+            await storage.removeFile(descriptor);
+        } catch (error) {
+            console.error(`Could not delete stored file ${descriptor.url}:`, error.message);
+        }
+    }
+}
+
+function findFile(req, res) {
+    const file = req.classroom.files.id(req.params.fileId);
+    if (!file) {
+        redirectWith(res, libraryUrl(req.params.id), 'error', 'Fichier introuvable.');
+        return null;
+    }
+    return file;
+}
+
+// Upload a file to the classroom library (any member)
+router.post('/:id/files', isAuthenticated, requireClassAccess('files.upload'), uploadClassFile, async (req, res) => {
+    const classroom = req.classroom;
+    const folder = existingFolder(classroom, req.body.folder);
+    try {
+        if (!req.file) {
+            return redirectWith(res, libraryUrl(classroom._id, folder), 'error', 'Aucun fichier n\'a été sélectionné.');
+        }
+        if (folder === null) {
+            return redirectWith(res, libraryUrl(classroom._id), 'error', 'Dossier introuvable.');
+        }
+
+        const { category } = req.body;
+        if (!category || !CATEGORY_LABELS[category]) {
+            return redirectWith(res, libraryUrl(classroom._id, folder), 'error', 'Catégorie de fichier invalide. Choisissez parmi Exercice, Devoir, Correction, Général.');
+        }
+
+        const stored = await storage.saveUploadedFile(req.file, `class_files/${classroom._id}`);
+
+        const newFile = {
+            fileName: req.file.originalname,
+            filePath: stored.url,
+            fileSize: req.file.size,
+            fileMimeType: req.file.mimetype,
+            uploadDate: new Date(),
+            uploader: req.session.user._id,
+            category: category,
+            folder: folder,
+            storageDriver: stored.driver,
+            publicId: stored.key
+        };
+
+        classroom.files.push(newFile);
+        await classroom.save();
+        // Texte des PDF et DOCX extrait du fichier reçu
+        searchIndex.indexFile(classroom, classroom.files[classroom.files.length - 1], req.file.buffer)
+            .catch(error => console.error('Error indexing a class file:', error));
+
+        notifyNewFile({
+            io: req.app.get('io'),
+            classroom,
+            user: req.session.user,
+            fileName: newFile.fileName,
+            link: libraryUrl(classroom._id, folder)
+        }).catch(error => console.error('Error creating file notifications:', error));
+
+        redirectWith(res, libraryUrl(classroom._id, folder), 'message', 'Fichier uploadé et enregistré avec succès !');
+    } catch (error) {
+        console.error('Erreur CRITIQUE lors de l\'upload du fichier de classe (Dépôt) :', error);
+        redirectWith(res, libraryUrl(classroom._id, folder), 'error', 'Erreur serveur lors de l\'upload du fichier : ' + error.message);
+    }
+});
+
+// --- Téléchargement (membres) ---
+
+function storageDescriptor(stored) {
+    return { driver: stored.storageDriver, key: stored.publicId, url: stored.filePath, mimeType: stored.fileMimeType };
+}
+
+// Nom proposé au téléchargement : celui de la bibliothèque, suivi du numéro pour une ancienne version
+function downloadName(file, version) {
+    if (!version) {
+        return file.fileName;
+    }
+    const extension = path.extname(file.fileName);
+    const versionExtension = path.extname(version.filePath.split('?')[0]) || extension;
+    const number = file.versions.indexOf(version) + 1;
+    return `${path.basename(file.fileName, extension)} (version ${number})${versionExtension}`;
+}
+
+// Download a library file (any member), or a previous version with ?version=<id>.
+// The download is recorded first, then the file comes from a short-lived link of the storage backend
+// (Cloudinary, GCS) or, for files on the server's disk, is sent by the server itself.
+router.get('/:id/files/:fileId/download', isAuthenticated, requireClassAccess('files.download'), async (req, res) => {
+    const classroom = req.classroom;
+    const file = classroom.files.id(req.params.fileId);
+    const version = file && req.query.version ? file.versions.id(req.query.version) : null;
+    if (!file || (req.query.version && !version) || !isFileVisible(file, req.session.user, classroom)) {
+        return res.status(404).render('error', { message: 'Fichier introuvable dans cette classe.' });
+    }
+
+    const stored = version || file;
+    const fileName = downloadName(file, version);
+    try {
+        // Un journal indisponible n'empêche pas le téléchargement
+        await FileDownload.create({
+            classroom: classroom._id,
+            file: file._id,
+            version: version ? version._id : null,
+            fileName,
+            user: req.session.user._id
+        }).catch(error => console.error('Error recording a file download:', error));
+
+        await sendStoredFile(res, storageDescriptor(stored), { fileName });
+    } catch (error) {
+        console.error(`Error downloading file '${file.fileName}':`, error);
+        res.status(502).render('error', { message: 'Le fichier n\'a pas pu être lu depuis le stockage.' });
+    }
+});
+
+// Which students opened a file, how many times and when (teacher)
+router.get('/:id/files/:fileId/downloads', isAuthenticated, requireClassAccess('files.viewDownloads'), async (req, res) => {
+    const classroom = req.classroom;
+    const file = classroom.files.id(req.params.fileId);
+    if (!file) {
+        return res.status(404).render('error', { message: 'Fichier introuvable dans cette classe.' });
+    }
+    try {
+        await classroom.populate('students', 'username');
+        const summary = await FileDownload.summaryForFile(classroom._id, file._id);
+        const students = classroom.students
+            .map(student => ({ _id: student._id, username: student.username, downloads: summary[student._id] || null }))
+            .sort((a, b) => a.username.localeCompare(b.username, 'fr'));
+
+        res.render('file_downloads', {
+            classroom,
+            file,
+            opened: students.filter(student => student.downloads),
+            notOpened: students.filter(student => !student.downloads),
+            backUrl: libraryUrl(classroom._id, file.folder)
+        });
+    } catch (error) {
+        console.error('Error loading file downloads:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors du chargement des téléchargements.' });
+    }
+});
+
+// --- Dossiers (professeur) ---
+
+// Create a folder inside the current one
+router.post('/:id/folders', isAuthenticated, requireClassAccess('files.manage'), async (req, res) => {
+    const classroom = req.classroom;
+    const parent = existingFolder(classroom, req.body.parent);
+    const name = (req.body.name || '').trim();
+    try {
+        if (parent === null) {
+            return redirectWith(res, libraryUrl(classroom._id), 'error', 'Dossier parent introuvable.');
+        }
+        const nameError = folderNameError(name);
+        if (nameError) {
+            return redirectWith(res, libraryUrl(classroom._id, parent), 'error', nameError);
+        }
+
+        const folder = joinFolder(parent, name);
+        if (folderDepth(folder) > MAX_FOLDER_DEPTH) {
+            return redirectWith(res, libraryUrl(classroom._id, parent), 'error', `Pas plus de ${MAX_FOLDER_DEPTH} niveaux de dossiers.`);
+        }
+        if (listFolders(classroom).includes(folder)) {
+            return redirectWith(res, libraryUrl(classroom._id, parent), 'error', 'Ce dossier existe déjà.');
+        }
+
+        classroom.folders.push(folder);
+        await classroom.save();
+        console.log(`Folder '${folder}' created in class ${classroom.name}.`);
+        redirectWith(res, libraryUrl(classroom._id, folder), 'message', `Dossier « ${name} » créé.`);
+    } catch (error) {
+        console.error('Error creating folder:', error);
+        redirectWith(res, libraryUrl(classroom._id, parent), 'error', 'Erreur serveur lors de la création du dossier.');
+    }
+});
+
+// Rename a folder: its sub-folders and files follow
+router.post('/:id/folders/rename', isAuthenticated, requireClassAccess('files.manage'), async (req, res) => {
+    const classroom = req.classroom;
+    const folder = existingFolder(classroom, req.body.folder);
+    const name = (req.body.name || '').trim();
+    try {
+        if (!folder) {
+            return redirectWith(res, libraryUrl(classroom._id), 'error', 'Dossier introuvable.');
+        }
+        const nameError = folderNameError(name);
+        if (nameError) {
+            return redirectWith(res, libraryUrl(classroom._id, folder), 'error', nameError);
+        }
+
+        const renamed = joinFolder(parentFolder(folder), name);
+        if (renamed === folder) {
+            return res.redirect(libraryUrl(classroom._id, folder));
+        }
+        if (listFolders(classroom).includes(renamed)) {
+            return redirectWith(res, libraryUrl(classroom._id, folder), 'error', 'Un dossier porte déjà ce nom.');
+        }
+
+        const move = (value) => renamed + value.slice(folder.length);
+        classroom.folders = listFolders(classroom).map(value => (isInFolder(value, folder) ? move(value) : value));
+        classroom.files.forEach(file => {
+            const fileFolder = normalizeFolderPath(file.folder);
+            if (fileFolder && isInFolder(fileFolder, folder)) {
+                file.folder = move(fileFolder);
+            }
+        });
+        await classroom.save();
+        searchIndex.indexFolders(classroom).catch(error => console.error('Error updating the search index after a folder rename:', error));
+
+        console.log(`Folder '${folder}' renamed to '${renamed}' in class ${classroom.name}.`);
+        redirectWith(res, libraryUrl(classroom._id, renamed), 'message', 'Dossier renommé.');
+    } catch (error) {
+        console.error('Error renaming folder:', error);
+        redirectWith(res, libraryUrl(classroom._id, folder), 'error', 'Erreur serveur lors du renommage du dossier.');
+    }
+});
+
+// Delete an empty folder (and its empty sub-folders)
+router.post('/:id/folders/delete', isAuthenticated, requireClassAccess('files.manage'), async (req, res) => {
+    const classroom = req.classroom;
+    const folder = existingFolder(classroom, req.body.folder);
+    try {
+        if (!folder) {
+            return redirectWith(res, libraryUrl(classroom._id), 'error', 'Dossier introuvable.');
+        }
+        const containsFiles = classroom.files.some(file => isInFolder(normalizeFolderPath(file.folder), folder));
+        if (containsFiles) {
+            return redirectWith(res, libraryUrl(classroom._id, folder), 'error', 'Le dossier n\'est pas vide : déplacez ou supprimez d\'abord ses fichiers.');
+        }
+
+        classroom.folders = listFolders(classroom).filter(value => !isInFolder(value, folder));
+        await classroom.save();
+
+        console.log(`Folder '${folder}' deleted in class ${classroom.name}.`);
+        redirectWith(res, libraryUrl(classroom._id, parentFolder(folder)), 'message', 'Dossier supprimé.');
+    } catch (error) {
+        console.error('Error deleting folder:', error);
+        redirectWith(res, libraryUrl(classroom._id, folder), 'error', 'Erreur serveur lors de la suppression du dossier.');
+    }
+});
+
+// --- Fichiers (professeur) ---
+
+// Rename a file (the extension is kept when the new name has none)
+router.post('/:id/files/:fileId/rename', isAuthenticated, requireClassAccess('files.manage'), async (req, res) => {
+    const file = findFile(req, res);
+    if (!file) return;
+    const backUrl = libraryUrl(req.classroom._id, file.folder);
+    try {
+        let fileName = (req.body.fileName || '').trim();
+        if (!fileName || fileName.length > MAX_FILE_NAME_LENGTH || /[\/\\]/.test(fileName)) {
+            return redirectWith(res, backUrl, 'error', `Nom de fichier invalide (1 à ${MAX_FILE_NAME_LENGTH} caractères, sans « / »).`);
+        }
+        if (!path.extname(fileName)) {
+            fileName += path.extname(file.fileName);
+        }
+
+        file.fileName = fileName;
+        await req.classroom.save();
+        searchIndex.indexFile(req.classroom, file).catch(error => console.error('Error indexing a class file:', error));
+        redirectWith(res, backUrl, 'message', 'Fichier renommé.');
+    } catch (error) {
+        console.error('Error renaming file:', error);
+        redirectWith(res, backUrl, 'error', 'Erreur serveur lors du renommage du fichier.');
+    }
+});
+
+// Move a file to another folder
+router.post('/:id/files/:fileId/move', isAuthenticated, requireClassAccess('files.manage'), async (req, res) => {
+    const file = findFile(req, res);
+    if (!file) return;
+    const backUrl = libraryUrl(req.classroom._id, file.folder);
+    try {
+        const folder = existingFolder(req.classroom, req.body.folder);
+        if (folder === null) {
+            return redirectWith(res, backUrl, 'error', 'Dossier de destination introuvable.');
+        }
+
+        file.folder = folder;
+        await req.classroom.save();
+        searchIndex.indexFile(req.classroom, file).catch(error => console.error('Error indexing a class file:', error));
+        redirectWith(res, libraryUrl(req.classroom._id, folder), 'message', `Fichier déplacé dans « ${folder || 'Racine'} ».`);
+    } catch (error) {
+        console.error('Error moving file:', error);
+        redirectWith(res, backUrl, 'error', 'Erreur serveur lors du déplacement du fichier.');
+    }
+});
+
+// Replace a file with a new version; the previous one stays available in the history
+router.post('/:id/files/:fileId/replace', isAuthenticated, requireClassAccess('files.manage'), uploadClassFile, async (req, res) => {
+    const file = findFile(req, res);
+    if (!file) return;
+    const backUrl = libraryUrl(req.classroom._id, file.folder);
+    try {
+        if (!req.file) {
+            return redirectWith(res, backUrl, 'error', 'Aucun fichier n\'a été sélectionné.');
+        }
+
+        const stored = await storage.saveUploadedFile(req.file, `class_files/${req.classroom._id}`);
+
+        file.versions.push({
+            filePath: file.filePath,
+            fileSize: file.fileSize,
+            fileMimeType: file.fileMimeType,
+            uploadDate: file.uploadDate,
+            uploader: file.uploader,
+            storageDriver: file.storageDriver,
+            publicId: file.publicId
+        });
+
+        // Same name in the library; only the extension follows the new file (ex. .docx -> .pdf)
+        const oldExtension = path.extname(file.fileName);
+        const newExtension = path.extname(req.file.originalname);
+        if (newExtension && newExtension.toLowerCase() !== oldExtension.toLowerCase()) {
+            file.fileName = path.basename(file.fileName, oldExtension) + newExtension;
+        }
+        file.filePath = stored.url;
+        file.fileSize = req.file.size;
+        file.fileMimeType = req.file.mimetype;
+        file.uploadDate = new Date();
+        file.uploader = req.session.user._id;
+        file.storageDriver = stored.driver;
+        file.publicId = stored.key;
+
+        await req.classroom.save();
+        searchIndex.indexFile(req.classroom, file, req.file.buffer).catch(error => console.error('Error indexing a class file:', error));
+        console.log(`File '${file.fileName}' replaced (version ${file.versions.length + 1}) in class ${req.classroom.name}.`);
+        notifyNewFile({
+            io: req.app.get('io'),
+            classroom: req.classroom,
+            user: req.session.user,
+            fileName: file.fileName,
+            link: backUrl,
+            isNewVersion: true
+        }).catch(error => console.error('Error creating file notifications:', error));
+        redirectWith(res, backUrl, 'message', 'Nouvelle version enregistrée.');
+    } catch (error) {
+        console.error('Error replacing file:', error);
+        redirectWith(res, backUrl, 'error', 'Erreur serveur lors du remplacement du fichier : ' + error.message);
+    }
+});
+
+// Delete a file, its previous versions, the stored objects, its annotations and its download log
+router.post('/:id/files/:fileId/delete', isAuthenticated, requireClassAccess('files.manage'), async (req, res) => {
+    const file = findFile(req, res);
+    if (!file) return;
+    const backUrl = libraryUrl(req.classroom._id, file.folder);
+    try {
+        const fileName = file.fileName;
+        file.deleteOne();
+        await req.classroom.save();
+        await removeStoredVersions(file);
+        await PdfAnnotation.deleteOne({ classroom: req.classroom._id, 'source.kind': 'file', 'source.id': file._id });
+        await searchIndex.removeEntry('file', file._id);
+        await FileDownload.deleteMany({ classroom: req.classroom._id, file: file._id });
+
+        console.log(`File '${fileName}' deleted from class ${req.classroom.name}.`);
+        redirectWith(res, backUrl, 'message', `Fichier « ${fileName} » supprimé.`);
+    } catch (error) {
+        console.error('Error deleting file:', error);
+        redirectWith(res, backUrl, 'error', 'Erreur serveur lors de la suppression du fichier.');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,299 @@
+// routes/gradebookRoutes.js
+// Carnet de notes d'une classe (professeur) : évaluations avec barème et coefficient, saisie des notes
+// et appréciations, moyennes par période sur 20, export CSV/XLSX et import CSV.
+// Monté sur /classes (les routes commencent par /:id, comme les devoirs et les exercices).
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const Gradebook = require('../models/Gradebook');
+
+const isAuthenticated = require('../middleware/isAuthenticated');
+const requireClassAccess = require('../middleware/requireClassAccess');
+const upload = require('../middleware/upload');
+const redirectWith = require('../utils/redirectWith');
+const { parseDecimal } = require('../utils/csv');
+const { buildSheet, toCsv, toXlsx, importMarks, termShortName } = require('../utils/gradebookSheet');
+
+const MAX_COMMENT_LENGTH = 1000;
+
+const gradebookUrl = (classroomId, term) => `/classes/${classroomId}/gradebook${term ? `?term=${term}` : ''}`;
+
+// Période demandée (?term= ou champ de formulaire), bornée aux périodes du carnet
+function selectedTerm(gradebook, value) {
+    const term = parseInt(value, 10);
+    return term >= 1 && term <= gradebook.terms.length ? term : 1;
+}
+
+// Élèves de la classe triés par nom, pour les lignes du carnet
+async function classStudents(classroom) {
+    await classroom.populate('students', 'username');
+    return classroom.students.slice().sort((a, b) => a.username.localeCompare(b.username, 'fr'));
+}
+
+// Titre, période, date, barème et coefficient d'une évaluation (création et modification)
+function readEvaluationForm(gradebook, body) {
+    const title = (body.title || '').trim();
+    const term = parseInt(body.term, 10);
+    const maxScore = parseDecimal(body.maxScore);
+    const weight = parseDecimal(body.weight);
+    const date = body.date ? new Date(body.date) : new Date();
+
+    if (!title) return { error: 'Le titre de l\'évaluation est obligatoire.' };
+    if (!(term >= 1 && term <= gradebook.terms.length)) return { error: 'Période invalide.' };
+    if (maxScore === null || Number.isNaN(maxScore) || maxScore < 1) return { error: 'Le barème doit être un nombre supérieur ou égal à 1.' };
+    if (weight === null || Number.isNaN(weight) || weight < 0) return { error: 'Le coefficient doit être un nombre positif (0 = non compté).' };
+    if (Number.isNaN(date.getTime())) return { error: 'Date invalide.' };
+
+    return { values: { title, term, maxScore, weight, date } };
+}
+
+// Gradebook overview: students as rows, the selected term's evaluations as columns, averages of every term
+router.get('/:id/gradebook', isAuthenticated, requireClassAccess('gradebook.manage'), async (req, res) => {
+    try {
+        const classroom = req.classroom;
+        const gradebook = await Gradebook.forClassroom(classroom._id);
+        const students = await classStudents(classroom);
+        const term = selectedTerm(gradebook, req.query.term);
+
+        res.render('gradebook', {
+            classroom,
+            gradebook,
+            students,
+            term,
+            evaluations: gradebook.evaluationsForTerm(term),
+            termSystems: Gradebook.TERM_SYSTEMS,
+            termShortName: (number) => termShortName(gradebook, number),
+            message: req.query.message,
+            error: req.query.error
+        });
+    } catch (error) {
+        console.error('Error loading gradebook:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors de l\'ouverture du carnet de notes.' });
+    }
+});
+
+// Trimesters or semesters
+router.post('/:id/gradebook/settings', isAuthenticated, requireClassAccess('gradebook.manage'), async (req, res) => {
+    const classroom = req.classroom;
+    try {
+        const gradebook = await Gradebook.forClassroom(classroom._id);
+        const termSystem = req.body.termSystem;
+        if (!Gradebook.TERM_SYSTEMS[termSystem]) {
+            return redirectWith(res, gradebookUrl(classroom._id), 'error', 'Découpage de l\'année invalide.');
+        }
+
+        const termCount = Gradebook.TERM_SYSTEMS[termSystem].length;
+        if (gradebook.evaluations.some(evaluation => evaluation.term > termCount)) {
+            return redirectWith(res, gradebookUrl(classroom._id), 'error', `Des évaluations sont rattachées à une période au-delà de la ${termCount}e : déplacez-les d'abord.`);
+        }
+
+        gradebook.termSystem = termSystem;
+        await gradebook.save();
+        redirectWith(res, gradebookUrl(classroom._id), 'message', 'Découpage de l\'année enregistré.');
+    } catch (error) {
+        console.error('Error saving gradebook settings:', error);
+        redirectWith(res, gradebookUrl(classroom._id), 'error', 'Erreur serveur lors de l\'enregistrement des réglages.');
+    }
+});
+
+// Add an evaluation (column)
+router.post('/:id/gradebook/evaluations', isAuthenticated, requireClassAccess('gradebook.manage'), async (req, res) => {
+    const classroom = req.classroom;
+    try {
+        const gradebook = await Gradebook.forClassroom(classroom._id);
+        const { values, error } = readEvaluationForm(gradebook, req.body);
+        if (error) {
+            return redirectWith(res, gradebookUrl(classroom._id, req.body.term), 'error', error);
+        }
+
+        gradebook.evaluations.push(values);
+        await gradebook.save();
+        const evaluation = gradebook.evaluations[gradebook.evaluations.length - 1];
+
+        console.log(`Evaluation '${values.title}' added to the gradebook of ${classroom.name}.`);
+        res.redirect(`/classes/${classroom._id}/gradebook/evaluations/${evaluation._id}`);
+    } catch (error) {
+        console.error('Error creating evaluation:', error);
+        redirectWith(res, gradebookUrl(classroom._id), 'error', 'Erreur serveur lors de la création de l\'évaluation.');
+    }
+});
+
+// Marks entry for one evaluation
+router.get('/:id/gradebook/evaluations/:evaluationId', isAuthenticated, requireClassAccess('gradebook.manage'), async (req, res) => {
+    try {
+        const classroom = req.classroom;
+        const gradebook = await Gradebook.forClassroom(classroom._id);
+        const evaluation = gradebook.evaluations.id(req.params.evaluationId);
+        if (!evaluation) {
+            return res.status(404).render('error', { message: 'Évaluation introuvable.' });
+        }
+
+        res.render('gradebook_evaluation', {
+            classroom,
+            gradebook,
+            evaluation,
+            students: await classStudents(classroom),
+            classAverage: gradebook.evaluationAverage(evaluation),
+            message: req.query.message,
+            error: req.query.error
+        });
+    } catch (error) {
+        console.error('Error loading evaluation:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors de l\'ouverture de l\'évaluation.' });
+    }
+});
+
+// Save an evaluation's settings and its marks/comments (scores[studentId], comments[studentId])
+router.post('/:id/gradebook/evaluations/:evaluationId', isAuthenticated, requireClassAccess('gradebook.manage'), async (req, res) => {
+    const classroom = req.classroom;
+    const evaluationUrl = `/classes/${classroom._id}/gradebook/evaluations/${req.params.evaluationId}`;
+    try {
+        const gradebook = await Gradebook.forClassroom(classroom._id);
+        const evaluation = gradebook.evaluations.id(req.params.evaluationId);
+        if (!evaluation) {
+            return res.status(404).render('error', { message: 'Évaluation introuvable.' });
+        }
+
+        const { values, error } = readEvaluationForm(gradebook, req.body);
+        if (error) {
+            return redirectWith(res, evaluationUrl, 'error', error);
+        }
+        Object.assign(evaluation, values);
+
+        const scores = req.body.scores || {};
+        const comments = req.body.comments || {};
+        const invalid = [];
+        for (const student of await classStudents(classroom)) {
+            const studentId = String(student._id);
+            const score = parseDecimal(scores[studentId]);
+            if (Number.isNaN(score) || (score !== null && (score < 0 || score > evaluation.maxScore))) {
+                invalid.push(student.username);
+                continue;
+            }
+            const comment = String(comments[studentId] || '').trim().slice(0, MAX_COMMENT_LENGTH);
+            if (score !== null || comment || gradebook.markFor(evaluation, student._id)) {
+                gradebook.setMark(evaluation, student._id, { score, comment });
+            }
+        }
+
+        await gradebook.save();
+        if (invalid.length > 0) {
+            return redirectWith(res, evaluationUrl, 'error', `Notes invalides (0 à ${evaluation.maxScore}) non enregistrées pour : ${invalid.join(', ')}.`);
+        }
+        redirectWith(res, gradebookUrl(classroom._id, evaluation.term), 'message', `Notes de « ${evaluation.title} » enregistrées.`);
+    } catch (error) {
+        console.error('Error saving marks:', error);
+        redirectWith(res, evaluationUrl, 'error', 'Erreur serveur lors de l\'enregistrement des notes.');
+    }
+});
+
+router.post('/:id/gradebook/evaluations/:evaluationId/delete', isAuthenticated, requireClassAccess('gradebook.manage'), async (req, res) => {
+    const classroom = req.classroom;
+    try {
+        const gradebook = await Gradebook.forClassroom(classroom._id);
+        const evaluation = gradebook.evaluations.id(req.params.evaluationId);
+        if (!evaluation) {
+            return redirectWith(res, gradebookUrl(classroom._id), 'error', 'Évaluation introuvable.');
+        }
+
+        const { title, term } = evaluation;
+        evaluation.deleteOne();
+        await gradebook.save();
+        redirectWith(res, gradebookUrl(classroom._id, term), 'message', `Évaluation « ${title} » supprimée.`);
+    } catch (error) {
+        console.error('Error deleting evaluation:', error);
+        redirectWith(res, gradebookUrl(classroom._id), 'error', 'Erreur serveur lors de la suppression de l\'évaluation.');
+    }
+});
+
+// Term comments (appréciations), one per student: comments[studentId]
+router.post('/:id/gradebook/comments', isAuthenticated, requireClassAccess('gradebook.manage'), async (req, res) => {
+    const classroom = req.classroom;
+    try {
+        const gradebook = await Gradebook.forClassroom(classroom._id);
+        const term = selectedTerm(gradebook, req.body.term);
+        const comments = req.body.comments || {};
+
+        for (const student of await classStudents(classroom)) {
+            const comment = String(comments[String(student._id)] || '').trim().slice(0, MAX_COMMENT_LENGTH);
+            gradebook.setTermComment(student._id, term, comment);
+        }
+        await gradebook.save();
+        redirectWith(res, gradebookUrl(classroom._id, term), 'message', 'Appréciations enregistrées.');
+    } catch (error) {
+        console.error('Error saving term comments:', error);
+        redirectWith(res, gradebookUrl(classroom._id), 'error', 'Erreur serveur lors de l\'enregistrement des appréciations.');
+    }
+});
+
+// Export the whole gradebook: /export/csv or /export/xlsx
+router.get('/:id/gradebook/export/:format', isAuthenticated, requireClassAccess('gradebook.manage'), async (req, res) => {
+    try {
+        const classroom = req.classroom;
+        const gradebook = await Gradebook.forClassroom(classroom._id);
+        const sheet = buildSheet(gradebook, await classStudents(classroom));
+        const baseName = `notes-${classroom.name}`.replace(/[^\w\-]+/g, '_');
+
+        if (req.params.format === 'csv') {
+            res.attachment(`${baseName}.csv`);
+            res.type('text/csv; charset=utf-8');
+            return res.send(toCsv(sheet));
+        }
+        if (req.params.format === 'xlsx') {
+            const buffer = await toXlsx(sheet, classroom.name);
+            res.attachment(`${baseName}.xlsx`);
+            res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            return res.send(Buffer.from(buffer));
+        }
+        res.status(404).render('error', { message: 'Format d\'export inconnu (csv ou xlsx).' });
+    } catch (error) {
+        console.error('Error exporting gradebook:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors de l\'export du carnet de notes.' });
+    }
+});
+
+// Import marks from a CSV (same layout as the export)
+router.post('/:id/gradebook/import', isAuthenticated, requireClassAccess('gradebook.manage'), (req, res, next) => {
+    upload.csv.single('csvFile')(req, res, (error) => {
+        if (!error) return next();
+        const errorMessage = error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE'
+            ? 'Le fichier CSV est trop volumineux (max 1 Mo).'
+            : error.message;
+        redirectWith(res, gradebookUrl(req.params.id), 'error', errorMessage);
+    });
+}, async (req, res) => {
+    const classroom = req.classroom;
+    try {
+        if (!req.file) {
+            return redirectWith(res, gradebookUrl(classroom._id), 'error', 'Aucun fichier CSV n\'a été sélectionné.');
+        }
+
+        const gradebook = await Gradebook.forClassroom(classroom._id);
+        const term = selectedTerm(gradebook, req.body.term);
+        const result = importMarks(gradebook, await classStudents(classroom), req.file.buffer.toString('utf8'), {
+            term,
+            createMissing: req.body.createMissing === '1'
+        });
+
+        if (result.updated > 0 || result.createdEvaluations.length > 0) {
+            await gradebook.save();
+        }
+        console.log(`Gradebook import for ${classroom.name}: ${result.updated} mark(s), ${result.errors.length} error(s).`);
+
+        let summary = `${result.updated} note(s) importée(s).`;
+        if (result.createdEvaluations.length > 0) {
+            summary += ` Évaluations créées : ${result.createdEvaluations.join(', ')}.`;
+        }
+        if (result.errors.length > 0) {
+            const shown = result.errors.slice(0, 10).join(' ');
+            const more = result.errors.length > 10 ? ` (+${result.errors.length - 10} autre(s) erreur(s))` : '';
+            return redirectWith(res, gradebookUrl(classroom._id, term), 'error', `${summary} ${shown}${more}`);
+        }
+        redirectWith(res, gradebookUrl(classroom._id, term), 'message', summary);
+    } catch (error) {
+        console.error('Error importing gradebook CSV:', error);
+        redirectWith(res, gradebookUrl(classroom._id), 'error', 'Erreur serveur lors de l\'import du fichier CSV.');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,218 @@
+// routes/invitationRoutes.js
+// Invitations d'une classe (codes à durée et nombre d'utilisations limités, QR code à projeter)
+// et validation des demandes d'inscription. Monté sur /classes, sauf joinRouter monté sur /join.
+const express = require('express');
+const mongoose = require('mongoose');
+const QRCode = require('qrcode');
+const router = express.Router();
+const joinRouter = express.Router();
+const Classroom = require('../models/Classroom');
+const Invitation = require('../models/Invitation');
+const JoinRequest = require('../models/JoinRequest');
+
+const isAuthenticated = require('../middleware/isAuthenticated');
+const requireClassAccess = require('../middleware/requireClassAccess');
+const redirectWith = require('../utils/redirectWith');
+const { findUsableInvitation } = require('../utils/classInvitations');
+
+const invitationsUrl = (classroomId) => `/classes/${classroomId}/invitations`;
+
+// Lien encodé dans le QR code
+function joinUrl(req, invitation) {
+    const base = (process.env.APP_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+    return `${base}/join/${invitation.code}`;
+}
+
+// Durée, nombre d'utilisations, validation et libellé d'une invitation (création)
+function readInvitationForm(body) {
+    const label = String(body.label || '').trim().slice(0, 80);
+    const requiresApproval = body.requiresApproval === '1';
+
+    let expiresAt = null;
+    if (body.expiresInDays) {
+        const days = parseInt(body.expiresInDays, 10);
+        if (!(days >= 1 && days <= 365)) return { error: 'La durée de validité doit être comprise entre 1 et 365 jours.' };
+        expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    let maxUses = null;
+    if (body.maxUses) {
+        maxUses = parseInt(body.maxUses, 10);
+        if (!(maxUses >= 1 && maxUses <= 1000)) return { error: 'Le nombre d\'utilisations doit être compris entre 1 et 1000.' };
+    }
+
+    return { values: { label, requiresApproval, expiresAt, maxUses } };
+}
+
+async function loadInvitation(req) {
+    const { invitationId } = req.params;
+    if (!mongoose.isValidObjectId(invitationId)) return null;
+    return Invitation.findOne({ _id: invitationId, classroom: req.classroom._id });
+}
+
+// Invitations of the class (most recent first), with their QR codes, and the pending join requests
+router.get('/:id/invitations', isAuthenticated, requireClassAccess('class.manage'), async (req, res) => {
+    try {
+        const classroom = req.classroom;
+        const invitations = await Invitation.find({ classroom: classroom._id }).sort({ createdAt: -1 });
+        const qrCodes = {};
+        for (const invitation of invitations.filter(i => i.isUsable())) {
+            qrCodes[invitation._id] = await QRCode.toString(joinUrl(req, invitation), { type: 'svg', margin: 1 });
+        }
+        const joinRequests = await JoinRequest.pendingFor([classroom._id]);
+
+        res.render('invitations', {
+            classroom,
+            invitations,
+            qrCodes,
+            joinRequests,
+            joinUrl: (invitation) => joinUrl(req, invitation),
+            defaultExpiryDays: Invitation.DEFAULT_EXPIRY_DAYS,
+            message: req.query.message || null,
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error('Error loading invitations:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors du chargement des invitations.' });
+    }
+});
+
+router.post('/:id/invitations', isAuthenticated, requireClassAccess('class.manage'), async (req, res) => {
+    const classroom = req.classroom;
+    try {
+        const { values, error } = readInvitationForm(req.body);
+        if (error) {
+            return redirectWith(res, invitationsUrl(classroom._id), 'error', error);
+        }
+        const invitation = await Invitation.createFor(classroom._id, { ...values, createdBy: req.session.user._id });
+        console.log(`Teacher ${req.session.user.username} created invitation ${invitation.code} for ${classroom.name}.`);
+        redirectWith(res, invitationsUrl(classroom._id), 'message', `Invitation ${invitation.displayCode} créée.`);
+    } catch (error) {
+        console.error('Error creating invitation:', error);
+        redirectWith(res, invitationsUrl(classroom._id), 'error', 'Erreur serveur lors de la création de l\'invitation.');
+    }
+});
+
+router.post('/:id/invitations/:invitationId/revoke', isAuthenticated, requireClassAccess('class.manage'), async (req, res) => {
+    const classroom = req.classroom;
+    try {
+        const invitation = await loadInvitation(req);
+        if (!invitation) {
+            return redirectWith(res, invitationsUrl(classroom._id), 'error', 'Invitation introuvable.');
+        }
+        if (!invitation.revokedAt) {
+            invitation.revokedAt = new Date();
+            await invitation.save();
+        }
+        redirectWith(res, invitationsUrl(classroom._id), 'message', `Invitation ${invitation.displayCode} révoquée : elle ne permet plus de rejoindre la classe.`);
+    } catch (error) {
+        console.error('Error revoking invitation:', error);
+        redirectWith(res, invitationsUrl(classroom._id), 'error', 'Erreur serveur lors de la révocation.');
+    }
+});
+
+// Nouveau code avec les mêmes réglages (durée repartant d'aujourd'hui) ; l'ancien code est révoqué
+router.post('/:id/invitations/:invitationId/regenerate', isAuthenticated, requireClassAccess('class.manage'), async (req, res) => {
+    const classroom = req.classroom;
+    try {
+        const invitation = await loadInvitation(req);
+        if (!invitation) {
+            return redirectWith(res, invitationsUrl(classroom._id), 'error', 'Invitation introuvable.');
+        }
+
+        const duration = invitation.expiresAt ? invitation.expiresAt - invitation.createdAt : null;
+        const replacement = await Invitation.createFor(classroom._id, {
+            label: invitation.label,
+            requiresApproval: invitation.requiresApproval,
+            maxUses: invitation.maxUses,
+            expiresAt: duration ? new Date(Date.now() + duration) : null,
+            createdBy: req.session.user._id
+        });
+        if (!invitation.revokedAt) {
+            invitation.revokedAt = new Date();
+            await invitation.save();
+        }
+
+        console.log(`Teacher ${req.session.user.username} regenerated invitation ${invitation.code} -> ${replacement.code} (${classroom.name}).`);
+        redirectWith(res, invitationsUrl(classroom._id), 'message', `Nouveau code : ${replacement.displayCode} (l'ancien code ${invitation.displayCode} ne fonctionne plus).`);
+    } catch (error) {
+        console.error('Error regenerating invitation:', error);
+        redirectWith(res, invitationsUrl(classroom._id), 'error', 'Erreur serveur lors de la régénération du code.');
+    }
+});
+
+// Full-screen page to project the QR code in class
+router.get('/:id/invitations/:invitationId/present', isAuthenticated, requireClassAccess('class.manage'), async (req, res) => {
+    try {
+        const invitation = await loadInvitation(req);
+        if (!invitation) {
+            return res.status(404).render('error', { message: 'Invitation introuvable.' });
+        }
+        const reason = invitation.unusableReason();
+        if (reason) {
+            return redirectWith(res, invitationsUrl(req.classroom._id), 'error', reason);
+        }
+        res.render('invitation_present', {
+            classroom: req.classroom,
+            invitation,
+            url: joinUrl(req, invitation),
+            qrCode: await QRCode.toString(joinUrl(req, invitation), { type: 'svg', margin: 1 })
+        });
+    } catch (error) {
+        console.error('Error presenting invitation:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors de l\'affichage de l\'invitation.' });
+    }
+});
+
+// Approve or reject a pending join request (teacher dashboard and invitations page)
+router.post('/:id/join-requests/:requestId/:decision', isAuthenticated, requireClassAccess('class.manage'), async (req, res) => {
+    const classroom = req.classroom;
+    const back = req.body.returnTo === 'invitations' ? invitationsUrl(classroom._id) : '/teacher/dashboard';
+    try {
+        const { requestId, decision } = req.params;
+        if (!['approve', 'reject'].includes(decision) || !mongoose.isValidObjectId(requestId)) {
+            return redirectWith(res, back, 'error', 'Action invalide.');
+        }
+
+        const request = await JoinRequest.findOneAndUpdate(
+            { _id: requestId, classroom: classroom._id, status: 'pending' },
+            { status: decision === 'approve' ? 'approved' : 'rejected', decidedAt: new Date(), decidedBy: req.session.user._id },
+            { new: true }
+        ).populate('student', 'username');
+        if (!request) {
+            return redirectWith(res, back, 'error', 'Cette demande a déjà été traitée.');
+        }
+
+        const studentName = request.student ? request.student.username : 'L\'élève';
+        if (decision === 'approve' && request.student) {
+            await Classroom.enrollStudent(classroom._id, request.student._id);
+            console.log(`Teacher ${req.session.user.username} approved ${studentName} in ${classroom.name}.`);
+            return redirectWith(res, back, 'message', `${studentName} a été inscrit dans la classe ${classroom.name}.`);
+        }
+        console.log(`Teacher ${req.session.user.username} rejected ${studentName} for ${classroom.name}.`);
+        redirectWith(res, back, 'message', `Demande de ${studentName} refusée.`);
+    } catch (error) {
+        console.error('Error deciding a join request:', error);
+        redirectWith(res, back, 'error', 'Erreur serveur lors du traitement de la demande.');
+    }
+});
+
+// Link encoded in the QR code: students join, log in or register with the code already filled in
+joinRouter.get('/:code', async (req, res) => {
+    try {
+        const code = Invitation.normalizeCode(req.params.code);
+        const { classroom, error } = await findUsableInvitation(code);
+        res.render('join_class', {
+            code,
+            classroom: classroom || null,
+            error: error || null,
+            user: req.session.user || null
+        });
+    } catch (error) {
+        console.error('Error opening an invitation link:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors de l\'ouverture de l\'invitation.' });
+    }
+});
+
+module.exports = router;
+module.exports.joinRouter = joinRouter;
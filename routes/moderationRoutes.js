@@ -0,0 +1,87 @@
+// routes/moderationRoutes.js
+// Page de modération du chat d'une classe (professeur) : verrouillage, élèves rendus muets,
+// signalements en attente et journal de modération. Les actions passent par utils/chatModeration.js,
+// comme celles faites directement dans le chat, pour que les clients connectés soient prévenus.
+// Monté sur /classes.
+const express = require('express');
+const router = express.Router();
+const ChatMute = require('../models/ChatMute');
+const ChatReport = require('../models/ChatReport');
+const ModerationLog = require('../models/ModerationLog');
+
+const isAuthenticated = require('../middleware/isAuthenticated');
+const requireClassAccess = require('../middleware/requireClassAccess');
+const redirectWith = require('../utils/redirectWith');
+const chatModeration = require('../utils/chatModeration');
+
+const moderationUrl = (classroomId) => `/classes/${classroomId}/moderation`;
+
+// Exécute une action de modération puis revient sur la page avec un message (texte, ou fonction de req)
+function moderationAction(run, successMessage) {
+    return async (req, res) => {
+        const classroom = req.classroom;
+        try {
+            await run({ io: req.app.get('io'), classroom, user: req.session.user }, req);
+            const text = typeof successMessage === 'function' ? successMessage(req) : successMessage;
+            redirectWith(res, moderationUrl(classroom._id), 'message', text);
+        } catch (error) {
+            if (error instanceof chatModeration.ModerationError) {
+                return redirectWith(res, moderationUrl(classroom._id), 'error', error.message);
+            }
+            console.error('Error during chat moderation:', error);
+            redirectWith(res, moderationUrl(classroom._id), 'error', 'Erreur serveur lors de l\'action de modération.');
+        }
+    };
+}
+
+router.get('/:id/moderation', isAuthenticated, requireClassAccess('chat.moderate'), async (req, res) => {
+    try {
+        const classroom = req.classroom;
+        await classroom.populate('students', 'username');
+        const [reports, mutes, logEntries] = await Promise.all([
+            ChatReport.openFor(classroom._id),
+            ChatMute.activeInClass(classroom._id),
+            ModerationLog.recentFor(classroom._id)
+        ]);
+
+        res.render('moderation', {
+            classroom,
+            reports,
+            mutes,
+            logEntries,
+            maxMuteMinutes: ChatMute.MAX_MUTE_MINUTES,
+            message: req.query.message || null,
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error('Error loading the moderation page:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors du chargement de la modération.' });
+    }
+});
+
+router.post('/:id/moderation/lock', isAuthenticated, requireClassAccess('chat.moderate'), moderationAction(
+    (context, req) => chatModeration.setChatLock({ ...context, locked: req.body.locked === '1' }),
+    (req) => (req.body.locked === '1' ? 'Chat verrouillé : les élèves ne peuvent plus écrire.' : 'Chat déverrouillé.')
+));
+
+router.post('/:id/moderation/mutes', isAuthenticated, requireClassAccess('chat.moderate'), moderationAction(
+    (context, req) => chatModeration.muteStudent({ ...context, studentId: req.body.studentId, minutes: req.body.minutes, reason: req.body.reason }),
+    'L\'élève ne peut plus écrire dans le chat pendant la durée choisie.'
+));
+
+router.post('/:id/moderation/mutes/:muteId/lift', isAuthenticated, requireClassAccess('chat.moderate'), moderationAction(
+    (context, req) => chatModeration.liftMute({ ...context, muteId: req.params.muteId }),
+    'L\'élève peut de nouveau écrire dans le chat.'
+));
+
+router.post('/:id/moderation/reports/:reportId/dismiss', isAuthenticated, requireClassAccess('chat.moderate'), moderationAction(
+    (context, req) => chatModeration.dismissReport({ ...context, reportId: req.params.reportId }),
+    'Signalement classé.'
+));
+
+router.post('/:id/moderation/messages/:messageId/delete', isAuthenticated, requireClassAccess('chat.moderate'), moderationAction(
+    (context, req) => chatModeration.deleteMessage({ ...context, messageId: req.params.messageId }),
+    'Message supprimé.'
+));
+
+module.exports = router;
@@ -0,0 +1,87 @@
+// routes/notificationRoutes.js
+// Boîte de réception des notifications de l'utilisateur connecté : liste (toutes ou non lues), ouverture
+// (marque comme lue puis redirige vers la page concernée), « tout marquer comme lu » et choix des types reçus.
+// Monté sur /notifications.
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const User = require('../models/user');
+const Notification = require('../models/Notification');
+const isAuthenticated = require('../middleware/isAuthenticated');
+const redirectWith = require('../utils/redirectWith');
+const notifications = require('../utils/notifications');
+
+router.get('/', isAuthenticated, async (req, res) => {
+    try {
+        const unreadOnly = req.query.filter === 'unread';
+        const [items, account] = await Promise.all([
+            Notification.inboxFor(req.session.user._id, { unreadOnly }),
+            User.findById(req.session.user._id).select('notificationPreferences')
+        ]);
+        if (!account) {
+            return res.redirect('/logout');
+        }
+
+        res.render('notifications', {
+            notifications: items,
+            unreadOnly,
+            preferences: account.notificationPreferences || {},
+            typeLabels: Notification.TYPE_LABELS,
+            message: req.query.message || null,
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error('Error loading notifications:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors du chargement des notifications.' });
+    }
+});
+
+// Lien d'une notification (boîte de réception, notification en direct)
+router.get('/:notificationId/open', isAuthenticated, async (req, res) => {
+    try {
+        const notification = mongoose.isValidObjectId(req.params.notificationId)
+            ? await Notification.findOne({ _id: req.params.notificationId, user: req.session.user._id })
+            : null;
+        if (!notification) {
+            return redirectWith(res, '/notifications', 'error', 'Cette notification n\'existe plus.');
+        }
+        if (!notification.readAt) {
+            await notifications.markRead({ io: req.app.get('io'), userId: req.session.user._id, ids: [notification._id] });
+        }
+        // Liens internes uniquement
+        const link = notification.link && notification.link.startsWith('/') && !notification.link.startsWith('//')
+            ? notification.link
+            : '/notifications';
+        res.redirect(link);
+    } catch (error) {
+        console.error('Error opening notification:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors de l\'ouverture de la notification.' });
+    }
+});
+
+router.post('/read-all', isAuthenticated, async (req, res) => {
+    try {
+        await notifications.markRead({ io: req.app.get('io'), userId: req.session.user._id });
+        redirectWith(res, '/notifications', 'message', 'Toutes les notifications sont marquées comme lues.');
+    } catch (error) {
+        console.error('Error marking notifications as read:', error);
+        redirectWith(res, '/notifications', 'error', 'Erreur serveur lors de la mise à jour des notifications.');
+    }
+});
+
+// Cases cochées = types reçus ; une case décochée n'est pas envoyée par le formulaire
+router.post('/preferences', isAuthenticated, async (req, res) => {
+    try {
+        const preferences = {};
+        Object.keys(Notification.TYPE_LABELS).forEach((type) => {
+            preferences[`notificationPreferences.${type}`] = req.body[type] === '1';
+        });
+        await User.updateOne({ _id: req.session.user._id }, { $set: preferences });
+        redirectWith(res, '/notifications', 'message', 'Préférences de notification enregistrées.');
+    } catch (error) {
+        console.error('Error saving notification preferences:', error);
+        redirectWith(res, '/notifications', 'error', 'Erreur serveur lors de l\'enregistrement des préférences.');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+// routes/profileRoutes.js
+// Profil de l'utilisateur connecté : nom d'utilisateur, adresse e-mail (facultative) et mot de passe.
+const express = require('express');
+const router = express.Router();
+const User = require('../models/user');
+const PasswordReset = require('../models/PasswordReset');
+const isAuthenticated = require('../middleware/isAuthenticated');
+const redirectWith = require('../utils/redirectWith');
+const mailer = require('../utils/mailer');
+
+router.get('/', isAuthenticated, async (req, res) => {
+    try {
+        const account = await User.findById(req.session.user._id).select('username email role mustChangePassword createdAt');
+        if (!account) {
+            return res.redirect('/logout');
+        }
+        res.render('profile', {
+            account,
+            emailResetAvailable: mailer.isConfigured(),
+            message: req.query.message || null,
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error('Error loading profile:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors du chargement du profil.' });
+    }
+});
+
+router.post('/username', isAuthenticated, async (req, res) => {
+    try {
+        const username = String(req.body.username || '').trim();
+        const usernameError = User.usernameError(username);
+        if (usernameError) {
+            return redirectWith(res, '/profile', 'error', usernameError);
+        }
+        if (username === req.session.user.username) {
+            return redirectWith(res, '/profile', 'message', 'Nom d\'utilisateur inchangé.');
+        }
+
+        const taken = await User.exists({ username, _id: { $ne: req.session.user._id } });
+        if (taken) {
+            return redirectWith(res, '/profile', 'error', 'Ce nom d\'utilisateur est déjà pris.');
+        }
+
+        await User.updateOne({ _id: req.session.user._id }, { username });
+        console.log(`User ${req.session.user.username} renamed to ${username}.`);
+        // Le chat lit le nom dans la session à la connexion du socket : il sera à jour au prochain chargement de page
+        req.session.user.username = username;
+        redirectWith(res, '/profile', 'message', 'Nom d\'utilisateur modifié.');
+    } catch (error) {
+        console.error('Error changing username:', error);
+        redirectWith(res, '/profile', 'error', 'Erreur serveur lors du changement de nom d\'utilisateur.');
+    }
+});
+
+// Ajout, modification ou suppression (champ vide) de l'adresse e-mail ; le mot de passe actuel est demandé
+// car l'adresse permet ensuite de réinitialiser le mot de passe
+router.post('/email', isAuthenticated, async (req, res) => {
+    try {
+        const email = String(req.body.email || '').trim().toLowerCase();
+        const account = await User.findById(req.session.user._id);
+        if (!account) {
+            return res.redirect('/logout');
+        }
+        if (!(await account.comparePassword(req.body.currentPassword || ''))) {
+            return redirectWith(res, '/profile', 'error', 'Mot de passe actuel incorrect.');
+        }
+
+        if (!email) {
+            account.email = undefined;
+            await account.save();
+            await PasswordReset.deleteMany({ user: account._id, kind: PasswordReset.KINDS.EMAIL_TOKEN });
+            return redirectWith(res, '/profile', 'message', 'Adresse e-mail supprimée.');
+        }
+
+        const emailError = User.emailError(email);
+        if (emailError) {
+            return redirectWith(res, '/profile', 'error', emailError);
+        }
+        const taken = await User.exists({ email, _id: { $ne: account._id } });
+        if (taken) {
+            return redirectWith(res, '/profile', 'error', 'Cette adresse e-mail est déjà utilisée par un autre compte.');
+        }
+
+        account.email = email;
+        await account.save();
+        // Un lien envoyé à l'ancienne adresse ne doit plus fonctionner
+        await PasswordReset.deleteMany({ user: account._id, kind: PasswordReset.KINDS.EMAIL_TOKEN });
+        redirectWith(res, '/profile', 'message', 'Adresse e-mail enregistrée.');
+    } catch (error) {
+        console.error('Error changing email:', error);
+        redirectWith(res, '/profile', 'error', 'Erreur serveur lors de l\'enregistrement de l\'adresse e-mail.');
+    }
+});
+
+router.post('/password', isAuthenticated, async (req, res) => {
+    try {
+        const { currentPassword, newPassword, confirmPassword } = req.body;
+        const account = await User.findById(req.session.user._id);
+        if (!account) {
+            return res.redirect('/logout');
+        }
+        if (!(await account.comparePassword(currentPassword || ''))) {
+            return redirectWith(res, '/profile', 'error', 'Mot de passe actuel incorrect.');
+        }
+
+        const passwordError = User.passwordError(newPassword, confirmPassword);
+        if (passwordError) {
+            return redirectWith(res, '/profile', 'error', passwordError);
+        }
+
+        account.password = newPassword; // Haché par le hook 'pre-save'
+        account.mustChangePassword = false;
+        await account.save();
+        // Codes du professeur et liens e-mail encore en cours : devenus inutiles
+        await PasswordReset.revokeAllFor(account._id);
+        console.log(`User ${account.username} changed their password.`);
+        redirectWith(res, '/profile', 'message', 'Mot de passe modifié.');
+    } catch (error) {
+        console.error('Error changing password:', error);
+        redirectWith(res, '/profile', 'error', 'Erreur serveur lors du changement de mot de passe.');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+// routes/quizRoutes.js
+// Résultats des quiz en direct d'une classe (le quiz lui-même se joue par Socket.IO, utils/liveQuiz.js).
+// Le professeur voit les réponses de tous les élèves ; un élève voit ses propres réponses et le classement.
+// Monté sur /classes (les routes commencent par /:id, comme les devoirs et les exercices).
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const LiveQuiz = require('../models/LiveQuiz');
+
+const isAuthenticated = require('../middleware/isAuthenticated');
+const requireClassAccess = require('../middleware/requireClassAccess');
+const { can } = require('../utils/accessPolicy');
+const { distribution } = require('../utils/liveQuiz');
+
+router.get('/:id/quizzes/:quizId', isAuthenticated, requireClassAccess('quiz.view'), async (req, res) => {
+    try {
+        const classroom = req.classroom;
+        const quiz = mongoose.isValidObjectId(req.params.quizId)
+            ? await LiveQuiz.findOne({ _id: req.params.quizId, classroom: classroom._id })
+            : null;
+        if (!quiz) {
+            return res.status(404).render('error', { message: 'Quiz introuvable.' });
+        }
+
+        const isTeacher = can(req.session.user, 'quiz.run', classroom);
+        if (!isTeacher && quiz.status === 'running') {
+            // La question ouverte et ses réponses ne sont révélées aux élèves qu'à sa fermeture
+            return res.status(403).render('error', { message: 'Les résultats seront disponibles à la fin du quiz.' });
+        }
+        const leaderboard = quiz.leaderboard();
+        const userId = String(req.session.user._id);
+        let students = [];
+        if (isTeacher) {
+            // Élèves inscrits, et ceux qui ont répondu puis ont quitté la classe
+            await classroom.populate('students', 'username');
+            const rows = new Map(classroom.students.map(student => [String(student._id), student.username]));
+            leaderboard.forEach(row => {
+                if (!rows.has(row.studentId)) rows.set(row.studentId, row.username);
+            });
+            students = [...rows].map(([id, username]) => ({ id, username }))
+                .sort((a, b) => a.username.localeCompare(b.username, 'fr'));
+        }
+
+        res.render('quiz_results', {
+            classroom,
+            quiz,
+            isTeacher,
+            questions: quiz.questions.map(question => ({
+                question,
+                distribution: distribution(question, classroom),
+                answerOf: (studentId) => question.answers.find(answer => String(answer.student) === String(studentId)) || null
+            })),
+            leaderboard,
+            myRow: leaderboard.find(row => row.studentId === userId) || null,
+            students,
+            userId,
+            questionKinds: LiveQuiz.QUESTION_KINDS
+        });
+    } catch (error) {
+        console.error('Error loading live quiz results:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors de l\'ouverture des résultats du quiz.' });
+    }
+});
+
+module.exports = router;
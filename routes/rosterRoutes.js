@@ -0,0 +1,117 @@
+// routes/rosterRoutes.js
+// Import de la liste de classe : le professeur envoie un CSV de noms d'élèves, vérifie l'aperçu
+// (noms d'utilisateur proposés, doublons), puis confirme ; les comptes sont créés avec un mot de passe
+// provisoire, inscrits dans la classe, et la fiche des identifiants est affichée une seule fois.
+// Monté sur /classes (les routes commencent par /:id, comme les devoirs et le carnet de notes).
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const User = require('../models/user');
+const Classroom = require('../models/Classroom');
+
+const isAuthenticated = require('../middleware/isAuthenticated');
+const requireClassAccess = require('../middleware/requireClassAccess');
+const upload = require('../middleware/upload');
+const redirectWith = require('../utils/redirectWith');
+const { parseRoster, planImport, generateTemporaryPassword, MAX_ROWS } = require('../utils/rosterImport');
+
+const importUrl = (classroomId) => `/classes/${classroomId}/roster/import`;
+
+function renderImportPage(res, classroom, { plan = null, csvText = '', error = null, message = null } = {}) {
+    res.render('roster_import', {
+        classroom,
+        plan,
+        csvText,
+        maxRows: MAX_ROWS,
+        toCreate: plan ? plan.filter(entry => entry.status === 'create').length : 0,
+        message,
+        error
+    });
+}
+
+router.get('/:id/roster/import', isAuthenticated, requireClassAccess('class.manage'), (req, res) => {
+    renderImportPage(res, req.classroom, { message: req.query.message || null, error: req.query.error || null });
+});
+
+// Étape 1 : aperçu à blanc (rien n'est enregistré). Le texte du CSV est renvoyé dans la page
+// pour que la confirmation porte exactement sur le fichier vérifié.
+router.post('/:id/roster/import', isAuthenticated, requireClassAccess('class.manage'), (req, res, next) => {
+    upload.csv.single('csvFile')(req, res, (error) => {
+        if (!error) return next();
+        const errorMessage = error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE'
+            ? 'Le fichier CSV est trop volumineux (max 1 Mo).'
+            : error.message;
+        redirectWith(res, importUrl(req.params.id), 'error', errorMessage);
+    });
+}, async (req, res) => {
+    const classroom = req.classroom;
+    try {
+        if (!req.file) {
+            return redirectWith(res, importUrl(classroom._id), 'error', 'Aucun fichier CSV n\'a été sélectionné.');
+        }
+
+        const csvText = req.file.buffer.toString('utf8');
+        const roster = parseRoster(csvText);
+        if (roster.errors.length > 0) {
+            return renderImportPage(res.status(400), classroom, { error: roster.errors.join(' ') });
+        }
+
+        const plan = await planImport(User, roster.rows);
+        renderImportPage(res, classroom, { plan, csvText });
+    } catch (error) {
+        console.error('Error previewing roster import:', error);
+        redirectWith(res, importUrl(classroom._id), 'error', 'Erreur serveur lors de la lecture du fichier.');
+    }
+});
+
+// Étape 2 : création des comptes. L'aperçu est recalculé (un nom a pu être pris entre-temps).
+router.post('/:id/roster/import/confirm', isAuthenticated, requireClassAccess('class.manage'), async (req, res) => {
+    const classroom = req.classroom;
+    try {
+        const roster = parseRoster(req.body.csvText || '');
+        if (roster.errors.length > 0) {
+            return redirectWith(res, importUrl(classroom._id), 'error', roster.errors.join(' '));
+        }
+
+        const plan = await planImport(User, roster.rows);
+        const created = [];
+        const skipped = plan.filter(entry => entry.status !== 'create');
+
+        // Un par un : le hook 'pre-save' hache chaque mot de passe, et un échec n'empêche pas les suivants
+        for (const entry of plan.filter(e => e.status === 'create')) {
+            const temporaryPassword = generateTemporaryPassword();
+            try {
+                const student = new User({
+                    username: entry.username,
+                    password: temporaryPassword,
+                    role: 'student',
+                    email: entry.email || undefined,
+                    mustChangePassword: true
+                });
+                await student.save();
+                await Classroom.enrollStudent(classroom._id, student._id);
+                created.push({ ...entry, temporaryPassword });
+            } catch (error) {
+                const reason = error.code === 11000 ? 'nom d\'utilisateur ou e-mail pris entre-temps' : 'erreur serveur';
+                console.error(`Roster import: unable to create ${entry.username}:`, error.message);
+                skipped.push({ ...entry, status: 'skip', errors: [`Compte non créé (${reason}).`] });
+            }
+        }
+
+        console.log(`Teacher ${req.session.user.username} imported ${created.length} student(s) into ${classroom.name} (${skipped.length} skipped).`);
+
+        // La fiche contient les mots de passe provisoires : elle ne doit pas être conservée par le navigateur
+        res.set('Cache-Control', 'no-store');
+        res.render('roster_credentials', {
+            classroom,
+            created,
+            skipped: skipped.sort((a, b) => a.line - b.line),
+            loginUrl: `${(process.env.APP_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '')}/login`
+        });
+    } catch (error) {
+        console.error('Error importing roster:', error);
+        redirectWith(res, importUrl(classroom._id), 'error', 'Erreur serveur lors de la création des comptes.');
+    }
+});
+
+module.exports = router;
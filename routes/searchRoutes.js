@@ -0,0 +1,116 @@
+// routes/searchRoutes.js
+// Recherche dans une classe (messages du chat, fichiers de la bibliothèque et texte des PDF/DOCX), avec filtres
+// par expéditeur, période et catégorie ; voir utils/searchIndex.js.
+// Monté sur /classes, sauf globalRouter monté sur /search : toutes les classes du professeur à la fois.
+const express = require('express');
+const router = express.Router();
+const globalRouter = express.Router();
+const Classroom = require('../models/Classroom');
+const SearchEntry = require('../models/SearchEntry');
+
+const isAuthenticated = require('../middleware/isAuthenticated');
+const requireClassAccess = require('../middleware/requireClassAccess');
+const { can } = require('../utils/accessPolicy');
+const { CATEGORY_LABELS } = require('../utils/fileLibrary');
+const { readFilters, hasCriteria, search } = require('../utils/searchIndex');
+
+const CATEGORY_OPTIONS = { [SearchEntry.CHAT_CATEGORY]: 'Chat', ...CATEGORY_LABELS };
+
+const MESSAGE_TYPE_LABELS = {
+    text: 'Message',
+    math: 'Formule',
+    question: 'Question',
+    file: 'Pièce jointe',
+    image: 'Image',
+    graph: 'Graphique'
+};
+
+function resultLabel(entry) {
+    if (entry.kind === 'file') {
+        return `Fichier — ${CATEGORY_LABELS[entry.category] || entry.category}`;
+    }
+    const label = MESSAGE_TYPE_LABELS[entry.messageType] || 'Message';
+    return entry.parent ? `${label} (réponse à une question)` : label;
+}
+
+function resultLink(entry) {
+    const classroomId = entry.classroom._id || entry.classroom;
+    if (entry.kind === 'file') {
+        return entry.folder
+            ? `/classes/${classroomId}?folder=${encodeURIComponent(entry.folder)}#files`
+            : `/classes/${classroomId}#files`;
+    }
+    return `/classes/${classroomId}#chat`;
+}
+
+// Membres proposés dans le filtre « Expéditeur » : professeur(s) puis élèves, sans doublon
+function memberOptions(classrooms) {
+    const members = new Map();
+    classrooms.forEach(classroom => {
+        [classroom.teacher, ...classroom.students].forEach(member => {
+            if (member && member.username && !members.has(String(member._id))) {
+                members.set(String(member._id), member.username);
+            }
+        });
+    });
+    return [...members].map(([id, username]) => ({ id, username }));
+}
+
+async function renderSearch(req, res, classrooms, { classroom = null, action }) {
+    const senders = memberOptions(classrooms);
+    const filters = readFilters(req.query, {
+        senders: senders.map(sender => sender.id),
+        categories: Object.keys(CATEGORY_OPTIONS)
+    });
+    const results = hasCriteria(filters)
+        ? await search(classrooms.map(item => item._id), filters, {
+            viewerId: req.session.user._id,
+            managedClassroomIds: classrooms.filter(item => can(req.session.user, 'files.manage', item)).map(item => item._id)
+        })
+        : null;
+
+    res.render('search', {
+        user: req.session.user,
+        classroom,
+        showClassNames: !classroom,
+        action,
+        filters,
+        senders,
+        categories: CATEGORY_OPTIONS,
+        results: results && results.map(entry => ({ ...entry, label: resultLabel(entry), link: resultLink(entry) })),
+        canSearchAllClasses: can(req.session.user, 'search.allClasses')
+    });
+}
+
+// Recherche dans une classe (tous les membres)
+router.get('/:id/search', isAuthenticated, requireClassAccess('search.class'), async (req, res) => {
+    const classroom = req.classroom;
+    try {
+        await classroom.populate([{ path: 'teacher', select: 'username' }, { path: 'students', select: 'username' }]);
+        await renderSearch(req, res, [classroom], { classroom, action: `/classes/${classroom._id}/search` });
+    } catch (error) {
+        console.error('Error searching a class:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors de la recherche.' });
+    }
+});
+
+// Recherche dans toutes les classes du professeur
+globalRouter.get('/', isAuthenticated, async (req, res) => {
+    if (!can(req.session.user, 'search.allClasses')) {
+        return res.status(403).render('error', { message: 'La recherche dans toutes les classes est réservée aux professeurs.' });
+    }
+    try {
+        const classrooms = await Classroom.find({ teacher: req.session.user._id })
+            .select('name teacher students')
+            .populate('teacher', 'username')
+            .populate('students', 'username')
+            .sort({ name: 1 });
+        await renderSearch(req, res, classrooms, { action: '/search' });
+    } catch (error) {
+        console.error('Error searching all classes:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors de la recherche.' });
+    }
+});
+
+module.exports = router;
+module.exports.globalRouter = globalRouter;
@@ -0,0 +1,52 @@
+// routes/sheetRoutes.js
+// Feuille d'exercices de la banque publiée dans une classe (routes/bankRoutes.js) : chaque élève voit
+// sa propre variante de chaque exercice, avec son corrigé si le professeur l'a rendu visible.
+// Le professeur choisit l'élève dont il veut voir la variante.
+// Monté sur /classes.
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const ExerciseSheet = require('../models/ExerciseSheet');
+
+const isAuthenticated = require('../middleware/isAuthenticated');
+const requireClassAccess = require('../middleware/requireClassAccess');
+const { can } = require('../utils/accessPolicy');
+const { sheetVariants } = require('../utils/exerciseBank');
+
+router.get('/:id/sheets/:sheetId', isAuthenticated, requireClassAccess('sheet.view'), async (req, res) => {
+    const classroom = req.classroom;
+    try {
+        const sheet = mongoose.isValidObjectId(req.params.sheetId)
+            ? await ExerciseSheet.findOne({ _id: req.params.sheetId, 'publications.classroom': classroom._id }).populate('exercises')
+            : null;
+        if (!sheet) {
+            return res.status(404).render('error', { message: 'Feuille d\'exercices introuvable dans cette classe.' });
+        }
+        const publication = sheet.publicationIn(classroom._id);
+        const isTeacher = can(req.session.user, 'sheet.publish', classroom);
+
+        let student = null;
+        if (isTeacher) {
+            await classroom.populate('students', 'username');
+            student = classroom.students.find(candidate => String(candidate._id) === req.query.student) || null;
+        }
+        // Sans élève choisi, le professeur voit une variante d'exemple (la sienne)
+        const variantUserId = isTeacher ? (student ? student._id : req.session.user._id) : req.session.user._id;
+
+        res.render('class_sheet', {
+            classroom,
+            sheet,
+            publication,
+            variants: sheetVariants(sheet, variantUserId),
+            showSolutions: isTeacher || publication.showSolutions,
+            isTeacher,
+            students: isTeacher ? classroom.students : [],
+            student
+        });
+    } catch (error) {
+        console.error('Error loading a class exercise sheet:', error);
+        res.status(500).render('error', { message: 'Erreur serveur lors du chargement de la feuille d\'exercices.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+// routes/whiteboardRoutes.js
+// Image du tableau blanc enregistrée par le professeur dans la bibliothèque de fichiers de la classe.
+// Le dessin lui-même passe par Socket.IO (utils/whiteboard.js) ; l'image PNG est produite par le navigateur.
+// Monté sur /classes.
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+
+const isAuthenticated = require('../middleware/isAuthenticated');
+const requireClassAccess = require('../middleware/requireClassAccess');
+const upload = require('../middleware/upload');
+const storage = require('../utils/storage');
+const { notifyNewFile } = require('../utils/notifications');
+const searchIndex = require('../utils/searchIndex');
+
+const SNAPSHOT_CATEGORY = 'general';
+
+// Réponses JSON : la page du tableau envoie l'image avec fetch()
+function uploadSnapshot(req, res, next) {
+    upload.single('snapshot')(req, res, (error) => {
+        if (!error) return next();
+        const message = error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE'
+            ? 'L\'image est trop volumineuse (max 10MB).'
+            : error.message;
+        res.status(400).json({ ok: false, message });
+    });
+}
+
+function snapshotName(date) {
+    const stamp = date.toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' }).replace(/[\/:]/g, '-');
+    return `Tableau blanc ${stamp}.png`;
+}
+
+router.post('/:id/whiteboard/snapshot', isAuthenticated, requireClassAccess('whiteboard.manage'), uploadSnapshot, async (req, res) => {
+    const classroom = req.classroom;
+    try {
+        if (!req.file || req.file.mimetype !== 'image/png') {
+            return res.status(400).json({ ok: false, message: 'Image du tableau manquante.' });
+        }
+
+        const fileName = snapshotName(new Date());
+        const stored = await storage.saveUploadedFile({ ...req.file, originalname: fileName }, `class_files/${classroom._id}`);
+
+        classroom.files.push({
+            fileName,
+            filePath: stored.url,
+            fileSize: req.file.size,
+            fileMimeType: 'image/png',
+            uploadDate: new Date(),
+            uploader: req.session.user._id,
+            category: SNAPSHOT_CATEGORY,
+            folder: '',
+            storageDriver: stored.driver,
+            publicId: stored.key
+        });
+        await classroom.save();
+        searchIndex.indexFile(classroom, classroom.files[classroom.files.length - 1])
+            .catch(error => console.error('Error indexing a whiteboard snapshot:', error));
+        console.log(`Whiteboard snapshot '${fileName}' saved in class ${classroom.name}.`);
+
+        notifyNewFile({
+            io: req.app.get('io'),
+            classroom,
+            user: req.session.user,
+            fileName,
+            link: `/classes/${classroom._id}#files`
+        }).catch(error => console.error('Error creating file notifications:', error));
+
+        res.status(201).json({ ok: true, fileName });
+    } catch (error) {
+        console.error('Error saving whiteboard snapshot:', error);
+        res.status(500).json({ ok: false, message: 'Erreur serveur lors de l\'enregistrement de l\'image.' });
+    }
+});
+
+module.exports = router;
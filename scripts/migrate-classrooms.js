@@ -0,0 +1,78 @@
+// scripts/migrate-classrooms.js
+// Converts the old single-class membership (User.classroom) to the multi-class list (User.classrooms)
+// and makes sure every student also appears in Classroom.students.
+//
+// Usage:
+//   npm run migrate:classrooms -- [--dry-run]
+//
+// --dry-run  list the students that would be updated without changing anything
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Classroom = require('../models/Classroom');
+const User = require('../models/user');
+
+function parseArgs(argv) {
+    const args = { dryRun: false };
+    for (const arg of argv) {
+        if (arg === '--dry-run') {
+            args.dryRun = true;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    return args;
+}
+
+async function run() {
+    const args = parseArgs(process.argv.slice(2));
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/math_learning');
+    console.log(`Migrating class memberships${args.dryRun ? ' (dry run)' : ''}...`);
+
+    const stats = { migrated: 0, unknownClass: 0 };
+
+    // The 'classroom' field is no longer in the User schema: read the raw documents
+    const cursor = User.collection.find({ classroom: { $exists: true } }, { projection: { username: 1, classroom: 1 } });
+
+    for await (const user of cursor) {
+        if (user.classroom) {
+            const classroomExists = await Classroom.exists({ _id: user.classroom });
+            if (!classroomExists) {
+                console.warn(`  ? ${user.username}: class ${user.classroom} no longer exists, dropped.`);
+                stats.unknownClass++;
+            } else {
+                console.log(`  ${user.username} -> ${user.classroom}`);
+                if (!args.dryRun) {
+                    await Classroom.enrollStudent(user.classroom, user._id);
+                }
+                stats.migrated++;
+            }
+        }
+
+        if (!args.dryRun) {
+            await User.collection.updateOne({ _id: user._id }, { $unset: { classroom: 1 } });
+        }
+    }
+
+    // Students listed in Classroom.students but whose user document does not list the class
+    const classrooms = await Classroom.find({}).select('name students');
+    for (const classroom of classrooms) {
+        const missing = await User.find({ _id: { $in: classroom.students }, classrooms: { $ne: classroom._id } }).select('username');
+        for (const student of missing) {
+            console.log(`  ${student.username} -> ${classroom.name} (from Classroom.students)`);
+            if (!args.dryRun) {
+                await Classroom.enrollStudent(classroom._id, student._id);
+            }
+            stats.migrated++;
+        }
+    }
+
+    console.log(`Done. Memberships migrated: ${stats.migrated}, unknown classes: ${stats.unknownClass}.`);
+    await mongoose.disconnect();
+}
+
+run().catch(async (error) => {
+    console.error('Membership migration failed:', error.message);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+});
@@ -0,0 +1,66 @@
+// scripts/migrate-invitations.js
+// Creates an invitation for the class code of every existing classroom, so that the codes already
+// handed out to students keep working (without expiry or usage limit) until the teacher revokes them.
+//
+// Usage:
+//   npm run migrate:invitations -- [--dry-run]
+//
+// --dry-run  list the invitations that would be created without changing anything
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Classroom = require('../models/Classroom');
+const Invitation = require('../models/Invitation');
+
+function parseArgs(argv) {
+    const args = { dryRun: false };
+    for (const arg of argv) {
+        if (arg === '--dry-run') {
+            args.dryRun = true;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    return args;
+}
+
+async function run() {
+    const args = parseArgs(process.argv.slice(2));
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/math_learning');
+    console.log(`Migrating class codes to invitations${args.dryRun ? ' (dry run)' : ''}...`);
+
+    const stats = { created: 0, existing: 0, conflicts: 0 };
+    const classrooms = await Classroom.find({}).select('name classCode teacher');
+
+    for (const classroom of classrooms) {
+        const code = Invitation.normalizeCode(classroom.classCode);
+        if (!code) continue;
+
+        const existing = await Invitation.findOne({ code }).select('classroom');
+        if (existing) {
+            if (existing.classroom.equals(classroom._id)) {
+                stats.existing++;
+            } else {
+                // Two codes that only differed by case or dashes: the teacher has to share a new invitation
+                console.warn(`  ! ${classroom.name}: code ${code} is already used by class ${existing.classroom}, skipped.`);
+                stats.conflicts++;
+            }
+            continue;
+        }
+
+        console.log(`  ${classroom.name} -> ${code}`);
+        if (!args.dryRun) {
+            await Invitation.createFor(classroom._id, { label: 'Ancien code de classe', createdBy: classroom.teacher }, code);
+        }
+        stats.created++;
+    }
+
+    console.log(`Done. Invitations created: ${stats.created}, already migrated: ${stats.existing}, conflicts: ${stats.conflicts}.`);
+    await mongoose.disconnect();
+}
+
+run().catch(async (error) => {
+    console.error('Invitation migration failed:', error.message);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+});
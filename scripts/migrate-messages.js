@@ -0,0 +1,105 @@
+// scripts/migrate-messages.js
+// Moves the chat history embedded in Classroom documents (classroom.messages) into the
+// Message collection, then removes the embedded array.
+//
+// Usage:
+//   npm run migrate:messages -- [--dry-run]
+//
+// --dry-run  count the messages that would be moved without changing anything
+//
+// Messages keep their original _id, so running the script again after a partial failure
+// does not create duplicates.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Classroom = require('../models/Classroom');
+const Message = require('../models/Message');
+
+function parseArgs(argv) {
+    const args = { dryRun: false };
+    for (const arg of argv) {
+        if (arg === '--dry-run') {
+            args.dryRun = true;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    return args;
+}
+
+async function run() {
+    const args = parseArgs(process.argv.slice(2));
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/math_learning');
+    console.log(`Moving embedded chat messages to the Message collection${args.dryRun ? ' (dry run)' : ''}...`);
+
+    // The 'messages' field is no longer in the Classroom schema: read the raw documents
+    const cursor = Classroom.collection.find(
+        { 'messages.0': { $exists: true } },
+        { projection: { name: 1, messages: 1 } }
+    );
+
+    const stats = { classrooms: 0, moved: 0, alreadyMoved: 0, failed: 0 };
+
+    for await (const classroom of cursor) {
+        const docs = classroom.messages
+            .filter(message => message && message.sender)
+            .map(message => ({
+                _id: message._id || new mongoose.Types.ObjectId(),
+                classroom: classroom._id,
+                sender: message.sender,
+                content: message.content,
+                type: message.type || 'text',
+                imageUrl: message.imageUrl,
+                fileUrl: message.fileUrl,
+                fileType: message.fileType,
+                timestamp: message.timestamp || classroom._id.getTimestamp()
+            }));
+
+        console.log(`Classroom '${classroom.name}' (${classroom._id}): ${docs.length} message(s)`);
+        stats.classrooms++;
+        if (args.dryRun) {
+            stats.moved += docs.length;
+            continue;
+        }
+
+        let inserted = docs.length;
+        let failed = false;
+        try {
+            await Message.insertMany(docs, { ordered: false });
+        } catch (error) {
+            const writeErrors = error.writeErrors || [];
+            // E11000: already copied by a previous run
+            const duplicates = writeErrors.filter(writeError => writeError.code === 11000 || (writeError.err && writeError.err.code === 11000)).length;
+            if (writeErrors.length === 0 || duplicates < writeErrors.length) {
+                console.error(`  ! Failed to copy messages of ${classroom._id}:`, error.message);
+                failed = true;
+            }
+            inserted = docs.length - writeErrors.length;
+            stats.alreadyMoved += duplicates;
+        }
+
+        if (failed) {
+            // Keep the embedded array so the script can be run again
+            stats.failed++;
+            continue;
+        }
+
+        stats.moved += inserted;
+        await Classroom.collection.updateOne({ _id: classroom._id }, { $unset: { messages: 1 } });
+    }
+
+    // Classrooms created with an empty 'messages' array
+    if (!args.dryRun) {
+        await Classroom.collection.updateMany({ messages: { $size: 0 } }, { $unset: { messages: 1 } });
+    }
+
+    console.log(`Done. Classrooms: ${stats.classrooms}, messages moved: ${stats.moved}, already moved: ${stats.alreadyMoved}, failed classrooms: ${stats.failed}.`);
+    await mongoose.disconnect();
+    process.exitCode = stats.failed > 0 ? 1 : 0;
+}
+
+run().catch(async (error) => {
+    console.error('Message migration failed:', error.message);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+});
@@ -0,0 +1,200 @@
+// scripts/migrate-storage.js
+// Moves stored files (class files with their previous versions, chat attachments, assignment and submission attachments)
+// from one storage backend to another and rewrites Classroom files[].filePath / Message fileUrl /
+// Assignment attachments[].filePath / Submission files[].filePath accordingly.
+//
+// Usage:
+//   npm run migrate:storage -- --to <local|cloudinary|gcs> [--from <driver>] [--dry-run] [--delete-source]
+//
+// --from           only migrate files currently stored with this driver (default: every other driver)
+// --dry-run        list what would be moved without changing anything
+// --delete-source  delete the original object once the new location is saved in MongoDB
+require('dotenv').config();
+const path = require('path');
+const mongoose = require('mongoose');
+const Classroom = require('../models/Classroom');
+const Message = require('../models/Message');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const storage = require('../utils/storage');
+
+function parseArgs(argv) {
+    const args = { dryRun: false, deleteSource: false };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--to': args.to = argv[++i]; break;
+            case '--from': args.from = argv[++i]; break;
+            case '--dry-run': args.dryRun = true; break;
+            case '--delete-source': args.deleteSource = true; break;
+            default: throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+    if (!args.to) {
+        throw new Error('Missing --to <driver>.');
+    }
+    return args;
+}
+
+// Copies one stored file to the target driver. Returns the new descriptor, or null if skipped.
+async function migrateEntry(entry, target, args, stats) {
+    const source = storage.getDriverFor({ driver: entry.driver, url: entry.url });
+
+    if (!source) {
+        console.warn(`  ? No driver recognizes ${entry.url}, skipped.`);
+        stats.skipped++;
+        return null;
+    }
+    if (source === target || (args.from && source.name !== args.from)) {
+        return null;
+    }
+
+    console.log(`  ${source.name} -> ${target.name}: ${entry.originalName} (${entry.url})`);
+    if (args.dryRun) {
+        stats.migrated++;
+        return null;
+    }
+
+    const buffer = await source.read(entry);
+    const stored = await storage.saveUploadedFile({
+        buffer: buffer,
+        originalname: entry.originalName,
+        mimetype: entry.mimeType,
+        size: buffer.length
+    }, entry.folder, target);
+
+    stats.migrated++;
+    return { stored, source };
+}
+
+// Migrates records sharing the stored file fields (filePath, storageDriver, publicId, fileMimeType) and updates them in place.
+// Returns the originals to delete once the owning document is saved.
+async function migrateRecords(records, folder, target, args, stats) {
+    const sourcesToDelete = [];
+    for (const { record, fileName } of records) {
+        const entry = {
+            driver: record.storageDriver,
+            key: record.publicId,
+            url: record.filePath,
+            mimeType: record.fileMimeType,
+            originalName: fileName,
+            folder: folder
+        };
+        try {
+            const result = await migrateEntry(entry, target, args, stats);
+            if (result) {
+                record.filePath = result.stored.url;
+                record.storageDriver = result.stored.driver;
+                record.publicId = result.stored.key;
+                sourcesToDelete.push({ driver: result.source, entry });
+            }
+        } catch (error) {
+            console.error(`  ! Failed to migrate ${entry.url}:`, error.message);
+            stats.failed++;
+        }
+    }
+    return sourcesToDelete;
+}
+
+// Removes the original objects once MongoDB points to their new location (--delete-source only)
+async function deleteSources(sourcesToDelete, args) {
+    if (!args.deleteSource) return;
+    for (const { driver, entry } of sourcesToDelete) {
+        try {
+            await driver.remove(entry);
+        } catch (error) {
+            console.error(`  ! Could not delete the original ${entry.url}:`, error.message);
+        }
+    }
+}
+
+async function run() {
+    const args = parseArgs(process.argv.slice(2));
+    const target = storage.getDriver(args.to);
+    if (args.from) {
+        storage.getDriver(args.from); // Validates the name
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/math_learning');
+    console.log(`Migrating stored files to '${target.name}'${args.dryRun ? ' (dry run)' : ''}...`);
+
+    const stats = { migrated: 0, skipped: 0, failed: 0 };
+    const classrooms = await Classroom.find({});
+
+    for (const classroom of classrooms) {
+        console.log(`Classroom '${classroom.name}' (${classroom._id})`);
+
+        // Current version of each library file, then its previous versions (same fields)
+        const storedFiles = [];
+        for (const file of classroom.files) {
+            storedFiles.push({ record: file, fileName: file.fileName });
+            for (const version of file.versions || []) {
+                storedFiles.push({ record: version, fileName: file.fileName });
+            }
+        }
+
+        const sourcesToDelete = await migrateRecords(storedFiles, `class_files/${classroom._id}`, target, args, stats);
+        if (sourcesToDelete.length === 0) continue;
+        await classroom.save();
+        await deleteSources(sourcesToDelete, args);
+    }
+
+    console.log('Chat attachments');
+    const messages = await Message.find({ fileUrl: { $exists: true, $ne: null } });
+
+    for (const message of messages) {
+        const entry = {
+            driver: message.storageDriver,
+            key: message.publicId,
+            url: message.fileUrl,
+            mimeType: message.fileType,
+            originalName: message.content || path.basename(message.fileUrl.split('?')[0]),
+            folder: `chat_uploads/${message.classroom}`
+        };
+        try {
+            const result = await migrateEntry(entry, target, args, stats);
+            if (result) {
+                message.fileUrl = result.stored.url;
+                message.storageDriver = result.stored.driver;
+                message.publicId = result.stored.key;
+                await message.save();
+                await deleteSources([{ driver: result.source, entry }], args);
+            }
+        } catch (error) {
+            console.error(`  ! Failed to migrate ${entry.url}:`, error.message);
+            stats.failed++;
+        }
+    }
+
+    console.log('Assignment attachments');
+    const assignments = await Assignment.find({ 'attachments.0': { $exists: true } });
+
+    for (const assignment of assignments) {
+        const records = assignment.attachments.map(file => ({ record: file, fileName: file.fileName }));
+        const sourcesToDelete = await migrateRecords(records, `assignments/${assignment._id}`, target, args, stats);
+        if (sourcesToDelete.length === 0) continue;
+        await assignment.save();
+        await deleteSources(sourcesToDelete, args);
+    }
+
+    console.log('Submission files');
+    const submissions = await Submission.find({ 'files.0': { $exists: true } });
+
+    for (const submission of submissions) {
+        const records = submission.files.map(file => ({ record: file, fileName: file.fileName }));
+        const folder = `submissions/${submission.assignment}/${submission.student}`;
+        const sourcesToDelete = await migrateRecords(records, folder, target, args, stats);
+        if (sourcesToDelete.length === 0) continue;
+        await submission.save();
+        await deleteSources(sourcesToDelete, args);
+    }
+
+    console.log(`Done. Migrated: ${stats.migrated}, skipped: ${stats.skipped}, failed: ${stats.failed}.`);
+    await mongoose.disconnect();
+    process.exitCode = stats.failed > 0 ? 1 : 0;
+}
+
+run().catch(async (error) => {
+    console.error('Storage migration failed:', error.message);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+});
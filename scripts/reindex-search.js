@@ -0,0 +1,86 @@
+// scripts/reindex-search.js
+// Rebuilds the search index (models/SearchEntry.js) from the existing chat messages and class files,
+// including the text of PDF and DOCX documents read back from storage.
+//
+// Usage:
+//   npm run search:reindex -- [--dry-run] [--class <classroomId>]
+//
+// --dry-run        count what would be indexed without reading files or writing anything
+// --class <id>     only this classroom
+//
+// Entries are upserted, so the script can be run again at any time; a file that cannot be read
+// from storage is indexed by its name only and reported.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Classroom = require('../models/Classroom');
+const Message = require('../models/Message');
+const SearchEntry = require('../models/SearchEntry');
+const storage = require('../utils/storage');
+const { isExtractable } = require('../utils/textExtraction');
+const { indexMessage, indexFile } = require('../utils/searchIndex');
+
+function parseArgs(argv) {
+    const args = { dryRun: false, classroomId: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dry-run') {
+            args.dryRun = true;
+        } else if (argv[i] === '--class' && argv[i + 1]) {
+            args.classroomId = argv[++i];
+        } else {
+            throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+    return args;
+}
+
+async function run() {
+    const args = parseArgs(process.argv.slice(2));
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/math_learning');
+    await SearchEntry.syncIndexes();
+    console.log(`Rebuilding the search index${args.dryRun ? ' (dry run)' : ''}...`);
+
+    const filter = args.classroomId ? { _id: args.classroomId } : {};
+    const stats = { classrooms: 0, messages: 0, files: 0, failed: 0 };
+
+    for await (const classroom of Classroom.find(filter).cursor()) {
+        stats.classrooms++;
+        const messages = Message.find({ classroom: classroom._id, deletedAt: null }).cursor();
+        for await (const message of messages) {
+            stats.messages++;
+            if (args.dryRun) continue;
+            try {
+                await indexMessage(message);
+            } catch (error) {
+                console.error(`  ! Message ${message._id}:`, error.message);
+                stats.failed++;
+            }
+        }
+
+        for (const file of classroom.files) {
+            stats.files++;
+            if (args.dryRun) continue;
+            let buffer = null;
+            if (isExtractable(file.fileMimeType, file.fileName)) {
+                try {
+                    buffer = await storage.readFile({ driver: file.storageDriver, key: file.publicId, url: file.filePath, mimeType: file.fileMimeType });
+                } catch (error) {
+                    console.error(`  ! File '${file.fileName}' of ${classroom._id} could not be read:`, error.message);
+                    stats.failed++;
+                }
+            }
+            await indexFile(classroom, file, buffer);
+        }
+        console.log(`Classroom '${classroom.name}' (${classroom._id}) indexed.`);
+    }
+
+    console.log(`Done. Classrooms: ${stats.classrooms}, messages: ${stats.messages}, files: ${stats.files}, failed: ${stats.failed}.`);
+    await mongoose.disconnect();
+    process.exitCode = stats.failed > 0 ? 1 : 0;
+}
+
+run().catch(async (error) => {
+    console.error('Search reindex failed:', error.message);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+});
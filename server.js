@@ -8,20 +8,13 @@ const path = require('path');
 const socketIo = require('socket.io');
 require('dotenv').config();
 
-const cloudinary = require('cloudinary').v2;
+const storage = require('./utils/storage');
+const upload = require('./middleware/upload');
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server);
 
-// --- Cloudinary Configuration ---
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET
-});
-// ---------------------------------------------
-
 // --- MongoDB Connection ---
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/math_learning';
 
@@ -38,6 +31,9 @@ app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 app.set('io', io);
 
+// Files stored by the local-disk storage driver are only sent by access-checked routes
+// (library, chat and assignment downloads); older uploads still in public/uploads must not be served statically either
+app.use(storage.drivers.local.urlPrefix, (req, res) => res.status(404).render('error', { message: 'Fichier introuvable.' }));
 // Serve static files (CSS, client-side JS, images)
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -63,33 +59,46 @@ app.use((req, res, next) => {
     next();
 });
 
-// --- Multer Configuration for Cloudinary Upload ---
-const upload = multer({
-    storage: multer.memoryStorage(), // IMPORTANT: stores the file in memory, not on disk
-    limits: { fileSize: 10 * 1024 * 1024 }, // File size limit to 10 MB for images, PDF, Word
-    fileFilter: (req, file, cb) => {
-        if (!file || !file.originalname) {
-            console.error('Multer fileFilter: Missing/null file or originalname.', file);
-            return cb(new Error('Invalid file or missing filename.'));
-        }
-
-        const allowedMimeTypes = /jpeg|jpg|png|gif|pdf|doc|docx/;
-        const mimetype = allowedMimeTypes.test(file.mimetype);
-        const extname = allowedMimeTypes.test(path.extname(file.originalname).toLowerCase());
-
-        if (mimetype && extname) {
-            return cb(null, true);
-        }
-        cb(new Error('Only images (jpeg, jpg, png, gif), PDF, DOC, and DOCX files are allowed!'));
-    }
-});
-// --------------------------------------------------------------------------
-
 // --- Import Models and Routes ---
 const Classroom = require('./models/Classroom');
+const Message = require('./models/Message');
+const ChatUpload = require('./models/ChatUpload');
+const ClassroomPresence = require('./models/ClassroomPresence');
+const ChatMute = require('./models/ChatMute');
+const ChatReport = require('./models/ChatReport');
+const { PresenceTracker } = require('./utils/presence');
+const chatModeration = require('./utils/chatModeration');
+const chatQuestions = require('./utils/chatQuestions');
+const notifications = require('./utils/notifications');
+const whiteboard = require('./utils/whiteboard');
+const liveQuiz = require('./utils/liveQuiz');
+const searchIndex = require('./utils/searchIndex');
+const functionGraph = require('./utils/functionGraph');
+const Notification = require('./models/Notification');
+const { classRoom, moderatorsRoom, userRoom } = require('./utils/socketRooms');
+const { validateLatex } = require('./utils/latex');
+const { MathParseError } = require('./utils/mathExpression');
+const { authorizeSocket } = require('./utils/accessPolicy');
+const requireClassAccess = require('./middleware/requireClassAccess');
 const authRoutes = require('./routes/auth');
 const dashboardRoutes = require('./routes/dashboard');
 const classRoutes = require('./routes/classRoutes');
+const assignmentRoutes = require('./routes/assignmentRoutes');
+const exerciseRoutes = require('./routes/exerciseRoutes');
+const fileRoutes = require('./routes/fileRoutes');
+const gradebookRoutes = require('./routes/gradebookRoutes');
+const profileRoutes = require('./routes/profileRoutes');
+const rosterRoutes = require('./routes/rosterRoutes');
+const invitationRoutes = require('./routes/invitationRoutes');
+const moderationRoutes = require('./routes/moderationRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const whiteboardRoutes = require('./routes/whiteboardRoutes');
+const bankRoutes = require('./routes/bankRoutes');
+const sheetRoutes = require('./routes/sheetRoutes');
+const annotationRoutes = require('./routes/annotationRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const quizRoutes = require('./routes/quizRoutes');
 
 // --- Authentication Middleware ---
 function isLoggedIn(req, res, next) {
@@ -100,13 +109,45 @@ function isLoggedIn(req, res, next) {
     res.redirect('/login');
 }
 
+// Unread notifications, shown as a badge in the nav of every page (HTML pages only, not the JSON APIs)
+app.use(async (req, res, next) => {
+    res.locals.unreadNotifications = 0;
+    if (req.session.user && req.method === 'GET' && req.accepts('html')) {
+        try {
+            res.locals.unreadNotifications = await Notification.countUnread(req.session.user._id);
+        } catch (error) {
+            console.error('Error counting unread notifications:', error);
+        }
+    }
+    next();
+});
+
 // --- General Routes ---
 app.use('/', authRoutes);
 app.use('/', dashboardRoutes);
+app.use('/profile', profileRoutes);
 app.use('/classes', classRoutes);
-
-// --- API Route for Chat File Upload to Cloudinary ---
-app.post('/api/chat/upload-file', upload.single('file'), async (req, res) => {
+app.use('/classes', assignmentRoutes);
+app.use('/classes', exerciseRoutes);
+app.use('/classes', fileRoutes);
+app.use('/classes', gradebookRoutes);
+app.use('/classes', rosterRoutes);
+app.use('/classes', invitationRoutes);
+app.use('/classes', moderationRoutes);
+app.use('/classes', whiteboardRoutes);
+app.use('/classes', sheetRoutes);
+app.use('/classes', annotationRoutes);
+app.use('/classes', searchRoutes);
+app.use('/classes', analyticsRoutes);
+app.use('/classes', quizRoutes);
+app.use('/bank', bankRoutes);
+app.use('/notifications', notificationRoutes);
+app.use('/join', invitationRoutes.joinRouter);
+app.use('/search', searchRoutes.globalRouter);
+
+// --- API Route for Chat File Upload (through the configured storage driver) ---
+// The class is passed in the query string (?classroomId=...) so access is checked before the file is read
+app.post('/api/chat/upload-file', requireClassAccess('chat.upload', (req) => req.query.classroomId), upload.single('file'), async (req, res) => {
     if (!req.file) {
         let message = 'No file uploaded.';
         if (req.fileFilterError) {
@@ -120,66 +161,20 @@ app.post('/api/chat/upload-file', upload.single('file'), async (req, res) => {
     }
 
     try {
-        const fileType = req.file.mimetype;
-        const folderName = 'chat_uploads';
-
-        const originalBaseName = path.parse(req.file.originalname).name;
-        const fileExtension = path.extname(req.file.originalname).toLowerCase();
-        const uniqueSuffix = Date.now();
-        let customPublicId;
-        let cloudinaryResourceType;
-
-        if (fileType.startsWith('image/')) {
-            cloudinaryResourceType = 'image';
-            // For IMAGES: public_id should NOT include the file extension.
-            // Cloudinary will automatically add it based on its detected format.
-            customPublicId = `${folderName}/${originalBaseName}_${uniqueSuffix}`;
-        } else if (fileType === 'application/pdf' || fileType.includes('application/msword') || fileType.includes('application/vnd.openxmlformats-officedocument.wordprocessingml.document')) {
-            cloudinaryResourceType = 'raw';
-            // For RAW files (PDF, DOCX): public_id MUST include the file extension.
-            customPublicId = `${folderName}/${originalBaseName}_${uniqueSuffix}${fileExtension}`;
-        } else {
-            // Fallback for other file types, ideally prevented by Multer's fileFilter
-            cloudinaryResourceType = 'auto';
-            customPublicId = `${folderName}/${originalBaseName}_${uniqueSuffix}${fileExtension}`;
-        }
-
-        const result = await new Promise((resolve, reject) => {
-            const uploadStream = cloudinary.uploader.upload_stream(
-                {
-                    resource_type: cloudinaryResourceType,
-                    public_id: customPublicId,
-                    unique_filename: false,
-                    overwrite: true,
-                    // *** IMPORTANT CHANGE HERE FOR PUBLIC ACCESS TO RAW FILES ***
-                    type: cloudinaryResourceType === 'raw' ? 'authenticated' : 'upload'
-                },
-                (error, result) => {
-                    if (error) {
-                        console.error("Cloudinary upload_stream error (chat):", error);
-                        return reject(error);
-                    }
-                    console.log("Cloudinary chat upload result:", result);
-                    resolve(result);
-                }
-            );
-            uploadStream.end(req.file.buffer);
+        const stored = await storage.saveUploadedFile(req.file, `chat_uploads/${req.classroom._id}`);
+        // The browser only gets the id of the upload: the 'chatMessage' event takes the file from this record
+        const chatUpload = await ChatUpload.create({
+            classroom: req.classroom._id,
+            uploader: req.session.user._id,
+            fileName: stored.originalName,
+            fileUrl: stored.url,
+            fileType: stored.mimeType,
+            storageDriver: stored.driver,
+            publicId: stored.key
         });
-
-        // The URL returned by Cloudinary (result.secure_url) should now be correct due to the public_id setting.
-        // The fallback logic below is still there but should rarely be needed for these cases.
-        let fileUrl = result.secure_url;
-        const originalFullName = req.file.originalname;
-        const detectedExtension = path.extname(originalFullName).toLowerCase();
-
-        // This condition should rarely be true now if public_id is correctly defined above.
-        if (result.resource_type === 'raw' && detectedExtension && !fileUrl.toLowerCase().endsWith(detectedExtension)) {
-            fileUrl += detectedExtension;
-        }
-
-        res.json({ success: true, fileUrl: fileUrl, fileType: req.file.mimetype, fileName: req.file.originalname });
+        res.json({ success: true, uploadId: chatUpload._id, fileType: stored.mimeType, fileName: stored.originalName });
     } catch (error) {
-        console.error('Error during Cloudinary upload (chat):', error);
+        console.error('Error during chat file upload:', error);
         res.status(500).json({ success: false, message: 'Server error during file upload.' });
     }
 }, (error, req, res, next) => {
@@ -194,129 +189,6 @@ app.post('/api/chat/upload-file', upload.single('file'), async (req, res) => {
     next();
 });
 
-// --- Route: Class File Deposit (outside chat) ---
-app.post('/classes/:classId/files', isLoggedIn, upload.single('classFile'), async (req, res) => {
-    try {
-        const classId = req.params.classId;
-        const file = req.file;
-
-        console.log('--- Starting class file upload process ---');
-        console.log('1. req.file object received by Multer:', file);
-        if (file && file.buffer) {
-            console.log('    -> Multer stored file in memory (buffer exists). Size:', file.buffer.length, 'bytes.');
-        } else if (file && file.path) {
-            console.log('    -> WARNING: Multer stored file on disk (path exists). Path:', file.path);
-        } else {
-            console.log('    -> req.file is unexpected or empty.');
-        }
-
-        const { category } = req.body;
-
-        if (!file) {
-            let errorMessage = 'No file selected.';
-            if (req.fileFilterError) {
-                errorMessage = req.fileFilterError.message;
-            } else if (req.multerError && req.multerError.code === 'LIMIT_FILE_SIZE') {
-                errorMessage = 'File is too large! Max 10MB allowed.';
-            } else if (req.multerError) {
-                errorMessage = req.multerError.message;
-            }
-            res.locals.error = errorMessage;
-            return res.redirect(`/classes/${classId}`);
-        }
-
-        if (!category) {
-            res.locals.error = 'Please select a category for the file.';
-            return res.redirect(`/classes/${classId}`);
-        }
-
-        const b64 = Buffer.from(file.buffer).toString('base64');
-        let dataURI = 'data:' + file.mimetype + ';base64,' + b64;
-
-        console.log('2. Attempting to upload to Cloudinary...');
-
-        let classFileResourceType;
-        const folderName = `class_files/${classId}`;
-
-        const originalBaseName = path.parse(file.originalname).name;
-        const fileExtension = path.extname(file.originalname).toLowerCase();
-        const uniqueSuffix = Date.now();
-        let customPublicId;
-
-        if (file.mimetype.startsWith('image/')) {
-            classFileResourceType = 'image';
-            // For IMAGES: public_id should NOT include the file extension.
-            customPublicId = `${folderName}/${originalBaseName}_${uniqueSuffix}`;
-        } else if (file.mimetype === 'application/pdf' || file.mimetype.includes('application/msword') || file.mimetype.includes('application/vnd.openxmlformats-officedocument.wordprocessingml.document')) {
-            classFileResourceType = 'raw';
-            // For RAW files (PDF, DOCX): public_id MUST include the file extension.
-            customPublicId = `${folderName}/${originalBaseName}_${uniqueSuffix}${fileExtension}`;
-        } else {
-            // Fallback for other file types
-            classFileResourceType = 'auto';
-            customPublicId = `${folderName}/${originalBaseName}_${uniqueSuffix}${fileExtension}`;
-        }
-
-        const cloudinaryUploadResult = await cloudinary.uploader.upload(dataURI, {
-            public_id: customPublicId,
-            resource_type: classFileResourceType,
-            unique_filename: false,
-            overwrite: true,
-            // *** IMPORTANT CHANGE HERE FOR PUBLIC ACCESS TO RAW FILES ***
-            type: classFileResourceType === 'raw' ? 'authenticated' : 'upload'
-        });
-
-        console.log("Cloudinary class file upload result:", cloudinaryUploadResult);
-
-        if (cloudinaryUploadResult && cloudinaryUploadResult.secure_url) {
-            console.log('    -> Secure Cloudinary URL received:', cloudinaryUploadResult.secure_url);
-        } else {
-            console.error('    -> ERROR: Missing Cloudinary secure_url or upload failed!');
-        }
-
-        // The URL returned by Cloudinary (cloudinaryUploadResult.secure_url) should now be correct.
-        // The fallback logic below is still there but should rarely be needed for these cases.
-        let fileUrl = cloudinaryUploadResult.secure_url;
-        const originalFullName = file.originalname;
-        const detectedExtension = path.extname(originalFullName).toLowerCase();
-
-        if (cloudinaryUploadResult.resource_type === 'raw' && detectedExtension && !fileUrl.toLowerCase().endsWith(detectedExtension)) {
-            fileUrl += detectedExtension;
-        }
-
-        const publicId = cloudinaryUploadResult.public_id;
-
-        const newFile = {
-            fileName: file.originalname,
-            filePath: fileUrl, // Save the potentially modified URL
-            fileSize: file.size,
-            fileMimeType: file.mimetype,
-            uploadDate: new Date(),
-            uploader: req.session.user._id,
-            category: category,
-            publicId: publicId
-        };
-
-        console.log('4. newFile object ready to be saved:', newFile);
-
-        const classroom = await Classroom.findById(classId);
-        if (!classroom) {
-            res.locals.error = 'Classroom not found.';
-            return res.redirect('/');
-        }
-
-        classroom.files.push(newFile);
-        await classroom.save();
-
-        res.locals.success = 'File uploaded and saved successfully!';
-        res.redirect(`/classes/${classId}`);
-    } catch (error) {
-        console.error('CRITICAL Error during class file upload (Deposit):', error);
-        res.locals.error = 'Error during file upload: ' + error.message;
-        res.redirect(`/classes/${req.params.classId}`);
-    }
-});
-
 // --- General Routes and Socket.IO ---
 // Main route (home)
 app.get('/', (req, res) => {
@@ -329,9 +201,10 @@ app.get('/clear-db-dev-only', async (req, res) => {
         try {
             await mongoose.connection.dropCollection('users');
             await mongoose.connection.dropCollection('classrooms');
+            await Message.deleteMany({});
             await mongoose.connection.dropCollection('sessions');
-            console.log('✅ Database (users, classrooms, sessions) cleared successfully!');
-            res.send('Database (users, classrooms, sessions) cleared successfully!');
+            console.log('✅ Database (users, classrooms, messages, sessions) cleared successfully!');
+            res.send('Database (users, classrooms, messages, sessions) cleared successfully!');
         } catch (error) {
             console.error('Error clearing database:', error);
             res.status(500).send('Error clearing database.');
@@ -352,6 +225,24 @@ io.use((socket, next) => {
     });
 });
 
+// --- Live presence in the class chat rooms (online members, typing indicators, last seen) ---
+const presence = new PresenceTracker();
+app.set('presence', presence);
+
+presence.on('online', (classroomId, member) => {
+    io.to(classroomId).emit('presence:online', { classroomId, ...member });
+    ClassroomPresence.touch(classroomId, member.userId).catch(error => console.error('Error saving presence:', error));
+});
+
+presence.on('offline', (classroomId, member, lastSeenAt) => {
+    io.to(classroomId).emit('presence:offline', { classroomId, userId: member.userId, lastSeenAt });
+    ClassroomPresence.touch(classroomId, member.userId, lastSeenAt).catch(error => console.error('Error saving presence:', error));
+});
+
+presence.on('typing', (classroomId, member, isTyping) => {
+    io.to(classroomId).emit('typing', { classroomId, userId: member.userId, username: member.username, isTyping });
+});
+
 io.on('connection', (socket) => {
     console.log('A user connected:', socket.id);
 
@@ -365,59 +256,272 @@ io.on('connection', (socket) => {
     socket.userId = userInSession._id;
     socket.username = userInSession.username;
     socket.userRole = userInSession.role;
+    socket.join(userRoom(socket.userId));
 
-    socket.on('joinRoom', (classroomId) => {
-        socket.join(classroomId);
-        console.log(`${socket.username} joined room: ${classroomId}`);
+    // Every class event goes through the same access policy as the HTTP routes (utils/accessPolicy.js)
+    socket.on('joinRoom', async (classroomId) => {
+        try {
+            const classroom = await authorizeSocket(socket, 'chat.read', classroomId);
+            if (!classroom) return;
+
+            const roomId = classRoom(classroom._id);
+            socket.join(roomId);
+            presence.join(roomId, socket.id, { _id: socket.userId, username: socket.username, role: socket.userRole });
+            socket.emit('presence:state', { classroomId: roomId, online: presence.members(roomId) });
+
+            // Moderation state, sent again after each reconnection (it may have changed in the meantime)
+            const isModerator = chatModeration.isModerator(userInSession, classroom);
+            const chatState = { classroomId: roomId, locked: classroom.chatLocked, mutedUntil: null, openReports: null };
+            if (isModerator) {
+                socket.join(moderatorsRoom(classroom._id));
+                chatState.openReports = await ChatReport.countOpen(classroom._id);
+            } else {
+                const mute = await ChatMute.activeFor(classroom._id, socket.userId);
+                chatState.mutedUntil = mute ? mute.until : null;
+            }
+            socket.emit('chatState', chatState);
+            console.log(`${socket.username} joined room: ${classroomId}`);
+        } catch (error) {
+            console.error('Error joining room:', error);
+        }
     });
 
     // Modified chatMessage event to handle different message types
-    socket.on('chatMessage', async ({ classroomId, content, type, fileUrl, fileType }) => { // Added fileType here
+    // The optional acknowledgement callback lets the client's offline outbox know when a message is stored:
+    // ack({ ok: true, message }) or ack({ ok: false, message, retry }) — retry is false when resending cannot help.
+    // parentId: reply in the thread of a question (type 'question' opens a thread)
+    // graphWindow: optional { xMin, xMax, yMin, yMax } of a 'graph' message (functions in content)
+    // uploadId: 'image' and 'file' messages, id returned by /api/chat/upload-file (the file, its name and type come from there)
+    socket.on('chatMessage', async ({ classroomId, content, type, uploadId, clientMessageId, parentId, graphWindow } = {}, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
         const senderId = socket.userId;
         const senderUsername = socket.username;
 
         if (!senderId || !senderUsername) {
             console.error('Error: Sender ID or USERNAME missing on socket.');
-            return;
+            return reply({ ok: false, message: 'Session expirée.', retry: false });
+        }
+
+        // Same checks as POST /classes/:id/messages: a malformed payload will never be accepted, even resent
+        type = type || 'text';
+        if (!Message.schema.path('type').enumValues.includes(type)) {
+            return reply({ ok: false, message: 'Type de message invalide.', retry: false });
+        }
+        if (content !== undefined && content !== null && typeof content !== 'string') {
+            return reply({ ok: false, message: 'Contenu du message invalide.', retry: false });
+        }
+
+        console.log(`Message received in class ${classroomId} from ${senderUsername} (Type: ${type}):`, content || uploadId);
+
+        // Math messages carry LaTeX from the visual editor: check it before storing it
+        if (type === 'math') {
+            const check = validateLatex(content);
+            if (!check.valid) {
+                console.warn(`Invalid LaTeX from ${senderUsername}:`, check.error);
+                socket.emit('messageError', { message: check.error });
+                return reply({ ok: false, message: check.error, retry: false });
+            }
+            content = check.latex;
+        }
+
+        // Graph messages: the functions are parsed here, clients only receive the expression trees
+        let graph;
+        if (type === 'graph') {
+            try {
+                ({ content, graph } = functionGraph.parseGraph(content, graphWindow));
+            } catch (error) {
+                if (!(error instanceof MathParseError)) throw error;
+                return reply({ ok: false, message: error.message, retry: false });
+            }
         }
 
-        console.log(`Message received in class ${classroomId} from ${senderUsername} (Type: ${type}, FileType: ${fileType || 'N/A'}):`, content || fileUrl);
+        if (type === 'question' && (typeof content !== 'string' || !content.trim())) {
+            return reply({ ok: false, message: 'La question ne peut pas être vide.', retry: false });
+        }
+
+        if (clientMessageId !== undefined && (typeof clientMessageId !== 'string' || clientMessageId.length > 64)) {
+            return reply({ ok: false, message: 'Identifiant de message invalide.', retry: false });
+        }
 
         try {
-            const classroom = await Classroom.findById(classroomId);
+            const classroom = await authorizeSocket(socket, 'chat.post', classroomId);
             if (!classroom) {
-                console.error('Classroom not found for message:', classroomId);
-                return;
+                return reply({ ok: false, message: 'Accès non autorisé.', retry: false });
+            }
+
+            // Image/file messages: a file this user uploaded to this class through /api/chat/upload-file
+            // (the attachment route serves it to every member of the class)
+            let attachment = null;
+            if (type === 'image' || type === 'file') {
+                attachment = await ChatUpload.findFor(uploadId, classroom._id, senderId);
+                if (!attachment) {
+                    socket.emit('messageError', { message: 'Fichier joint invalide.' });
+                    return reply({ ok: false, message: 'Fichier joint invalide.', retry: false });
+                }
+                type = attachment.fileType.startsWith('image/') ? 'image' : 'file';
+                content = attachment.fileName;
             }
 
-            const newMessage = {
+            // Message resent from the offline outbox after a lost acknowledgement: already stored and broadcast
+            if (clientMessageId) {
+                const existing = await Message.findOne({ sender: senderId, clientMessageId: clientMessageId });
+                if (existing) {
+                    return reply({ ok: true, message: existing.toPayload() });
+                }
+            }
+
+            // Chat locked by the teacher, or student muted
+            const restriction = await chatModeration.postingRestriction(classroom, userInSession);
+            if (restriction) {
+                socket.emit('messageError', { message: restriction });
+                return reply({ ok: false, message: restriction, retry: false });
+            }
+
+            let question = null;
+            if (parentId) {
+                try {
+                    question = await chatQuestions.questionForReply(classroom, parentId, type);
+                } catch (error) {
+                    if (!(error instanceof chatQuestions.QuestionError)) throw error;
+                    socket.emit('messageError', { message: error.message });
+                    return reply({ ok: false, message: error.message, retry: false });
+                }
+            }
+
+            // Messages are stored in their own collection: the classroom document is never re-saved
+            const newMessage = await Message.create({
+                classroom: classroomId,
                 sender: senderId,
                 content: content,
-                type: type || 'text',
-                fileUrl: fileUrl,
-                fileType: fileType, // Store fileType in the message model
+                type: type,
+                fileUrl: attachment ? attachment.fileUrl : undefined,
+                fileType: attachment ? attachment.fileType : undefined,
+                storageDriver: attachment ? attachment.storageDriver : undefined,
+                publicId: attachment ? attachment.publicId : undefined,
+                graph: graph,
+                clientMessageId: clientMessageId,
+                parent: question ? question._id : null,
                 timestamp: new Date()
-            };
-
-            classroom.messages.push(newMessage);
-            await classroom.save();
+            });
 
-            io.to(classroomId).emit('message', {
+            const payload = {
+                ...newMessage.toPayload(),
                 senderId: senderId,
-                senderUsername: senderUsername,
-                content: content,
-                type: type || 'text',
-                fileUrl: fileUrl,
-                fileType: fileType, // Emit fileType to clients
-                timestamp: newMessage.timestamp
-            });
+                senderUsername: senderUsername
+            };
+            io.to(classroomId).emit('message', payload);
+            presence.setTyping(classroomId, socket.id, false);
+            searchIndex.indexMessage(newMessage).catch(error => console.error('Error indexing a chat message:', error));
+            if (question) {
+                await chatQuestions.recordReply(io, question, newMessage);
+            }
+            // Students who do not have the chat open are notified of the teacher's messages
+            if (chatModeration.isModerator(userInSession, classroom)) {
+                notifications.notifyTeacherMessage({
+                    io,
+                    classroom,
+                    user: userInSession,
+                    message: newMessage,
+                    excludeUserIds: presence.members(classRoom(classroom._id)).map(member => member.userId)
+                }).catch(error => console.error('Error creating message notifications:', error));
+            }
+            reply({ ok: true, message: payload });
 
         } catch (error) {
+            // Same clientMessageId received twice at the same time: the unique index kept the first one
+            if (error.code === 11000 && clientMessageId) {
+                return reply({ ok: true });
+            }
             console.error('Error saving or sending message:', error);
+            reply({ ok: false, message: 'Erreur serveur.', retry: true });
+        }
+    });
+
+    // --- Chat moderation (utils/chatModeration.js), questions (utils/chatQuestions.js), whiteboard (utils/whiteboard.js)
+    // and live quiz (utils/liveQuiz.js) ---
+    // Each event is checked against the access policy, then answered with ack({ ok, message });
+    // the resulting changes ('messageEdited', 'messageDeleted', 'chatLock', 'questionUpdated', 'whiteboard:element', 'quiz:question'...)
+    // are broadcast by those modules.
+    const chatActionEvents = {
+        editMessage: ['chat.post', (context, data) => chatModeration.editMessage({ ...context, messageId: data.messageId, content: data.content })],
+        deleteMessage: ['chat.read', (context, data) => chatModeration.deleteMessage({ ...context, messageId: data.messageId })],
+        reportMessage: ['chat.report', (context, data) => chatModeration.reportMessage({ ...context, messageId: data.messageId, reason: data.reason })],
+        pinMessage: ['chat.moderate', (context, data) => chatModeration.pinMessage({ ...context, messageId: data.messageId, pinned: data.pinned })],
+        muteStudent: ['chat.moderate', (context, data) => chatModeration.muteStudent({ ...context, studentId: data.studentId, minutes: data.minutes, reason: data.reason })],
+        setChatLock: ['chat.moderate', (context, data) => chatModeration.setChatLock({ ...context, locked: data.locked })],
+        acceptAnswer: ['chat.read', (context, data) => chatQuestions.acceptAnswer({ ...context, questionId: data.questionId, answerId: data.answerId })],
+        resolveQuestion: ['question.resolve', (context, data) => chatQuestions.setResolved({ ...context, questionId: data.questionId, resolved: data.resolved })],
+        'whiteboard:add': ['whiteboard.draw', (context, data) => whiteboard.addElement({ ...context, element: data.element })],
+        'whiteboard:remove': ['whiteboard.draw', (context, data) => whiteboard.removeElement({ ...context, elementId: data.elementId })],
+        'whiteboard:clear': ['whiteboard.manage', (context) => whiteboard.clearBoard(context)],
+        'whiteboard:settings': ['whiteboard.manage', (context, data) => whiteboard.updateSettings({ ...context, locked: data.locked, studentsCanDraw: data.studentsCanDraw })],
+        'quiz:start': ['quiz.run', (context, data) => liveQuiz.startQuiz({ ...context, title: data.title })],
+        'quiz:launch': ['quiz.run', (context, data) => liveQuiz.launchQuestion({ ...context, question: data.question })],
+        'quiz:answer': ['quiz.answer', (context, data) => liveQuiz.submitAnswer({ ...context, index: data.index, answer: data.answer })],
+        'quiz:close': ['quiz.run', (context) => liveQuiz.closeQuestion(context)],
+        'quiz:end': ['quiz.run', (context) => liveQuiz.endQuiz(context)]
+    };
+
+    Object.entries(chatActionEvents).forEach(([event, [action, run]]) => {
+        socket.on(event, async (data = {}, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            try {
+                const classroom = await authorizeSocket(socket, action, data.classroomId);
+                if (!classroom) {
+                    return reply({ ok: false, message: 'Accès non autorisé.' });
+                }
+                await run({ io, classroom, user: userInSession }, data);
+                reply({ ok: true });
+            } catch (error) {
+                if (error instanceof chatModeration.ModerationError
+                    || error instanceof chatQuestions.QuestionError
+                    || error instanceof whiteboard.WhiteboardError
+                    || error instanceof liveQuiz.LiveQuizError) {
+                    return reply({ ok: false, message: error.message });
+                }
+                console.error(`Error handling '${event}':`, error);
+                reply({ ok: false, message: 'Erreur serveur.' });
+            }
+        });
+    });
+
+    // Current whiteboard of a class, requested when the board is shown and after each reconnection
+    socket.on('whiteboard:join', async ({ classroomId } = {}, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        try {
+            const classroom = await authorizeSocket(socket, 'whiteboard.view', classroomId);
+            if (!classroom) {
+                return reply({ ok: false, message: 'Accès non autorisé.' });
+            }
+            reply({ ok: true, state: await whiteboard.boardState({ classroom }) });
+        } catch (error) {
+            console.error('Error loading the whiteboard:', error);
+            reply({ ok: false, message: 'Erreur serveur.' });
         }
     });
 
+    // Live quiz in progress (question, own answer, leaderboard), requested on page load and after each reconnection
+    socket.on('quiz:join', async ({ classroomId } = {}, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        try {
+            const classroom = await authorizeSocket(socket, 'quiz.view', classroomId);
+            if (!classroom) {
+                return reply({ ok: false, message: 'Accès non autorisé.' });
+            }
+            reply({ ok: true, state: await liveQuiz.quizState({ io, classroom, user: userInSession }) });
+        } catch (error) {
+            console.error('Error loading the live quiz:', error);
+            reply({ ok: false, message: 'Erreur serveur.' });
+        }
+    });
+
+    // « En train d'écrire » : seulement dans un salon rejoint (l'accès a été vérifié par joinRoom)
+    socket.on('typing', ({ classroomId, isTyping } = {}) => {
+        presence.setTyping(String(classroomId), socket.id, Boolean(isTyping));
+    });
+
     socket.on('disconnect', () => {
+        presence.leaveAll(socket.id);
         console.log('A user disconnected:', socket.id);
     });
 });
@@ -0,0 +1,180 @@
+// utils/accessPolicy.js
+// Politique d'accès unique : « l'utilisateur U peut-il faire l'action A dans la classe C ? ».
+// Les routes Express (middleware/requireClassAccess.js) et les événements Socket.IO (server.js)
+// passent tous par ce module, pour que les mêmes règles s'appliquent partout.
+const mongoose = require('mongoose');
+const Classroom = require('../models/Classroom');
+
+// Relation entre un utilisateur et une classe.
+// Nouveau rôle (assistant, parent...) : ajouter sa relation dans relationTo(),
+// puis l'ajouter aux actions qu'il a le droit de faire ci-dessous.
+const RELATIONS = {
+    TEACHER: 'teacher',
+    STUDENT: 'student'
+};
+
+const MEMBERS = [RELATIONS.TEACHER, RELATIONS.STUDENT];
+
+// Actions dans une classe -> relations autorisées
+const CLASS_ACTIONS = {
+    'class.view': MEMBERS,
+    'class.manage': [RELATIONS.TEACHER], // Inscriptions, réglages de la classe
+    'students.resetPassword': [RELATIONS.TEACHER], // Code de réinitialisation du mot de passe d'un élève
+    'chat.read': MEMBERS,
+    'chat.post': MEMBERS,
+    'chat.upload': MEMBERS,
+    'chat.moderate': [RELATIONS.TEACHER], // Supprimer tout message, rendre muet, verrouiller, journal
+    'chat.report': [RELATIONS.STUDENT], // Signaler un message au professeur
+    'question.resolve': [RELATIONS.TEACHER], // Marquer une question résolue (l'auteur peut aussi choisir la réponse acceptée)
+    'whiteboard.view': MEMBERS,
+    'whiteboard.draw': MEMBERS, // Les élèves seulement si le professeur l'autorise (utils/whiteboard.js)
+    'whiteboard.manage': [RELATIONS.TEACHER], // Effacer, verrouiller, autoriser les élèves, enregistrer une image
+    'files.upload': MEMBERS,
+    'files.download': MEMBERS,
+    'files.manage': [RELATIONS.TEACHER], // Dossiers, renommer, déplacer, remplacer, supprimer
+    'files.viewDownloads': [RELATIONS.TEACHER], // Qui a ouvert chaque fichier
+    'annotation.view': MEMBERS, // Annotations d'un PDF : l'élève seulement sur sa propre copie (utils/pdfAnnotations.js)
+    'annotation.edit': [RELATIONS.TEACHER], // Annoter un PDF, exporter la copie annotée en correction
+    'search.class': MEMBERS, // Recherche dans le chat et la bibliothèque de la classe
+    'quiz.view': MEMBERS, // Quiz en direct et résultats des quiz passés
+    'quiz.run': [RELATIONS.TEACHER], // Démarrer un quiz, lancer et fermer les questions
+    'quiz.answer': [RELATIONS.STUDENT],
+    'assignment.manage': [RELATIONS.TEACHER], // Créer, noter
+    'assignment.submit': [RELATIONS.STUDENT],
+    'exercise.manage': [RELATIONS.TEACHER],
+    'exercise.attempt': [RELATIONS.STUDENT],
+    'sheet.view': MEMBERS, // Feuilles de la banque publiées : chaque élève voit sa variante
+    'sheet.publish': [RELATIONS.TEACHER],
+    'gradebook.manage': [RELATIONS.TEACHER], // Évaluations, notes, appréciations, exports
+    'gradebook.viewOwn': [RELATIONS.STUDENT], // Sa propre ligne du carnet uniquement
+    'analytics.view': [RELATIONS.TEACHER] // Statistiques d'engagement des élèves, export CSV
+};
+
+// Actions hors d'une classe -> rôles de compte autorisés
+const GLOBAL_ACTIONS = {
+    'class.create': ['teacher'],
+    'class.join': ['student'],
+    'bank.manage': ['teacher'], // Banque d'exercices et feuilles du professeur
+    'search.allClasses': ['teacher'] // Recherche dans toutes ses classes à la fois
+};
+
+// Refus d'accès, avec le statut HTTP à renvoyer et un message affichable tel quel
+class AccessDeniedError extends Error {
+    constructor(message, status = 403, reason = 'forbidden') {
+        super(message);
+        this.name = 'AccessDeniedError';
+        this.status = status;
+        this.reason = reason; // 'unauthenticated' | 'not-found' | 'not-member' | 'forbidden'
+    }
+}
+
+function relationTo(user, classroom) {
+    if (!user || !user._id || !classroom) {
+        return null;
+    }
+    const teacherId = classroom.teacher && (classroom.teacher._id || classroom.teacher);
+    if (teacherId && teacherId.equals(user._id)) {
+        return RELATIONS.TEACHER;
+    }
+    if (classroom.hasStudent(user._id)) {
+        return RELATIONS.STUDENT;
+    }
+    return null;
+}
+
+function deniedMessage(allowed) {
+    if (allowed.length === 1 && allowed[0] === RELATIONS.TEACHER) {
+        return 'Accès non autorisé : action réservée au professeur de la classe.';
+    }
+    if (allowed.length === 1 && allowed[0] === RELATIONS.STUDENT) {
+        return 'Accès non autorisé : action réservée aux élèves de la classe.';
+    }
+    return 'Accès non autorisé : action non permise.';
+}
+
+/**
+ * Vérifie l'action et lève une AccessDeniedError si elle est refusée.
+ * `classroom` est un document Classroom chargé (obligatoire pour les actions de classe).
+ */
+function check(user, action, classroom = null) {
+    if (!user || !user._id) {
+        throw new AccessDeniedError('Accès non autorisé : veuillez vous connecter.', 401, 'unauthenticated');
+    }
+
+    if (GLOBAL_ACTIONS[action]) {
+        if (!GLOBAL_ACTIONS[action].includes(user.role)) {
+            throw new AccessDeniedError('Accès non autorisé : action non permise pour votre compte.');
+        }
+        return;
+    }
+
+    const allowed = CLASS_ACTIONS[action];
+    if (!allowed) {
+        throw new Error(`Unknown access policy action: ${action}`);
+    }
+    if (!classroom) {
+        throw new AccessDeniedError('Classe introuvable.', 404, 'not-found');
+    }
+
+    const relation = relationTo(user, classroom);
+    if (!relation) {
+        throw new AccessDeniedError('Accès non autorisé : vous n\'êtes pas membre de cette classe.', 403, 'not-member');
+    }
+    if (!allowed.includes(relation)) {
+        throw new AccessDeniedError(deniedMessage(allowed));
+    }
+}
+
+function can(user, action, classroom = null) {
+    try {
+        check(user, action, classroom);
+        return true;
+    } catch (error) {
+        if (error instanceof AccessDeniedError) return false;
+        throw error;
+    }
+}
+
+/**
+ * Charge la classe (si on reçoit son identifiant) puis vérifie l'action.
+ * Retourne la classe, ou lève une AccessDeniedError.
+ */
+async function authorize(user, action, classroomOrId) {
+    let classroom = classroomOrId;
+    if (!(classroom instanceof Classroom)) {
+        if (!user || !user._id) {
+            check(user, action); // 401 avant toute requête
+        }
+        classroom = mongoose.isValidObjectId(classroomOrId) ? await Classroom.findById(classroomOrId) : null;
+    }
+    check(user, action, classroom);
+    return classroom;
+}
+
+/**
+ * Version Socket.IO de authorize() : en cas de refus, le client reçoit un événement
+ * 'accessDenied' ({ action, classroomId, message }) et la fonction retourne null.
+ */
+async function authorizeSocket(socket, action, classroomId) {
+    const user = socket.request.session && socket.request.session.user;
+    try {
+        return await authorize(user, action, classroomId);
+    } catch (error) {
+        if (!(error instanceof AccessDeniedError)) throw error;
+        console.warn(`Socket action '${action}' denied for ${user ? user.username : 'anonymous'} in class ${classroomId}: ${error.message}`);
+        socket.emit('accessDenied', { action, classroomId, message: error.message });
+        return null;
+    }
+}
+
+module.exports = {
+    RELATIONS,
+    CLASS_ACTIONS,
+    GLOBAL_ACTIONS,
+    AccessDeniedError,
+    relationTo,
+    check,
+    can,
+    authorize,
+    authorizeSocket
+};
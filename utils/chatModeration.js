@@ -0,0 +1,321 @@
+// utils/chatModeration.js
+// Modération du chat d'une classe : modifier / supprimer un message, le signaler, épingler une annonce,
+// rendre un élève muet, verrouiller le chat. Utilisé par les événements Socket.IO du chat (server.js) et par la page de modération
+// du professeur (routes/moderationRoutes.js) : chaque action vérifie les droits, écrit dans le journal
+// de modération et prévient les clients connectés.
+//
+// Les fonctions reçoivent { io, classroom, user } ; classroom a déjà été autorisée par l'appelant
+// (au moins 'chat.read'). Un refus est signalé par une ModerationError dont le message est affichable.
+const mongoose = require('mongoose');
+const Classroom = require('../models/Classroom');
+const Message = require('../models/Message');
+const ChatMute = require('../models/ChatMute');
+const ChatReport = require('../models/ChatReport');
+const ModerationLog = require('../models/ModerationLog');
+const { can } = require('./accessPolicy');
+const { validateLatex } = require('./latex');
+const { recordReplyDeleted } = require('./chatQuestions');
+const { notifyAnnouncement } = require('./notifications');
+const { indexMessage } = require('./searchIndex');
+const { classRoom, moderatorsRoom, userRoom } = require('./socketRooms');
+
+const MAX_REASON_LENGTH = 300;
+const EDIT_WINDOW_MINUTES = Math.round(Message.EDIT_WINDOW_MS / 60000);
+
+class ModerationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ModerationError';
+    }
+}
+
+const isModerator = (user, classroom) => can(user, 'chat.moderate', classroom);
+
+function requireModerator(user, classroom) {
+    if (!isModerator(user, classroom)) {
+        throw new ModerationError('Action réservée au professeur de la classe.');
+    }
+}
+
+function formatDateTime(date) {
+    return new Date(date).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+function readReason(reason) {
+    return typeof reason === 'string' ? reason.trim().slice(0, MAX_REASON_LENGTH) : '';
+}
+
+// Contenu d'un message tel qu'il est conservé dans le journal
+function describeContent(message) {
+    if (message.type === 'image' || message.type === 'file') {
+        return `${message.content || 'Fichier'} (${message.fileUrl})`;
+    }
+    return message.content || '';
+}
+
+async function loadMessage(classroom, messageId) {
+    const message = mongoose.isValidObjectId(messageId)
+        ? await Message.findOne({ _id: messageId, classroom: classroom._id })
+        : null;
+    if (!message || message.deletedAt) {
+        throw new ModerationError('Ce message n\'existe plus.');
+    }
+    return message;
+}
+
+function log(classroom, user, action, fields = {}) {
+    return ModerationLog.create({ classroom: classroom._id, actor: user._id, action, ...fields });
+}
+
+// Nombre de signalements en attente, affiché au professeur dans le chat
+async function notifyOpenReports(io, classroom) {
+    const openReports = await ChatReport.countOpen(classroom._id);
+    io.to(moderatorsRoom(classroom._id)).emit('reportsUpdated', { classroomId: String(classroom._id), openReports });
+}
+
+/**
+ * Raison pour laquelle l'utilisateur ne peut pas écrire dans le chat (chat verrouillé, élève rendu muet), ou null.
+ * Le professeur peut toujours écrire.
+ */
+async function postingRestriction(classroom, user) {
+    if (isModerator(user, classroom)) {
+        return null;
+    }
+    if (classroom.chatLocked) {
+        return 'Le chat est verrouillé par le professeur.';
+    }
+    const mute = await ChatMute.activeFor(classroom._id, user._id);
+    if (mute) {
+        return `Vous ne pouvez pas écrire dans le chat jusqu'au ${formatDateTime(mute.until)}.`;
+    }
+    return null;
+}
+
+// L'auteur modifie son message (texte ou formule), pendant EDIT_WINDOW_MINUTES
+async function editMessage({ io, classroom, user, messageId, content }) {
+    const message = await loadMessage(classroom, messageId);
+    if (!message.isSentBy(user._id)) {
+        throw new ModerationError('Vous ne pouvez modifier que vos propres messages.');
+    }
+    if (!Message.EDITABLE_TYPES.includes(message.type)) {
+        throw new ModerationError('Seuls les messages texte, les questions et les formules peuvent être modifiés.');
+    }
+    if (!message.isWithinEditWindow()) {
+        throw new ModerationError(`Un message ne peut plus être modifié ${EDIT_WINDOW_MINUTES} minutes après son envoi.`);
+    }
+    const restriction = await postingRestriction(classroom, user);
+    if (restriction) {
+        throw new ModerationError(restriction);
+    }
+
+    let newContent = typeof content === 'string' ? content.trim() : '';
+    if (message.type === 'math') {
+        const check = validateLatex(newContent);
+        if (!check.valid) {
+            throw new ModerationError(check.error);
+        }
+        newContent = check.latex;
+    }
+    if (!newContent) {
+        throw new ModerationError('Le message ne peut pas être vide.');
+    }
+
+    if (newContent !== message.content) {
+        const previous = message.content;
+        message.content = newContent;
+        message.editedAt = new Date();
+        await message.save();
+        indexMessage(message).catch(error => console.error('Error indexing an edited message:', error));
+        await log(classroom, user, 'message.edit', { message: message._id, targetUser: message.sender, details: `Avant : ${previous}` });
+    }
+
+    await message.populate('sender', 'username');
+    const payload = message.toPayload();
+    io.to(classRoom(classroom._id)).emit('messageEdited', payload);
+    return payload;
+}
+
+// L'auteur supprime son message pendant EDIT_WINDOW_MINUTES ; le professeur supprime n'importe quel message
+async function deleteMessage({ io, classroom, user, messageId }) {
+    const message = await loadMessage(classroom, messageId);
+    const byAuthor = message.isSentBy(user._id);
+    if (!isModerator(user, classroom)) {
+        if (!byAuthor) {
+            throw new ModerationError('Vous ne pouvez supprimer que vos propres messages.');
+        }
+        if (!message.isWithinEditWindow()) {
+            throw new ModerationError(`Un message ne peut plus être supprimé ${EDIT_WINDOW_MINUTES} minutes après son envoi.`);
+        }
+    }
+
+    const original = describeContent(message);
+    message.deletedAt = new Date();
+    message.deletedBy = user._id;
+    message.pinnedAt = null;
+    message.content = '';
+    message.fileUrl = undefined;
+    message.fileType = undefined;
+    message.storageDriver = undefined;
+    message.publicId = undefined;
+    message.imageUrl = undefined;
+    message.graph = undefined;
+    await message.save();
+    indexMessage(message).catch(error => console.error('Error removing a deleted message from the search index:', error));
+
+    await log(classroom, user, 'message.delete', { message: message._id, targetUser: message.sender, details: original });
+    const { modifiedCount } = await ChatReport.resolveForMessage(message._id, 'actioned', user._id);
+
+    io.to(classRoom(classroom._id)).emit('messageDeleted', {
+        classroomId: String(classroom._id),
+        messageId: String(message._id),
+        byModerator: !byAuthor
+    });
+    if (message.parent) {
+        await recordReplyDeleted(io, message);
+    }
+    if (modifiedCount > 0) {
+        await notifyOpenReports(io, classroom);
+    }
+}
+
+// Le professeur épingle un message en haut du chat (annonce) : les membres sont notifiés
+async function pinMessage({ io, classroom, user, messageId, pinned }) {
+    requireModerator(user, classroom);
+    const message = await loadMessage(classroom, messageId);
+    if (message.parent) {
+        throw new ModerationError('Une réponse dans le fil d\'une question ne peut pas être épinglée.');
+    }
+    const isPinned = Boolean(pinned);
+    if (Boolean(message.pinnedAt) === isPinned) {
+        return;
+    }
+
+    message.pinnedAt = isPinned ? new Date() : null;
+    message.pinnedBy = isPinned ? user._id : null;
+    await message.save();
+    await log(classroom, user, isPinned ? 'message.pin' : 'message.unpin', { message: message._id, details: describeContent(message) });
+
+    await message.populate('sender', 'username');
+    io.to(classRoom(classroom._id)).emit('messagePinned', message.toPayload());
+    if (isPinned) {
+        notifyAnnouncement({ io, classroom, user, message })
+            .catch(error => console.error('Error creating announcement notifications:', error));
+    }
+}
+
+// Un élève signale le message d'un autre membre au professeur
+async function reportMessage({ io, classroom, user, messageId, reason }) {
+    const message = await loadMessage(classroom, messageId);
+    if (message.isSentBy(user._id)) {
+        throw new ModerationError('Vous ne pouvez pas signaler votre propre message.');
+    }
+
+    const cleanReason = readReason(reason);
+    try {
+        await ChatReport.create({ classroom: classroom._id, message: message._id, reporter: user._id, reason: cleanReason });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ModerationError('Vous avez déjà signalé ce message.');
+        }
+        throw error;
+    }
+
+    await log(classroom, user, 'message.report', {
+        message: message._id,
+        targetUser: message.sender,
+        details: `${cleanReason ? `Motif : ${cleanReason} — ` : ''}Message : ${describeContent(message)}`
+    });
+    await notifyOpenReports(io, classroom);
+}
+
+// Le professeur classe un signalement sans supprimer le message
+async function dismissReport({ io, classroom, user, reportId }) {
+    requireModerator(user, classroom);
+    const report = mongoose.isValidObjectId(reportId)
+        ? await ChatReport.findOneAndUpdate(
+            { _id: reportId, classroom: classroom._id, status: 'open' },
+            { status: 'dismissed', resolvedAt: new Date(), resolvedBy: user._id },
+            { new: true }
+        )
+        : null;
+    if (!report) {
+        throw new ModerationError('Ce signalement a déjà été traité.');
+    }
+    await log(classroom, user, 'report.dismiss', { message: report.message, targetUser: report.reporter });
+    await notifyOpenReports(io, classroom);
+}
+
+// Rend un élève muet pour `minutes` ; une sanction en cours est remplacée
+async function muteStudent({ io, classroom, user, studentId, minutes, reason }) {
+    requireModerator(user, classroom);
+    const duration = parseInt(minutes, 10);
+    if (!(duration >= 1 && duration <= ChatMute.MAX_MUTE_MINUTES)) {
+        throw new ModerationError(`La durée doit être comprise entre 1 et ${ChatMute.MAX_MUTE_MINUTES} minutes.`);
+    }
+    if (!mongoose.isValidObjectId(studentId) || !classroom.hasStudent(studentId)) {
+        throw new ModerationError('Cet élève n\'est pas inscrit dans la classe.');
+    }
+
+    const cleanReason = readReason(reason);
+    const now = new Date();
+    await ChatMute.updateMany({ classroom: classroom._id, student: studentId, liftedAt: null, until: { $gt: now } }, { liftedAt: now });
+    const mute = await ChatMute.create({
+        classroom: classroom._id,
+        student: studentId,
+        until: new Date(now.getTime() + duration * 60 * 1000),
+        reason: cleanReason,
+        createdBy: user._id
+    });
+
+    await log(classroom, user, 'user.mute', {
+        targetUser: studentId,
+        details: `${duration} min${cleanReason ? ` — ${cleanReason}` : ''}`
+    });
+    io.to(userRoom(studentId)).emit('chatMuted', { classroomId: String(classroom._id), until: mute.until, reason: cleanReason });
+    return mute;
+}
+
+async function liftMute({ io, classroom, user, muteId }) {
+    requireModerator(user, classroom);
+    const mute = mongoose.isValidObjectId(muteId)
+        ? await ChatMute.findOneAndUpdate(
+            { _id: muteId, classroom: classroom._id, liftedAt: null, until: { $gt: new Date() } },
+            { liftedAt: new Date() },
+            { new: true }
+        )
+        : null;
+    if (!mute) {
+        throw new ModerationError('Cette sanction est déjà terminée.');
+    }
+    await log(classroom, user, 'user.unmute', { targetUser: mute.student });
+    io.to(userRoom(mute.student)).emit('chatMuted', { classroomId: String(classroom._id), until: null });
+    return mute;
+}
+
+// Verrouillage pendant un contrôle : les élèves lisent mais n'écrivent plus
+async function setChatLock({ io, classroom, user, locked }) {
+    requireModerator(user, classroom);
+    const isLocked = Boolean(locked);
+    if (classroom.chatLocked === isLocked) {
+        return;
+    }
+    await Classroom.updateOne({ _id: classroom._id }, { chatLocked: isLocked });
+    classroom.chatLocked = isLocked;
+    await log(classroom, user, isLocked ? 'chat.lock' : 'chat.unlock');
+    io.to(classRoom(classroom._id)).emit('chatLock', { classroomId: String(classroom._id), locked: isLocked });
+}
+
+module.exports = {
+    ModerationError,
+    EDIT_WINDOW_MINUTES,
+    isModerator,
+    postingRestriction,
+    editMessage,
+    deleteMessage,
+    reportMessage,
+    pinMessage,
+    dismissReport,
+    muteStudent,
+    liftMute,
+    setChatLock
+};
@@ -0,0 +1,113 @@
+// utils/chatQuestions.js
+// Questions du chat : un message de type 'question' ouvre un fil de réponses. Le professeur ou l'auteur
+// de la question choisit la réponse acceptée ; le professeur marque la question comme résolue.
+// Chaque changement est diffusé aux membres connectés par l'événement 'questionUpdated'.
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const { can } = require('./accessPolicy');
+const { classRoom } = require('./socketRooms');
+
+class QuestionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QuestionError';
+    }
+}
+
+async function loadQuestion(classroom, questionId) {
+    const question = mongoose.isValidObjectId(questionId)
+        ? await Message.findOne({ _id: questionId, classroom: classroom._id, type: 'question' })
+        : null;
+    if (!question || question.deletedAt) {
+        throw new QuestionError('Cette question n\'existe plus.');
+    }
+    return question;
+}
+
+async function emitQuestionUpdate(io, question) {
+    await question.populate('sender', 'username');
+    io.to(classRoom(question.classroom)).emit('questionUpdated', question.toPayload());
+}
+
+/**
+ * Vérifie qu'une réponse peut être postée dans le fil `parentId` et retourne la question.
+ * Les réponses sont du texte ou une formule ; on ne répond pas à une question résolue.
+ */
+async function questionForReply(classroom, parentId, type) {
+    if (!Message.REPLY_TYPES.includes(type)) {
+        throw new QuestionError('Une réponse doit être un texte ou une formule.');
+    }
+    const question = await loadQuestion(classroom, parentId);
+    if (question.resolvedAt) {
+        throw new QuestionError('Cette question est résolue : rouvrez-la pour y répondre.');
+    }
+    return question;
+}
+
+// Après l'enregistrement d'une réponse : compteur du fil
+async function recordReply(io, question, reply) {
+    const updated = await Message.findByIdAndUpdate(
+        question._id,
+        { $inc: { replyCount: 1 }, $max: { lastReplyAt: reply.timestamp } },
+        { new: true }
+    );
+    if (updated) {
+        await emitQuestionUpdate(io, updated);
+    }
+}
+
+// Après la suppression d'une réponse (utils/chatModeration.js) : compteur et réponse acceptée
+async function recordReplyDeleted(io, reply) {
+    const question = await Message.findById(reply.parent);
+    if (!question) return;
+    question.replyCount = Math.max(0, question.replyCount - 1);
+    if (question.acceptedAnswer && question.acceptedAnswer.equals(reply._id)) {
+        question.acceptedAnswer = null;
+    }
+    await question.save();
+    await emitQuestionUpdate(io, question);
+}
+
+// `answerId` null : retire la réponse acceptée
+async function acceptAnswer({ io, classroom, user, questionId, answerId }) {
+    const question = await loadQuestion(classroom, questionId);
+    if (!can(user, 'question.resolve', classroom) && !question.isSentBy(user._id)) {
+        throw new QuestionError('Seuls le professeur et l\'auteur de la question peuvent choisir la réponse acceptée.');
+    }
+
+    let answer = null;
+    if (answerId) {
+        answer = mongoose.isValidObjectId(answerId)
+            ? await Message.findOne({ _id: answerId, parent: question._id, deletedAt: null })
+            : null;
+        if (!answer) {
+            throw new QuestionError('Cette réponse n\'existe plus.');
+        }
+    }
+
+    question.acceptedAnswer = answer ? answer._id : null;
+    await question.save();
+    await emitQuestionUpdate(io, question);
+}
+
+// Résolue / rouverte, par le professeur
+async function setResolved({ io, classroom, user, questionId, resolved }) {
+    if (!can(user, 'question.resolve', classroom)) {
+        throw new QuestionError('Seul le professeur peut marquer une question comme résolue.');
+    }
+    const question = await loadQuestion(classroom, questionId);
+    question.resolvedAt = resolved ? new Date() : null;
+    question.resolvedBy = resolved ? user._id : null;
+    await question.save();
+    await emitQuestionUpdate(io, question);
+}
+
+module.exports = {
+    QuestionError,
+    loadQuestion,
+    questionForReply,
+    recordReply,
+    recordReplyDeleted,
+    acceptAnswer,
+    setResolved
+};
@@ -0,0 +1,303 @@
+// utils/classAnalytics.js
+// Statistiques d'engagement d'une classe pour le professeur (routes/analyticsRoutes.js) : messages de chaque
+// élève dans le temps, fichiers déposés et téléchargés, taux de rendu des devoirs, dernière activité
+// et élèves inactifs, sur une période choisie.
+//
+// Sources : messages du chat (models/Message.js), bibliothèque (classroom.files), téléchargements
+// (models/FileDownload.js), devoirs et remises, présence dans le chat (models/ClassroomPresence.js)
+// et visites de la classe (models/ActivityEvent.js). Seuls les élèves actuellement inscrits sont comptés.
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const FileDownload = require('../models/FileDownload');
+const ActivityEvent = require('../models/ActivityEvent');
+const ClassroomPresence = require('../models/ClassroomPresence');
+const csv = require('./csv');
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const WEEKLY_AFTER_DAYS = 62; // Au-delà, les graphiques comptent par semaine
+const INACTIVE_AFTER_DAYS = 7; // Sans aucune activité depuis ce nombre de jours : élève inactif
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Les jours sont comptés dans le fuseau du serveur, comme les dates affichées
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Période invalide, message affichable tel quel
+class AnalyticsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AnalyticsError';
+    }
+}
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+// Date -> 'AAAA-MM-JJ' (jour local)
+function dayKey(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function parseDay(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return null;
+    }
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 ? date : null;
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Période demandée (?from=AAAA-MM-JJ&to=AAAA-MM-JJ, bornes incluses), par défaut les DEFAULT_RANGE_DAYS
+ * derniers jours. Retourne { from, to, fromValue, toValue } ; `to` est la fin du dernier jour.
+ */
+function readRange(query, now = new Date()) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const toDay = parseDay(query.to) || today;
+    const fromDay = parseDay(query.from) || addDays(toDay, -(DEFAULT_RANGE_DAYS - 1));
+    if (fromDay > toDay) {
+        throw new AnalyticsError('La date de début doit précéder la date de fin.');
+    }
+    if (Math.round((toDay - fromDay) / DAY_MS) + 1 > MAX_RANGE_DAYS) {
+        throw new AnalyticsError(`La période est limitée à ${MAX_RANGE_DAYS} jours.`);
+    }
+    return {
+        from: fromDay,
+        to: new Date(addDays(toDay, 1).getTime() - 1),
+        fromValue: dayKey(fromDay),
+        toValue: dayKey(toDay)
+    };
+}
+
+// Les `days` derniers jours, aujourd'hui compris (raccourcis de la page)
+function lastDaysRange(days, now = new Date()) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    return readRange({ from: dayKey(addDays(today, -(days - 1))), to: dayKey(today) }, now);
+}
+
+// Intervalles des graphiques : un par jour, ou un par semaine (du lundi) sur une longue période.
+// Retourne { weekly, buckets: [{ key, label }], bucketOf(dayKey) -> index }
+function buildBuckets(range) {
+    const days = [];
+    for (let day = range.from; day <= range.to; day = addDays(day, 1)) {
+        days.push(day);
+    }
+    const weekly = days.length > WEEKLY_AFTER_DAYS;
+    const buckets = [];
+    const indexByDay = {};
+    days.forEach(day => {
+        const start = weekly ? addDays(day, -((day.getDay() + 6) % 7)) : day;
+        const key = dayKey(start);
+        if (!buckets.length || buckets[buckets.length - 1].key !== key) {
+            const label = start.toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit' });
+            buckets.push({ key, label: weekly ? `Sem. du ${label}` : label });
+        }
+        indexByDay[dayKey(day)] = buckets.length - 1;
+    });
+    return { weekly, buckets, bucketOf: key => indexByDay[key] };
+}
+
+// Comptes par (utilisateur, jour) : [{ _id: { user, day: 'AAAA-MM-JJ' }, count }]
+function countByUserAndDay(Model, match, userField, dateField, countExpression = 1) {
+    return Model.aggregate([
+        { $match: match },
+        { $group: {
+            _id: { user: `$${userField}`, day: { $dateToString: { format: '%Y-%m-%d', date: `$${dateField}`, timezone: TIME_ZONE } } },
+            count: { $sum: countExpression }
+        } }
+    ]);
+}
+
+// Dernière date par utilisateur : { [userId]: Date }
+async function latestByUser(Model, match, userField, dateField) {
+    const rows = await Model.aggregate([
+        { $match: match },
+        { $group: { _id: `$${userField}`, last: { $max: `$${dateField}` } } }
+    ]);
+    const latest = {};
+    rows.forEach(row => {
+        latest[row._id] = row.last;
+    });
+    return latest;
+}
+
+function latest(...dates) {
+    return dates.filter(Boolean).reduce((max, date) => (!max || date > max ? date : max), null);
+}
+
+function rate(done, expected) {
+    return expected > 0 ? done / expected : null;
+}
+
+/**
+ * Statistiques de la classe sur la période `range` (readRange()).
+ * `classroom.students` doit être peuplé (username).
+ */
+async function classAnalytics(classroom, range, now = new Date()) {
+    const classroomId = new mongoose.Types.ObjectId(String(classroom._id));
+    const students = classroom.students
+        .map(student => ({ _id: student._id, id: String(student._id), username: student.username }))
+        .sort((a, b) => a.username.localeCompare(b.username, 'fr'));
+    const studentIds = students.map(student => student._id);
+    const period = { $gte: range.from, $lte: range.to };
+    const { weekly, buckets, bucketOf } = buildBuckets(range);
+
+    const [assignments, classAssignmentIds] = await Promise.all([
+        Assignment.find({ classroom: classroomId, dueDate: period }).sort({ dueDate: 1 }),
+        Assignment.find({ classroom: classroomId }).distinct('_id')
+    ]);
+    const [messageRows, downloadRows, visitRows, submissions, lastMessage, lastDownload, lastVisit, lastSubmission, lastSeen] = await Promise.all([
+        countByUserAndDay(Message, { classroom: classroomId, sender: { $in: studentIds }, deletedAt: null, timestamp: period }, 'sender', 'timestamp'),
+        countByUserAndDay(FileDownload, { classroom: classroomId, user: { $in: studentIds }, downloadedAt: period }, 'user', 'downloadedAt'),
+        countByUserAndDay(ActivityEvent, { classroom: classroomId, user: { $in: studentIds }, type: 'class.view', day: period }, 'user', 'day', '$count'),
+        Submission.find({ assignment: { $in: assignments.map(assignment => assignment._id) }, student: { $in: studentIds } }),
+        // Dernière activité : sur toute la vie de la classe, pas seulement la période
+        latestByUser(Message, { classroom: classroomId, sender: { $in: studentIds } }, 'sender', 'timestamp'),
+        latestByUser(FileDownload, { classroom: classroomId, user: { $in: studentIds } }, 'user', 'downloadedAt'),
+        latestByUser(ActivityEvent, { classroom: classroomId, user: { $in: studentIds } }, 'user', 'lastAt'),
+        latestByUser(Submission, { assignment: { $in: classAssignmentIds }, student: { $in: studentIds } }, 'student', 'submittedAt'),
+        ClassroomPresence.lastSeenFor(classroomId)
+    ]);
+
+    const rowsByStudent = {};
+    students.forEach(student => {
+        rowsByStudent[student.id] = {
+            ...student,
+            messages: 0,
+            uploads: 0,
+            downloads: 0,
+            visits: 0,
+            submitted: 0,
+            expected: 0,
+            completionRate: null,
+            lastActivity: null,
+            inactive: false,
+            messageSeries: buckets.map(() => 0)
+        };
+    });
+    const series = {
+        messages: buckets.map(() => 0),
+        uploads: buckets.map(() => 0),
+        downloads: buckets.map(() => 0),
+        visits: buckets.map(() => 0)
+    };
+
+    const add = (rows, field) => {
+        rows.forEach(row => {
+            const student = rowsByStudent[row._id.user];
+            const bucket = bucketOf(row._id.day);
+            if (!student || bucket === undefined) return;
+            student[field] += row.count;
+            series[field][bucket] += row.count;
+            if (field === 'messages') student.messageSeries[bucket] += row.count;
+        });
+    };
+    add(messageRows, 'messages');
+    add(downloadRows, 'downloads');
+    add(visitRows, 'visits');
+
+    // Fichiers déposés dans la bibliothèque par les élèves
+    const lastUpload = {};
+    classroom.files.forEach(file => {
+        const uploaderId = String(file.uploader && (file.uploader._id || file.uploader));
+        const student = rowsByStudent[uploaderId];
+        if (!student) return;
+        lastUpload[uploaderId] = latest(lastUpload[uploaderId], file.uploadDate);
+        const bucket = file.uploadDate >= range.from && file.uploadDate <= range.to ? bucketOf(dayKey(file.uploadDate)) : undefined;
+        if (bucket === undefined) return;
+        student.uploads++;
+        series.uploads[bucket]++;
+    });
+
+    // Devoirs : un devoir compte pour un élève s'il est échu ou déjà rendu
+    const assignmentRows = assignments.map(assignment => {
+        const statuses = { submitted: 0, late: 0, graded: 0, missing: 0, pending: 0 };
+        students.forEach(student => {
+            const submission = submissions.find(item => item.assignment.equals(assignment._id) && item.student.equals(student._id));
+            const status = assignment.statusFor(submission, now);
+            statuses[status]++;
+            const row = rowsByStudent[student.id];
+            if (submission || status === 'missing') row.expected++;
+            if (submission) row.submitted++;
+        });
+        const handedIn = statuses.submitted + statuses.late + statuses.graded;
+        return {
+            _id: assignment._id,
+            title: assignment.title,
+            dueDate: assignment.dueDate,
+            ...statuses,
+            completionRate: rate(handedIn, students.length)
+        };
+    });
+
+    const inactiveSince = new Date(now.getTime() - INACTIVE_AFTER_DAYS * DAY_MS);
+    const rows = students.map(student => {
+        const row = rowsByStudent[student.id];
+        row.completionRate = rate(row.submitted, row.expected);
+        row.lastActivity = latest(lastMessage[row.id], lastDownload[row.id], lastVisit[row.id],
+            lastSubmission[row.id], lastSeen[row.id], lastUpload[row.id]);
+        row.inactive = !row.lastActivity || row.lastActivity < inactiveSince;
+        return row;
+    });
+
+    const sum = field => rows.reduce((total, row) => total + row[field], 0);
+    return {
+        range,
+        weekly,
+        labels: buckets.map(bucket => bucket.label),
+        students: rows,
+        inactiveStudents: rows.filter(row => row.inactive)
+            .sort((a, b) => (a.lastActivity ? a.lastActivity.getTime() : 0) - (b.lastActivity ? b.lastActivity.getTime() : 0)),
+        series,
+        assignments: assignmentRows,
+        totals: {
+            messages: sum('messages'),
+            uploads: sum('uploads'),
+            downloads: sum('downloads'),
+            visits: sum('visits'),
+            completionRate: rate(sum('submitted'), sum('expected'))
+        }
+    };
+}
+
+function formatRate(value) {
+    return value === null ? '' : Math.round(value * 100);
+}
+
+// Une ligne par élève, pour l'export CSV (séparateur « ; », lisible par Excel)
+function analyticsCsv(analytics) {
+    const header = ['Élève', 'Messages', 'Fichiers déposés', 'Téléchargements', 'Visites de la classe',
+        'Devoirs rendus', 'Devoirs attendus', 'Taux de rendu (%)', 'Dernière activité', `Inactif (${INACTIVE_AFTER_DAYS} jours)`];
+    const rows = analytics.students.map(student => [
+        student.username,
+        student.messages,
+        student.uploads,
+        student.downloads,
+        student.visits,
+        student.submitted,
+        student.expected,
+        formatRate(student.completionRate),
+        student.lastActivity ? student.lastActivity.toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' }) : '',
+        student.inactive ? 'oui' : 'non'
+    ]);
+    return csv.stringify([header, ...rows]);
+}
+
+module.exports = {
+    DEFAULT_RANGE_DAYS,
+    MAX_RANGE_DAYS,
+    INACTIVE_AFTER_DAYS,
+    AnalyticsError,
+    readRange,
+    lastDaysRange,
+    buildBuckets,
+    classAnalytics,
+    analyticsCsv
+};
@@ -0,0 +1,72 @@
+// utils/classInvitations.js
+// Utilisation d'un code d'invitation par un élève (inscription, « Rejoindre une classe », lien du QR code).
+const Classroom = require('../models/Classroom');
+const Invitation = require('../models/Invitation');
+const JoinRequest = require('../models/JoinRequest');
+
+/**
+ * Vérifie un code sans rien modifier (formulaire d'inscription, page /join/:code).
+ * Retourne { invitation, classroom } ou { error }.
+ */
+async function findUsableInvitation(code) {
+    const invitation = await Invitation.findByCode(code);
+    if (!invitation) {
+        return { error: 'Code d\'invitation invalide.' };
+    }
+    const reason = invitation.unusableReason();
+    if (reason) {
+        return { error: reason };
+    }
+    const classroom = await Classroom.findById(invitation.classroom);
+    if (!classroom) {
+        return { error: 'Code d\'invitation invalide.' };
+    }
+    return { invitation, classroom };
+}
+
+/**
+ * L'élève utilise un code. Retourne { status, classroom, message } avec status :
+ * - 'joined'  : inscrit dans la classe ;
+ * - 'pending' : demande envoyée au professeur (invitation avec validation) ;
+ * - 'already' : déjà inscrit, ou demande déjà en attente ;
+ * - 'invalid' : code inconnu, expiré, révoqué ou épuisé (message = raison).
+ */
+async function joinWithCode(studentId, code) {
+    const { invitation, classroom, error } = await findUsableInvitation(code);
+    if (error) {
+        return { status: 'invalid', message: error };
+    }
+
+    if (classroom.hasStudent(studentId)) {
+        return { status: 'already', classroom, message: `Vous êtes déjà dans la classe ${classroom.name}.` };
+    }
+
+    if (invitation.requiresApproval) {
+        const pending = await JoinRequest.exists({ classroom: classroom._id, student: studentId, status: 'pending' });
+        if (pending) {
+            return { status: 'already', classroom, message: `Votre demande pour la classe ${classroom.name} est déjà en attente de validation.` };
+        }
+    }
+
+    // L'utilisation est comptée dès la demande : une invitation limitée ne peut pas remplir la file d'attente
+    if (!(await invitation.consume())) {
+        return { status: 'invalid', message: invitation.unusableReason() || 'Cette invitation n\'est plus valable.' };
+    }
+
+    if (invitation.requiresApproval) {
+        try {
+            await JoinRequest.create({ classroom: classroom._id, student: studentId, invitation: invitation._id });
+        } catch (err) {
+            if (err.code !== 11000) throw err; // Double envoi du formulaire : la demande existe déjà
+        }
+        return { status: 'pending', classroom, message: `Demande envoyée : le professeur de ${classroom.name} doit valider votre inscription.` };
+    }
+
+    await Classroom.enrollStudent(classroom._id, studentId);
+    return { status: 'joined', classroom, message: `Vous avez rejoint la classe ${classroom.name} !` };
+}
+
+module.exports = {
+    findUsableInvitation,
+    joinWithCode
+};
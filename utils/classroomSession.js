@@ -0,0 +1,23 @@
+// utils/classroomSession.js
+// Liste des classes de l'utilisateur conservée en session (req.session.user.classrooms = [{ _id, name }]),
+// utilisée par le tableau de bord et la navigation. La base reste la référence pour les droits d'accès.
+const Classroom = require('../models/Classroom');
+
+async function loadSessionClassrooms(sessionUser) {
+    const filter = sessionUser.role === 'teacher'
+        ? { teacher: sessionUser._id }
+        : { students: sessionUser._id };
+    const classrooms = await Classroom.find(filter).select('name').sort({ name: 1 });
+    return classrooms.map(classroom => ({ _id: classroom._id, name: classroom.name }));
+}
+
+// Recharge la liste depuis la base (après une connexion, une inscription ou un départ de classe)
+async function refreshSessionClassrooms(req) {
+    req.session.user.classrooms = await loadSessionClassrooms(req.session.user);
+    return req.session.user.classrooms;
+}
+
+module.exports = {
+    loadSessionClassrooms,
+    refreshSessionClassrooms
+};
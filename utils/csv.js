@@ -0,0 +1,110 @@
+// utils/csv.js
+// Lecture et écriture de fichiers CSV (imports/exports du carnet de notes...).
+// Par défaut on écrit avec « ; » et un BOM UTF-8 : c'est ce qu'Excel attend en français.
+
+const DELIMITERS = [';', ',', '\t'];
+
+// Devine le séparateur à partir de la première ligne (celui qui apparaît le plus, hors guillemets)
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    let best = DELIMITERS[0];
+    let bestCount = -1;
+    DELIMITERS.forEach(delimiter => {
+        const count = firstLine.split(delimiter).length - 1;
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    });
+    return best;
+}
+
+/**
+ * Découpe un texte CSV en lignes de cellules (gère les guillemets, "" échappés et les retours à la ligne
+ * dans une cellule). Les lignes entièrement vides sont ignorées.
+ */
+function parse(input, delimiter = null) {
+    const text = String(input || '').replace(/^\uFEFF/, '');
+    const separator = delimiter || detectDelimiter(text);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.some(value => value.trim() !== '')) {
+            rows.push(row);
+        }
+        row = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === separator) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return rows.map(cells => cells.map(value => value.trim()));
+}
+
+// Cellule qu'Excel ou LibreOffice exécuteraient comme une formule (« =HYPERLINK(...) » en nom d'utilisateur...)
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+// Nombres déjà formatés (« -2,5 ») : écrits tels quels
+const NUMBER_PATTERN = /^-?\d+([.,]\d+)?$/;
+
+function escapeCell(value, delimiter) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value !== 'number' && FORMULA_PATTERN.test(text) && !NUMBER_PATTERN.test(text)) {
+        text = `'${text}`;
+    }
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Lignes de cellules -> texte CSV (avec BOM, pour qu'Excel lise correctement les accents)
+function stringify(rows, { delimiter = ';', bom = true } = {}) {
+    const body = rows.map(cells => cells.map(value => escapeCell(value, delimiter)).join(delimiter)).join('\r\n');
+    return (bom ? '\uFEFF' : '') + body + '\r\n';
+}
+
+// Retire l'apostrophe ajoutée par escapeCell devant une formule (réimport d'un fichier exporté)
+function unescapeFormula(text) {
+    return /^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+}
+
+// "12,5" ou "12.5" -> 12.5 ; '' -> null ; texte invalide -> NaN
+function parseDecimal(value) {
+    const text = String(value === undefined || value === null ? '' : value).trim().replace(',', '.');
+    if (text === '') return null;
+    return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : NaN;
+}
+
+module.exports = {
+    detectDelimiter,
+    parse,
+    stringify,
+    unescapeFormula,
+    parseDecimal
+};
@@ -0,0 +1,226 @@
+// utils/exerciseBank.js
+// Banque d'exercices des professeurs : paramètres aléatoires et génération des variantes.
+//
+// L'énoncé et la solution sont du texte avec des formules LaTeX entre $...$. Les paramètres sont
+// définis un par ligne :
+//   a ∈ [2 ; 9]            entier entre 2 et 9 (« in » ou \in à la place de ∈, « , » ou « ; » entre les bornes)
+//   b ∈ [-5 ; 5] \ {0}     entier entre -5 et 5, sauf 0
+//   c ∈ {2 ; 2,5 ; 10}     une valeur de la liste
+// Dans l'énoncé et la solution, [[a]] est remplacé par la valeur de a, [[2a+b]] par la valeur de
+// l'expression (lue par utils/mathExpression) et [[+b]] par la valeur précédée de son signe (« + 3 », « - 3 »).
+//
+// Chaque élève reçoit sa variante : le tirage ne dépend que de la feuille, de l'exercice et de l'élève,
+// la même page affiche donc toujours les mêmes valeurs.
+const { MathParseError, parse, evaluate, collectVariables, createRandom } = require('./mathExpression');
+const { validateLatex } = require('./latex');
+
+const MAX_PARAMETERS = 10;
+const MAX_CHOICES = 10000;
+const CHECKED_VARIANTS = 20; // Variantes essayées à l'enregistrement d'un exercice
+
+const PARAMETER_PATTERN = /^([a-zA-Z](?:_\d)?)\s*(?:∈|\\in\b|\bin\b)\s*(.+)$/;
+const RANGE_PATTERN = /^\[\s*(-?\d+)\s*[,;]\s*(-?\d+)\s*\](?:\s*\\\s*\{(.*)\})?$/;
+const LIST_PATTERN = /^\{(.*)\}$/;
+const PLACEHOLDER_PATTERN = /\[\[(.+?)\]\]/g;
+
+class ExerciseBankError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ExerciseBankError';
+    }
+}
+
+// « 2 ; 2,5 ; 10 » ou « 1, 2, 3 » (la virgule décimale impose le point-virgule comme séparateur)
+function parseList(raw, name) {
+    const parts = raw.includes(';') ? raw.split(';') : raw.split(',');
+    return parts.map(part => part.trim()).filter(Boolean).map(part => {
+        const number = Number(part.replace(',', '.'));
+        if (!Number.isFinite(number)) {
+            throw new ExerciseBankError(`Paramètre ${name} : « ${part} » n'est pas un nombre.`);
+        }
+        return number;
+    });
+}
+
+/**
+ * Lit les définitions des paramètres. Retourne [{ name, choices }] (valeurs possibles de chaque paramètre).
+ */
+function parseParameters(text) {
+    const lines = String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines.length > MAX_PARAMETERS) {
+        throw new ExerciseBankError(`Un exercice a au plus ${MAX_PARAMETERS} paramètres.`);
+    }
+
+    const parameters = [];
+    lines.forEach(line => {
+        const definition = PARAMETER_PATTERN.exec(line);
+        if (!definition) {
+            throw new ExerciseBankError(`Paramètre illisible : « ${line} » (exemple : a ∈ [2 ; 9]).`);
+        }
+        const name = definition[1];
+        const domain = definition[2].trim();
+        if (name === 'e') {
+            throw new ExerciseBankError('Le nom « e » est réservé à la constante e.');
+        }
+        if (parameters.some(parameter => parameter.name === name)) {
+            throw new ExerciseBankError(`Le paramètre ${name} est défini deux fois.`);
+        }
+
+        let choices;
+        const range = RANGE_PATTERN.exec(domain);
+        const list = LIST_PATTERN.exec(domain);
+        if (range) {
+            const min = parseInt(range[1], 10);
+            const max = parseInt(range[2], 10);
+            if (min > max || max - min + 1 > MAX_CHOICES) {
+                throw new ExerciseBankError(`Paramètre ${name} : intervalle invalide.`);
+            }
+            const excluded = new Set(range[3] ? parseList(range[3], name) : []);
+            choices = [];
+            for (let value = min; value <= max; value++) {
+                if (!excluded.has(value)) choices.push(value);
+            }
+        } else if (list) {
+            choices = parseList(list[1], name);
+        } else {
+            throw new ExerciseBankError(`Paramètre ${name} : écrivez un intervalle [min ; max] ou une liste {v1 ; v2}.`);
+        }
+        if (choices.length === 0 || choices.length > MAX_CHOICES) {
+            throw new ExerciseBankError(`Paramètre ${name} : aucune valeur possible.`);
+        }
+        parameters.push({ name, choices });
+    });
+    return parameters;
+}
+
+// Graine entière stable (FNV-1a) pour une combinaison feuille / exercice / élève
+function seedFor(...parts) {
+    let hash = 0x811c9dc5;
+    const text = parts.map(String).join(':');
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+function drawValues(parameters, seed) {
+    const random = createRandom(seed);
+    const values = {};
+    parameters.forEach(parameter => {
+        values[parameter.name] = parameter.choices[Math.floor(random() * parameter.choices.length)];
+    });
+    return values;
+}
+
+// Valeur arrondie à 4 décimales, virgule décimale ({,} dans une formule pour éviter l'espace après la virgule)
+function formatValue(value, inMath, signed) {
+    const rounded = Math.round(value * 10000) / 10000;
+    const absolute = String(Math.abs(rounded)).replace('.', inMath ? '{,}' : ',');
+    if (signed) {
+        return `${rounded < 0 ? '-' : '+'} ${absolute}`;
+    }
+    return rounded < 0 ? `-${absolute}` : absolute;
+}
+
+function placeholderValue(expression, values) {
+    const signed = expression.trim().startsWith('+');
+    const source = signed ? expression.trim().slice(1) : expression;
+    let value;
+    try {
+        const tree = parse(source);
+        const unknown = [...collectVariables(tree)].filter(name => !(name in values));
+        if (unknown.length > 0) {
+            throw new ExerciseBankError(`[[${expression}]] : paramètre inconnu (${unknown.join(', ')}).`);
+        }
+        value = evaluate(tree, values);
+    } catch (error) {
+        if (error instanceof MathParseError) {
+            throw new ExerciseBankError(`[[${expression}]] : ${error.message}`);
+        }
+        throw error;
+    }
+    if (!Number.isFinite(value)) {
+        const description = Object.keys(values).map(name => `${name} = ${values[name]}`).join(', ');
+        throw new ExerciseBankError(`[[${expression}]] n'a pas de valeur pour ${description || 'cette variante'}.`);
+    }
+    return { value, signed };
+}
+
+/**
+ * Remplace les [[...]] d'un texte par leurs valeurs. Le texte est découpé sur les $ :
+ * un segment sur deux est une formule.
+ */
+function fillTemplate(template, values) {
+    return String(template || '').split('$').map((segment, index) => segment.replace(PLACEHOLDER_PATTERN, (match, expression) => {
+        const { value, signed } = placeholderValue(expression, values);
+        return formatValue(value, index % 2 === 1, signed);
+    })).join('$');
+}
+
+function mathSegments(text) {
+    return text.split('$').filter((segment, index) => index % 2 === 1 && segment.trim());
+}
+
+/**
+ * Variante d'un exercice (document BankExercise ou { statement, solution, parameters }) pour une graine.
+ * Retourne { values, statement, solution } ; lève une ExerciseBankError si elle ne peut pas être calculée.
+ */
+function generateVariant(exercise, seed) {
+    const values = drawValues(parseParameters(exercise.parameters), seed);
+    return {
+        values,
+        statement: fillTemplate(exercise.statement, values),
+        solution: fillTemplate(exercise.solution, values)
+    };
+}
+
+/**
+ * Vérifie un exercice avant de l'enregistrer : paramètres lisibles, formules refermées, et plusieurs
+ * variantes calculables dont toutes les formules sont acceptées par utils/latex.
+ */
+function checkExercise(exercise) {
+    [['l\'énoncé', exercise.statement], ['la solution', exercise.solution]].forEach(([label, text]) => {
+        if ((String(text || '').match(/\$/g) || []).length % 2 !== 0) {
+            throw new ExerciseBankError(`Une formule de ${label} n'est pas refermée (nombre impair de $).`);
+        }
+    });
+
+    const parameters = parseParameters(exercise.parameters);
+    const variants = parameters.length === 0 ? 1 : CHECKED_VARIANTS;
+    for (let seed = 1; seed <= variants; seed++) {
+        const variant = generateVariant(exercise, seed);
+        [['l\'énoncé', variant.statement], ['la solution', variant.solution]].forEach(([label, text]) => {
+            mathSegments(text).forEach(latex => {
+                const check = validateLatex(latex);
+                if (!check.valid) {
+                    throw new ExerciseBankError(`Formule invalide dans ${label} (« ${latex} ») : ${check.error}`);
+                }
+            });
+        });
+    }
+}
+
+/**
+ * Variantes d'une feuille (exercices chargés) pour un élève : [{ exercise, values, statement, solution, error }].
+ * Une variante impossible à calculer est signalée sans empêcher l'affichage des autres exercices.
+ */
+function sheetVariants(sheet, userId) {
+    return sheet.exercises.filter(Boolean).map(exercise => {
+        try {
+            return { exercise, ...generateVariant(exercise, seedFor(sheet._id, exercise._id, userId)), error: null };
+        } catch (error) {
+            if (!(error instanceof ExerciseBankError)) throw error;
+            return { exercise, values: {}, statement: '', solution: '', error: error.message };
+        }
+    });
+}
+
+module.exports = {
+    ExerciseBankError,
+    parseParameters,
+    seedFor,
+    generateVariant,
+    checkExercise,
+    sheetVariants
+};
@@ -0,0 +1,164 @@
+// utils/fileLibrary.js
+// Bibliothèque de fichiers d'une classe : dossiers imbriqués (chemins "Chapitre 1/Exercices"),
+// filtres et tris de la vue. Les fichiers restent dans classroom.files, le dossier est file.folder.
+const { can } = require('./accessPolicy');
+
+const FOLDER_SEPARATOR = '/';
+const MAX_FOLDER_NAME_LENGTH = 80;
+const MAX_FOLDER_DEPTH = 5;
+
+const CATEGORY_LABELS = {
+    exercise: 'Exercice',
+    homework: 'Devoir',
+    correction: 'Correction',
+    general: 'Général'
+};
+
+const SORT_OPTIONS = {
+    'date-desc': 'Plus récents',
+    'date-asc': 'Plus anciens',
+    'name': 'Nom (A → Z)',
+    'size': 'Taille (décroissante)'
+};
+
+// "  Chapitre 1 // Exercices/ " -> "Chapitre 1/Exercices" ('' = racine)
+function normalizeFolderPath(folderPath) {
+    if (typeof folderPath !== 'string') return '';
+    return folderPath
+        .split(FOLDER_SEPARATOR)
+        .map(part => part.trim())
+        .filter(Boolean)
+        .join(FOLDER_SEPARATOR);
+}
+
+/**
+ * Vérifie le nom d'un dossier (un seul niveau, sans séparateur).
+ * Retourne null si le nom est valide, sinon le message d'erreur.
+ */
+function folderNameError(name) {
+    if (!name) return 'Le nom du dossier est obligatoire.';
+    if (name.includes(FOLDER_SEPARATOR)) return 'Le nom du dossier ne peut pas contenir « / ».';
+    if (name.length > MAX_FOLDER_NAME_LENGTH) return `Le nom du dossier est trop long (max ${MAX_FOLDER_NAME_LENGTH} caractères).`;
+    return null;
+}
+
+function joinFolder(parent, name) {
+    return parent ? `${parent}${FOLDER_SEPARATOR}${name}` : name;
+}
+
+function parentFolder(folderPath) {
+    const index = folderPath.lastIndexOf(FOLDER_SEPARATOR);
+    return index === -1 ? '' : folderPath.slice(0, index);
+}
+
+function folderDepth(folderPath) {
+    return folderPath ? folderPath.split(FOLDER_SEPARATOR).length : 0;
+}
+
+// true si `folderPath` est `ancestor` lui-même ou l'un de ses sous-dossiers (tout est dans la racine '')
+function isInFolder(folderPath, ancestor) {
+    return !ancestor || folderPath === ancestor || folderPath.startsWith(ancestor + FOLDER_SEPARATOR);
+}
+
+// Tous les dossiers de la classe (déclarés ou utilisés par un fichier), avec leurs parents, triés
+function listFolders(classroom) {
+    const folders = new Set();
+    const add = (folderPath) => {
+        let current = normalizeFolderPath(folderPath);
+        while (current) {
+            folders.add(current);
+            current = parentFolder(current);
+        }
+    };
+    (classroom.folders || []).forEach(add);
+    (classroom.files || []).forEach(file => add(file.folder));
+    return Array.from(folders).sort((a, b) => a.localeCompare(b, 'fr'));
+}
+
+// Fil d'Ariane : [{ name, path }] de la racine jusqu'au dossier courant
+function breadcrumb(folderPath) {
+    const parts = folderPath ? folderPath.split(FOLDER_SEPARATOR) : [];
+    return parts.map((name, index) => ({ name, path: parts.slice(0, index + 1).join(FOLDER_SEPARATOR) }));
+}
+
+function sortFiles(files, sort) {
+    const sorted = files.slice();
+    switch (sort) {
+        case 'date-asc':
+            return sorted.sort((a, b) => new Date(a.uploadDate) - new Date(b.uploadDate));
+        case 'name':
+            return sorted.sort((a, b) => (a.fileName || '').localeCompare(b.fileName || '', 'fr', { sensitivity: 'base' }));
+        case 'size':
+            return sorted.sort((a, b) => (b.fileSize || 0) - (a.fileSize || 0));
+        default:
+            return sorted.sort((a, b) => new Date(b.uploadDate) - new Date(a.uploadDate));
+    }
+}
+
+// Une copie privée (file.visibleTo) n'apparaît qu'à son élève et au professeur
+function isFileVisible(file, user, classroom) {
+    return !file.visibleTo
+        || String(file.visibleTo._id || file.visibleTo) === String(user._id)
+        || can(user, 'files.manage', classroom);
+}
+
+/**
+ * Données de la vue « Bibliothèque » pour le dossier et les filtres demandés (paramètres de l'URL),
+ * avec les fichiers que `user` peut voir.
+ * Avec une recherche ou l'option `recursive`, les fichiers des sous-dossiers sont inclus.
+ */
+function buildLibraryView(classroom, query = {}, user) {
+    const folders = listFolders(classroom);
+    let currentFolder = normalizeFolderPath(query.folder);
+    if (currentFolder && !folders.includes(currentFolder)) {
+        currentFolder = '';
+    }
+
+    const category = CATEGORY_LABELS[query.category] ? query.category : '';
+    const sort = SORT_OPTIONS[query.sort] ? query.sort : 'date-desc';
+    const search = typeof query.q === 'string' ? query.q.trim() : '';
+    const recursive = query.recursive === '1' || Boolean(search);
+
+    const visibleFiles = (classroom.files || []).filter(file => isFileVisible(file, user, classroom));
+    const files = visibleFiles.filter(file => {
+        const fileFolder = normalizeFolderPath(file.folder);
+        const inScope = recursive ? isInFolder(fileFolder, currentFolder) : fileFolder === currentFolder;
+        if (!inScope) return false;
+        if (category && file.category !== category) return false;
+        if (search && !(file.fileName || '').toLowerCase().includes(search.toLowerCase())) return false;
+        return true;
+    });
+
+    const subfolders = folders
+        .filter(folder => parentFolder(folder) === currentFolder)
+        .map(folder => ({
+            path: folder,
+            name: folder.slice(folder.lastIndexOf(FOLDER_SEPARATOR) + 1),
+            fileCount: visibleFiles.filter(file => isInFolder(normalizeFolderPath(file.folder), folder)).length
+        }));
+
+    return {
+        currentFolder,
+        parentFolder: parentFolder(currentFolder),
+        breadcrumb: breadcrumb(currentFolder),
+        subfolders,
+        folders,
+        files: sortFiles(files, sort),
+        filters: { category, sort, q: search, recursive }
+    };
+}
+
+module.exports = {
+    CATEGORY_LABELS,
+    SORT_OPTIONS,
+    MAX_FOLDER_DEPTH,
+    normalizeFolderPath,
+    folderNameError,
+    joinFolder,
+    parentFolder,
+    folderDepth,
+    isInFolder,
+    isFileVisible,
+    listFolders,
+    buildLibraryView
+};
@@ -0,0 +1,168 @@
+// utils/functionGraph.js
+// Messages « graphique » du chat : l'auteur saisit une ou plusieurs fonctions, une par ligne
+// (« f(x)=x^2-3x+2 », « g(x)=\ln x », « y=2x+1 » ou simplement « x^2 »), et, s'il le souhaite, la fenêtre.
+// Les définitions sont lues ici avec utils/mathExpression : les navigateurs reçoivent l'arbre de chaque
+// expression et l'évaluent eux-mêmes (public/js/function-plot.js), sans jamais exécuter le texte saisi.
+// Une saisie invalide lève une MathParseError dont le message est affichable.
+const { MathParseError, parse, evaluate, collectVariables } = require('./mathExpression');
+
+const MAX_FUNCTIONS = 5;
+const DEFAULT_NAMES = ['f', 'g', 'h', 'k', 'p'];
+const DEFAULT_X_RANGE = { xMin: -10, xMax: 10 };
+const DEFAULT_Y_RANGE = { yMin: -7, yMax: 7 };
+const MAX_COORDINATE = 1e6;
+const SAMPLES = 200; // Points calculés pour vérifier le domaine et ajuster l'axe des ordonnées
+
+// f(x)=..., g_1(x)=..., y=...
+const DEFINITION_PATTERN = /^([a-zA-Z](?:_\{?\d{1,2}\}?)?)\s*\(\s*x\s*\)\s*=(.*)$/;
+const Y_PATTERN = /^y\s*=(.*)$/;
+
+function parseDefinition(line, index) {
+    const definition = DEFINITION_PATTERN.exec(line);
+    if (definition) {
+        return { name: definition[1].replace(/[{}]/g, ''), expression: definition[2].trim() };
+    }
+    const yDefinition = Y_PATTERN.exec(line);
+    if (yDefinition) {
+        return { name: 'y', expression: yDefinition[1].trim() };
+    }
+    return { name: DEFAULT_NAMES[index], expression: line };
+}
+
+// « f(x)=... », ou « y=... » pour une courbe saisie sous cette forme
+function definitionText(fn) {
+    return fn.name === 'y' ? `y=${fn.expression}` : `${fn.name}(x)=${fn.expression}`;
+}
+
+// Borne saisie dans le formulaire (« -2,5 » accepté), ou null si elle est laissée vide
+function parseBound(value, label) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return null;
+    }
+    const number = Number(String(value).trim().replace(',', '.'));
+    if (!Number.isFinite(number) || Math.abs(number) > MAX_COORDINATE) {
+        throw new MathParseError(`Valeur invalide pour ${label}.`);
+    }
+    return number;
+}
+
+function sampleValues(tree, xMin, xMax) {
+    const values = [];
+    for (let i = 0; i <= SAMPLES; i++) {
+        const y = evaluate(tree, { x: xMin + (xMax - xMin) * i / SAMPLES });
+        if (Number.isFinite(y)) values.push(y);
+    }
+    return values;
+}
+
+// Ordonnées vues par défaut : l'essentiel des valeurs calculées (les asymptotes n'écrasent pas la courbe)
+function fitYRange(values) {
+    if (values.length === 0) return { ...DEFAULT_Y_RANGE };
+    const sorted = values.slice().sort((a, b) => a - b);
+    let yMin = sorted[Math.floor(sorted.length * 0.05)];
+    let yMax = sorted[Math.ceil(sorted.length * 0.95) - 1];
+    if (yMax - yMin < 1e-6) {
+        yMin -= 1;
+        yMax += 1;
+    }
+    const margin = (yMax - yMin) * 0.1;
+    return {
+        yMin: Math.max(Number((yMin - margin).toPrecision(3)), -MAX_COORDINATE),
+        yMax: Math.min(Number((yMax + margin).toPrecision(3)), MAX_COORDINATE)
+    };
+}
+
+/**
+ * Lit les fonctions saisies (une par ligne, ou séparées par « ; ») et la fenêtre { xMin, xMax, yMin, yMax }
+ * (bornes facultatives). Retourne { content, graph } : content garde les définitions normalisées
+ * (affichage dans les notifications, le journal de modération...), graph est enregistré dans le message.
+ */
+function parseGraph(input, window = {}) {
+    if (typeof input !== 'string' || !input.trim()) {
+        throw new MathParseError('Saisissez au moins une fonction, par exemple f(x)=x^2-3x+2.');
+    }
+    const lines = input.split(/\r?\n|(?<!\\);/).map(line => line.trim()).filter(Boolean);
+    if (lines.length > MAX_FUNCTIONS) {
+        throw new MathParseError(`Un graphique contient au plus ${MAX_FUNCTIONS} fonctions.`);
+    }
+
+    const bounds = window || {};
+    const xMin = parseBound(bounds.xMin, 'xmin');
+    const xMax = parseBound(bounds.xMax, 'xmax');
+    const range = {
+        xMin: xMin === null ? DEFAULT_X_RANGE.xMin : xMin,
+        xMax: xMax === null ? DEFAULT_X_RANGE.xMax : xMax
+    };
+    if (range.xMin >= range.xMax) {
+        throw new MathParseError('xmin doit être inférieur à xmax.');
+    }
+
+    const functions = [];
+    const allValues = [];
+    lines.forEach((line, index) => {
+        const { name, expression } = parseDefinition(line, index);
+        if (functions.some(existing => existing.name === name)) {
+            throw new MathParseError(`La fonction ${name} est définie deux fois.`);
+        }
+
+        let tree;
+        try {
+            tree = parse(expression);
+        } catch (error) {
+            if (error instanceof MathParseError) {
+                throw new MathParseError(`${name}(x) : ${error.message}`);
+            }
+            throw error;
+        }
+        const unknown = [...collectVariables(tree)].filter(variable => variable !== 'x');
+        if (unknown.length > 0) {
+            throw new MathParseError(`${name}(x) : variable inconnue (${unknown.join(', ')}). Utilisez x.`);
+        }
+
+        const values = sampleValues(tree, range.xMin, range.xMax);
+        if (values.length === 0) {
+            throw new MathParseError(`${name}(x) n'est définie nulle part entre ${range.xMin} et ${range.xMax}.`);
+        }
+        allValues.push(...values);
+        functions.push({ name, expression });
+    });
+
+    const yMin = parseBound(bounds.yMin, 'ymin');
+    const yMax = parseBound(bounds.yMax, 'ymax');
+    const fitted = fitYRange(allValues);
+    range.yMin = yMin === null ? fitted.yMin : yMin;
+    range.yMax = yMax === null ? fitted.yMax : yMax;
+    if (range.yMin >= range.yMax) {
+        throw new MathParseError('ymin doit être inférieur à ymax.');
+    }
+
+    return {
+        content: functions.map(definitionText).join('\n'),
+        graph: { functions, window: range }
+    };
+}
+
+/**
+ * Graphique envoyé aux clients : chaque fonction accompagnée de l'arbre de son expression.
+ */
+function graphPayload(graph) {
+    return {
+        functions: graph.functions.map(fn => ({
+            name: fn.name,
+            expression: fn.expression,
+            tree: parse(fn.expression) // Déjà validée à l'envoi du message
+        })),
+        window: {
+            xMin: graph.window.xMin,
+            xMax: graph.window.xMax,
+            yMin: graph.window.yMin,
+            yMax: graph.window.yMax
+        }
+    };
+}
+
+module.exports = {
+    MAX_FUNCTIONS,
+    parseGraph,
+    graphPayload
+};
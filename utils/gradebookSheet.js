@@ -0,0 +1,157 @@
+// utils/gradebookSheet.js
+// Carnet de notes <-> tableau : export CSV / XLSX (une ligne par élève, une colonne par évaluation,
+// les moyennes de chaque période) et import des notes depuis un CSV au même format.
+const ExcelJS = require('exceljs');
+const csv = require('./csv');
+
+const STUDENT_HEADER = 'Élève';
+const AVERAGE_PREFIX = 'Moyenne';
+
+// "T1", "S2"... : abréviation de la période dans les en-têtes de colonnes
+function termShortName(gradebook, term) {
+    const name = gradebook.terms[term - 1] || `Période ${term}`;
+    return `${name.charAt(0).toUpperCase()}${term}`;
+}
+
+// En-tête de colonne d'une évaluation : "DS 1 (T1, /20, coef 2)" — relu tel quel à l'import
+function evaluationLabel(gradebook, evaluation) {
+    return `${evaluation.title} (${termShortName(gradebook, evaluation.term)}, /${evaluation.maxScore}, coef ${evaluation.weight})`;
+}
+
+/**
+ * Construit le tableau exporté : { header, rows } avec des nombres (ou null) dans les cellules de notes.
+ * `students` : élèves de la classe ({ _id, username }), dans l'ordre d'affichage.
+ */
+function buildSheet(gradebook, students) {
+    const columns = [];
+    gradebook.terms.forEach((name, index) => {
+        const term = index + 1;
+        gradebook.evaluationsForTerm(term).forEach(evaluation => {
+            columns.push({
+                label: evaluationLabel(gradebook, evaluation),
+                value: (student) => {
+                    const mark = gradebook.markFor(evaluation, student._id);
+                    return mark ? mark.score : null;
+                }
+            });
+        });
+        columns.push({
+            label: `${AVERAGE_PREFIX} ${termShortName(gradebook, term)}`,
+            value: (student) => gradebook.termAverage(student._id, term)
+        });
+    });
+    columns.push({ label: `${AVERAGE_PREFIX} annuelle`, value: (student) => gradebook.yearAverage(student._id) });
+
+    return {
+        header: [STUDENT_HEADER, ...columns.map(column => column.label)],
+        rows: students.map(student => [student.username, ...columns.map(column => column.value(student))])
+    };
+}
+
+// Décimales à la française dans le CSV ("12,5"), cellule vide si pas de note
+function toCsv(sheet) {
+    const format = (value) => (typeof value === 'number' ? String(value).replace('.', ',') : value);
+    return csv.stringify([sheet.header, ...sheet.rows.map(row => row.map(format))]);
+}
+
+async function toXlsx(sheet, sheetName) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Math-learning';
+    // Excel limite le nom d'onglet à 31 caractères, sans []:*?/\
+    const worksheet = workbook.addWorksheet((sheetName || 'Notes').replace(/[\[\]:*?\/\\]/g, ' ').slice(0, 31));
+
+    worksheet.addRow(sheet.header);
+    sheet.rows.forEach(row => worksheet.addRow(row.map(value => (value === null ? '' : value))));
+
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.views = [{ state: 'frozen', xSplit: 1, ySplit: 1 }];
+    worksheet.columns.forEach((column, index) => {
+        column.width = index === 0 ? 20 : Math.min(Math.max(String(sheet.header[index]).length, 10), 40);
+        if (index > 0) column.numFmt = '0.##';
+    });
+
+    return workbook.xlsx.writeBuffer();
+}
+
+// Retrouve l'évaluation d'une colonne : en-tête exporté, ou simplement le titre s'il est unique
+function findEvaluationForHeader(gradebook, header) {
+    const exact = gradebook.evaluations.find(evaluation => evaluationLabel(gradebook, evaluation) === header);
+    if (exact) return exact;
+    const byTitle = gradebook.evaluations.filter(evaluation => evaluation.title.toLowerCase() === header.toLowerCase());
+    return byTitle.length === 1 ? byTitle[0] : null;
+}
+
+/**
+ * Importe les notes d'un CSV dans le carnet (sans l'enregistrer).
+ * - première colonne : nom d'utilisateur de l'élève ; colonnes « Moyenne ... » ignorées ;
+ * - cellule vide = note inchangée, « abs » = note effacée ;
+ * - colonne inconnue : ignorée, ou nouvelle évaluation (sur 20, coef 1, période `term`) si `createMissing`.
+ * Retourne { updated, createdEvaluations, errors } ; les cellules en erreur ne sont pas importées.
+ */
+function importMarks(gradebook, students, text, { term = 1, createMissing = false } = {}) {
+    const rows = csv.parse(text);
+    const result = { updated: 0, createdEvaluations: [], errors: [] };
+
+    if (rows.length < 2) {
+        result.errors.push('Le fichier est vide ou ne contient que la ligne d\'en-tête.');
+        return result;
+    }
+
+    const [rawHeader, ...dataRows] = rows;
+    const header = rawHeader.map(csv.unescapeFormula);
+    const columns = header.map((label, index) => {
+        if (index === 0 || !label || label.startsWith(AVERAGE_PREFIX)) return null;
+        let evaluation = findEvaluationForHeader(gradebook, label);
+        if (!evaluation && createMissing) {
+            gradebook.evaluations.push({ title: label, term, date: new Date() });
+            evaluation = gradebook.evaluations[gradebook.evaluations.length - 1];
+            result.createdEvaluations.push(label);
+        }
+        if (!evaluation) {
+            result.errors.push(`Colonne « ${label} » : aucune évaluation correspondante, ignorée.`);
+        }
+        return evaluation;
+    });
+
+    const studentsByName = new Map(students.map(student => [student.username.toLowerCase(), student]));
+
+    dataRows.forEach((cells, rowIndex) => {
+        const line = rowIndex + 2; // Numéro de ligne dans le fichier (en-tête = 1)
+        const username = csv.unescapeFormula(cells[0] || '').toLowerCase();
+        const student = studentsByName.get(username);
+        if (!student) {
+            result.errors.push(`Ligne ${line} : élève « ${cells[0]} » introuvable dans la classe.`);
+            return;
+        }
+
+        columns.forEach((evaluation, index) => {
+            if (!evaluation) return;
+            const raw = (cells[index] || '').trim();
+            if (raw === '') return;
+
+            if (raw.toLowerCase() === 'abs') {
+                gradebook.setMark(evaluation, student._id, { score: null });
+                result.updated++;
+                return;
+            }
+            const score = csv.parseDecimal(raw);
+            if (Number.isNaN(score) || score < 0 || score > evaluation.maxScore) {
+                result.errors.push(`Ligne ${line}, « ${evaluation.title} » : note « ${raw} » invalide (0 à ${evaluation.maxScore}).`);
+                return;
+            }
+            gradebook.setMark(evaluation, student._id, { score });
+            result.updated++;
+        });
+    });
+
+    return result;
+}
+
+module.exports = {
+    evaluationLabel,
+    termShortName,
+    buildSheet,
+    toCsv,
+    toXlsx,
+    importMarks
+};
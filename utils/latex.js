@@ -0,0 +1,123 @@
+// utils/latex.js
+// Server-side checks for the LaTeX produced by the MathQuill editor (chat 'math' messages).
+
+const MAX_LATEX_LENGTH = 2000;
+
+// Commands MathQuill can emit, plus a few common ones typed by hand.
+// Anything else (\href, \def, \newcommand, \input...) is rejected.
+const ALLOWED_COMMANDS = new Set([
+    // Structures
+    'frac', 'dfrac', 'tfrac', 'sqrt', 'binom', 'choose', 'left', 'right', 'overline', 'underline',
+    'vec', 'hat', 'bar', 'text', 'textbf', 'mathrm', 'mathbb', 'mathbf', 'operatorname',
+    // Operators and relations
+    'cdot', 'times', 'div', 'pm', 'mp', 'le', 'leq', 'ge', 'geq', 'ne', 'neq', 'approx', 'equiv',
+    'sim', 'propto', 'lt', 'gt', 'to', 'rightarrow', 'leftarrow', 'Rightarrow', 'Leftarrow',
+    'Leftrightarrow', 'iff', 'implies', 'mapsto', 'in', 'notin', 'subset', 'subseteq', 'supset',
+    'cup', 'cap', 'emptyset', 'varnothing', 'forall', 'exists', 'neg', 'wedge', 'vee', 'circ',
+    'parallel', 'perp', 'angle', 'degree', 'prime', 'ldots', 'cdots', 'dots',
+    // Big operators and functions
+    'int', 'iint', 'oint', 'sum', 'prod', 'lim', 'infty', 'infinity', 'partial', 'nabla',
+    'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+    'ln', 'log', 'exp', 'min', 'max', 'det', 'gcd', 'mod', 'bmod', 'pmod',
+    // Delimiters
+    'langle', 'rangle', 'lfloor', 'rfloor', 'lceil', 'rceil', 'vert', 'lvert', 'rvert', 'Vert',
+    // Greek letters
+    'alpha', 'beta', 'gamma', 'Gamma', 'delta', 'Delta', 'epsilon', 'varepsilon', 'zeta', 'eta',
+    'theta', 'Theta', 'vartheta', 'iota', 'kappa', 'lambda', 'Lambda', 'mu', 'nu', 'xi', 'Xi',
+    'pi', 'Pi', 'rho', 'sigma', 'Sigma', 'tau', 'upsilon', 'phi', 'Phi', 'varphi', 'chi', 'psi',
+    'Psi', 'omega', 'Omega',
+    // Spacing
+    'quad', 'qquad'
+]);
+
+// Escaped single characters: \{ \} \, \; \: \! \  \% \$ \& \_ \# \|
+const ALLOWED_ESCAPES = new Set(['{', '}', ',', ';', ':', '!', ' ', '%', '$', '&', '_', '#', '|']);
+
+/**
+ * Removes the display-math delimiters added by the visual editor (\[ ... \]) and trims the result.
+ */
+function stripDelimiters(latex) {
+    let result = latex.trim();
+    if (result.startsWith('\\[') && result.endsWith('\\]')) {
+        result = result.slice(2, -2).trim();
+    } else if (result.startsWith('$$') && result.endsWith('$$') && result.length >= 4) {
+        result = result.slice(2, -2).trim();
+    }
+    return result;
+}
+
+/**
+ * Checks a LaTeX formula sent by a client.
+ * Returns { valid: true, latex } with the normalized formula, or { valid: false, error }.
+ */
+function validateLatex(input) {
+    if (typeof input !== 'string') {
+        return { valid: false, error: 'La formule est manquante.' };
+    }
+
+    const latex = stripDelimiters(input);
+
+    if (!latex) {
+        return { valid: false, error: 'La formule est vide.' };
+    }
+    if (latex.length > MAX_LATEX_LENGTH) {
+        return { valid: false, error: `La formule est trop longue (max ${MAX_LATEX_LENGTH} caractères).` };
+    }
+
+    let braceDepth = 0;
+    let leftRightDepth = 0;
+
+    for (let i = 0; i < latex.length; i++) {
+        const char = latex[i];
+
+        if (char === '\\') {
+            const next = latex[i + 1];
+            if (next === undefined) {
+                return { valid: false, error: 'La formule se termine par une barre oblique inverse.' };
+            }
+            if (ALLOWED_ESCAPES.has(next)) {
+                i++;
+                continue;
+            }
+            const match = /^[a-zA-Z]+/.exec(latex.slice(i + 1));
+            if (!match) {
+                return { valid: false, error: `Symbole non autorisé : \\${next}` };
+            }
+            const command = match[0];
+            if (!ALLOWED_COMMANDS.has(command)) {
+                return { valid: false, error: `Commande LaTeX non autorisée : \\${command}` };
+            }
+            if (command === 'left') leftRightDepth++;
+            if (command === 'right') {
+                leftRightDepth--;
+                if (leftRightDepth < 0) {
+                    return { valid: false, error: '\\right sans \\left correspondant.' };
+                }
+            }
+            i += command.length;
+        } else if (char === '{') {
+            braceDepth++;
+        } else if (char === '}') {
+            braceDepth--;
+            if (braceDepth < 0) {
+                return { valid: false, error: 'Accolade fermante sans accolade ouvrante.' };
+            }
+        } else if (char === '$') {
+            return { valid: false, error: 'Les délimiteurs $ ne sont pas autorisés dans la formule.' };
+        }
+    }
+
+    if (braceDepth !== 0) {
+        return { valid: false, error: 'Accolades non équilibrées.' };
+    }
+    if (leftRightDepth !== 0) {
+        return { valid: false, error: '\\left sans \\right correspondant.' };
+    }
+
+    return { valid: true, latex };
+}
+
+module.exports = {
+    MAX_LATEX_LENGTH,
+    validateLatex
+};
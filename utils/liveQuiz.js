@@ -0,0 +1,494 @@
+// utils/liveQuiz.js
+// Quiz en direct d'une classe, par Socket.IO (models/LiveQuiz.js). Le professeur démarre un quiz puis lance
+// les questions une à une : chaque élève connecté reçoit la question au même moment avec un compte à rebours,
+// répond une seule fois, et la question se ferme à la fin du temps (ou plus tôt, par le professeur ou quand
+// tous les élèves ont répondu). Une bonne réponse rapporte plus de points si elle arrive vite.
+//
+// Événements diffusés : 'quiz:started', 'quiz:question', 'quiz:closed', 'quiz:ended' dans le salon de la classe,
+// 'quiz:distribution' (réponses en direct) au professeur, 'quiz:result' à chaque élève ayant répondu.
+//
+// Les fonctions reçoivent { io, classroom, user }, comme utils/whiteboard.js ; un refus est signalé
+// par une LiveQuizError dont le message est affichable.
+const LiveQuiz = require('../models/LiveQuiz');
+const { can } = require('./accessPolicy');
+const { validateLatex } = require('./latex');
+const { parseDecimal } = require('./csv');
+const { MathParseError, parse, evaluate, collectVariables, areEquivalent } = require('./mathExpression');
+const { classRoom, moderatorsRoom, userRoom } = require('./socketRooms');
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_PROMPT_LENGTH = 500;
+const MAX_CHOICES = 6;
+const MAX_CHOICE_LENGTH = 200;
+const MAX_ANSWER_LENGTH = 500;
+const MAX_QUESTIONS = 50;
+const MIN_DURATION_SECONDS = 5;
+const MAX_DURATION_SECONDS = 300;
+const DEFAULT_DURATION_SECONDS = 30;
+const MAX_POINTS = 1000; // Réponse juste immédiate ; une réponse juste à la dernière seconde en vaut la moitié
+const LATENCY_GRACE_MS = 1000; // Réponses envoyées juste avant la fin du compte à rebours
+const LEADERBOARD_SIZE = 10;
+const MAX_ANSWER_GROUPS = 10; // Réponses saisies différentes affichées dans la répartition
+
+class LiveQuizError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LiveQuizError';
+    }
+}
+
+const isQuizMaster = (user, classroom) => can(user, 'quiz.run', classroom);
+
+function requireQuizMaster(user, classroom) {
+    if (!isQuizMaster(user, classroom)) {
+        throw new LiveQuizError('Action réservée au professeur de la classe.');
+    }
+}
+
+// Fermeture automatique de la question ouverte de chaque classe : { [classroomId]: timeout }
+const timers = new Map();
+
+function clearTimer(classroomId) {
+    const key = String(classroomId);
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+}
+
+// « 2,5 », « 1/3 », « \frac{\sqrt{2}}{2} » -> nombre ; null si ce n'est pas un nombre
+function numericValue(text) {
+    const value = parseDecimal(text);
+    if (value !== null && !Number.isNaN(value)) return value;
+    if (value === null) return null;
+    try {
+        const tree = parse(String(text).replace(/(\d),(\d)/g, '$1.$2'));
+        if (collectVariables(tree).size > 0) return null;
+        const result = evaluate(tree);
+        return Number.isFinite(result) ? result : null;
+    } catch (error) {
+        if (error instanceof MathParseError) return null;
+        throw error;
+    }
+}
+
+// Question envoyée par le professeur -> question enregistrable (sans les dates), ou LiveQuizError
+function readQuestion(raw) {
+    if (!raw || typeof raw !== 'object' || !LiveQuiz.QUESTION_KINDS[raw.kind]) {
+        throw new LiveQuizError('Type de question invalide.');
+    }
+    const prompt = typeof raw.prompt === 'string' ? raw.prompt.trim() : '';
+    if (!prompt || prompt.length > MAX_PROMPT_LENGTH) {
+        throw new LiveQuizError(`L'énoncé contient entre 1 et ${MAX_PROMPT_LENGTH} caractères.`);
+    }
+
+    const question = { kind: raw.kind, prompt, promptLatex: '' };
+    if (typeof raw.promptLatex === 'string' && raw.promptLatex.trim()) {
+        const check = validateLatex(raw.promptLatex);
+        if (!check.valid) {
+            throw new LiveQuizError(check.error);
+        }
+        question.promptLatex = check.latex;
+    }
+
+    const duration = raw.durationSeconds === undefined || raw.durationSeconds === ''
+        ? DEFAULT_DURATION_SECONDS
+        : parseInt(raw.durationSeconds, 10);
+    if (!(duration >= MIN_DURATION_SECONDS && duration <= MAX_DURATION_SECONDS)) {
+        throw new LiveQuizError(`La durée est comprise entre ${MIN_DURATION_SECONDS} et ${MAX_DURATION_SECONDS} secondes.`);
+    }
+    question.durationSeconds = duration;
+
+    if (raw.kind === 'choice') {
+        const choices = (Array.isArray(raw.choices) ? raw.choices : String(raw.choices || '').split('\n'))
+            .map(choice => String(choice).trim())
+            .filter(Boolean);
+        if (choices.length < 2 || choices.length > MAX_CHOICES) {
+            throw new LiveQuizError(`Proposez entre 2 et ${MAX_CHOICES} réponses, une par ligne.`);
+        }
+        if (choices.some(choice => choice.length > MAX_CHOICE_LENGTH)) {
+            throw new LiveQuizError(`Une proposition contient au plus ${MAX_CHOICE_LENGTH} caractères.`);
+        }
+        const correctChoice = parseInt(raw.correctChoice, 10);
+        if (!(correctChoice >= 0 && correctChoice < choices.length)) {
+            throw new LiveQuizError('Indiquez la bonne réponse parmi les propositions.');
+        }
+        question.choices = choices;
+        question.correctChoice = correctChoice;
+    } else if (raw.kind === 'numeric') {
+        const expected = String(raw.expectedAnswer || '').trim();
+        if (numericValue(expected) === null) {
+            throw new LiveQuizError('La réponse attendue doit être un nombre (ex : 2,5 ou \\frac{1}{3}).');
+        }
+        const tolerance = parseDecimal(raw.tolerance);
+        if (Number.isNaN(tolerance) || tolerance < 0) {
+            throw new LiveQuizError('La tolérance doit être un nombre positif (ex : 0,01).');
+        }
+        question.expectedAnswer = expected;
+        question.tolerance = tolerance || 0;
+    } else {
+        const check = validateLatex(typeof raw.expectedAnswer === 'string' ? raw.expectedAnswer : '');
+        if (!check.valid) {
+            throw new LiveQuizError(check.error);
+        }
+        try {
+            parse(check.latex);
+        } catch (error) {
+            if (error instanceof MathParseError) {
+                throw new LiveQuizError(`Réponse attendue illisible : ${error.message}`);
+            }
+            throw error;
+        }
+        question.expectedAnswer = check.latex;
+    }
+    return question;
+}
+
+// Réponse d'un élève -> { choice, answer, correct }, ou LiveQuizError si elle ne peut pas être lue
+function gradeAnswer(question, raw) {
+    if (question.kind === 'choice') {
+        const choice = parseInt(raw.choice, 10);
+        if (!(choice >= 0 && choice < question.choices.length)) {
+            throw new LiveQuizError('Choisissez une des propositions.');
+        }
+        return { choice, answer: '', correct: choice === question.correctChoice };
+    }
+
+    const answer = typeof raw.answer === 'string' ? raw.answer.trim() : '';
+    if (!answer) {
+        throw new LiveQuizError('Saisissez une réponse.');
+    }
+    if (answer.length > MAX_ANSWER_LENGTH) {
+        throw new LiveQuizError(`Réponse trop longue (max ${MAX_ANSWER_LENGTH} caractères).`);
+    }
+
+    if (question.kind === 'numeric') {
+        const value = numericValue(answer);
+        if (value === null) {
+            throw new LiveQuizError('Réponse illisible : saisissez un nombre (ex : 2,5 ou 1/3).');
+        }
+        const expected = numericValue(question.expectedAnswer);
+        const margin = question.tolerance + 1e-9 * Math.max(1, Math.abs(expected));
+        return { choice: null, answer, correct: Math.abs(value - expected) <= margin };
+    }
+
+    try {
+        const result = areEquivalent(parse(question.expectedAnswer), parse(answer));
+        return { choice: null, answer, correct: result.equivalent };
+    } catch (error) {
+        if (error instanceof MathParseError) {
+            throw new LiveQuizError(`Réponse illisible : ${error.message}`);
+        }
+        throw error;
+    }
+}
+
+function pointsFor(question, correct, answeredAt) {
+    if (!correct) return 0;
+    const elapsed = Math.min(Math.max(answeredAt - question.startedAt, 0), question.durationSeconds * 1000);
+    return Math.round(MAX_POINTS * (1 - elapsed / (question.durationSeconds * 1000) / 2));
+}
+
+// Question envoyée aux navigateurs ; la bonne réponse seulement une fois la question fermée (reveal)
+function questionPayload(question, index, { reveal = false, now = new Date() } = {}) {
+    return {
+        index,
+        kind: question.kind,
+        kindLabel: LiveQuiz.QUESTION_KINDS[question.kind],
+        prompt: question.prompt,
+        promptLatex: question.promptLatex,
+        choices: Array.from(question.choices || []),
+        durationSeconds: question.durationSeconds,
+        remainingMs: question.closedAt ? 0 : Math.max(new Date(question.endsAt) - now, 0),
+        closed: Boolean(question.closedAt),
+        ...(reveal ? { correctChoice: question.correctChoice, expectedAnswer: question.expectedAnswer } : {})
+    };
+}
+
+/**
+ * Répartition des réponses d'une question : { answered, correct, students, choices: [nombre] } pour un
+ * choix multiple, sinon { answered, correct, students, answers: [{ answer, count, correct }], others }
+ * (réponses identiques regroupées, les plus fréquentes d'abord).
+ */
+function distribution(question, classroom) {
+    const answers = question.answers || [];
+    const summary = {
+        answered: answers.length,
+        correct: answers.filter(answer => answer.correct).length,
+        students: classroom.students.length
+    };
+    if (question.kind === 'choice') {
+        summary.choices = question.choices.map((choice, index) => answers.filter(answer => answer.choice === index).length);
+        return summary;
+    }
+
+    const groups = new Map();
+    answers.forEach(answer => {
+        const key = answer.answer.replace(/\s+/g, '');
+        const group = groups.get(key) || { answer: answer.answer, count: 0, correct: answer.correct };
+        group.count++;
+        groups.set(key, group);
+    });
+    const sorted = [...groups.values()].sort((a, b) => b.count - a.count);
+    summary.answers = sorted.slice(0, MAX_ANSWER_GROUPS);
+    summary.others = sorted.slice(MAX_ANSWER_GROUPS).reduce((total, group) => total + group.count, 0);
+    return summary;
+}
+
+function answerPayload(answer, reveal) {
+    if (!answer) return null;
+    return {
+        choice: answer.choice,
+        answer: answer.answer,
+        ...(reveal ? { correct: answer.correct, points: answer.points } : {})
+    };
+}
+
+// Ferme la question `index` (une seule fois, même si le minuteur et le professeur la ferment ensemble)
+// puis annonce la bonne réponse, la répartition et le classement
+async function finishQuestion(io, classroom, quizId, index) {
+    const path = `questions.${index}`;
+    const quiz = await LiveQuiz.findOneAndUpdate(
+        { _id: quizId, [`${path}.startedAt`]: { $exists: true }, [`${path}.closedAt`]: null },
+        { $set: { [`${path}.closedAt`]: new Date() } },
+        { new: true }
+    );
+    if (!quiz) {
+        return; // Déjà fermée
+    }
+    clearTimer(classroom._id);
+
+    const question = quiz.questions[index];
+    const leaderboard = quiz.leaderboard();
+    io.to(classRoom(classroom._id)).emit('quiz:closed', {
+        classroomId: String(classroom._id),
+        quizId: String(quiz._id),
+        question: questionPayload(question, index, { reveal: true }),
+        distribution: distribution(question, classroom),
+        leaderboard: leaderboard.slice(0, LEADERBOARD_SIZE)
+    });
+    question.answers.forEach(answer => {
+        const row = leaderboard.find(candidate => candidate.studentId === String(answer.student));
+        io.to(userRoom(answer.student)).emit('quiz:result', {
+            classroomId: String(classroom._id),
+            quizId: String(quiz._id),
+            index,
+            correct: answer.correct,
+            points: answer.points,
+            score: row.score,
+            rank: row.rank,
+            participants: leaderboard.length
+        });
+    });
+}
+
+function scheduleClose(io, classroom, quizId, index, endsAt) {
+    clearTimer(classroom._id);
+    const timer = setTimeout(() => {
+        timers.delete(String(classroom._id));
+        finishQuestion(io, classroom, quizId, index)
+            .catch(error => console.error('Error closing live quiz question:', error));
+    }, Math.max(endsAt - Date.now(), 0) + LATENCY_GRACE_MS);
+    timers.set(String(classroom._id), timer);
+}
+
+// Question ouverte dont le temps est écoulé (serveur redémarré pendant le compte à rebours...)
+function isExpired(question, now = new Date()) {
+    return !question.closedAt && now > new Date(question.endsAt.getTime() + LATENCY_GRACE_MS);
+}
+
+async function startQuiz({ io, classroom, user, title }) {
+    requireQuizMaster(user, classroom);
+    const cleanTitle = (typeof title === 'string' ? title.trim() : '')
+        || `Quiz du ${new Date().toLocaleDateString('fr-FR')}`;
+    if (cleanTitle.length > MAX_TITLE_LENGTH) {
+        throw new LiveQuizError(`Le titre contient au plus ${MAX_TITLE_LENGTH} caractères.`);
+    }
+
+    let quiz;
+    try {
+        quiz = await LiveQuiz.create({ classroom: classroom._id, teacher: user._id, title: cleanTitle });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new LiveQuizError('Un quiz est déjà en cours dans cette classe.');
+        }
+        throw error;
+    }
+    console.log(`Live quiz '${quiz.title}' started by ${user.username} in class ${classroom.name}.`);
+    io.to(classRoom(classroom._id)).emit('quiz:started', {
+        classroomId: String(classroom._id),
+        quizId: String(quiz._id),
+        title: quiz.title
+    });
+}
+
+async function launchQuestion({ io, classroom, user, question: raw }) {
+    requireQuizMaster(user, classroom);
+    const quiz = await LiveQuiz.runningFor(classroom._id);
+    if (!quiz) {
+        throw new LiveQuizError('Aucun quiz en cours : démarrez d\'abord un quiz.');
+    }
+    const current = quiz.currentQuestion();
+    if (current && !current.closedAt) {
+        if (!isExpired(current)) {
+            throw new LiveQuizError('Fermez d\'abord la question en cours.');
+        }
+        await finishQuestion(io, classroom, quiz._id, quiz.questions.length - 1);
+    }
+    if (quiz.questions.length >= MAX_QUESTIONS) {
+        throw new LiveQuizError(`Un quiz contient au plus ${MAX_QUESTIONS} questions.`);
+    }
+
+    const now = new Date();
+    const values = readQuestion(raw);
+    const question = {
+        ...values,
+        startedAt: now,
+        endsAt: new Date(now.getTime() + values.durationSeconds * 1000)
+    };
+    const index = quiz.questions.length;
+    // Deux lancements simultanés : un seul est accepté
+    const { modifiedCount } = await LiveQuiz.updateOne(
+        { _id: quiz._id, status: 'running', questions: { $size: index } },
+        { $push: { questions: question } }
+    );
+    if (!modifiedCount) {
+        throw new LiveQuizError('Le quiz a changé entre-temps, réessayez.');
+    }
+
+    scheduleClose(io, classroom, quiz._id, index, question.endsAt);
+    io.to(classRoom(classroom._id)).emit('quiz:question', {
+        classroomId: String(classroom._id),
+        quizId: String(quiz._id),
+        question: questionPayload(question, index, { now })
+    });
+}
+
+// Réponse d'un élève à la question `index` ; la première réponse est définitive
+async function submitAnswer({ io, classroom, user, index, answer }) {
+    const quiz = await LiveQuiz.runningFor(classroom._id);
+    const question = quiz && quiz.currentQuestion();
+    const position = quiz ? quiz.questions.length - 1 : -1;
+    if (!question || question.closedAt || Number(index) !== position) {
+        throw new LiveQuizError('Cette question est terminée.');
+    }
+    const now = new Date();
+    if (isExpired(question, now)) {
+        await finishQuestion(io, classroom, quiz._id, position);
+        throw new LiveQuizError('Le temps est écoulé.');
+    }
+    if (question.answers.some(existing => String(existing.student) === String(user._id))) {
+        throw new LiveQuizError('Vous avez déjà répondu à cette question.');
+    }
+
+    const graded = gradeAnswer(question, answer && typeof answer === 'object' ? answer : {});
+    const entry = {
+        student: user._id,
+        username: user.username,
+        ...graded,
+        points: pointsFor(question, graded.correct, now),
+        answeredAt: now
+    };
+    const path = `questions.${position}`;
+    const { modifiedCount } = await LiveQuiz.updateOne(
+        { _id: quiz._id, [`${path}.closedAt`]: null, [`${path}.answers.student`]: { $ne: user._id } },
+        { $push: { [`${path}.answers`]: entry } }
+    );
+    if (!modifiedCount) {
+        throw new LiveQuizError('La question est terminée ou vous avez déjà répondu.');
+    }
+
+    question.answers.push(entry);
+    io.to(moderatorsRoom(classroom._id)).emit('quiz:distribution', {
+        classroomId: String(classroom._id),
+        quizId: String(quiz._id),
+        index: position,
+        distribution: distribution(question, classroom)
+    });
+    // Tous les élèves ont répondu : inutile d'attendre la fin du compte à rebours
+    if (question.answers.length >= classroom.students.length) {
+        await finishQuestion(io, classroom, quiz._id, position);
+    }
+}
+
+// Le professeur ferme la question ouverte avant la fin du temps
+async function closeQuestion({ io, classroom, user }) {
+    requireQuizMaster(user, classroom);
+    const quiz = await LiveQuiz.runningFor(classroom._id);
+    const question = quiz && quiz.currentQuestion();
+    if (!question || question.closedAt) {
+        throw new LiveQuizError('Aucune question ouverte.');
+    }
+    await finishQuestion(io, classroom, quiz._id, quiz.questions.length - 1);
+}
+
+async function endQuiz({ io, classroom, user }) {
+    requireQuizMaster(user, classroom);
+    const running = await LiveQuiz.runningFor(classroom._id);
+    if (!running) {
+        throw new LiveQuizError('Aucun quiz en cours.');
+    }
+    const current = running.currentQuestion();
+    if (current && !current.closedAt) {
+        await finishQuestion(io, classroom, running._id, running.questions.length - 1);
+    }
+
+    const quiz = await LiveQuiz.findOneAndUpdate(
+        { _id: running._id, status: 'running' },
+        { $set: { status: 'finished', endedAt: new Date() } },
+        { new: true }
+    );
+    if (!quiz) {
+        return; // Déjà terminé
+    }
+    clearTimer(classroom._id);
+    console.log(`Live quiz '${quiz.title}' ended in class ${classroom.name} (${quiz.questions.length} questions).`);
+    io.to(classRoom(classroom._id)).emit('quiz:ended', {
+        classroomId: String(classroom._id),
+        quizId: String(quiz._id),
+        title: quiz.title,
+        leaderboard: quiz.leaderboard().slice(0, LEADERBOARD_SIZE),
+        resultsUrl: `/classes/${classroom._id}/quizzes/${quiz._id}`
+    });
+}
+
+// État du quiz en cours, pour un membre qui ouvre la page (ou se reconnecte) ; null sans quiz en cours
+async function quizState({ io, classroom, user }) {
+    let quiz = await LiveQuiz.runningFor(classroom._id);
+    if (!quiz) {
+        return null;
+    }
+    let question = quiz.currentQuestion();
+    if (question && isExpired(question)) {
+        await finishQuestion(io, classroom, quiz._id, quiz.questions.length - 1);
+        quiz = await LiveQuiz.findById(quiz._id);
+        question = quiz.currentQuestion();
+    }
+
+    const master = isQuizMaster(user, classroom);
+    const closed = Boolean(question && question.closedAt);
+    const mine = question && question.answers.find(answer => String(answer.student) === String(user._id));
+    return {
+        quizId: String(quiz._id),
+        title: quiz.title,
+        questionCount: quiz.questions.length,
+        question: question ? questionPayload(question, quiz.questions.length - 1, { reveal: closed }) : null,
+        distribution: question && (master || closed) ? distribution(question, classroom) : null,
+        myAnswer: master ? null : answerPayload(mine, closed),
+        leaderboard: quiz.leaderboard().slice(0, LEADERBOARD_SIZE)
+    };
+}
+
+module.exports = {
+    LiveQuizError,
+    LEADERBOARD_SIZE,
+    isQuizMaster,
+    readQuestion,
+    gradeAnswer,
+    pointsFor,
+    distribution,
+    startQuiz,
+    launchQuestion,
+    submitAnswer,
+    closeQuestion,
+    endQuiz,
+    quizState
+};
@@ -0,0 +1,49 @@
+// utils/mailer.js
+// Envoi d'e-mails (lien de réinitialisation du mot de passe) via SMTP.
+// Facultatif : sans SMTP_HOST et APP_URL, la réinitialisation par e-mail est simplement désactivée
+// et seule celle par code du professeur reste proposée.
+//   SMTP_HOST, SMTP_PORT (587 par défaut), SMTP_SECURE ('true' pour le port 465), SMTP_USER, SMTP_PASS
+//   MAIL_FROM : expéditeur (ex. "Math-learning <no-reply@exemple.fr>")
+//   APP_URL   : adresse publique du site, utilisée dans les liens (jamais l'en-tête Host de la requête)
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+function isConfigured() {
+    return Boolean(process.env.SMTP_HOST && process.env.APP_URL);
+}
+
+function getTransporter() {
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+    }
+    return transporter;
+}
+
+// Lien absolu vers une page du site
+function appUrl(pathname) {
+    return process.env.APP_URL.replace(/\/+$/, '') + pathname;
+}
+
+async function sendMail({ to, subject, text }) {
+    if (!isConfigured()) {
+        throw new Error('Email sending is not configured (SMTP_HOST / APP_URL).');
+    }
+    return getTransporter().sendMail({
+        from: process.env.MAIL_FROM || process.env.SMTP_USER,
+        to,
+        subject,
+        text
+    });
+}
+
+module.exports = {
+    isConfigured,
+    appUrl,
+    sendMail
+};
@@ -0,0 +1,640 @@
+// utils/mathExpression.js
+// Parses the LaTeX subset produced by MathQuill (and plain ASCII such as "x^2/(3x+1)") into an
+// expression tree, evaluates it, and decides whether two answers are mathematically equivalent.
+//
+// Equivalence is tested numerically: both expressions are evaluated at random values of their
+// variables and must agree everywhere (within the tolerances). This accepts 2(x+1) = 2x+2 or
+// \frac{1}{2} = 0.5 without needing a full computer algebra system.
+
+class MathParseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MathParseError';
+    }
+}
+
+// Functions recognized with or without a backslash (\sin x, sin(x), sqrt(x)...)
+const FUNCTIONS = {
+    sin: Math.sin, cos: Math.cos, tan: Math.tan,
+    cot: x => 1 / Math.tan(x), sec: x => 1 / Math.cos(x), csc: x => 1 / Math.sin(x),
+    arcsin: Math.asin, arccos: Math.acos, arctan: Math.atan,
+    sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh,
+    ln: Math.log, log: Math.log10, exp: Math.exp,
+    sqrt: Math.sqrt, abs: Math.abs
+};
+// Longest names first, so that "sinh" is not read as "sin" + "h"
+const FUNCTION_NAMES = Object.keys(FUNCTIONS).sort((a, b) => b.length - a.length);
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+const GREEK_LETTERS = new Set([
+    'alpha', 'beta', 'gamma', 'delta', 'epsilon', 'varepsilon', 'zeta', 'eta', 'theta', 'vartheta',
+    'iota', 'kappa', 'lambda', 'mu', 'nu', 'xi', 'rho', 'sigma', 'tau', 'upsilon', 'phi', 'varphi',
+    'chi', 'psi', 'omega'
+]);
+
+// LaTeX commands that are only layout and can be ignored
+const IGNORED_COMMANDS = new Set(['left', 'right', 'quad', 'qquad', 'displaystyle', 'mathrm', 'operatorname']);
+
+const MAX_INPUT_LENGTH = 500;
+
+// --- Tokenizer --------------------------------------------------------------------------------
+
+function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+        const char = input[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        // Numbers: 12, 0.5, and the French decimal comma (0,5 or 0{,}5 as written by MathQuill)
+        if (/[0-9.]/.test(char)) {
+            let raw = '';
+            while (i < input.length) {
+                if (/[0-9.]/.test(input[i])) {
+                    raw += input[i++];
+                } else if (input[i] === ',' && /[0-9]/.test(input[i + 1] || '')) {
+                    raw += '.';
+                    i++;
+                } else if (input.startsWith('{,}', i) && /[0-9]/.test(input[i + 3] || '')) {
+                    raw += '.';
+                    i += 3;
+                } else {
+                    break;
+                }
+            }
+            if (!/^(\d+\.?\d*|\.\d+)$/.test(raw)) {
+                throw new MathParseError(`Nombre invalide : ${raw}`);
+            }
+            tokens.push({ type: 'number', value: parseFloat(raw) });
+            continue;
+        }
+
+        if (char === '\\') {
+            const match = /^[a-zA-Z]+/.exec(input.slice(i + 1));
+            if (!match) {
+                const escaped = input[i + 1];
+                // Spacing commands: "\ ", "\,", "\;", "\:", "\!"
+                if ([' ', ',', ';', ':', '!'].includes(escaped)) {
+                    i += 2;
+                    continue;
+                }
+                throw new MathParseError(`Symbole non reconnu : \\${escaped || ''}`);
+            }
+            const command = match[0];
+            i += command.length + 1;
+
+            if (IGNORED_COMMANDS.has(command)) continue;
+            if (command === 'cdot' || command === 'times') tokens.push({ type: 'op', value: '*' });
+            else if (command === 'div') tokens.push({ type: 'op', value: '/' });
+            else if (command === 'frac' || command === 'dfrac' || command === 'tfrac') tokens.push({ type: 'frac' });
+            else if (command === 'sqrt') tokens.push({ type: 'sqrt' });
+            else if (command === 'pi') tokens.push({ type: 'const', value: 'pi' });
+            else if (command === 'infty' || command === 'infinity') throw new MathParseError('L\'infini ne peut pas être évalué.');
+            else if (FUNCTIONS[command]) tokens.push({ type: 'func', value: command });
+            else if (GREEK_LETTERS.has(command)) tokens.push({ type: 'name', value: command });
+            else throw new MathParseError(`Commande non prise en charge : \\${command}`);
+            continue;
+        }
+
+        if (/[a-zA-Z]/.test(char)) {
+            // A run of letters is a function name, "pi", or a product of one-letter variables (xy = x*y)
+            const rest = input.slice(i);
+            const functionName = FUNCTION_NAMES.find(name => rest.startsWith(name));
+            if (functionName) {
+                tokens.push({ type: 'func', value: functionName });
+                i += functionName.length;
+            } else if (rest.startsWith('pi')) {
+                tokens.push({ type: 'const', value: 'pi' });
+                i += 2;
+            } else if (char === 'e') {
+                tokens.push({ type: 'const', value: 'e' });
+                i++;
+            } else {
+                tokens.push({ type: 'name', value: char });
+                i++;
+            }
+            continue;
+        }
+
+        if ('+-*/^!'.includes(char)) {
+            tokens.push({ type: 'op', value: char });
+        } else if ('(){}[]|_'.includes(char)) {
+            tokens.push({ type: char });
+        } else {
+            throw new MathParseError(`Caractère non reconnu : ${char}`);
+        }
+        i++;
+    }
+
+    return tokens;
+}
+
+// --- Parser -----------------------------------------------------------------------------------
+// expression := term (('+' | '-') term)*
+// term       := unary (('*' | '/') unary | power)*      (juxtaposition = implicit product)
+// unary      := ('-' | '+') unary | power
+// power      := postfix ('^' exponent)?
+// postfix    := primary '!'*
+
+class Parser {
+
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.position = 0;
+        this.absDepth = 0;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    isOp(value) {
+        const token = this.peek();
+        return token && token.type === 'op' && token.value === value;
+    }
+
+    expect(type) {
+        const token = this.next();
+        if (!token || token.type !== type) {
+            throw new MathParseError(`« ${type} » attendu.`);
+        }
+        return token;
+    }
+
+    startsPrimary(token) {
+        if (!token) return false;
+        if (token.type === '|') return this.absDepth === 0;
+        return ['number', 'name', 'const', 'func', 'frac', 'sqrt', '(', '[', '{'].includes(token.type);
+    }
+
+    parse() {
+        if (this.tokens.length === 0) {
+            throw new MathParseError('Expression vide.');
+        }
+        const tree = this.parseExpression();
+        if (this.position < this.tokens.length) {
+            throw new MathParseError('Expression mal formée (symboles en trop).');
+        }
+        return tree;
+    }
+
+    parseExpression() {
+        let left = this.parseTerm();
+        while (this.isOp('+') || this.isOp('-')) {
+            const op = this.next().value;
+            left = { type: 'op', op, args: [left, this.parseTerm()] };
+        }
+        return left;
+    }
+
+    parseTerm() {
+        let left = this.parseUnary();
+        for (;;) {
+            if (this.isOp('*') || this.isOp('/')) {
+                const op = this.next().value;
+                left = { type: 'op', op, args: [left, this.parseUnary()] };
+            } else if (this.startsPrimary(this.peek())) {
+                left = { type: 'op', op: '*', args: [left, this.parsePower()], implicit: true };
+            } else {
+                return left;
+            }
+        }
+    }
+
+    parseUnary() {
+        if (this.isOp('-')) {
+            this.next();
+            return { type: 'neg', arg: this.parseUnary() };
+        }
+        if (this.isOp('+')) {
+            this.next();
+            return this.parseUnary();
+        }
+        return this.parsePower();
+    }
+
+    parsePower() {
+        const base = this.parsePostfix();
+        if (this.isOp('^')) {
+            this.next();
+            return { type: 'op', op: '^', args: [base, this.parseExponent()] };
+        }
+        return base;
+    }
+
+    // x^{...}, x^2, x^-1 and right-associative a^b^c
+    parseExponent() {
+        const token = this.peek();
+        if (token && token.type === '{') {
+            return this.parseGroup();
+        }
+        if (this.isOp('-')) {
+            this.next();
+            return { type: 'neg', arg: this.parseExponent() };
+        }
+        return this.parsePower();
+    }
+
+    parsePostfix() {
+        let node = this.parsePrimary();
+        while (this.isOp('!')) {
+            this.next();
+            node = { type: 'func', name: 'factorial', arg: node };
+        }
+        return node;
+    }
+
+    parseGroup() {
+        this.expect('{');
+        const node = this.parseExpression();
+        this.expect('}');
+        return node;
+    }
+
+    // Argument of \frac, \sqrt or a subscript: {group} or a single primary
+    parseArgument() {
+        const token = this.peek();
+        if (token && token.type === '{') {
+            return this.parseGroup();
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.next();
+        if (!token) {
+            throw new MathParseError('Expression incomplète.');
+        }
+
+        switch (token.type) {
+            case 'number':
+                return { type: 'num', value: token.value };
+            case 'const':
+                return { type: 'const', name: token.value };
+            case 'name':
+                return { type: 'var', name: token.value + this.parseSubscript() };
+            case '(':
+            case '[': {
+                const node = this.parseExpression();
+                this.expect(token.type === '(' ? ')' : ']');
+                return node;
+            }
+            case '{': {
+                const node = this.parseExpression();
+                this.expect('}');
+                return node;
+            }
+            case '|': {
+                this.absDepth++;
+                const node = this.parseExpression();
+                this.absDepth--;
+                this.expect('|');
+                return { type: 'func', name: 'abs', arg: node };
+            }
+            case 'frac': {
+                const numerator = this.parseArgument();
+                const denominator = this.parseArgument();
+                return { type: 'op', op: '/', args: [numerator, denominator] };
+            }
+            case 'sqrt': {
+                let index = null;
+                if (this.peek() && this.peek().type === '[') {
+                    this.next();
+                    index = this.parseExpression();
+                    this.expect(']');
+                }
+                const radicand = this.parseArgument();
+                if (index) {
+                    return { type: 'op', op: '^', args: [radicand, { type: 'op', op: '/', args: [{ type: 'num', value: 1 }, index] }] };
+                }
+                return { type: 'func', name: 'sqrt', arg: radicand };
+            }
+            case 'func':
+                return this.parseFunction(token.value);
+            default:
+                throw new MathParseError('Expression mal formée.');
+        }
+    }
+
+    // x_1, x_{12}: part of the variable name
+    parseSubscript() {
+        if (!this.peek() || this.peek().type !== '_') return '';
+        this.next();
+        const token = this.peek();
+        if (token && token.type === '{') {
+            this.next();
+            let subscript = '';
+            while (this.peek() && this.peek().type !== '}') {
+                const part = this.next();
+                subscript += part.value !== undefined ? part.value : part.type;
+            }
+            this.expect('}');
+            return `_${subscript}`;
+        }
+        const part = this.next();
+        if (!part || (part.type !== 'number' && part.type !== 'name')) {
+            throw new MathParseError('Indice invalide.');
+        }
+        return `_${part.value}`;
+    }
+
+    // \sin x, \sin(2x), \sin^2 x, \log_{2} 8
+    parseFunction(name) {
+        let base = null;
+        let power = null;
+
+        if (name === 'log' && this.peek() && this.peek().type === '_') {
+            this.next();
+            base = this.parseArgument();
+        }
+        if (this.isOp('^')) {
+            this.next();
+            power = this.parseExponent();
+        }
+
+        let arg;
+        const token = this.peek();
+        if (token && (token.type === '(' || token.type === '[')) {
+            arg = this.parsePrimary();
+        } else if (this.startsPrimary(token)) {
+            // Without parentheses, the argument is the following implicit product: \sin 2x = sin(2x)
+            arg = this.parsePower();
+            while (this.startsPrimary(this.peek()) && this.peek().type !== 'func') {
+                arg = { type: 'op', op: '*', args: [arg, this.parsePower()], implicit: true };
+            }
+        } else {
+            throw new MathParseError(`Argument manquant pour la fonction ${name}.`);
+        }
+
+        let node = { type: 'func', name, arg };
+        if (base) {
+            node = { type: 'op', op: '/', args: [{ type: 'func', name: 'ln', arg }, { type: 'func', name: 'ln', arg: base }] };
+        }
+        return power ? { type: 'op', op: '^', args: [node, power] } : node;
+    }
+}
+
+/**
+ * Parses a LaTeX (or plain text) expression. Throws MathParseError on invalid input.
+ */
+function parse(input) {
+    if (typeof input !== 'string' || !input.trim()) {
+        throw new MathParseError('Expression vide.');
+    }
+    if (input.length > MAX_INPUT_LENGTH) {
+        throw new MathParseError(`Expression trop longue (max ${MAX_INPUT_LENGTH} caractères).`);
+    }
+    let latex = input.trim();
+    if (latex.startsWith('\\[') && latex.endsWith('\\]')) {
+        latex = latex.slice(2, -2);
+    }
+    return new Parser(tokenize(latex)).parse();
+}
+
+// --- Evaluation -------------------------------------------------------------------------------
+
+function factorial(n) {
+    if (!Number.isInteger(n) || n < 0 || n > 170) return NaN;
+    let result = 1;
+    for (let k = 2; k <= n; k++) result *= k;
+    return result;
+}
+
+/**
+ * Evaluates a tree for the given variable values. Returns NaN outside the domain (sqrt(-1), 1/0...).
+ */
+function evaluate(node, scope = {}) {
+    switch (node.type) {
+        case 'num':
+            return node.value;
+        case 'const':
+            return CONSTANTS[node.name];
+        case 'var':
+            if (!(node.name in scope)) {
+                throw new MathParseError(`Variable sans valeur : ${node.name}`);
+            }
+            return scope[node.name];
+        case 'neg':
+            return -evaluate(node.arg, scope);
+        case 'func': {
+            const value = evaluate(node.arg, scope);
+            return node.name === 'factorial' ? factorial(value) : FUNCTIONS[node.name](value);
+        }
+        case 'op': {
+            const a = evaluate(node.args[0], scope);
+            const b = evaluate(node.args[1], scope);
+            switch (node.op) {
+                case '+': return a + b;
+                case '-': return a - b;
+                case '*': return a * b;
+                case '/': return b === 0 ? NaN : a / b;
+                case '^': return Math.pow(a, b);
+            }
+        }
+    }
+    throw new MathParseError('Expression invalide.');
+}
+
+function collectVariables(node, names = new Set()) {
+    if (node.type === 'var') names.add(node.name);
+    if (node.arg) collectVariables(node.arg, names);
+    if (node.args) node.args.forEach(arg => collectVariables(arg, names));
+    return names;
+}
+
+// --- Equivalence ------------------------------------------------------------------------------
+
+// Small seeded generator (mulberry32): the same answer always gets the same verdict
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function closeEnough(a, b, absoluteTolerance, relativeTolerance) {
+    return Math.abs(a - b) <= absoluteTolerance + relativeTolerance * Math.max(Math.abs(a), Math.abs(b));
+}
+
+const DEFAULT_RELATIVE_TOLERANCE = 1e-9;
+const DEFAULT_ABSOLUTE_TOLERANCE = 1e-9;
+const REQUIRED_SAMPLES = 12;
+const MAX_SAMPLE_ATTEMPTS = 200;
+
+/**
+ * Checks whether two expressions (trees or strings) are equal for every value of their variables.
+ * Options: absoluteTolerance, relativeTolerance.
+ * Returns { equivalent, reason } where reason explains a negative or undetermined verdict.
+ */
+function areEquivalent(expected, answer, options = {}) {
+    const expectedTree = typeof expected === 'string' ? parse(expected) : expected;
+    const answerTree = typeof answer === 'string' ? parse(answer) : answer;
+    const absoluteTolerance = Math.max(options.absoluteTolerance || 0, DEFAULT_ABSOLUTE_TOLERANCE);
+    const relativeTolerance = Math.max(options.relativeTolerance || 0, DEFAULT_RELATIVE_TOLERANCE);
+
+    const variables = [...new Set([...collectVariables(expectedTree), ...collectVariables(answerTree)])];
+    const random = createRandom(20240901);
+    let validSamples = 0;
+
+    const samplesNeeded = variables.length === 0 ? 1 : REQUIRED_SAMPLES;
+    for (let attempt = 0; attempt < MAX_SAMPLE_ATTEMPTS && validSamples < samplesNeeded; attempt++) {
+        const scope = {};
+        variables.forEach(name => {
+            // Non-integer values in ±[0.1, 5], positive more often so that sqrt and ln are defined
+            const magnitude = 0.1 + random() * 4.9;
+            scope[name] = random() < 0.7 ? magnitude : -magnitude;
+        });
+
+        const expectedValue = evaluate(expectedTree, scope);
+        const answerValue = evaluate(answerTree, scope);
+        if (!Number.isFinite(expectedValue) || !Number.isFinite(answerValue)) {
+            continue; // Outside the domain of one of the expressions
+        }
+        if (!closeEnough(expectedValue, answerValue, absoluteTolerance, relativeTolerance)) {
+            return { equivalent: false, reason: 'different' };
+        }
+        validSamples++;
+    }
+
+    if (validSamples < samplesNeeded) {
+        return { equivalent: false, reason: 'undetermined' };
+    }
+    return { equivalent: true, reason: null };
+}
+
+// --- Simplified form --------------------------------------------------------------------------
+
+function isNumber(node) {
+    return node.type === 'num' || (node.type === 'neg' && node.arg.type === 'num');
+}
+
+function numberValue(node) {
+    return node.type === 'num' ? node.value : -node.arg.value;
+}
+
+function gcd(a, b) {
+    return b === 0 ? Math.abs(a) : gcd(b, a % b);
+}
+
+// Deterministic text form of a tree, used to compare terms and factors
+function toKey(node) {
+    switch (node.type) {
+        case 'num': return String(node.value);
+        case 'const': return node.name;
+        case 'var': return node.name;
+        case 'neg': return `-(${toKey(node.arg)})`;
+        case 'func': return `${node.name}(${toKey(node.arg)})`;
+        case 'op': return `(${toKey(node.args[0])}${node.op}${toKey(node.args[1])})`;
+    }
+    return '';
+}
+
+function flatten(node, ops) {
+    if (node.type === 'op' && ops.includes(node.op)) {
+        return [...flatten(node.args[0], ops), ...flatten(node.args[1], ops)];
+    }
+    return [node];
+}
+
+// Non-numeric part of a term, e.g. "x" for 3x and -x
+function termSignature(term) {
+    const node = term.type === 'neg' ? term.arg : term;
+    return flatten(node, ['*']).filter(factor => !isNumber(factor)).map(toKey).sort().join('*');
+}
+
+/**
+ * Heuristic check that an answer is written in simplified form.
+ * Returns { simplified: true } or { simplified: false, reason } (reason in French, shown to students).
+ */
+function checkSimplified(node) {
+    if (node.type === 'neg') {
+        if (node.arg.type === 'neg') return { simplified: false, reason: 'Double signe moins.' };
+        return checkSimplified(node.arg);
+    }
+    if (node.type === 'func') {
+        return checkSimplified(node.arg);
+    }
+    if (node.type !== 'op') {
+        return { simplified: true };
+    }
+
+    const [a, b] = node.args;
+
+    if (node.op === '/') {
+        if (b.type === 'num' && b.value === 1) return { simplified: false, reason: 'Division par 1.' };
+        if (isNumber(a) && isNumber(b)) {
+            const numerator = numberValue(a);
+            const denominator = numberValue(b);
+            if (!Number.isInteger(numerator) || !Number.isInteger(denominator)) {
+                return { simplified: false, reason: 'Le calcul numérique n\'est pas terminé.' };
+            }
+            if (gcd(numerator, denominator) > 1 || denominator < 0) {
+                return { simplified: false, reason: 'La fraction peut être réduite.' };
+            }
+        }
+    }
+
+    if (node.op === '^') {
+        if (b.type === 'num' && (b.value === 1 || b.value === 0)) {
+            return { simplified: false, reason: `Puissance ${b.value} inutile.` };
+        }
+        if (a.type === 'num' && b.type === 'num' && Number.isInteger(b.value)) {
+            return { simplified: false, reason: 'La puissance peut être calculée.' };
+        }
+    }
+
+    if (node.op === '+' || node.op === '-') {
+        const terms = flatten(node, ['+', '-']);
+        if (terms.some(term => term.type === 'num' && term.value === 0)) {
+            return { simplified: false, reason: 'Terme nul inutile.' };
+        }
+        if (terms.filter(isNumber).length > 1) {
+            return { simplified: false, reason: 'Le calcul numérique n\'est pas terminé.' };
+        }
+        const signatures = terms.map(termSignature);
+        if (new Set(signatures).size !== signatures.length) {
+            return { simplified: false, reason: 'Des termes semblables peuvent être regroupés.' };
+        }
+    }
+
+    if (node.op === '*') {
+        const factors = flatten(node, ['*']);
+        const numbers = factors.filter(isNumber);
+        if (numbers.length > 1) return { simplified: false, reason: 'Les nombres peuvent être multipliés.' };
+        if (numbers.some(n => n.type === 'num' && n.value === 1)) return { simplified: false, reason: 'Multiplication par 1 inutile.' };
+        const keys = factors.filter(f => !isNumber(f)).map(toKey);
+        if (new Set(keys).size !== keys.length) {
+            return { simplified: false, reason: 'Un produit de facteurs identiques peut s\'écrire avec une puissance.' };
+        }
+    }
+
+    for (const arg of node.args) {
+        const result = checkSimplified(arg);
+        if (!result.simplified) return result;
+    }
+    return { simplified: true };
+}
+
+module.exports = {
+    MathParseError,
+    parse,
+    evaluate,
+    collectVariables,
+    createRandom,
+    areEquivalent,
+    checkSimplified
+};
@@ -0,0 +1,134 @@
+// utils/notifications.js
+// Notifications par utilisateur. Un événement d'une classe (fichier déposé, message du professeur, annonce
+// épinglée, feuille d'exercices publiée) crée une notification pour chaque membre, sauf l'auteur de l'événement
+// et ceux qui ont désactivé ce type dans leurs préférences ; elle est aussitôt poussée dans le salon Socket.IO
+// de l'utilisateur.
+//
+// Une notification ne doit jamais faire échouer l'action qui l'a déclenchée : les appelants journalisent
+// l'erreur (.catch) sans attendre le résultat.
+const Notification = require('../models/Notification');
+const User = require('../models/user');
+const { userRoom } = require('./socketRooms');
+
+const EXCERPT_LENGTH = 80;
+
+const idOf = (value) => String(value && value._id ? value._id : value);
+
+// Professeur et élèves de la classe (documents peuplés ou simples identifiants)
+function memberIds(classroom) {
+    const ids = (classroom.students || []).map(idOf);
+    if (classroom.teacher) ids.unshift(idOf(classroom.teacher));
+    return ids;
+}
+
+// Aperçu d'un message du chat dans le titre d'une notification
+function excerpt(message) {
+    if (message.type === 'math') return 'une formule';
+    if (message.type === 'image') return 'une image';
+    if (message.type === 'file') return `le fichier « ${message.content || 'sans nom'} »`;
+    const text = (message.content || '').replace(/\s+/g, ' ').trim();
+    return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Crée et pousse une notification de type `type` pour les membres de la classe.
+ * `excludeUserIds` : membres à ne pas prévenir en plus de l'auteur (ex. ceux qui ont le chat ouvert).
+ * `onlyUserIds` : seuls ces membres sont prévenus (ex. l'élève d'une copie privée).
+ */
+async function notifyClass({ io, classroom, type, actorId, title, link, excludeUserIds = [], onlyUserIds = null }) {
+    const excluded = new Set([String(actorId), ...excludeUserIds.map(String)]);
+    const only = onlyUserIds && new Set(onlyUserIds.map(idOf));
+    const candidates = memberIds(classroom).filter(id => !excluded.has(id) && (!only || only.has(id)));
+    if (candidates.length === 0) {
+        return [];
+    }
+
+    const recipients = await User.find({
+        _id: { $in: candidates },
+        [`notificationPreferences.${type}`]: { $ne: false }
+    }).select('_id');
+    if (recipients.length === 0) {
+        return [];
+    }
+
+    const notifications = await Notification.insertMany(recipients.map(recipient => ({
+        user: recipient._id,
+        classroom: classroom._id,
+        type,
+        title,
+        link,
+        actor: actorId
+    })));
+    if (io) {
+        notifications.forEach(notification => io.to(userRoom(notification.user)).emit('notification', notification.toPayload()));
+    }
+    return notifications;
+}
+
+// Fichier déposé (ou nouvelle version) dans la bibliothèque de la classe ; copie privée : seul son élève est prévenu
+function notifyNewFile({ io, classroom, user, fileName, link, isNewVersion = false, visibleTo = null }) {
+    return notifyClass({
+        io,
+        classroom,
+        type: 'file',
+        actorId: user._id,
+        title: `${user.username} a déposé ${isNewVersion ? 'une nouvelle version de ' : ''}« ${fileName} » dans ${classroom.name}`,
+        link,
+        onlyUserIds: visibleTo ? [visibleTo] : null
+    });
+}
+
+// Message du professeur dans le chat ; ceux qui ont le chat ouvert le voient déjà
+function notifyTeacherMessage({ io, classroom, user, message, excludeUserIds }) {
+    return notifyClass({
+        io,
+        classroom,
+        type: 'teacherMessage',
+        actorId: user._id,
+        title: `${user.username} a écrit dans ${classroom.name} : ${excerpt(message)}`,
+        link: `/classes/${classroom._id}#chat`,
+        excludeUserIds
+    });
+}
+
+function notifyAnnouncement({ io, classroom, user, message }) {
+    return notifyClass({
+        io,
+        classroom,
+        type: 'announcement',
+        actorId: user._id,
+        title: `Annonce dans ${classroom.name} : ${excerpt(message)}`,
+        link: `/classes/${classroom._id}#chat`
+    });
+}
+
+// Feuille de la banque d'exercices publiée dans la classe
+function notifySheetPublished({ io, classroom, user, sheet }) {
+    return notifyClass({
+        io,
+        classroom,
+        type: 'sheet',
+        actorId: user._id,
+        title: `Nouvelle feuille d'exercices dans ${classroom.name} : « ${sheet.title} »`,
+        link: `/classes/${classroom._id}/sheets/${sheet._id}`
+    });
+}
+
+// Marque des notifications comme lues (`ids` absent : toutes) et met à jour les compteurs des autres onglets
+async function markRead({ io, userId, ids = null }) {
+    await Notification.markRead(userId, ids);
+    const unreadCount = await Notification.countUnread(userId);
+    if (io) {
+        io.to(userRoom(userId)).emit('notificationsRead', { unreadCount });
+    }
+    return unreadCount;
+}
+
+module.exports = {
+    notifyClass,
+    notifyNewFile,
+    notifyTeacherMessage,
+    notifyAnnouncement,
+    notifySheetPublished,
+    markRead
+};
@@ -0,0 +1,172 @@
+// utils/pdfAnnotations.js
+// Correction des copies PDF dans le navigateur : le professeur dessine, surligne, ajoute des commentaires
+// et des notes LaTeX sur chaque page (models/PdfAnnotation.js), puis exporte la copie annotée dans la
+// bibliothèque de la classe, catégorie Correction (routes/annotationRoutes.js).
+//
+// Documents annotables : les PDF de la bibliothèque (classroom.files) et les PDF joints dans le chat.
+// Les annotations sont visibles du professeur et de l'auteur du document (l'élève, sur sa propre copie).
+// Un refus est signalé par une AnnotationError dont le message est affichable.
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const PdfAnnotation = require('../models/PdfAnnotation');
+const { can } = require('./accessPolicy');
+const { validateLatex } = require('./latex');
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const ID_PATTERN = /^[\w-]{1,64}$/;
+const MAX_WIDTH = 20;
+const MAX_PAGE = 2000;
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_LATEX_LENGTH = 300;
+
+class AnnotationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AnnotationError';
+    }
+}
+
+function isPdf(mimeType, name) {
+    return mimeType === 'application/pdf' || /\.pdf$/i.test(name || '');
+}
+
+/**
+ * Document PDF annotable d'une classe : { kind, id, fileName, ownerId, folder, descriptor }, ou null.
+ * `descriptor` est la description attendue par utils/storage pour relire le fichier.
+ */
+async function findPdfSource(classroom, kind, sourceId) {
+    if (!PdfAnnotation.SOURCE_KINDS.includes(kind) || !mongoose.isValidObjectId(sourceId)) {
+        return null;
+    }
+
+    if (kind === 'file') {
+        const file = classroom.files.id(sourceId);
+        if (!file || !isPdf(file.fileMimeType, file.fileName)) {
+            return null;
+        }
+        return {
+            kind,
+            id: file._id,
+            fileName: file.fileName,
+            ownerId: file.uploader,
+            folder: file.folder || '',
+            descriptor: { driver: file.storageDriver, key: file.publicId, url: file.filePath, mimeType: file.fileMimeType }
+        };
+    }
+
+    const message = await Message.findOne({ _id: sourceId, classroom: classroom._id, type: 'file', deletedAt: null });
+    if (!message || !message.fileUrl || !isPdf(message.fileType, message.fileUrl)) {
+        return null;
+    }
+    return {
+        kind,
+        id: message._id,
+        fileName: message.content || 'Document.pdf',
+        ownerId: message.sender,
+        folder: '',
+        descriptor: { ...message.attachmentDescriptor(), mimeType: 'application/pdf' }
+    };
+}
+
+function canEditAnnotations(user, classroom) {
+    return can(user, 'annotation.edit', classroom);
+}
+
+// Le professeur, et l'élève sur sa propre copie
+function canViewAnnotations(user, classroom, source) {
+    return canEditAnnotations(user, classroom) || String(source.ownerId) === String(user._id);
+}
+
+// Nombre de coordonnées attendu pour chaque type d'élément
+function pointsAreValid(kind, points) {
+    if (kind === 'stroke') return points.length >= 2 && points.length % 2 === 0 && points.length <= PdfAnnotation.MAX_POINTS;
+    if (kind === 'highlight') return points.length === 4;
+    return points.length === 2;
+}
+
+// Élément reçu du navigateur -> élément enregistrable, ou AnnotationError
+function sanitizeElement(raw, user) {
+    if (!raw || typeof raw !== 'object') {
+        throw new AnnotationError('Annotation invalide.');
+    }
+    const page = parseInt(raw.page, 10);
+    if (typeof raw.id !== 'string' || !ID_PATTERN.test(raw.id) || !PdfAnnotation.ELEMENT_KINDS.includes(raw.kind)
+        || !(page >= 1 && page <= MAX_PAGE)) {
+        throw new AnnotationError('Annotation invalide.');
+    }
+
+    const points = Array.isArray(raw.points) ? raw.points.map(Number) : [];
+    if (!points.every(Number.isFinite) || !pointsAreValid(raw.kind, points)) {
+        throw new AnnotationError('Annotation invalide.');
+    }
+
+    const element = {
+        id: raw.id,
+        page,
+        kind: raw.kind,
+        author: user._id,
+        color: typeof raw.color === 'string' && COLOR_PATTERN.test(raw.color) ? raw.color : '#d32f2f',
+        width: Math.min(Math.max(parseInt(raw.width, 10) || 3, 1), MAX_WIDTH),
+        // Coordonnées relatives, dans la page
+        points: points.map(value => Math.round(Math.min(Math.max(value, 0), 1) * 10000) / 10000),
+        text: '',
+        createdAt: new Date()
+    };
+
+    const text = typeof raw.text === 'string' ? raw.text.trim() : '';
+    if (raw.kind === 'comment') {
+        if (!text || text.length > MAX_COMMENT_LENGTH) {
+            throw new AnnotationError(`Un commentaire contient entre 1 et ${MAX_COMMENT_LENGTH} caractères.`);
+        }
+        element.text = text;
+    }
+    if (raw.kind === 'latex') {
+        const check = validateLatex(text);
+        if (!check.valid) {
+            throw new AnnotationError(check.error);
+        }
+        if (!check.latex || check.latex.length > MAX_LATEX_LENGTH) {
+            throw new AnnotationError(`Une note LaTeX contient entre 1 et ${MAX_LATEX_LENGTH} caractères.`);
+        }
+        element.text = check.latex;
+    }
+    return element;
+}
+
+async function addElement({ classroom, user, source, element }) {
+    const clean = sanitizeElement(element, user);
+    const layer = await PdfAnnotation.forSource(classroom._id, source);
+    if (layer.elements.length >= PdfAnnotation.MAX_ELEMENTS) {
+        throw new AnnotationError(`Un document porte au plus ${PdfAnnotation.MAX_ELEMENTS} annotations.`);
+    }
+    // Élément renvoyé après une erreur réseau : déjà enregistré
+    await PdfAnnotation.updateOne(
+        { _id: layer._id, 'elements.id': { $ne: clean.id } },
+        { $push: { elements: clean }, $set: { updatedAt: new Date(), updatedBy: user._id } }
+    );
+    return PdfAnnotation.elementPayload(clean);
+}
+
+async function removeElement({ classroom, user, source, elementId }) {
+    await PdfAnnotation.updateOne(
+        { classroom: classroom._id, 'source.kind': source.kind, 'source.id': source.id },
+        { $pull: { elements: { id: String(elementId) } }, $set: { updatedAt: new Date(), updatedBy: user._id } }
+    );
+}
+
+// « copie.pdf » -> « Correction - copie.pdf »
+function correctionFileName(fileName) {
+    const baseName = fileName.replace(/\.[^.]*$/, '') || 'Document';
+    return `Correction - ${baseName}.pdf`;
+}
+
+module.exports = {
+    AnnotationError,
+    findPdfSource,
+    canEditAnnotations,
+    canViewAnnotations,
+    sanitizeElement,
+    addElement,
+    removeElement,
+    correctionFileName
+};
@@ -0,0 +1,163 @@
+// utils/presence.js
+// Présence en direct dans les salons de chat des classes : qui est connecté, qui est en train d'écrire.
+//
+// Un utilisateur peut ouvrir la classe dans plusieurs onglets (une socket par onglet) : il est en ligne
+// tant qu'au moins une de ses sockets est dans le salon. Quand la dernière part, il ne passe hors ligne
+// qu'après OFFLINE_GRACE_MS, pour qu'un rechargement de page ou une reconnexion ne fasse pas clignoter la liste.
+//
+// L'état est gardé en mémoire (comme les salons Socket.IO eux-mêmes) : après un redémarrage du serveur,
+// les clients se reconnectent et renvoient 'joinRoom', ce qui reconstruit la liste.
+//
+// Événements émis : 'online' (classroomId, member), 'offline' (classroomId, member, lastSeenAt),
+// 'typing' (classroomId, member, isTyping). member = { userId, username, role }.
+const EventEmitter = require('events');
+
+const OFFLINE_GRACE_MS = 10 * 1000;
+const TYPING_TIMEOUT_MS = 6 * 1000; // Le client renouvelle l'indication toutes les 3 s tant que l'on écrit
+
+class PresenceTracker extends EventEmitter {
+
+    constructor({ offlineGraceMs = OFFLINE_GRACE_MS, typingTimeoutMs = TYPING_TIMEOUT_MS } = {}) {
+        super();
+        this.offlineGraceMs = offlineGraceMs;
+        this.typingTimeoutMs = typingTimeoutMs;
+        this.rooms = new Map(); // classroomId -> Map(userId -> entry)
+        this.socketRooms = new Map(); // socketId -> Set(classroomId)
+    }
+
+    join(classroomId, socketId, user) {
+        const roomId = String(classroomId);
+        const userId = String(user._id);
+        if (!this.rooms.has(roomId)) {
+            this.rooms.set(roomId, new Map());
+        }
+        const room = this.rooms.get(roomId);
+
+        let entry = room.get(userId);
+        const isNew = !entry;
+        if (isNew) {
+            entry = {
+                member: { userId, username: user.username, role: user.role },
+                sockets: new Set(),
+                typing: new Map(), // socketId -> timer
+                offlineTimer: null
+            };
+            room.set(userId, entry);
+        }
+        // Retour dans le délai de grâce : l'utilisateur n'a jamais été annoncé hors ligne
+        if (entry.offlineTimer) {
+            clearTimeout(entry.offlineTimer);
+            entry.offlineTimer = null;
+        }
+        entry.sockets.add(socketId);
+
+        if (!this.socketRooms.has(socketId)) {
+            this.socketRooms.set(socketId, new Set());
+        }
+        this.socketRooms.get(socketId).add(roomId);
+
+        if (isNew) {
+            this.emit('online', roomId, entry.member);
+        }
+    }
+
+    leave(classroomId, socketId) {
+        const roomId = String(classroomId);
+        const room = this.rooms.get(roomId);
+        const socketRooms = this.socketRooms.get(socketId);
+        if (socketRooms) {
+            socketRooms.delete(roomId);
+            if (socketRooms.size === 0) this.socketRooms.delete(socketId);
+        }
+        if (!room) return;
+
+        for (const [userId, entry] of room) {
+            if (!entry.sockets.has(socketId)) continue;
+
+            this.setTyping(roomId, socketId, false);
+            entry.sockets.delete(socketId);
+            if (entry.sockets.size === 0 && !entry.offlineTimer) {
+                entry.offlineTimer = setTimeout(() => {
+                    room.delete(userId);
+                    if (room.size === 0) this.rooms.delete(roomId);
+                    this.emit('offline', roomId, entry.member, new Date());
+                }, this.offlineGraceMs);
+            }
+        }
+    }
+
+    // Socket déconnectée : elle quitte tous ses salons
+    leaveAll(socketId) {
+        const socketRooms = this.socketRooms.get(socketId);
+        if (!socketRooms) return;
+        for (const roomId of [...socketRooms]) {
+            this.leave(roomId, socketId);
+        }
+    }
+
+    // Utilisateur retiré de la classe : hors ligne tout de suite, sans délai de grâce
+    removeMember(classroomId, userId) {
+        const roomId = String(classroomId);
+        const room = this.rooms.get(roomId);
+        const entry = room && room.get(String(userId));
+        if (!entry) return;
+
+        for (const socketId of entry.sockets) {
+            this.setTyping(roomId, socketId, false);
+            const socketRooms = this.socketRooms.get(socketId);
+            if (socketRooms) {
+                socketRooms.delete(roomId);
+                if (socketRooms.size === 0) this.socketRooms.delete(socketId);
+            }
+        }
+        clearTimeout(entry.offlineTimer);
+        room.delete(String(userId));
+        if (room.size === 0) this.rooms.delete(roomId);
+        this.emit('offline', roomId, entry.member, new Date());
+    }
+
+    /**
+     * Indication « en train d'écrire » venant d'un onglet. Un utilisateur écrit si l'un de ses onglets écrit ;
+     * l'événement n'est émis que lorsque cet état change. Retourne false si la socket n'est pas dans le salon.
+     */
+    setTyping(classroomId, socketId, isTyping) {
+        const entry = this.entryForSocket(String(classroomId), socketId);
+        if (!entry) return false;
+
+        const wasTyping = entry.typing.size > 0;
+        clearTimeout(entry.typing.get(socketId));
+        entry.typing.delete(socketId);
+        if (isTyping) {
+            // Onglet fermé ou client muet : l'indication s'efface d'elle-même
+            entry.typing.set(socketId, setTimeout(() => this.setTyping(classroomId, socketId, false), this.typingTimeoutMs));
+        }
+
+        const nowTyping = entry.typing.size > 0;
+        if (nowTyping !== wasTyping) {
+            this.emit('typing', String(classroomId), entry.member, nowTyping);
+        }
+        return true;
+    }
+
+    // Membres en ligne d'une classe (état initial envoyé à une socket qui rejoint le salon)
+    members(classroomId) {
+        const room = this.rooms.get(String(classroomId));
+        if (!room) return [];
+        return [...room.values()].map(entry => ({ ...entry.member, typing: entry.typing.size > 0 }));
+    }
+
+    entryForSocket(roomId, socketId) {
+        const room = this.rooms.get(roomId);
+        if (!room) return null;
+        for (const entry of room.values()) {
+            if (entry.sockets.has(socketId)) return entry;
+        }
+        return null;
+    }
+}
+
+module.exports = {
+    PresenceTracker,
+    OFFLINE_GRACE_MS,
+    TYPING_TIMEOUT_MS
+};
@@ -0,0 +1,10 @@
+// utils/redirectWith.js
+// Redirige en passant un message ou une erreur dans l'URL (?message=... / ?error=...),
+// affiché ensuite par la vue (même principe que le tableau de bord professeur).
+function redirectWith(res, url, key, text) {
+    const [path, hash] = url.split('#');
+    const separator = path.includes('?') ? '&' : '?';
+    res.redirect(`${path}${separator}${key}=${encodeURIComponent(text)}${hash ? '#' + hash : ''}`);
+}
+
+module.exports = redirectWith;
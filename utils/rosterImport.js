@@ -0,0 +1,230 @@
+// utils/rosterImport.js
+// Import d'une liste d'élèves (CSV) : lecture des noms, noms d'utilisateur proposés,
+// détection des doublons, puis mots de passe provisoires pour la fiche des identifiants.
+const crypto = require('crypto');
+const csv = require('./csv');
+
+const MAX_ROWS = 200;
+const MAX_USERNAME_LENGTH = 30;
+
+// En-têtes reconnus (comparés sans accents ni majuscules)
+const HEADER_ALIASES = {
+    lastName: ['nom', 'nom de famille', 'last name', 'lastname', 'surname'],
+    firstName: ['prenom', 'first name', 'firstname'],
+    fullName: ['eleve', 'nom complet', 'nom et prenom', 'name', 'full name'],
+    username: ['nom d\'utilisateur', 'identifiant', 'login', 'username'],
+    email: ['email', 'e-mail', 'courriel', 'adresse e-mail', 'adresse email']
+};
+
+function simplify(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+// Index des colonnes d'après la ligne d'en-tête, ou null si la première ligne n'est pas un en-tête
+function readHeader(cells) {
+    const columns = {};
+    cells.forEach((cell, index) => {
+        const label = simplify(cell);
+        Object.keys(HEADER_ALIASES).forEach(field => {
+            if (columns[field] === undefined && HEADER_ALIASES[field].includes(label)) {
+                columns[field] = index;
+            }
+        });
+    });
+    return Object.keys(columns).length > 0 ? columns : null;
+}
+
+// « DUPONT Marie » / « Marie Dupont » -> { firstName, lastName } (les mots en majuscules sont le nom de famille)
+function splitFullName(fullName) {
+    const words = fullName.split(/\s+/).filter(Boolean);
+    if (words.length < 2) {
+        return { firstName: '', lastName: words[0] || '' };
+    }
+    const upper = words.filter(word => word.length > 1 && word === word.toUpperCase() && /\p{L}/u.test(word));
+    if (upper.length > 0 && upper.length < words.length) {
+        return {
+            firstName: words.filter(word => !upper.includes(word)).join(' '),
+            lastName: upper.join(' ')
+        };
+    }
+    return { firstName: words[0], lastName: words.slice(1).join(' ') };
+}
+
+// Met un nom en forme pour l'affichage : « DUPONT » -> « Dupont », « jean-pierre » -> « Jean-Pierre »
+function capitalize(name) {
+    return name.toLowerCase().replace(/(^|[\s'-])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+/**
+ * Lit le CSV de la liste de classe. Colonnes acceptées, avec ou sans ligne d'en-tête :
+ * « Nom ; Prénom » (défaut sans en-tête), ou une seule colonne « Prénom Nom », plus en option
+ * « Nom d'utilisateur » et « E-mail » quand l'en-tête les nomme.
+ * Retourne { rows: [{ line, firstName, lastName, username, email }], errors }.
+ */
+function parseRoster(text) {
+    const table = csv.parse(text);
+    const result = { rows: [], errors: [] };
+    if (table.length === 0) {
+        result.errors.push('Le fichier est vide.');
+        return result;
+    }
+
+    let columns = readHeader(table[0]);
+    let firstLine = 2;
+    if (!columns) {
+        columns = table[0].length >= 2 ? { lastName: 0, firstName: 1 } : { fullName: 0 };
+        firstLine = 1;
+    }
+    const dataRows = table.slice(firstLine - 1);
+
+    if (dataRows.length > MAX_ROWS) {
+        result.errors.push(`Le fichier contient ${dataRows.length} élèves : ${MAX_ROWS} au maximum par import.`);
+        return result;
+    }
+
+    const cell = (cells, field) => (columns[field] !== undefined ? (cells[columns[field]] || '').trim() : '');
+
+    dataRows.forEach((cells, index) => {
+        let firstName = cell(cells, 'firstName');
+        let lastName = cell(cells, 'lastName');
+        if (!firstName && !lastName && cell(cells, 'fullName')) {
+            ({ firstName, lastName } = splitFullName(cell(cells, 'fullName')));
+        }
+        result.rows.push({
+            line: firstLine + index,
+            firstName: capitalize(firstName),
+            lastName: capitalize(lastName),
+            username: cell(cells, 'username'),
+            email: cell(cells, 'email').toLowerCase()
+        });
+    });
+
+    if (result.rows.length === 0) {
+        result.errors.push('Aucun élève trouvé dans le fichier.');
+    }
+    return result;
+}
+
+// « Marie-Hélène », « D'Alembert » -> « marie-helene.dalembert »
+function baseUsername(firstName, lastName) {
+    const part = (text) => simplify(text).replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '').replace(/-+/g, '-').replace(/^-|-$/g, '');
+    const base = [part(firstName), part(lastName)].filter(Boolean).join('.');
+    // 3 caractères minimum (règle du modèle User) et place pour un suffixe numérique
+    return (base.length >= 3 ? base : `${base || 'eleve'}.eleve`).slice(0, MAX_USERNAME_LENGTH - 3);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Prépare l'import sans rien enregistrer (c'est aussi l'aperçu « à blanc »).
+ * `User` est le modèle Mongoose, interrogé une fois pour les noms d'utilisateur et une fois pour les e-mails.
+ * Chaque ligne reçoit status 'create' (avec le nom d'utilisateur retenu) ou 'skip',
+ * et des messages : warnings (import quand même) / errors (ligne ignorée).
+ */
+async function planImport(User, rows) {
+    const candidates = rows.map(row => ({
+        ...row,
+        base: row.username ? null : baseUsername(row.firstName, row.lastName)
+    }));
+
+    // Comptes existants susceptibles d'entrer en conflit avec les noms proposés
+    const bases = [...new Set(candidates.filter(c => c.base).map(c => c.base))];
+    const explicit = candidates.filter(c => c.username).map(c => c.username);
+    const conditions = [];
+    if (bases.length > 0) {
+        conditions.push({ username: { $regex: `^(${bases.map(escapeRegExp).join('|')})\\d*$`, $options: 'i' } });
+    }
+    if (explicit.length > 0) {
+        conditions.push({ username: { $in: explicit } });
+    }
+    const existing = conditions.length > 0 ? await User.find({ $or: conditions }).select('username') : [];
+    const taken = new Set(existing.map(user => user.username.toLowerCase()));
+    const existingBases = new Set(taken);
+
+    const emails = candidates.map(c => c.email).filter(Boolean);
+    const usedEmails = new Set(emails.length > 0
+        ? (await User.find({ email: { $in: emails } }).select('email')).map(user => user.email)
+        : []);
+
+    const seenNames = new Map(); // « prénom nom » -> ligne, pour les doublons dans le fichier
+    const seenEmails = new Set();
+
+    return candidates.map(candidate => {
+        const entry = {
+            line: candidate.line,
+            firstName: candidate.firstName,
+            lastName: candidate.lastName,
+            email: candidate.email,
+            username: '',
+            status: 'create',
+            warnings: [],
+            errors: []
+        };
+
+        if (!candidate.firstName && !candidate.lastName) {
+            entry.errors.push('Nom manquant.');
+        }
+
+        const nameKey = simplify(`${candidate.firstName} ${candidate.lastName}`);
+        if (nameKey && seenNames.has(nameKey)) {
+            entry.errors.push(`Doublon de la ligne ${seenNames.get(nameKey)} dans le fichier.`);
+        } else if (nameKey) {
+            seenNames.set(nameKey, candidate.line);
+        }
+
+        if (candidate.email) {
+            if (User.emailError(candidate.email)) {
+                entry.errors.push(`Adresse e-mail « ${candidate.email} » invalide.`);
+            } else if (usedEmails.has(candidate.email) || seenEmails.has(candidate.email)) {
+                entry.errors.push(`L'adresse e-mail « ${candidate.email} » est déjà utilisée.`);
+            }
+            seenEmails.add(candidate.email);
+        }
+
+        if (candidate.username) {
+            if (candidate.username.length < 3 || candidate.username.length > MAX_USERNAME_LENGTH) {
+                entry.errors.push(`Nom d'utilisateur « ${candidate.username} » invalide (3 à ${MAX_USERNAME_LENGTH} caractères).`);
+            } else if (taken.has(candidate.username.toLowerCase())) {
+                entry.errors.push(`Le nom d'utilisateur « ${candidate.username} » est déjà pris.`);
+            } else {
+                entry.username = candidate.username;
+            }
+        } else if (candidate.base) {
+            let username = candidate.base;
+            for (let suffix = 2; taken.has(username.toLowerCase()); suffix++) {
+                username = `${candidate.base}${suffix}`;
+            }
+            if (existingBases.has(candidate.base.toLowerCase())) {
+                entry.warnings.push(`Un compte « ${candidate.base} » existe déjà : s'il s'agit du même élève, inscrivez-le plutôt avec le code de la classe.`);
+            }
+            entry.username = username;
+        }
+
+        if (entry.errors.length > 0) {
+            entry.status = 'skip';
+            entry.username = '';
+        } else {
+            taken.add(entry.username.toLowerCase());
+        }
+        return entry;
+    });
+}
+
+// Mot de passe provisoire facile à recopier : 4 lettres et 4 chiffres (sans l, o, i)
+function generateTemporaryPassword() {
+    const letters = 'abcdefghjkmnpqrstuvwxyz';
+    let password = '';
+    for (let i = 0; i < 4; i++) password += letters[crypto.randomInt(letters.length)];
+    for (let i = 0; i < 4; i++) password += crypto.randomInt(10);
+    return password;
+}
+
+module.exports = {
+    MAX_ROWS,
+    parseRoster,
+    planImport,
+    baseUsername,
+    generateTemporaryPassword
+};
@@ -0,0 +1,241 @@
+// utils/searchIndex.js
+// Recherche dans une classe (ou dans toutes les classes d'un professeur) : messages du chat, noms et catégories
+// des fichiers de la bibliothèque, texte des PDF et DOCX (utils/textExtraction.js).
+//
+// L'index (models/SearchEntry.js) est mis à jour par les routes et les événements qui enregistrent quelque chose :
+// nouveau message (socket 'chatMessage', POST /classes/:id/messages), message modifié ou supprimé
+// (utils/chatModeration.js), fichier déposé, renommé, déplacé, remplacé ou supprimé (routes/fileRoutes.js),
+// image du tableau blanc et copie annotée enregistrées dans la bibliothèque.
+// Ces appels ne bloquent jamais l'enregistrement : index*(...).catch(error => console.error(...)).
+// `npm run search:reindex` reconstruit l'index des données existantes.
+const SearchEntry = require('../models/SearchEntry');
+const storage = require('./storage');
+const { extractTextInBackground, isExtractable } = require('./textExtraction');
+
+const MAX_RESULTS = 50;
+const SNIPPET_LENGTH = 220;
+const ATTACHMENT_TYPES = ['file', 'image']; // Messages dont le contenu est le nom du fichier joint
+
+function idOf(value) {
+    return value && value._id ? value._id : value;
+}
+
+// --- Mise à jour de l'index ---
+
+// Texte d'un fichier : depuis le fichier reçu s'il est fourni, sinon relu dans le stockage
+async function fileText({ buffer = null, descriptor, mimeType, fileName }) {
+    if (!isExtractable(mimeType, fileName)) {
+        return '';
+    }
+    const contents = buffer || await storage.readFile(descriptor);
+    return extractTextInBackground(contents, mimeType, fileName);
+}
+
+// Nouveau message, message modifié ou supprimé (un message supprimé sort de l'index)
+async function indexMessage(message) {
+    if (message.deletedAt) {
+        return removeEntry('message', message._id);
+    }
+
+    const entry = {
+        classroom: idOf(message.classroom),
+        author: idOf(message.sender),
+        date: message.timestamp,
+        category: SearchEntry.CHAT_CATEGORY,
+        messageType: message.type,
+        parent: message.parent || null,
+        title: '',
+        text: message.content || ''
+    };
+    if (ATTACHMENT_TYPES.includes(message.type)) {
+        entry.title = message.content || '';
+        entry.text = message.fileUrl
+            ? await fileText({ descriptor: message.attachmentDescriptor(), mimeType: message.fileType, fileName: message.content || '' })
+            : '';
+    }
+    await SearchEntry.updateOne({ kind: 'message', ref: message._id }, { $set: entry }, { upsert: true });
+}
+
+/**
+ * Fichier de la bibliothèque (élément de classroom.files).
+ * `buffer` : contenu reçu au dépôt ou au remplacement, dont le texte est extrait ; sans lui (renommage,
+ * déplacement) seuls le nom, le dossier et la catégorie changent et le texte déjà extrait est gardé.
+ */
+async function indexFile(classroom, file, buffer = null) {
+    const update = {
+        $set: {
+            classroom: classroom._id,
+            author: file.uploader || null,
+            date: file.uploadDate,
+            category: file.category,
+            title: file.fileName,
+            folder: file.folder || '',
+            visibleTo: file.visibleTo || null
+        }
+    };
+    const text = buffer ? await fileText({ buffer, mimeType: file.fileMimeType, fileName: file.fileName }) : null;
+    if (text !== null) {
+        update.$set.text = text;
+    } else {
+        update.$setOnInsert = { text: '' };
+    }
+    await SearchEntry.updateOne({ kind: 'file', ref: file._id }, update, { upsert: true });
+}
+
+// Dossier renommé : tous les fichiers de la classe gardent leur texte, seul leur dossier change
+async function indexFolders(classroom) {
+    if (classroom.files.length === 0) return;
+    await SearchEntry.bulkWrite(classroom.files.map(file => ({
+        updateOne: {
+            filter: { kind: 'file', ref: file._id },
+            update: { $set: { folder: file.folder || '' } }
+        }
+    })));
+}
+
+function removeEntry(kind, ref) {
+    return SearchEntry.deleteOne({ kind, ref: idOf(ref) });
+}
+
+// --- Recherche ---
+
+// Minuscules sans accents, caractère par caractère (même longueur que le texte d'origine)
+function fold(text) {
+    return Array.from(text, char => {
+        const folded = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        return folded.length === char.length ? folded : char.toLowerCase().slice(0, char.length).padEnd(char.length, ' ');
+    }).join('');
+}
+
+// Mots de la recherche à surligner (les mots exclus « -mot » ne le sont pas).
+// Un mot est surligné sous toutes ses formes (« dérivées » surligne « dérivée ») : on garde sa racine approximative.
+function highlightTerms(q) {
+    return (q.match(/-?[\p{L}\p{N}]+/gu) || [])
+        .filter(word => !word.startsWith('-'))
+        .map(word => fold(word))
+        .map(word => (word.length > 5 ? word.slice(0, word.length - 2) : word));
+}
+
+/**
+ * Texte découpé pour l'affichage : [{ text, match }], `match` vrai pour les mots trouvés.
+ * Un texte long est réduit à un extrait autour de la première occurrence.
+ */
+function highlight(text, terms, maxLength = SNIPPET_LENGTH) {
+    const source = text || '';
+    const folded = fold(source);
+    const ranges = [];
+    const words = /[\p{L}\p{N}]+/gu;
+    let word;
+    while ((word = words.exec(folded))) {
+        if (terms.some(term => word[0].startsWith(term))) {
+            ranges.push([word.index, word.index + word[0].length]);
+        }
+    }
+
+    let start = 0;
+    let end = source.length;
+    if (maxLength && source.length > maxLength) {
+        start = ranges.length ? Math.max(0, ranges[0][0] - Math.floor(maxLength / 3)) : 0;
+        end = Math.min(source.length, start + maxLength);
+        // Coupe entre deux mots
+        const space = source.lastIndexOf(' ', start);
+        if (start > 0 && space !== -1 && start - space < 20) start = space + 1;
+        const nextSpace = source.indexOf(' ', end);
+        if (end < source.length && nextSpace !== -1 && nextSpace - end < 20) end = nextSpace;
+    }
+
+    const segments = [];
+    const push = (from, to, match) => {
+        if (to > from) segments.push({ text: source.slice(from, to), match });
+    };
+    if (start > 0) segments.push({ text: '… ', match: false });
+    let position = start;
+    ranges.filter(([from, to]) => to > start && from < end).forEach(([from, to]) => {
+        push(position, Math.max(from, position), false);
+        push(Math.max(from, position), Math.min(to, end), true);
+        position = Math.min(to, end);
+    });
+    push(position, end, false);
+    if (end < source.length) segments.push({ text: ' …', match: false });
+    return segments;
+}
+
+// Date d'un champ <input type="date"> (AAAA-MM-JJ), ou null ; `endOfDay` pour une date de fin incluse
+function parseDay(value, endOfDay = false) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return null;
+    }
+    const date = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}`);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Lit les filtres de la page de recherche (query string) : { q, sender, from, to, category }.
+ * `senders` et `categories` sont les valeurs acceptées ; une valeur inconnue est ignorée.
+ */
+function readFilters(query, { senders = [], categories = [] } = {}) {
+    const q = typeof query.q === 'string' ? query.q.trim().slice(0, 200) : '';
+    return {
+        q,
+        sender: senders.includes(query.sender) ? query.sender : '',
+        from: parseDay(query.from) ? query.from : '',
+        to: parseDay(query.to) ? query.to : '',
+        category: categories.includes(query.category) ? query.category : ''
+    };
+}
+
+function hasCriteria(filters) {
+    return Boolean(filters.q || filters.sender || filters.from || filters.to || filters.category);
+}
+
+/**
+ * Recherche dans les classes `classroomIds`. Avec des mots : résultats classés par pertinence
+ * (nom de fichier d'abord, voir les poids de l'index), sinon les plus récents correspondant aux filtres.
+ * Les copies privées ne sont trouvées que par leur élève (`viewerId`) et dans les classes `managedClassroomIds`.
+ * Retourne au plus MAX_RESULTS entrées, avec `titleSegments` et `snippet` surlignés.
+ */
+async function search(classroomIds, filters, { viewerId, managedClassroomIds = [] }) {
+    const query = {
+        classroom: { $in: classroomIds },
+        $or: [{ visibleTo: null }, { visibleTo: viewerId }, { classroom: { $in: managedClassroomIds } }]
+    };
+    if (filters.q) query.$text = { $search: filters.q };
+    if (filters.sender) query.author = filters.sender;
+    if (filters.category) query.category = filters.category;
+    const from = parseDay(filters.from);
+    const to = parseDay(filters.to, true);
+    if (from || to) {
+        query.date = {};
+        if (from) query.date.$gte = from;
+        if (to) query.date.$lte = to;
+    }
+
+    const cursor = filters.q
+        ? SearchEntry.find(query, { score: { $meta: 'textScore' } }).sort({ score: { $meta: 'textScore' }, date: -1 })
+        : SearchEntry.find(query).sort({ date: -1 });
+    const entries = await cursor
+        .limit(MAX_RESULTS)
+        .populate('author', 'username')
+        .populate('classroom', 'name')
+        .lean();
+
+    const terms = filters.q ? highlightTerms(filters.q) : [];
+    return entries.map(entry => ({
+        ...entry,
+        titleSegments: highlight(entry.title, terms, 0),
+        snippet: highlight(entry.text, terms)
+    }));
+}
+
+module.exports = {
+    MAX_RESULTS,
+    indexMessage,
+    indexFile,
+    indexFolders,
+    removeEntry,
+    highlight,
+    highlightTerms,
+    readFilters,
+    hasCriteria,
+    search
+};
@@ -0,0 +1,31 @@
+// utils/sendStoredFile.js
+// Envoie un fichier stocké (utils/storage) en réponse à une route qui a déjà vérifié l'accès :
+// lien temporaire du stockage distant (Cloudinary, GCS) ou, pour le disque du serveur, le fichier lui-même.
+// Les images et les PDF peuvent être affichés dans la page (chat, aperçu) ; les autres types sont toujours
+// téléchargés, pour qu'un fichier HTML ou SVG déposé ne s'exécute jamais sur le site.
+const storage = require('./storage');
+
+const INLINE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf'];
+
+// descriptor : { driver, key, url, mimeType } ; inline : afficher dans la page plutôt que télécharger
+async function sendStoredFile(res, descriptor, { fileName, inline = false }) {
+    const showInline = inline && INLINE_TYPES.includes(descriptor.mimeType);
+    if (!showInline) {
+        const link = await storage.temporaryDownloadUrl(descriptor, { fileName });
+        if (link) {
+            return res.redirect(link);
+        }
+    }
+
+    const contents = await storage.readFile(descriptor);
+    res.set('Cache-Control', 'private, no-cache');
+    res.set('X-Content-Type-Options', 'nosniff');
+    if (showInline) {
+        res.set('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+    } else {
+        res.attachment(fileName);
+    }
+    res.type(descriptor.mimeType || 'application/octet-stream').send(contents);
+}
+
+module.exports = sendStoredFile;
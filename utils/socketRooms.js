@@ -0,0 +1,32 @@
+// utils/socketRooms.js
+// Noms des salons Socket.IO. Chaque socket rejoint le salon de son utilisateur à la connexion,
+// le salon d'une classe avec 'joinRoom', et le professeur aussi le salon des modérateurs de la classe.
+
+// Tous les membres connectés au chat d'une classe
+const classRoom = (classroomId) => String(classroomId);
+
+// Professeur(s) de la classe : signalements, état de la modération
+const moderatorsRoom = (classroomId) => `${classroomId}:moderators`;
+
+// Tous les onglets d'un utilisateur : sanctions du chat, notifications
+const userRoom = (userId) => `user:${userId}`;
+
+// Élève retiré d'une classe ou qui la quitte : ses onglets ouverts ne reçoivent plus le chat, le tableau blanc
+// ni les quiz de la classe, et il disparaît de la liste des présents
+function disconnectFromClass(app, classroomId, userId) {
+    const io = app.get('io');
+    if (io) {
+        io.in(userRoom(userId)).socketsLeave(classRoom(classroomId));
+    }
+    const presence = app.get('presence');
+    if (presence) {
+        presence.removeMember(classRoom(classroomId), userId);
+    }
+}
+
+module.exports = {
+    classRoom,
+    moderatorsRoom,
+    userRoom,
+    disconnectFromClass
+};
@@ -0,0 +1,134 @@
+// utils/storage/cloudinaryDriver.js
+// Stores files on Cloudinary. Images are public; PDF and Word documents are 'raw' + 'authenticated'.
+const cloudinary = require('cloudinary').v2;
+
+cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+const DOCUMENT_MIME_TYPES = [
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+
+function resourceTypeFor(mimeType) {
+    if (mimeType && mimeType.startsWith('image/')) return 'image';
+    if (DOCUMENT_MIME_TYPES.includes(mimeType)) return 'raw';
+    return 'auto';
+}
+
+// Parses https://res.cloudinary.com/<cloud>/<resource>/<type>/[s--sig--/][v123/]<publicId>
+function parseUrl(url) {
+    const match = /res\.cloudinary\.com\/[^/]+\/(image|raw|video)\/(upload|authenticated|private)\/(?:s--[^/]+--\/)?(?:v\d+\/)?([^?]+)/.exec(url);
+    if (!match) return null;
+    let publicId = decodeURIComponent(match[3]);
+    // For images the public_id does not include the file extension
+    if (match[1] === 'image') {
+        publicId = publicId.replace(/\.[^./]+$/, '');
+    }
+    return { resourceType: match[1], type: match[2], publicId };
+}
+
+// Resource and delivery types of a stored file, from its URL when possible, otherwise from its MIME type
+function locate({ key, url, mimeType }) {
+    const parsed = url ? parseUrl(url) : null;
+    if (parsed) {
+        return { ...parsed, publicId: key || parsed.publicId };
+    }
+    const resourceType = resourceTypeFor(mimeType);
+    return { resourceType, type: resourceType === 'raw' ? 'authenticated' : 'upload', publicId: key };
+}
+
+module.exports = {
+    name: 'cloudinary',
+    resourceTypeFor,
+
+    owns(url) {
+        return typeof url === 'string' && url.includes('res.cloudinary.com/');
+    },
+
+    keyFromUrl(url) {
+        const parsed = parseUrl(url);
+        return parsed ? parsed.publicId : null;
+    },
+
+    async save(buffer, { folder, baseName, extension, mimeType }) {
+        const resourceType = resourceTypeFor(mimeType);
+        // For IMAGES the public_id must NOT include the extension, for RAW files (PDF, DOCX) it MUST.
+        const publicId = resourceType === 'image'
+            ? `${folder}/${baseName}_${Date.now()}`
+            : `${folder}/${baseName}_${Date.now()}${extension}`;
+
+        const result = await new Promise((resolve, reject) => {
+            const uploadStream = cloudinary.uploader.upload_stream(
+                {
+                    resource_type: resourceType,
+                    public_id: publicId,
+                    unique_filename: false,
+                    overwrite: true,
+                    type: resourceType === 'raw' ? 'authenticated' : 'upload'
+                },
+                (error, result) => {
+                    if (error) {
+                        console.error('Cloudinary upload_stream error:', error);
+                        return reject(error);
+                    }
+                    resolve(result);
+                }
+            );
+            uploadStream.end(buffer);
+        });
+
+        let url = result.secure_url;
+        if (result.resource_type === 'raw' && extension && !url.toLowerCase().endsWith(extension)) {
+            url += extension;
+        }
+        return { key: result.public_id, url };
+    },
+
+    // Signed delivery URL, required to read 'authenticated' files
+    signedUrl(descriptor, options = {}) {
+        const { resourceType, type, publicId } = locate(descriptor);
+        return cloudinary.url(publicId, {
+            resource_type: resourceType,
+            type: type,
+            sign_url: true,
+            secure: true,
+            ...options
+        });
+    },
+
+    // Short-lived download link (Cloudinary download API): works for 'authenticated' files and expires
+    temporaryUrl(descriptor, { expiresInSeconds }) {
+        const { resourceType, type, publicId } = locate(descriptor);
+        // Image public_ids have no extension: the format is passed separately
+        const extension = resourceType === 'image' ? /\.([a-z0-9]+)(?:\?|$)/i.exec(descriptor.url || '') : null;
+        return cloudinary.utils.private_download_url(publicId, extension ? extension[1].toLowerCase() : '', {
+            resource_type: resourceType,
+            type: type,
+            expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds,
+            attachment: true
+        });
+    },
+
+    async read(descriptor) {
+        const { type } = locate(descriptor);
+        const url = type === 'upload' && descriptor.url ? descriptor.url : this.signedUrl(descriptor);
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Cloudinary download failed (${response.status}) for ${url}`);
+        }
+        return Buffer.from(await response.arrayBuffer());
+    },
+
+    async remove(descriptor) {
+        const { resourceType, type, publicId } = locate(descriptor);
+        if (!publicId) {
+            throw new Error('Cannot delete a Cloudinary file without its public_id.');
+        }
+        await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, type: type, invalidate: true });
+    }
+};
@@ -0,0 +1,62 @@
+// utils/storage/gcsDriver.js
+// Stores files in a Google Cloud Storage bucket (GCS_BUCKET). Credentials come from
+// GOOGLE_APPLICATION_CREDENTIALS, as usual for Google Cloud client libraries.
+const BASE_URL = 'https://storage.googleapis.com/';
+
+let bucket = null;
+
+// The client is only created when the driver is actually used
+function getBucket() {
+    if (!bucket) {
+        if (!process.env.GCS_BUCKET) {
+            throw new Error('GCS_BUCKET must be set to use the Google Cloud Storage driver.');
+        }
+        const { Storage } = require('@google-cloud/storage');
+        bucket = new Storage().bucket(process.env.GCS_BUCKET);
+    }
+    return bucket;
+}
+
+function urlForKey(key) {
+    return `${BASE_URL}${process.env.GCS_BUCKET}/${key.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+module.exports = {
+    name: 'gcs',
+
+    owns(url) {
+        return typeof url === 'string' && url.startsWith(BASE_URL);
+    },
+
+    keyFromUrl(url) {
+        // https://storage.googleapis.com/<bucket>/<key>
+        const [, ...keyParts] = url.slice(BASE_URL.length).split('/');
+        return keyParts.map(decodeURIComponent).join('/');
+    },
+
+    async save(buffer, { folder, baseName, extension, mimeType }) {
+        const key = `${folder}/${baseName}_${Date.now()}${extension}`;
+        await getBucket().file(key).save(buffer, { contentType: mimeType, resumable: false });
+        return { key, url: urlForKey(key) };
+    },
+
+    async read({ key, url }) {
+        const [contents] = await getBucket().file(key || this.keyFromUrl(url)).download();
+        return contents;
+    },
+
+    // V4 signed URL, valid for `expiresInSeconds`, that downloads the file under its library name
+    async temporaryUrl({ key, url }, { expiresInSeconds, fileName }) {
+        const [signedUrl] = await getBucket().file(key || this.keyFromUrl(url)).getSignedUrl({
+            version: 'v4',
+            action: 'read',
+            expires: Date.now() + expiresInSeconds * 1000,
+            responseDisposition: fileName ? `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}` : undefined
+        });
+        return signedUrl;
+    },
+
+    async remove({ key, url }) {
+        await getBucket().file(key || this.keyFromUrl(url)).delete({ ignoreNotFound: true });
+    }
+};
@@ -0,0 +1,136 @@
+// utils/storage/index.js
+// Single entry point for file storage. Every upload route goes through saveUploadedFile().
+//
+// Configuration (.env):
+//   STORAGE_DRIVER           'local', 'cloudinary' or 'gcs' (default: cloudinary if configured, otherwise local)
+//   STORAGE_FALLBACK_DRIVER  optional driver used when the main one fails (e.g. 'local' while offline)
+//
+// A stored file is described by { driver, key, url, mimeType }. Files moved between
+// backends with `npm run migrate:storage` keep working because the owning driver
+// can always be recognized from the URL.
+const path = require('path');
+
+// Lifetime of the links returned by temporaryDownloadUrl(): long enough to follow a redirect
+const DOWNLOAD_LINK_TTL_SECONDS = 120;
+
+const drivers = {
+    local: require('./localDriver'),
+    cloudinary: require('./cloudinaryDriver'),
+    gcs: require('./gcsDriver')
+};
+
+function getDriver(name) {
+    const driver = drivers[name];
+    if (!driver) {
+        throw new Error(`Unknown storage driver '${name}'. Expected one of: ${Object.keys(drivers).join(', ')}.`);
+    }
+    return driver;
+}
+
+function getDefaultDriver() {
+    const name = process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+    return getDriver(name.toLowerCase());
+}
+
+function getFallbackDriver() {
+    const name = process.env.STORAGE_FALLBACK_DRIVER;
+    return name ? getDriver(name.toLowerCase()) : null;
+}
+
+// Finds the driver that stored a file, from its descriptor or its URL
+function getDriverFor({ driver, url }) {
+    if (driver) {
+        return getDriver(driver);
+    }
+    return Object.values(drivers).find(d => d.owns(url)) || null;
+}
+
+// File name without extension, safe to use in a storage key
+function safeBaseName(originalName) {
+    const baseName = path.parse(originalName).name
+        .replace(/[\/\\?%*:|"<>#&]+/g, '_')
+        .trim();
+    return baseName || 'fichier';
+}
+
+/**
+ * Stores a file received by Multer (memory storage) under the given folder.
+ * Without an explicit driver, the configured one is used (with the fallback driver if it fails).
+ * Returns { driver, key, url, mimeType, size, originalName }.
+ */
+async function saveUploadedFile(file, folder, explicitDriver = null) {
+    const driver = explicitDriver || getDefaultDriver();
+    const options = {
+        folder: folder,
+        baseName: safeBaseName(file.originalname),
+        extension: path.extname(file.originalname).toLowerCase(),
+        mimeType: file.mimetype
+    };
+
+    let usedDriver = driver;
+    let stored;
+    try {
+        stored = await driver.save(file.buffer, options);
+    } catch (error) {
+        const fallback = explicitDriver ? null : getFallbackDriver();
+        if (!fallback || fallback === driver) {
+            throw error;
+        }
+        console.warn(`Storage driver '${driver.name}' failed (${error.message}), falling back to '${fallback.name}'.`);
+        usedDriver = fallback;
+        stored = await fallback.save(file.buffer, options);
+    }
+
+    console.log(`File '${file.originalname}' stored with driver '${usedDriver.name}':`, stored.url);
+
+    return {
+        driver: usedDriver.name,
+        key: stored.key,
+        url: stored.url,
+        mimeType: file.mimetype,
+        size: file.size,
+        originalName: file.originalname
+    };
+}
+
+async function readFile(descriptor) {
+    const driver = getDriverFor(descriptor);
+    if (!driver) {
+        throw new Error(`No storage driver recognizes ${descriptor.url}`);
+    }
+    return driver.read(descriptor);
+}
+
+/**
+ * Short-lived link to download a stored file straight from its backend (Cloudinary, GCS),
+ * or null when the driver cannot sign links (local disk): the caller then sends the file itself.
+ */
+async function temporaryDownloadUrl(descriptor, { fileName = '', expiresInSeconds = DOWNLOAD_LINK_TTL_SECONDS } = {}) {
+    const driver = getDriverFor(descriptor);
+    if (!driver) {
+        throw new Error(`No storage driver recognizes ${descriptor.url}`);
+    }
+    if (typeof driver.temporaryUrl !== 'function') {
+        return null;
+    }
+    return driver.temporaryUrl(descriptor, { fileName, expiresInSeconds });
+}
+
+async function removeFile(descriptor) {
+    const driver = getDriverFor(descriptor);
+    if (!driver) {
+        throw new Error(`No storage driver recognizes ${descriptor.url}`);
+    }
+    return driver.remove(descriptor);
+}
+
+module.exports = {
+    drivers,
+    getDriver,
+    getDefaultDriver,
+    getDriverFor,
+    saveUploadedFile,
+    readFile,
+    temporaryDownloadUrl,
+    removeFile
+};
@@ -0,0 +1,63 @@
+// utils/storage/localDriver.js
+// Stores files on the server's own disk: works without any internet access.
+const fs = require('fs');
+const path = require('path');
+
+const UPLOAD_DIR = path.resolve(process.env.LOCAL_UPLOAD_DIR || path.join(__dirname, '../../uploads'));
+// Files written by older versions to public/uploads keep the same URL prefix (read here, never served statically)
+const LEGACY_UPLOAD_DIR = path.join(__dirname, '../../public/uploads');
+const URL_PREFIX = '/uploads/';
+
+// Resolves a storage key to an absolute path, refusing anything outside the base directory
+function resolvePath(baseDir, key) {
+    const fullPath = path.resolve(baseDir, key);
+    if (!fullPath.startsWith(baseDir + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return fullPath;
+}
+
+function urlForKey(key) {
+    return URL_PREFIX + key.split('/').map(encodeURIComponent).join('/');
+}
+
+module.exports = {
+    name: 'local',
+    uploadDir: UPLOAD_DIR,
+    urlPrefix: URL_PREFIX,
+
+    owns(url) {
+        return typeof url === 'string' && url.startsWith(URL_PREFIX);
+    },
+
+    keyFromUrl(url) {
+        return url.slice(URL_PREFIX.length).split('/').map(decodeURIComponent).join('/');
+    },
+
+    async save(buffer, { folder, baseName, extension }) {
+        const key = `${folder}/${baseName}_${Date.now()}${extension}`;
+        const fullPath = resolvePath(UPLOAD_DIR, key);
+        await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+        await fs.promises.writeFile(fullPath, buffer);
+        return { key, url: urlForKey(key) };
+    },
+
+    async read({ key, url }) {
+        const storageKey = key || this.keyFromUrl(url);
+        try {
+            return await fs.promises.readFile(resolvePath(UPLOAD_DIR, storageKey));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return fs.promises.readFile(resolvePath(LEGACY_UPLOAD_DIR, storageKey));
+        }
+    },
+
+    async remove({ key, url }) {
+        const storageKey = key || this.keyFromUrl(url);
+        try {
+            await fs.promises.unlink(resolvePath(UPLOAD_DIR, storageKey));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+};
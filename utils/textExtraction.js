@@ -0,0 +1,503 @@
+// utils/textExtraction.js
+// Texte des PDF et des documents Word (.docx) déposés dans une classe, pour la recherche (utils/searchIndex.js).
+// Extraction « au mieux », sans dépendance externe : zlib suffit pour décompresser les flux PDF et les archives DOCX.
+// Un document dont le texte n'est pas lisible (scan, PDF chiffré, police sans table Unicode) donne un texte vide :
+// il reste trouvable par son nom.
+//
+// Un fichier déposé peut être construit pour exploser à la décompression ou produire un texte démesuré :
+// les données décompressées et le texte lu sont plafonnés, et l'extraction tourne dans un thread à part
+// (extractTextInBackground, utils/textExtractionWorker.js) pour ne jamais bloquer les requêtes et le chat.
+const path = require('path');
+const zlib = require('zlib');
+const { Worker } = require('worker_threads');
+
+const MAX_TEXT_LENGTH = 200000; // Caractères gardés par document
+const MAX_INFLATED_LENGTH = 64 * 1024 * 1024; // Octets décompressés en tout par document (archive DOCX ou flux PDF)
+const MAX_CMAP_RANGE = 65536;
+const EXTRACTION_TIMEOUT_MS = 30 * 1000;
+const WORKER_MEMORY_MB = 512;
+
+// --- DOCX : archive ZIP, le texte est dans word/document.xml ---
+
+// Contenu d'un fichier de l'archive ZIP, ou null
+function readZipEntry(buffer, entryName) {
+    // Fin du répertoire central, cherchée depuis la fin du fichier (un commentaire peut suivre)
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) return null;
+
+    const entries = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    for (let n = 0; n < entries && offset + 46 <= buffer.length; n++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) return null;
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        if (name === entryName) {
+            const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+            const data = buffer.subarray(start, start + compressedSize);
+            if (method === 0) return data;
+            if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_INFLATED_LENGTH });
+            return null;
+        }
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return null;
+}
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+function decodeXmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        return XML_ENTITIES[entity] || match;
+    });
+}
+
+function docxText(buffer) {
+    const xml = readZipEntry(buffer, 'word/document.xml');
+    if (!xml) return '';
+    return decodeXmlEntities(xml.toString('utf8')
+        .replace(/<w:tab\b[^>]*\/>/g, ' ')
+        .replace(/<\/w:p>|<w:br\b[^>]*\/>/g, '\n')
+        .replace(/<[^>]+>/g, ''));
+}
+
+// --- PDF ---
+
+// Données d'un flux : décompressées (FlateDecode) ou telles quelles ; null pour les autres filtres (images...).
+// budget.remaining : octets décompressés encore permis pour le document ; une fois épuisé, les flux suivants sont ignorés.
+function decodeStream(dictionary, data, budget) {
+    if (/\/FlateDecode/.test(dictionary)) {
+        if (budget.remaining <= 0) return null;
+        try {
+            const inflated = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: budget.remaining });
+            budget.remaining -= inflated.length;
+            return inflated;
+        } catch (error) {
+            if (error.code === 'ERR_BUFFER_TOO_LARGE') budget.remaining = 0;
+            return null;
+        }
+    }
+    return /\/Filter/.test(dictionary) ? null : data;
+}
+
+// Objets du fichier (« 12 0 obj ... endobj ») : numéro -> { text (dictionnaire), stream (données ou null) },
+// y compris les objets rangés dans des flux d'objets (/ObjStm). Une mise à jour incrémentale remplace l'objet.
+function pdfObjects(buffer) {
+    const source = buffer.toString('latin1');
+    const objects = new Map();
+    const budget = { remaining: MAX_INFLATED_LENGTH };
+    const pattern = /(\d+)\s+\d+\s+obj\b/g;
+    let match;
+    while ((match = pattern.exec(source))) {
+        const start = match.index + match[0].length;
+        let end = source.indexOf('endobj', start);
+        if (end === -1) break;
+
+        let text = source.slice(start, end);
+        let stream = null;
+        const streamMatch = /\bstream\r?\n/.exec(text);
+        if (streamMatch) {
+            text = text.slice(0, streamMatch.index);
+            const dataStart = start + streamMatch.index + streamMatch[0].length;
+            const length = /\/Length\s+(\d+)(?!\s+\d+\s+R)/.exec(text);
+            let dataEnd = length ? dataStart + Number(length[1]) : -1;
+            if (dataEnd === -1 || source.indexOf('endstream', dataEnd) === -1 || dataEnd > source.length) {
+                dataEnd = source.indexOf('endstream', dataStart);
+            }
+            if (dataEnd === -1) break;
+            stream = decodeStream(text, buffer.subarray(dataStart, dataEnd), budget);
+            end = source.indexOf('endobj', dataEnd);
+            if (end === -1) end = source.length;
+        }
+        objects.set(Number(match[1]), { text, stream });
+        pattern.lastIndex = end;
+    }
+
+    for (const object of [...objects.values()]) {
+        if (!object.stream || !/\/Type\s*\/ObjStm/.test(object.text)) continue;
+        const first = Number((/\/First\s+(\d+)/.exec(object.text) || [])[1]);
+        const count = Number((/\/N\s+(\d+)/.exec(object.text) || [])[1]);
+        if (!Number.isFinite(first) || !Number.isFinite(count)) continue;
+        const content = object.stream.toString('latin1');
+        const header = content.slice(0, first).trim().split(/\s+/).map(Number);
+        for (let i = 0; i < count; i++) {
+            const number = header[2 * i];
+            const offset = first + header[2 * i + 1];
+            const next = i + 1 < count ? first + header[2 * i + 3] : content.length;
+            if (Number.isFinite(number) && !objects.has(number)) {
+                objects.set(number, { text: content.slice(offset, next), stream: null });
+            }
+        }
+    }
+    return objects;
+}
+
+function refs(text) {
+    const numbers = [];
+    text.replace(/(\d+)\s+\d+\s+R\b/g, (match, number) => numbers.push(Number(number)));
+    return numbers;
+}
+
+function referenced(objects, text, key) {
+    const match = new RegExp(`\\/${key}\\s+(\\d+)\\s+\\d+\\s+R`).exec(text);
+    return match ? objects.get(Number(match[1])) : null;
+}
+
+// Pages dans l'ordre de l'arbre des pages ; à défaut, dans l'ordre des objets
+function orderedPages(objects) {
+    const isPage = (object) => /\/Type\s*\/Page\b/.test(object.text);
+    const catalog = [...objects.values()].find(object => /\/Type\s*\/Catalog\b/.test(object.text));
+    const root = catalog && referenced(objects, catalog.text, 'Pages');
+    if (!root) {
+        return [...objects.values()].filter(isPage);
+    }
+
+    const pages = [];
+    const seen = new Set();
+    (function walk(node) {
+        if (!node || seen.has(node)) return;
+        seen.add(node);
+        if (isPage(node)) {
+            pages.push(node);
+            return;
+        }
+        const kids = /\/Kids\s*\[([^\]]*)\]/.exec(node.text);
+        if (kids) refs(kids[1]).forEach(number => walk(objects.get(number)));
+    })(root);
+    return pages;
+}
+
+// Table Unicode d'une police (/ToUnicode) : codes (hexadécimal) -> texte
+function parseCMap(text, composite) {
+    const map = new Map();
+    const utf16 = (hex) => {
+        let result = '';
+        for (let i = 0; i + 3 < hex.length; i += 4) result += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+        return result;
+    };
+    const codeSpace = /begincodespacerange\s*<([0-9a-f]+)>/i.exec(text);
+    const codeLength = codeSpace ? codeSpace[1].length / 2 : (composite ? 2 : 1);
+
+    let block;
+    const charBlocks = /beginbfchar([\s\S]*?)endbfchar/g;
+    while ((block = charBlocks.exec(text))) {
+        block[1].replace(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi, (match, code, target) => {
+            map.set(code.toUpperCase(), utf16(target));
+        });
+    }
+    const rangeBlocks = /beginbfrange([\s\S]*?)endbfrange/g;
+    while ((block = rangeBlocks.exec(text))) {
+        block[1].replace(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(?:<([0-9a-f]*)>|\[([^\]]*)\])/gi, (match, low, high, target, list) => {
+            const from = parseInt(low, 16);
+            const to = Math.min(parseInt(high, 16), from + MAX_CMAP_RANGE);
+            const targets = list ? (list.match(/<([0-9a-f]*)>/gi) || []).map(item => utf16(item.slice(1, -1))) : null;
+            for (let code = from; code <= to; code++) {
+                const key = code.toString(16).toUpperCase().padStart(low.length, '0');
+                if (targets) {
+                    if (code - from < targets.length) map.set(key, targets[code - from]);
+                } else if (target) {
+                    const base = utf16(target);
+                    map.set(key, base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + code - from));
+                }
+            }
+        });
+    }
+    return { map, codeLength };
+}
+
+// Polices d'une page (ressources héritées des nœuds parents) : nom (/F1) -> { composite, cmap }
+function pageFonts(page, objects, cache) {
+    let node = page;
+    const seen = new Set();
+    while (node && !seen.has(node)) {
+        seen.add(node);
+        const resources = referenced(objects, node.text, 'Resources');
+        const resourcesText = resources ? resources.text : node.text;
+        const fontEntry = /\/Font\b\s*(?:<<([^>]*)>>|(\d+)\s+\d+\s+R)/.exec(resourcesText);
+        if (fontEntry) {
+            const dictionary = fontEntry[1] !== undefined ? fontEntry[1] : ((objects.get(Number(fontEntry[2])) || {}).text || '');
+            const fonts = {};
+            dictionary.replace(/\/([^\s\/<>\[\]()]+)\s+(\d+)\s+\d+\s+R/g, (match, name, number) => {
+                fonts[name] = loadFont(Number(number), objects, cache);
+            });
+            return fonts;
+        }
+        node = referenced(objects, node.text, 'Parent');
+    }
+    return {};
+}
+
+function loadFont(number, objects, cache) {
+    if (!cache.has(number)) {
+        const object = objects.get(number) || { text: '' };
+        const composite = /\/Subtype\s*\/Type0/.test(object.text);
+        const toUnicode = referenced(objects, object.text, 'ToUnicode');
+        cache.set(number, {
+            composite,
+            cmap: toUnicode && toUnicode.stream ? parseCMap(toUnicode.stream.toString('latin1'), composite) : null
+        });
+    }
+    return cache.get(number);
+}
+
+// Octets d'une chaîne PDF -> texte, avec la table Unicode de la police quand elle existe
+function decodeString(bytes, font) {
+    if (font && font.cmap) {
+        const size = font.cmap.codeLength;
+        let result = '';
+        for (let i = 0; i + size <= bytes.length; i += size) {
+            const code = bytes.slice(i, i + size).map(byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+            const text = font.cmap.map.get(code);
+            result += text !== undefined ? text : (font.composite ? '' : String.fromCharCode(bytes[i]));
+        }
+        return result;
+    }
+    if (font && font.composite) return ''; // Identifiants de glyphes sans table : illisibles
+    return String.fromCharCode(...bytes);
+}
+
+const LITERAL_ESCAPES = { n: 10, r: 13, t: 9, b: 8, f: 12 };
+
+// Chaîne littérale « (...) » à partir de la position `start` (après la parenthèse) : { bytes, end }
+function readLiteral(content, start) {
+    const bytes = [];
+    let depth = 1;
+    let i = start;
+    while (i < content.length) {
+        const ch = content[i];
+        if (ch === '\\') {
+            const next = content[i + 1];
+            if (LITERAL_ESCAPES[next] !== undefined) {
+                bytes.push(LITERAL_ESCAPES[next]);
+                i += 2;
+            } else if (/[0-7]/.test(next)) {
+                const octal = /^[0-7]{1,3}/.exec(content.slice(i + 1, i + 4))[0];
+                bytes.push(parseInt(octal, 8) & 0xff);
+                i += 1 + octal.length;
+            } else if (next === '\r' || next === '\n') {
+                i += content[i + 2] === '\n' && next === '\r' ? 3 : 2; // Suite de la chaîne à la ligne
+            } else {
+                bytes.push(next.charCodeAt(0));
+                i += 2;
+            }
+            continue;
+        }
+        if (ch === '(') depth++;
+        if (ch === ')' && --depth === 0) return { bytes, end: i + 1 };
+        bytes.push(ch.charCodeAt(0));
+        i++;
+    }
+    return { bytes, end: i };
+}
+
+function hexBytes(hex) {
+    const clean = hex.replace(/\s+/g, '');
+    const bytes = [];
+    for (let i = 0; i < clean.length; i += 2) bytes.push(parseInt(clean.slice(i, i + 2).padEnd(2, '0'), 16));
+    return bytes;
+}
+
+// Texte d'un flux de contenu : opérateurs Tj, TJ, ' et " ; retours à la ligne aux changements de ligne.
+// La lecture s'arrête dès que maxLength caractères sont lus.
+function contentText(content, fonts, maxLength) {
+    const parts = [];
+    let length = 0;
+    let operands = [];
+    let array = null;
+    let font = null;
+    let i = 0;
+
+    while (i < content.length && length <= maxLength) {
+        const ch = content[i];
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '%') {
+            while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+        } else if (ch === '(') {
+            const literal = readLiteral(content, i + 1);
+            (array || operands).push({ bytes: literal.bytes });
+            i = literal.end;
+        } else if (ch === '<' && content[i + 1] === '<') {
+            i += 2;
+        } else if (ch === '>' && content[i + 1] === '>') {
+            i += 2;
+        } else if (ch === '<') {
+            const end = content.indexOf('>', i);
+            if (end === -1) break;
+            (array || operands).push({ bytes: hexBytes(content.slice(i + 1, end)) });
+            i = end + 1;
+        } else if (ch === '[') {
+            array = [];
+            i++;
+        } else if (ch === ']') {
+            operands.push(array || []);
+            array = null;
+            i++;
+        } else {
+            const token = /^(\/[^\s\/<>\[\]()%{}]*|[^\s\/<>\[\]()%{}]+)/.exec(content.slice(i, i + 128));
+            if (!token) {
+                i++;
+                continue;
+            }
+            const word = token[0];
+            i += word.length;
+            if (word[0] === '/' || /^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+                (array || operands).push(word[0] === '/' ? { name: word.slice(1) } : Number(word));
+                continue;
+            }
+
+            // Opérateur
+            const last = operands[operands.length - 1];
+            if (word === 'Tf') {
+                const name = operands.find(operand => operand && operand.name);
+                font = name ? fonts[name.name] || null : null;
+            } else if (word === 'Tj' && last && last.bytes) {
+                const text = decodeString(last.bytes, font);
+                parts.push(text);
+                length += text.length;
+            } else if ((word === '\'' || word === '"') && last && last.bytes) {
+                const text = decodeString(last.bytes, font);
+                parts.push('\n', text);
+                length += text.length + 1;
+            } else if (word === 'TJ' && Array.isArray(last)) {
+                last.forEach(item => {
+                    if (item && item.bytes) {
+                        const text = decodeString(item.bytes, font);
+                        parts.push(text);
+                        length += text.length;
+                    } else if (typeof item === 'number' && item < -200) {
+                        parts.push(' '); // Grand espacement : espace entre mots
+                    }
+                });
+            } else if (word === 'Td' || word === 'TD') {
+                parts.push(Math.abs(operands[1]) > 1 ? '\n' : ' ');
+            } else if (word === 'T*' || word === 'Tm' || word === 'ET') {
+                parts.push(word === 'T*' ? '\n' : ' ');
+            } else if (word === 'ID') {
+                // Image en ligne : données binaires jusqu'à EI
+                const end = content.slice(i).search(/\sEI(\s|$)/);
+                i = end === -1 ? content.length : i + end + 3;
+            }
+            operands = [];
+        }
+    }
+    return parts.join('');
+}
+
+function pdfText(buffer) {
+    const objects = pdfObjects(buffer);
+    if ([...objects.values()].some(object => /\/Encrypt\b/.test(object.text))) {
+        return ''; // PDF chiffré : contenu illisible sans la clé
+    }
+
+    const fontCache = new Map();
+    const pages = [];
+    let length = 0;
+    for (const page of orderedPages(objects)) {
+        const contents = /\/Contents\s*(?:(\d+)\s+\d+\s+R|\[([^\]]*)\])/.exec(page.text);
+        if (!contents) continue;
+        const streams = (contents[1] ? [Number(contents[1])] : refs(contents[2]))
+            .map(number => objects.get(number))
+            .filter(object => object && object.stream);
+        const content = streams.map(object => object.stream.toString('latin1')).join('\n');
+        const text = contentText(content, pageFonts(page, objects, fontCache), MAX_TEXT_LENGTH - length);
+        pages.push(text);
+        length += text.length;
+        if (length > MAX_TEXT_LENGTH) break; // Plafond atteint : les pages suivantes ne sont pas lues
+    }
+    return pages.join('\n');
+}
+
+// Accents posés à part par LaTeX (« ´e », « `a ») -> caractère accentué
+const SPACING_ACCENTS = { '´': '\u0301', '`': '\u0300', '^': '\u0302', 'ˆ': '\u0302', '¨': '\u0308', '˜': '\u0303' };
+
+function normalizeWhitespace(text) {
+    return text
+        .replace(/([´`^ˆ¨˜])\s?([a-zA-Z])/g, (match, accent, letter) => (letter + SPACING_ACCENTS[accent]).normalize('NFC'))
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+        .replace(/[ \t ]+/g, ' ')
+        .replace(/ ?\n[\s]*/g, '\n')
+        .trim()
+        .slice(0, MAX_TEXT_LENGTH);
+}
+
+/**
+ * Texte d'un fichier déposé (Buffer), selon son type : PDF et DOCX ; '' pour les autres types
+ * ou si le texte n'a pas pu être lu (l'erreur est seulement journalisée : le dépôt ne doit jamais échouer).
+ */
+function extractText(buffer, mimeType, fileName = '') {
+    const name = fileName.toLowerCase();
+    try {
+        if (mimeType === 'application/pdf' || name.endsWith('.pdf')) {
+            return normalizeWhitespace(pdfText(buffer));
+        }
+        if (mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' || name.endsWith('.docx')) {
+            return normalizeWhitespace(docxText(buffer));
+        }
+    } catch (error) {
+        console.error(`Text extraction failed for '${fileName}':`, error.message);
+    }
+    return '';
+}
+
+/**
+ * extractText() dans un thread à part, un fichier à la fois : le serveur continue de répondre pendant la lecture
+ * d'un gros document. Un document trop long à lire ou trop gourmand en mémoire donne '' (erreur journalisée).
+ */
+let extractionQueue = Promise.resolve();
+
+function extractTextInBackground(buffer, mimeType, fileName = '') {
+    const job = extractionQueue.then(() => runExtractionWorker(buffer, mimeType, fileName));
+    extractionQueue = job.catch(() => {});
+    return job;
+}
+
+function runExtractionWorker(buffer, mimeType, fileName) {
+    return new Promise(resolve => {
+        const worker = new Worker(path.join(__dirname, 'textExtractionWorker.js'), {
+            workerData: { buffer, mimeType, fileName },
+            resourceLimits: { maxOldGenerationSizeMb: WORKER_MEMORY_MB }
+        });
+        const timer = setTimeout(() => {
+            console.error(`Text extraction timed out for '${fileName}'.`);
+            worker.terminate();
+        }, EXTRACTION_TIMEOUT_MS);
+        worker.once('message', text => resolve(text));
+        worker.once('error', error => {
+            console.error(`Text extraction failed for '${fileName}':`, error.message);
+            resolve('');
+        });
+        worker.once('exit', () => {
+            clearTimeout(timer);
+            resolve(''); // Sans effet si le texte a déjà été reçu
+        });
+    });
+}
+
+// Types dont le texte est extrait (les autres fichiers ne sont indexés que par leur nom)
+function isExtractable(mimeType, fileName = '') {
+    return /\.(pdf|docx)$/i.test(fileName)
+        || mimeType === 'application/pdf'
+        || mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+}
+
+module.exports = {
+    MAX_TEXT_LENGTH,
+    extractText,
+    extractTextInBackground,
+    isExtractable
+};
@@ -0,0 +1,8 @@
+// utils/textExtractionWorker.js
+// Thread lancé par extractTextInBackground() (utils/textExtraction.js) : lit le texte d'un fichier et le renvoie.
+const { parentPort, workerData } = require('worker_threads');
+const { extractText } = require('./textExtraction');
+
+const { buffer, mimeType, fileName } = workerData;
+// Le Buffer arrive sous forme de Uint8Array
+parentPort.postMessage(extractText(Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength), mimeType, fileName));
@@ -0,0 +1,199 @@
+// utils/whiteboard.js
+// Tableau blanc partagé d'une classe, synchronisé par Socket.IO dans le salon de la classe.
+// Le professeur dessine toujours (sauf tableau verrouillé) ; les élèves seulement s'il les y autorise.
+// Chaque modification est enregistrée (models/Whiteboard.js) puis diffusée à tous les membres connectés :
+// 'whiteboard:element', 'whiteboard:removed', 'whiteboard:cleared', 'whiteboard:settings'.
+//
+// Les fonctions reçoivent { io, classroom, user }, comme utils/chatModeration.js ; un refus est signalé
+// par une WhiteboardError dont le message est affichable.
+const Whiteboard = require('../models/Whiteboard');
+const { can } = require('./accessPolicy');
+const { validateLatex } = require('./latex');
+const { classRoom } = require('./socketRooms');
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const ID_PATTERN = /^[\w-]{1,64}$/;
+const MAX_WIDTH = 20;
+const MAX_LABEL_LENGTH = 200;
+
+class WhiteboardError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WhiteboardError';
+    }
+}
+
+const isBoardManager = (user, classroom) => can(user, 'whiteboard.manage', classroom);
+
+function requireManager(user, classroom) {
+    if (!isBoardManager(user, classroom)) {
+        throw new WhiteboardError('Action réservée au professeur de la classe.');
+    }
+}
+
+/**
+ * Raison pour laquelle l'utilisateur ne peut pas dessiner sur ce tableau, ou null.
+ */
+function drawingRestriction(board, user, classroom) {
+    if (board.locked) {
+        return 'Le tableau est verrouillé par le professeur.';
+    }
+    if (!isBoardManager(user, classroom) && !board.studentsCanDraw) {
+        return 'Le professeur n\'a pas autorisé les élèves à dessiner.';
+    }
+    return null;
+}
+
+// Nombre de coordonnées attendu pour chaque type d'élément (trait : nombre pair, au moins un point)
+function pointsAreValid(kind, points) {
+    if (kind === 'stroke') return points.length >= 2 && points.length % 2 === 0 && points.length <= Whiteboard.MAX_POINTS;
+    if (kind === 'label') return points.length === 2;
+    return points.length === 4;
+}
+
+// Élément reçu d'un navigateur -> élément enregistrable, ou WhiteboardError
+function sanitizeElement(raw, user) {
+    if (!raw || typeof raw !== 'object') {
+        throw new WhiteboardError('Élément de dessin invalide.');
+    }
+    if (typeof raw.id !== 'string' || !ID_PATTERN.test(raw.id) || !Whiteboard.ELEMENT_KINDS.includes(raw.kind)) {
+        throw new WhiteboardError('Élément de dessin invalide.');
+    }
+
+    const points = Array.isArray(raw.points) ? raw.points.map(Number) : [];
+    if (!points.every(Number.isFinite) || !pointsAreValid(raw.kind, points)) {
+        throw new WhiteboardError('Élément de dessin invalide.');
+    }
+
+    const element = {
+        id: raw.id,
+        kind: raw.kind,
+        author: user._id,
+        color: typeof raw.color === 'string' && COLOR_PATTERN.test(raw.color) ? raw.color : '#000000',
+        width: Math.min(Math.max(parseInt(raw.width, 10) || 3, 1), MAX_WIDTH),
+        // Coordonnées relatives, dans le tableau
+        points: points.map(value => Math.round(Math.min(Math.max(value, 0), 1) * 10000) / 10000),
+        latex: '',
+        createdAt: new Date()
+    };
+
+    if (raw.kind === 'label') {
+        const check = validateLatex(typeof raw.latex === 'string' ? raw.latex : '');
+        if (!check.valid) {
+            throw new WhiteboardError(check.error);
+        }
+        if (!check.latex || check.latex.length > MAX_LABEL_LENGTH) {
+            throw new WhiteboardError(`Une étiquette contient entre 1 et ${MAX_LABEL_LENGTH} caractères.`);
+        }
+        element.latex = check.latex;
+    }
+    return element;
+}
+
+function emitSettings(io, board) {
+    io.to(classRoom(board.classroom)).emit('whiteboard:settings', {
+        classroomId: String(board.classroom),
+        locked: board.locked,
+        studentsCanDraw: board.studentsCanDraw
+    });
+}
+
+// État complet, pour un membre qui ouvre le tableau (ou se reconnecte)
+async function boardState({ classroom }) {
+    const board = await Whiteboard.forClass(classroom._id);
+    return board.toPayload();
+}
+
+// Nombre d'éléments à garder avec le nouveau, les plus récents d'abord : au plus MAX_ELEMENTS
+// et MAX_TOTAL_POINTS coordonnées en tout
+function elementsToKeep(elements, newPoints) {
+    let total = newPoints;
+    let count = 1;
+    for (let index = elements.length - 1; index >= 0 && count < Whiteboard.MAX_ELEMENTS; index--) {
+        total += elements[index].points.length;
+        if (total > Whiteboard.MAX_TOTAL_POINTS) break;
+        count++;
+    }
+    return count;
+}
+
+async function addElement({ io, classroom, user, element }) {
+    const board = await Whiteboard.forClass(classroom._id);
+    const restriction = drawingRestriction(board, user, classroom);
+    if (restriction) {
+        throw new WhiteboardError(restriction);
+    }
+
+    const clean = sanitizeElement(element, user);
+    // Élément renvoyé après une perte de connexion : déjà enregistré
+    const { modifiedCount } = await Whiteboard.updateOne(
+        { _id: board._id, locked: false, 'elements.id': { $ne: clean.id } },
+        {
+            $push: { elements: { $each: [clean], $slice: -elementsToKeep(board.elements, clean.points.length) } },
+            $set: { updatedAt: new Date() }
+        }
+    );
+    if (modifiedCount > 0) {
+        io.to(classRoom(classroom._id)).emit('whiteboard:element', {
+            classroomId: String(classroom._id),
+            element: Whiteboard.elementPayload(clean)
+        });
+    }
+}
+
+// Chacun retire ses propres éléments (« Annuler ») ; le professeur retire n'importe lequel
+async function removeElement({ io, classroom, user, elementId }) {
+    const board = await Whiteboard.forClass(classroom._id);
+    const restriction = drawingRestriction(board, user, classroom);
+    if (restriction) {
+        throw new WhiteboardError(restriction);
+    }
+
+    const element = board.elements.find(candidate => candidate.id === elementId);
+    if (!element) {
+        return; // Déjà retiré (tableau effacé entre-temps...)
+    }
+    if (!isBoardManager(user, classroom) && String(element.author) !== String(user._id)) {
+        throw new WhiteboardError('Vous ne pouvez retirer que vos propres dessins.');
+    }
+
+    await Whiteboard.updateOne({ _id: board._id }, { $pull: { elements: { id: elementId } }, $set: { updatedAt: new Date() } });
+    io.to(classRoom(classroom._id)).emit('whiteboard:removed', { classroomId: String(classroom._id), elementId });
+}
+
+async function clearBoard({ io, classroom, user }) {
+    requireManager(user, classroom);
+    await Whiteboard.updateOne(
+        { classroom: classroom._id },
+        { $set: { elements: [], updatedAt: new Date() } },
+        { upsert: true }
+    );
+    io.to(classRoom(classroom._id)).emit('whiteboard:cleared', { classroomId: String(classroom._id) });
+}
+
+// Réglages du professeur : { locked } et/ou { studentsCanDraw }
+async function updateSettings({ io, classroom, user, locked, studentsCanDraw }) {
+    requireManager(user, classroom);
+    const changes = {};
+    if (typeof locked === 'boolean') changes.locked = locked;
+    if (typeof studentsCanDraw === 'boolean') changes.studentsCanDraw = studentsCanDraw;
+
+    const board = await Whiteboard.findOneAndUpdate(
+        { classroom: classroom._id },
+        { $set: { ...changes, updatedAt: new Date() } },
+        { upsert: true, new: true }
+    );
+    emitSettings(io, board);
+}
+
+module.exports = {
+    WhiteboardError,
+    isBoardManager,
+    drawingRestriction,
+    sanitizeElement,
+    boardState,
+    addElement,
+    removeElement,
+    clearBoard,
+    updateSettings
+};